@@ -0,0 +1,69 @@
+// LLM price table used to cost each generation when it is recorded in
+// llm_usage. Prices are USD per 1M tokens: { input, output }.
+//
+// Keys are either "provider:model" (matched first) or a bare model name, so
+// an Azure deployment or a local model can be priced without touching the
+// defaults. Override or extend via LLM_PRICING_JSON, e.g.
+//   LLM_PRICING_JSON='{"gpt-5.4":{"input":2.5,"output":15},"openai_compatible:llama3.1:8b":{"input":0,"output":0}}'
+//
+// Models with no entry are recorded with cost_usd = NULL (tokens are still
+// stored) and reported as `unpriced_calls`, so a missing price never turns
+// into silent $0 spend.
+const DEFAULT_PRICES = {
+  'gpt-4.1': { input: 2.0, output: 8.0 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o': { input: 2.5, output: 10.0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-sonnet-4-5': { input: 3.0, output: 15.0 },
+  'claude-haiku-4-5': { input: 1.0, output: 5.0 }
+};
+
+function isValidPrice(price) {
+  return price &&
+    Number.isFinite(Number(price.input)) && Number(price.input) >= 0 &&
+    Number.isFinite(Number(price.output)) && Number(price.output) >= 0;
+}
+
+// Merge LLM_PRICING_JSON over the defaults. Invalid JSON or entries are
+// logged and ignored rather than failing startup.
+function loadPriceTable(env = process.env) {
+  const table = { ...DEFAULT_PRICES };
+  if (!env.LLM_PRICING_JSON) return table;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.LLM_PRICING_JSON);
+  } catch (error) {
+    console.error('LLM_PRICING_JSON is not valid JSON - using default prices:', error.message);
+    return table;
+  }
+
+  for (const [key, price] of Object.entries(overrides || {})) {
+    if (!isValidPrice(price)) {
+      console.warn(`LLM_PRICING_JSON entry "${key}" needs numeric input/output prices - skipping`);
+      continue;
+    }
+    table[key] = { input: Number(price.input), output: Number(price.output) };
+  }
+  return table;
+}
+
+function getModelPrice(table, provider, model) {
+  if (!model) return null;
+  return table[`${provider}:${model}`] || table[model] || null;
+}
+
+// Cost in USD for one call, or null when the model has no price.
+function estimateCostUsd(table, provider, model, promptTokens, completionTokens) {
+  const price = getModelPrice(table, provider, model);
+  if (!price) return null;
+  const cost = ((promptTokens || 0) * price.input + (completionTokens || 0) * price.output) / 1000000;
+  return Number(cost.toFixed(6));
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  loadPriceTable,
+  getModelPrice,
+  estimateCostUsd
+};
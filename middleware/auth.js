@@ -56,10 +56,35 @@ function createAuthenticateToken(authService) {
   };
 }
 
+// Email verification policy (EMAIL_VERIFICATION_REQUIRED_FOR): answers 403
+// when `feature` requires a verified email and the caller has none. Mount
+// after authenticateToken; a no-op without an emailVerificationService.
+function createRequireVerifiedEmail(emailVerificationService, feature) {
+  return async function requireVerifiedEmail(req, res, next) {
+    if (!emailVerificationService || !emailVerificationService.isRequiredFor(feature)) {
+      return next();
+    }
+
+    try {
+      if (await emailVerificationService.canUse(req.user.id, feature)) {
+        return next();
+      }
+      return res.status(403).json({ error: emailVerificationService.notVerifiedError(feature) });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Email verification check failed:', error.message);
+      return res.status(500).json({ error: 'Failed to check email verification' });
+    }
+  };
+}
+
 // Backward compatibility - create a basic version without auth service
 const authenticateToken = createAuthenticateToken(null);
 
 module.exports = {
   createAuthenticateToken,
+  createRequireVerifiedEmail,
   authenticateToken
 }; 
\ No newline at end of file
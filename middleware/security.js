@@ -96,6 +96,57 @@ const adminActionLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiting for partner-code accepts (POST /api/pairing/accept) to stop
+// brute-force guessing of 6-character codes. Keyed per user (mount after
+// authenticateToken) and counts only failed attempts, so a user who mistypes
+// a code a few times is unaffected. Deliberately NOT bypassed in test runs.
+// PAIRING_ACCEPT_RATE_LIMIT overrides the cap; 0 disables the limiter.
+const pairingAcceptLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PAIRING_ACCEPT_RATE_LIMIT || '10', 10),
+  message: {
+    error: 'Too many partner code attempts, please try again later',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `user:${req.user.id}`,
+  skip: () => parseInt(process.env.PAIRING_ACCEPT_RATE_LIMIT || '10', 10) <= 0
+});
+
+// Rate limiting for password reset (POST .../password/forgot and /reset),
+// keyed per IP: limits how many reset emails one client can trigger and
+// slows guessing of reset tokens. Bypassed during test/CI runs like the
+// limiters above. PASSWORD_RESET_RATE_LIMIT overrides the cap; 0 disables it.
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT || '5', 10),
+  message: {
+    error: 'Too many password reset requests, please try again later',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTestOrLoadRun() || parseInt(process.env.PASSWORD_RESET_RATE_LIMIT || '5', 10) <= 0
+});
+
+// Rate limiting for email verification (POST /api/auth/email/verify and
+// /resend), keyed per IP: caps verification emails and token guessing.
+// Bypassed during test/CI runs. EMAIL_VERIFICATION_RATE_LIMIT overrides the
+// cap; 0 disables it.
+const emailVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.EMAIL_VERIFICATION_RATE_LIMIT || '5', 10),
+  message: {
+    error: 'Too many email verification requests, please try again later',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => isTestOrLoadRun() || parseInt(process.env.EMAIL_VERIFICATION_RATE_LIMIT || '5', 10) <= 0
+});
+
 // Account lockout tracking (in-memory store - use Redis in production)
 const failedAttempts = new Map();
 const lockedAccounts = new Map();
@@ -184,6 +235,9 @@ module.exports = {
   deviceTokenLimiter,
   apiLimiter,
   adminActionLimiter,
+  pairingAcceptLimiter,
+  passwordResetLimiter,
+  emailVerificationLimiter,
   isAccountLocked,
   recordFailedAttempt,
   clearFailedAttempts,
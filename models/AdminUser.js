@@ -244,6 +244,38 @@ class AdminUser {
     }
   }
 
+  // Replace the password (password reset). Validated like createAdminUser.
+  async updatePassword(id, password) {
+    const passwordValidation = this.validatePassword(password);
+    if (!passwordValidation.valid) {
+      throw new Error(passwordValidation.error);
+    }
+
+    const hash = await new Promise((resolve, reject) => {
+      bcrypt.hash(password, 10, (err, hash) => {
+        if (err) {
+          reject(new Error('Failed to hash password'));
+        } else {
+          resolve(hash);
+        }
+      });
+    });
+
+    let result;
+    try {
+      result = await this.query(
+        'UPDATE admin_users SET password_hash = ?, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+        [hash, id]
+      );
+    } catch (err) {
+      throw new Error('Failed to update password');
+    }
+    if (result.affectedRows === 0) {
+      throw new Error('Admin user not found');
+    }
+    return true;
+  }
+
   // Verify password
   async verifyPassword(user, password) {
     return new Promise((resolve, reject) => {
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// One-time email verification tokens (services/EmailVerificationService.js).
+// Each token confirms one address for one user: the sign-up address, or a
+// requested new address (users.pending_email). As with password reset
+// tokens, only the SHA-256 is stored, issuing a token replaces the user's
+// earlier unused ones, and consuming one is a single conditional UPDATE.
+class EmailVerificationToken {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id VARCHAR(50) PRIMARY KEY,
+        user_id VARCHAR(50) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_email_verification_tokens_user (user_id),
+        INDEX idx_email_verification_tokens_expires_at (expires_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Email verification tokens table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating email_verification_tokens table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Issue a token confirming `email` for the user, valid for ttlMinutes, and
+  // revoke the user's unused ones. Resolves to { token, expires_at }.
+  async createToken(userId, email, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    try {
+      await this.query(
+        'DELETE FROM email_verification_tokens WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      await this.query(
+        `INSERT INTO email_verification_tokens (id, user_id, email, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [this.generateUniqueId(), userId, email, this.hashToken(token), ttlMinutes]
+      );
+    } catch (err) {
+      console.error('Database error:', err);
+      throw new Error('Failed to create email verification token');
+    }
+
+    return { token, expires_at: expiresAt.toISOString() };
+  }
+
+  // Mark a live token used. Resolves to { user_id, email }; throws when the
+  // token is unknown, already used or expired.
+  async consumeToken(token) {
+    const tokenHash = this.hashToken(token);
+
+    const result = await this.query(
+      `UPDATE email_verification_tokens SET used_at = NOW()
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [tokenHash]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    const row = await this.queryOne(
+      'SELECT user_id, email FROM email_verification_tokens WHERE token_hash = ?',
+      [tokenHash]
+    );
+    if (!row) {
+      throw new Error('Invalid or expired verification token');
+    }
+    return row;
+  }
+
+  // Delete tokens that expired or were used more than `days` days ago.
+  async cleanupOldTokens(days = 1) {
+    const result = await this.query(
+      `DELETE FROM email_verification_tokens
+       WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+          OR used_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [days, days]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = EmailVerificationToken;
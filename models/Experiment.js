@@ -0,0 +1,383 @@
+const { TEMPLATE_KEYS, isTemplateKey } = require('../config/promptTemplates');
+const { isSupportedProvider, parseFallbackList } = require('../services/LLMProviders');
+
+// A/B experiments on one prompt template key (the generation types in
+// config/promptTemplates.js). Each arm can pin a prompt_templates version, a
+// "provider:model" and a temperature; anything left null uses the normal
+// configuration. Users are assigned to arms deterministically by user id
+// (see ExperimentService). Lifecycle: draft → running → stopped, with at most
+// one running experiment per template key.
+const EXPERIMENT_STATUSES = ['draft', 'running', 'stopped'];
+
+const ARM_NAME_PATTERN = /^[a-z0-9_-]{1,50}$/;
+const MAX_ARMS = 10;
+
+const EXPERIMENT_SELECT_COLUMNS = `
+  id, name, description, template_key, status, arms, created_by,
+  started_at, stopped_at, created_at, updated_at
+`;
+
+class Experiment {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get STATUSES() {
+    return EXPERIMENT_STATUSES;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS experiments (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255) DEFAULT NULL,
+        template_key VARCHAR(100) NOT NULL,
+        status ENUM('draft', 'running', 'stopped') NOT NULL DEFAULT 'draft',
+        arms JSON NOT NULL,
+        created_by VARCHAR(50) DEFAULT NULL,
+        started_at DATETIME DEFAULT NULL,
+        stopped_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_experiments_key_status (template_key, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Experiments table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating experiments table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  // mysql2 returns JSON columns parsed; older servers hand back a string.
+  formatExperiment(row) {
+    if (!row) return row;
+    return {
+      ...row,
+      arms: typeof row.arms === 'string' ? JSON.parse(row.arms) : row.arms
+    };
+  }
+
+  // Normalize and validate arms → [{ name, weight, prompt_template_id, model, temperature }].
+  async validateArms(templateKey, arms) {
+    if (!Array.isArray(arms) || arms.length < 2 || arms.length > MAX_ARMS) {
+      throw new Error(`Invalid arms. Provide between 2 and ${MAX_ARMS} arms`);
+    }
+
+    const names = new Set();
+    const normalized = [];
+    for (const arm of arms) {
+      if (!arm || typeof arm !== 'object') {
+        throw new Error('Invalid arms. Each arm must be an object');
+      }
+      if (typeof arm.name !== 'string' || !ARM_NAME_PATTERN.test(arm.name)) {
+        throw new Error('Invalid arm name. Use 1-50 lowercase letters, digits, "_" or "-"');
+      }
+      if (names.has(arm.name)) {
+        throw new Error(`Invalid arms. Duplicate arm name "${arm.name}"`);
+      }
+      names.add(arm.name);
+
+      const weight = arm.weight === undefined ? 1 : arm.weight;
+      if (!Number.isInteger(weight) || weight < 1 || weight > 1000) {
+        throw new Error(`Invalid weight for arm "${arm.name}". Must be an integer between 1 and 1000`);
+      }
+
+      const temperature = arm.temperature === undefined ? null : arm.temperature;
+      if (temperature !== null && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+        throw new Error(`Invalid temperature for arm "${arm.name}". Must be between 0 and 2`);
+      }
+
+      const model = arm.model === undefined || arm.model === '' ? null : arm.model;
+      if (model !== null) {
+        const [entry] = typeof model === 'string' ? parseFallbackList(model) : [];
+        if (!entry || model.includes(',') || !isSupportedProvider(entry.provider)) {
+          throw new Error(`Invalid model for arm "${arm.name}". Use "provider:model" with a supported provider`);
+        }
+      }
+
+      const promptTemplateId = arm.prompt_template_id === undefined || arm.prompt_template_id === '' ? null : arm.prompt_template_id;
+      if (promptTemplateId !== null) {
+        const template = await this.queryOne(
+          'SELECT template_key FROM prompt_templates WHERE id = ?',
+          [String(promptTemplateId)]
+        );
+        if (!template || template.template_key !== templateKey) {
+          throw new Error(`Invalid prompt_template_id for arm "${arm.name}". It must be a ${templateKey} template`);
+        }
+      }
+
+      normalized.push({
+        name: arm.name,
+        weight,
+        prompt_template_id: promptTemplateId === null ? null : String(promptTemplateId),
+        model,
+        temperature
+      });
+    }
+    return normalized;
+  }
+
+  async createExperiment({ name, description = null, templateKey, arms, createdBy = null }) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      throw new Error('Experiment name is required');
+    }
+    if (!isTemplateKey(templateKey)) {
+      throw new Error(`Invalid template_key. Must be one of: ${TEMPLATE_KEYS.join(', ')}`);
+    }
+    const normalizedArms = await this.validateArms(templateKey, arms);
+
+    const id = this.generateUniqueId();
+    try {
+      await this.query(
+        `INSERT INTO experiments (id, name, description, template_key, status, arms, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'draft', ?, ?, NOW(), NOW())`,
+        [id, name.trim().slice(0, 100), description, templateKey, JSON.stringify(normalizedArms), createdBy]
+      );
+    } catch (err) {
+      throw new Error('Failed to create experiment');
+    }
+
+    return this.getExperimentById(id);
+  }
+
+  async getExperimentById(id) {
+    const row = await this.queryOne(
+      `SELECT ${EXPERIMENT_SELECT_COLUMNS} FROM experiments WHERE id = ?`,
+      [id]
+    );
+    if (!row) throw new Error('Experiment not found');
+    return this.formatExperiment(row);
+  }
+
+  async listExperiments({ templateKey = null, status = null } = {}) {
+    const where = [];
+    const params = [];
+    if (templateKey) {
+      where.push('template_key = ?');
+      params.push(templateKey);
+    }
+    if (status) {
+      if (!EXPERIMENT_STATUSES.includes(status)) {
+        throw new Error(`Invalid status. Must be one of: ${EXPERIMENT_STATUSES.join(', ')}`);
+      }
+      where.push('status = ?');
+      params.push(status);
+    }
+
+    const rows = await this.query(
+      `SELECT ${EXPERIMENT_SELECT_COLUMNS} FROM experiments
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY created_at DESC`,
+      params
+    );
+    return rows.map(row => this.formatExperiment(row));
+  }
+
+  // The experiment currently assigning users for a key, or null.
+  async getRunningExperiment(templateKey) {
+    const row = await this.queryOne(
+      `SELECT ${EXPERIMENT_SELECT_COLUMNS} FROM experiments
+       WHERE template_key = ? AND status = 'running'
+       ORDER BY started_at DESC
+       LIMIT 1`,
+      [templateKey]
+    );
+    return row ? this.formatExperiment(row) : null;
+  }
+
+  // Arms are frozen once running: changing them mid-flight would move users
+  // between arms and mix two configurations under one arm name.
+  async updateExperiment(id, { name, description, arms }) {
+    const experiment = await this.getExperimentById(id);
+    if (experiment.status !== 'draft') {
+      throw new Error('Only draft experiments can be edited');
+    }
+
+    const fields = [];
+    const values = [];
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('Experiment name is required');
+      }
+      fields.push('name = ?');
+      values.push(name.trim().slice(0, 100));
+    }
+    if (description !== undefined) {
+      fields.push('description = ?');
+      values.push(description);
+    }
+    if (arms !== undefined) {
+      const normalizedArms = await this.validateArms(experiment.template_key, arms);
+      fields.push('arms = ?');
+      values.push(JSON.stringify(normalizedArms));
+    }
+    if (fields.length === 0) {
+      throw new Error('At least one field must be provided for update');
+    }
+
+    values.push(id);
+    await this.query(
+      `UPDATE experiments SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ? AND status = 'draft'`,
+      values
+    );
+    return this.getExperimentById(id);
+  }
+
+  async startExperiment(id) {
+    const experiment = await this.getExperimentById(id);
+    if (experiment.status !== 'draft') {
+      throw new Error('Only draft experiments can be started');
+    }
+    // Re-check pinned template versions: one may have been deleted since the
+    // arms were saved.
+    await this.validateArms(experiment.template_key, experiment.arms);
+    const running = await this.getRunningExperiment(experiment.template_key);
+    if (running) {
+      throw new Error(`Only one experiment can run per template_key (${running.id} is running)`);
+    }
+
+    await this.query(
+      `UPDATE experiments SET status = 'running', started_at = NOW(), updated_at = NOW() WHERE id = ? AND status = 'draft'`,
+      [id]
+    );
+    return this.getExperimentById(id);
+  }
+
+  async stopExperiment(id) {
+    const experiment = await this.getExperimentById(id);
+    if (experiment.status !== 'running') {
+      throw new Error('Only running experiments can be stopped');
+    }
+
+    await this.query(
+      `UPDATE experiments SET status = 'stopped', stopped_at = NOW(), updated_at = NOW() WHERE id = ?`,
+      [id]
+    );
+    return this.getExperimentById(id);
+  }
+
+  async deleteExperiment(id) {
+    const experiment = await this.getExperimentById(id);
+    if (experiment.status !== 'draft') {
+      throw new Error('Only draft experiments can be deleted');
+    }
+    await this.query(`DELETE FROM experiments WHERE id = ? AND status = 'draft'`, [id]);
+    return { message: 'Experiment deleted successfully' };
+  }
+
+  // Per-arm completion metrics. Programs generated under the experiment
+  // (programs.experiment_id) give step engagement from
+  // program_step_user_contribution and the next-program rate (a later
+  // program pointing back via previous_program_id); chime-in messages carry
+  // the arm in their metadata, and count as replied when a user message
+  // follows in the same step.
+  async getArmReport(id) {
+    const experiment = await this.getExperimentById(id);
+
+    try {
+      const programRows = await this.query(
+        `SELECT p.experiment_arm AS arm,
+                COUNT(*) AS programs,
+                COALESCE(SUM(p.therapy_response IS NOT NULL), 0) AS programs_generated,
+                COALESCE(SUM(st.steps_total), 0) AS steps_total,
+                COALESCE(SUM(st.steps_started), 0) AS steps_started,
+                COALESCE(SUM(COALESCE(st.steps_started, 0) > 0), 0) AS programs_started,
+                COALESCE(SUM(np.previous_program_id IS NOT NULL), 0) AS next_programs
+         FROM programs p
+         LEFT JOIN (
+           SELECT ps.program_id,
+                  COUNT(DISTINCT ps.id) AS steps_total,
+                  COUNT(DISTINCT c.step_id) AS steps_started
+           FROM program_steps ps
+           LEFT JOIN program_step_user_contribution c ON c.step_id = ps.id
+           GROUP BY ps.program_id
+         ) st ON st.program_id = p.id
+         LEFT JOIN (
+           SELECT DISTINCT previous_program_id
+           FROM programs
+           WHERE previous_program_id IS NOT NULL AND deleted_at IS NULL
+         ) np ON np.previous_program_id = p.id
+         WHERE p.experiment_id = ? AND p.deleted_at IS NULL
+         GROUP BY p.experiment_arm`,
+        [id]
+      );
+
+      const messageRows = await this.query(
+        `SELECT arm,
+                COUNT(*) AS chime_ins,
+                COALESCE(SUM(replied), 0) AS chime_ins_replied
+         FROM (
+           SELECT JSON_UNQUOTE(JSON_EXTRACT(m.metadata, '$.experiment_arm')) AS arm,
+                  EXISTS (
+                    SELECT 1 FROM messages r
+                    WHERE r.step_id = m.step_id
+                      AND r.message_type = 'user_message'
+                      AND r.created_at > m.created_at
+                  ) AS replied
+           FROM messages m
+           WHERE m.message_type = 'system'
+             AND JSON_VALID(m.metadata)
+             AND m.metadata LIKE ?
+         ) tagged
+         WHERE tagged.arm IS NOT NULL
+         GROUP BY arm`,
+        [`%"experiment_id":"${id}"%`]
+      );
+
+      const programsByArm = new Map(programRows.map(row => [row.arm, row]));
+      const messagesByArm = new Map(messageRows.map(row => [row.arm, row]));
+      const rate = (numerator, denominator) => (denominator > 0 ? Number((numerator / denominator).toFixed(4)) : null);
+
+      const arms = experiment.arms.map(arm => {
+        const p = programsByArm.get(arm.name) || {};
+        const m = messagesByArm.get(arm.name) || {};
+        const programs = Number(p.programs || 0);
+        const stepsTotal = Number(p.steps_total || 0);
+        const stepsStarted = Number(p.steps_started || 0);
+        const nextPrograms = Number(p.next_programs || 0);
+        const chimeIns = Number(m.chime_ins || 0);
+        const chimeInsReplied = Number(m.chime_ins_replied || 0);
+        return {
+          arm: arm.name,
+          weight: arm.weight,
+          programs,
+          programs_generated: Number(p.programs_generated || 0),
+          programs_started: Number(p.programs_started || 0),
+          steps_total: stepsTotal,
+          steps_started: stepsStarted,
+          step_start_rate: rate(stepsStarted, stepsTotal),
+          next_programs: nextPrograms,
+          next_program_rate: rate(nextPrograms, programs),
+          chime_ins: chimeIns,
+          chime_ins_replied: chimeInsReplied,
+          chime_in_reply_rate: rate(chimeInsReplied, chimeIns)
+        };
+      });
+
+      return { experiment, arms };
+    } catch (err) {
+      throw new Error('Failed to fetch experiment report');
+    }
+  }
+}
+
+module.exports = Experiment;
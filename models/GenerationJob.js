@@ -0,0 +1,255 @@
+// Durable background jobs (program generation, chime-ins, therapy responses)
+// processed by services/JobQueue.js. A job is claimed by setting a lease
+// (locked_by / locked_until); a worker that dies mid-job simply stops
+// renewing it and another worker picks the job up once the lease expires.
+//
+//   pending → running → succeeded
+//                     → pending (retry, run_at pushed back)
+//                     → dead    (attempts exhausted or permanent error)
+const STATUSES = ['pending', 'running', 'succeeded', 'dead'];
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Candidates fetched per claim; the conditional UPDATE decides who wins.
+const CLAIM_BATCH = 10;
+
+// Claimable: due pending jobs, and running jobs whose worker stopped
+// renewing the lease.
+const CLAIMABLE_SQL = `((status = 'pending' AND run_at <= NOW(3))
+  OR (status = 'running' AND locked_until < NOW(3)))`;
+
+class GenerationJob {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    // No foreign keys: payloads reference programs / steps / messages by id
+    // and the handler decides what a missing row means.
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id VARCHAR(50) PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending', 'running', 'succeeded', 'dead') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 3,
+        run_at DATETIME(3) NOT NULL,
+        locked_by VARCHAR(100) DEFAULT NULL,
+        locked_until DATETIME(3) DEFAULT NULL,
+        last_error TEXT DEFAULT NULL,
+        idempotency_key VARCHAR(191) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completed_at DATETIME DEFAULT NULL,
+        UNIQUE KEY uniq_generation_jobs_idempotency_key (idempotency_key),
+        INDEX idx_generation_jobs_status_run_at (status, run_at),
+        INDEX idx_generation_jobs_status_locked_until (status, locked_until),
+        INDEX idx_generation_jobs_type (type)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Generation jobs table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating generation_jobs table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  formatJob(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload
+    };
+  }
+
+  async getJobById(id) {
+    const row = await this.queryOne('SELECT * FROM generation_jobs WHERE id = ?', [id]);
+    if (!row) {
+      throw new Error('Job not found');
+    }
+    return this.formatJob(row);
+  }
+
+  async getJobByIdempotencyKey(key) {
+    return this.formatJob(await this.queryOne('SELECT * FROM generation_jobs WHERE idempotency_key = ?', [key]));
+  }
+
+  // Insert a job, or return the existing one for the same idempotency key.
+  // A dead job with that key is reset to pending instead, so asking for the
+  // same work again (e.g. a manual "generate" after every attempt failed)
+  // gets a fresh set of attempts. Returns { job, created }.
+  async enqueue({ type, payload = {}, idempotencyKey = null, maxAttempts = 3, delayMs = 0 }) {
+    const id = this.generateUniqueId();
+    try {
+      await this.query(
+        `INSERT INTO generation_jobs (id, type, payload, status, attempts, max_attempts, run_at, idempotency_key, created_at, updated_at)
+         VALUES (?, ?, ?, 'pending', 0, ?, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND), ?, NOW(), NOW())`,
+        [id, type, JSON.stringify(payload), maxAttempts, Math.max(0, Math.round(delayMs)) * 1000, idempotencyKey]
+      );
+      return { job: await this.getJobById(id), created: true };
+    } catch (err) {
+      if (err.code !== 'ER_DUP_ENTRY' || !idempotencyKey) {
+        throw new Error('Failed to enqueue job');
+      }
+    }
+
+    const existing = await this.getJobByIdempotencyKey(idempotencyKey);
+    if (existing && existing.status === 'dead') {
+      await this.requeueDeadJob(existing.id);
+      return { job: await this.getJobById(existing.id), created: false };
+    }
+    return { job: existing, created: false };
+  }
+
+  // Claim the next due job of one of `types` for `workerId`, counting the
+  // attempt. Safe across instances: each candidate is taken with a
+  // conditional UPDATE, so only one worker's UPDATE matches.
+  async claimNext(workerId, types, leaseMs) {
+    if (!types.length) return null;
+    const placeholders = types.map(() => '?').join(', ');
+    const candidates = await this.query(
+      `SELECT id FROM generation_jobs
+       WHERE type IN (${placeholders}) AND ${CLAIMABLE_SQL}
+       ORDER BY run_at ASC
+       LIMIT ${CLAIM_BATCH}`,
+      types
+    );
+
+    for (const { id } of candidates) {
+      const result = await this.query(
+        `UPDATE generation_jobs
+         SET status = 'running', attempts = attempts + 1, locked_by = ?,
+             locked_until = DATE_ADD(NOW(3), INTERVAL ? MICROSECOND), updated_at = NOW()
+         WHERE id = ? AND ${CLAIMABLE_SQL}`,
+        [workerId, Math.round(leaseMs) * 1000, id]
+      );
+      if (result.affectedRows === 1) {
+        return this.getJobById(id);
+      }
+    }
+    return null;
+  }
+
+  // Renew a running job's lease. false when the job is no longer ours (the
+  // lease expired and another worker claimed it).
+  async extendLease(id, workerId, leaseMs) {
+    const result = await this.query(
+      `UPDATE generation_jobs
+       SET locked_until = DATE_ADD(NOW(3), INTERVAL ? MICROSECOND)
+       WHERE id = ? AND locked_by = ? AND status = 'running'`,
+      [Math.round(leaseMs) * 1000, id, workerId]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async markSucceeded(id, workerId) {
+    const result = await this.query(
+      `UPDATE generation_jobs
+       SET status = 'succeeded', locked_by = NULL, locked_until = NULL, completed_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND locked_by = ? AND status = 'running'`,
+      [id, workerId]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async markForRetry(id, workerId, error, delayMs) {
+    const result = await this.query(
+      `UPDATE generation_jobs
+       SET status = 'pending', run_at = DATE_ADD(NOW(3), INTERVAL ? MICROSECOND),
+           locked_by = NULL, locked_until = NULL, last_error = ?, updated_at = NOW()
+       WHERE id = ? AND locked_by = ? AND status = 'running'`,
+      [Math.max(0, Math.round(delayMs)) * 1000, String(error).slice(0, 65535), id, workerId]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async markDead(id, workerId, error) {
+    const result = await this.query(
+      `UPDATE generation_jobs
+       SET status = 'dead', locked_by = NULL, locked_until = NULL, last_error = ?, completed_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND locked_by = ? AND status = 'running'`,
+      [String(error).slice(0, 65535), id, workerId]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async requeueDeadJob(id) {
+    const result = await this.query(
+      `UPDATE generation_jobs
+       SET status = 'pending', attempts = 0, run_at = NOW(3), completed_at = NULL, updated_at = NOW()
+       WHERE id = ? AND status = 'dead'`,
+      [id]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Admin: put a dead-lettered job back on the queue with fresh attempts.
+  async retryJob(id) {
+    const job = await this.getJobById(id);
+    if (job.status !== 'dead') {
+      throw new Error('Only dead jobs can be retried');
+    }
+    await this.requeueDeadJob(id);
+    return this.getJobById(id);
+  }
+
+  // Admin listing, newest first, plus per-status counts for the same type.
+  async listJobs({ status = null, type = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw new Error(`Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+    }
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      where.push('type = ?');
+      params.push(type);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const rows = await this.query(
+      `SELECT * FROM generation_jobs ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+      params
+    );
+    const countRows = await this.query(
+      `SELECT status, COUNT(*) AS count FROM generation_jobs ${type ? 'WHERE type = ?' : ''} GROUP BY status`,
+      type ? [type] : []
+    );
+
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const row of countRows) {
+      counts[row.status] = Number(row.count);
+    }
+    return { jobs: rows.map(row => this.formatJob(row)), counts };
+  }
+}
+
+module.exports = GenerationJob;
@@ -0,0 +1,220 @@
+// One row per LLM completion (including parse retries and fallback attempts
+// that returned a response — those tokens were billed too).
+const FEATURES = ['initial_program', 'next_program', 'chime_in', 'therapy_response', 'prompt_session'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+
+class LlmUsage {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get FEATURES() {
+    return FEATURES;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    // No foreign keys: spend history must outlive deleted users, programs and
+    // sessions. org_code_id is captured at record time so a later org change
+    // doesn't move past spend to the new org.
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id VARCHAR(50) PRIMARY KEY,
+        feature VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) DEFAULT NULL,
+        org_code_id VARCHAR(50) DEFAULT NULL,
+        program_id VARCHAR(50) DEFAULT NULL,
+        program_step_id VARCHAR(50) DEFAULT NULL,
+        message_id VARCHAR(50) DEFAULT NULL,
+        prompt_session_id VARCHAR(50) DEFAULT NULL,
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100) DEFAULT NULL,
+        prompt_tokens INT NOT NULL DEFAULT 0,
+        completion_tokens INT NOT NULL DEFAULT 0,
+        total_tokens INT NOT NULL DEFAULT 0,
+        cost_usd DECIMAL(12,6) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_llm_usage_created_at (created_at),
+        INDEX idx_llm_usage_org_code_id (org_code_id),
+        INDEX idx_llm_usage_feature (feature),
+        INDEX idx_llm_usage_program_id (program_id),
+        INDEX idx_llm_usage_prompt_session_id (prompt_session_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('LLM usage table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating llm_usage table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  // Record one completion. org_code_id is resolved from the user unless the
+  // caller already knows it.
+  async recordUsage({
+    feature,
+    userId = null,
+    orgCodeId,
+    programId = null,
+    programStepId = null,
+    messageId = null,
+    promptSessionId = null,
+    provider,
+    model = null,
+    promptTokens = 0,
+    completionTokens = 0,
+    totalTokens = null,
+    costUsd = null
+  }) {
+    if (!FEATURES.includes(feature)) {
+      throw new Error(`Invalid feature. Must be one of: ${FEATURES.join(', ')}`);
+    }
+
+    const id = this.generateUniqueId();
+    const total = totalTokens ?? ((promptTokens || 0) + (completionTokens || 0));
+    const orgCodeSql = orgCodeId !== undefined
+      ? '?'
+      : '(SELECT org_code_id FROM users WHERE id = ?)';
+
+    try {
+      await this.query(
+        `INSERT INTO llm_usage
+           (id, feature, user_id, org_code_id, program_id, program_step_id, message_id, prompt_session_id,
+            provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at)
+         VALUES (?, ?, ?, ${orgCodeSql}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          id, feature, userId, orgCodeId !== undefined ? orgCodeId : userId,
+          programId, programStepId, messageId, promptSessionId,
+          provider, model, promptTokens || 0, completionTokens || 0, total, costUsd
+        ]
+      );
+      return { id };
+    } catch (err) {
+      throw new Error('Failed to record LLM usage');
+    }
+  }
+
+  // Resolve ?from=&to= (inclusive YYYY-MM-DD, UTC) into a bounded range.
+  // Defaults to the last 30 days.
+  resolveDateRange(from, to) {
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      throw new Error('Invalid date range. Use YYYY-MM-DD for from and to');
+    }
+
+    const toDate = to ? new Date(`${to}T00:00:00Z`) : new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+    const fromDate = from
+      ? new Date(`${from}T00:00:00Z`)
+      : new Date(toDate.getTime() - (DEFAULT_REPORT_DAYS - 1) * 86400000);
+
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate > toDate) {
+      throw new Error('Invalid date range. from must be on or before to');
+    }
+    if ((toDate - fromDate) / 86400000 >= MAX_REPORT_DAYS) {
+      throw new Error(`Invalid date range. Maximum span is ${MAX_REPORT_DAYS} days`);
+    }
+
+    return {
+      from: fromDate.toISOString().slice(0, 10),
+      to: toDate.toISOString().slice(0, 10)
+    };
+  }
+
+  // Spend report: totals plus breakdowns per day, per org and per feature.
+  async getSpendReport({ from, to, orgCodeId = null } = {}) {
+    const range = this.resolveDateRange(from, to);
+
+    const where = ['lu.created_at >= ?', 'lu.created_at < DATE_ADD(?, INTERVAL 1 DAY)'];
+    const params = [range.from, range.to];
+    if (orgCodeId) {
+      where.push('lu.org_code_id = ?');
+      params.push(orgCodeId);
+    }
+    const whereSql = where.join(' AND ');
+
+    const aggregates = `
+      COUNT(*) AS calls,
+      COALESCE(SUM(lu.prompt_tokens), 0) AS prompt_tokens,
+      COALESCE(SUM(lu.completion_tokens), 0) AS completion_tokens,
+      COALESCE(SUM(lu.total_tokens), 0) AS total_tokens,
+      COALESCE(SUM(lu.cost_usd), 0) AS cost_usd,
+      COALESCE(SUM(lu.cost_usd IS NULL), 0) AS unpriced_calls
+    `;
+
+    try {
+      const totals = await this.queryOne(
+        `SELECT ${aggregates} FROM llm_usage lu WHERE ${whereSql}`,
+        params
+      );
+      const byDay = await this.query(
+        `SELECT DATE_FORMAT(lu.created_at, '%Y-%m-%d') AS day, ${aggregates}
+         FROM llm_usage lu WHERE ${whereSql}
+         GROUP BY day ORDER BY day ASC`,
+        params
+      );
+      const byOrg = await this.query(
+        `SELECT lu.org_code_id, oc.org_code, oc.organization, ${aggregates}
+         FROM llm_usage lu
+         LEFT JOIN org_codes oc ON oc.id = lu.org_code_id
+         WHERE ${whereSql}
+         GROUP BY lu.org_code_id, oc.org_code, oc.organization
+         ORDER BY cost_usd DESC`,
+        params
+      );
+      const byFeature = await this.query(
+        `SELECT lu.feature, ${aggregates}
+         FROM llm_usage lu WHERE ${whereSql}
+         GROUP BY lu.feature ORDER BY cost_usd DESC`,
+        params
+      );
+
+      return {
+        from: range.from,
+        to: range.to,
+        org_code_id: orgCodeId || null,
+        totals: this.normalizeAggregates(totals || {}),
+        by_day: byDay.map(row => ({ day: row.day, ...this.normalizeAggregates(row) })),
+        by_org: byOrg.map(row => ({
+          org_code_id: row.org_code_id || null,
+          org_code: row.org_code || null,
+          organization: row.organization || null,
+          ...this.normalizeAggregates(row)
+        })),
+        by_feature: byFeature.map(row => ({ feature: row.feature, ...this.normalizeAggregates(row) }))
+      };
+    } catch (err) {
+      throw new Error('Failed to fetch LLM usage report');
+    }
+  }
+
+  // mysql2 returns SUM()/DECIMAL as strings.
+  normalizeAggregates(row) {
+    return {
+      calls: Number(row.calls || 0),
+      prompt_tokens: Number(row.prompt_tokens || 0),
+      completion_tokens: Number(row.completion_tokens || 0),
+      total_tokens: Number(row.total_tokens || 0),
+      cost_usd: Number(Number(row.cost_usd || 0).toFixed(6)),
+      unpriced_calls: Number(row.unpriced_calls || 0)
+    };
+  }
+}
+
+module.exports = LlmUsage;
@@ -224,7 +224,7 @@ class Message {
           AND (
             p.user_id = ?
             OR (p.pairing_id IS NOT NULL
-                AND pair.status = 'accepted'
+                AND pair.status IN ('accepted', 'ended')
                 AND pair.deleted_at IS NULL
                 AND (pair.user1_id = ? OR pair.user2_id = ?))
           )
@@ -0,0 +1,252 @@
+// Per-user push notification preferences, enforced by
+// services/PushNotificationService.js on every sendToUser / sendToUsers:
+//
+//   - kinds: on/off per push kind (payload data.kind). A kind missing from
+//     the stored map is on, so kinds added later default to enabled.
+//   - quiet hours: HH:MM start / end in the user's timezone (the window may
+//     cross midnight). Pushes due inside the window are deferred to its end.
+//   - pairings: pairing ids the user muted (payload data.pairing_id), for
+//     users in several pairings. Pairings not in the map are on.
+//
+// Users without a row get DEFAULTS. Pushes without a known kind (e.g. the
+// admin push-test) are never filtered.
+const ProgramSchedule = require('../services/ProgramSchedule');
+
+const KINDS = [
+  'pairing_accepted',
+  'pairing_ended',
+  'program_ready',
+  'step_message',
+  'therapy_response',
+  'prompt_session_created',
+  'prompt_session_prep_complete',
+  'prompt_session_ready',
+  'prompt_session_expiring',
+  'daily_reminder',
+  'partner_nudge'
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULTS = {
+  quiet_hours_enabled: false,
+  quiet_hours_start: '22:00',
+  quiet_hours_end: '07:00',
+  timezone: 'UTC'
+};
+
+class NotificationPreference {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get KINDS() {
+    return KINDS;
+  }
+
+  static get DEFAULTS() {
+    return DEFAULTS;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id VARCHAR(50) PRIMARY KEY,
+        kinds JSON NOT NULL,
+        quiet_hours_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        quiet_hours_start VARCHAR(5) NOT NULL DEFAULT '22:00',
+        quiet_hours_end VARCHAR(5) NOT NULL DEFAULT '07:00',
+        timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+        pairings JSON DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Notification preferences table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating notification_preferences table:', err.message);
+      throw err;
+    }
+
+    // Migration: per-pairing mutes for tables created before multi-pairing support
+    try {
+      const pairingsExists = await this.queryOne(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'notification_preferences'
+          AND COLUMN_NAME = 'pairings'
+      `);
+      if (!pairingsExists) {
+        await this.query('ALTER TABLE notification_preferences ADD COLUMN pairings JSON DEFAULT NULL');
+        console.log('Migrated notification_preferences table: added pairings column');
+      }
+    } catch (migrationErr) {
+      console.warn('Migration warning for notification_preferences.pairings column:', migrationErr.message);
+    }
+  }
+
+  // Row (or null) → API shape, with every known kind listed.
+  formatPreferences(userId, row) {
+    let stored = {};
+    if (row && row.kinds) {
+      stored = typeof row.kinds === 'string' ? JSON.parse(row.kinds) : row.kinds;
+    }
+    const kinds = {};
+    for (const kind of KINDS) {
+      kinds[kind] = stored[kind] !== false;
+    }
+    let pairings = {};
+    if (row && row.pairings) {
+      pairings = typeof row.pairings === 'string' ? JSON.parse(row.pairings) : row.pairings;
+    }
+
+    return {
+      user_id: userId,
+      kinds,
+      quiet_hours: {
+        enabled: row ? Boolean(row.quiet_hours_enabled) : DEFAULTS.quiet_hours_enabled,
+        start: row ? row.quiet_hours_start : DEFAULTS.quiet_hours_start,
+        end: row ? row.quiet_hours_end : DEFAULTS.quiet_hours_end
+      },
+      timezone: row ? row.timezone : DEFAULTS.timezone,
+      pairings,
+      updated_at: row ? row.updated_at : null
+    };
+  }
+
+  async getPreferences(userId) {
+    try {
+      const row = await this.queryOne('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+      return this.formatPreferences(userId, row);
+    } catch (err) {
+      throw new Error('Failed to fetch notification preferences');
+    }
+  }
+
+  // user id → preferences for every id (defaults for users without a row).
+  async getPreferencesForUsers(userIds) {
+    const preferences = new Map();
+    if (!userIds.length) return preferences;
+    let rows;
+    try {
+      rows = await this.query(
+        `SELECT * FROM notification_preferences WHERE user_id IN (${userIds.map(() => '?').join(', ')})`,
+        userIds
+      );
+    } catch (err) {
+      throw new Error('Failed to fetch notification preferences');
+    }
+    const rowsById = new Map(rows.map(row => [row.user_id, row]));
+    for (const userId of userIds) {
+      preferences.set(userId, this.formatPreferences(userId, rowsById.get(userId) || null));
+    }
+    return preferences;
+  }
+
+  /**
+   * Partial update: `kinds` and `pairings` (pairing id → boolean) are merged
+   * into the stored toggles, `quiet_hours` fields and `timezone` replace the
+   * stored values. Only muted pairings are kept. Throws "Invalid ..." errors
+   * for bad input; pairing membership is checked by the route.
+   */
+  async updatePreferences(userId, { kinds, quiet_hours: quietHours, timezone, pairings } = {}) {
+    if (kinds !== undefined) {
+      if (!kinds || typeof kinds !== 'object' || Array.isArray(kinds)) {
+        throw new Error('Invalid kinds. Must be an object of kind → boolean');
+      }
+      for (const [kind, enabled] of Object.entries(kinds)) {
+        if (!KINDS.includes(kind)) {
+          throw new Error(`Invalid kinds. Unknown notification kind "${kind}"`);
+        }
+        if (typeof enabled !== 'boolean') {
+          throw new Error(`Invalid kinds. "${kind}" must be a boolean`);
+        }
+      }
+    }
+    if (quietHours !== undefined) {
+      if (!quietHours || typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+        throw new Error('Invalid quiet_hours. Must be an object with enabled, start and end');
+      }
+      if (quietHours.enabled !== undefined && typeof quietHours.enabled !== 'boolean') {
+        throw new Error('Invalid quiet_hours. enabled must be a boolean');
+      }
+      for (const field of ['start', 'end']) {
+        if (quietHours[field] !== undefined && !TIME_PATTERN.test(String(quietHours[field]))) {
+          throw new Error(`Invalid quiet_hours. ${field} must be HH:MM (24-hour)`);
+        }
+      }
+    }
+    if (pairings !== undefined) {
+      if (!pairings || typeof pairings !== 'object' || Array.isArray(pairings)) {
+        throw new Error('Invalid pairings. Must be an object of pairing id → boolean');
+      }
+      for (const [pairingId, enabled] of Object.entries(pairings)) {
+        if (typeof enabled !== 'boolean') {
+          throw new Error(`Invalid pairings. "${pairingId}" must be a boolean`);
+        }
+      }
+    }
+    if (timezone !== undefined && !ProgramSchedule.isValidTimeZone(timezone)) {
+      throw new Error('Invalid timezone. Use an IANA time zone name such as America/Chicago');
+    }
+
+    const current = await this.getPreferences(userId);
+    const next = {
+      kinds: { ...current.kinds, ...(kinds || {}) },
+      quiet_hours: { ...current.quiet_hours, ...(quietHours || {}) },
+      timezone: timezone !== undefined ? timezone : current.timezone,
+      pairings: Object.fromEntries(
+        Object.entries({ ...current.pairings, ...(pairings || {}) }).filter(([, enabled]) => enabled === false)
+      )
+    };
+    if (next.quiet_hours.start === next.quiet_hours.end) {
+      throw new Error('Invalid quiet_hours. start and end must differ');
+    }
+
+    try {
+      await this.query(
+        `INSERT INTO notification_preferences
+           (user_id, kinds, quiet_hours_enabled, quiet_hours_start, quiet_hours_end, timezone, pairings, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE
+           kinds = VALUES(kinds),
+           quiet_hours_enabled = VALUES(quiet_hours_enabled),
+           quiet_hours_start = VALUES(quiet_hours_start),
+           quiet_hours_end = VALUES(quiet_hours_end),
+           timezone = VALUES(timezone),
+           pairings = VALUES(pairings),
+           updated_at = NOW()`,
+        [
+          userId,
+          JSON.stringify(next.kinds),
+          next.quiet_hours.enabled,
+          next.quiet_hours.start,
+          next.quiet_hours.end,
+          next.timezone,
+          JSON.stringify(next.pairings)
+        ]
+      );
+    } catch (err) {
+      throw new Error('Failed to update notification preferences');
+    }
+
+    return this.getPreferences(userId);
+  }
+}
+
+module.exports = NotificationPreference;
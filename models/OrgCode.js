@@ -1,7 +1,9 @@
+const { SUPPORTED_PROVIDERS, isSupportedProvider } = require('../services/LLMProviders');
+
 // Full row shape for API / program-generation consumers (must include prompt fields).
 const ORG_CODE_SELECT_COLUMNS =
   'id, org_code, organization, address1, address2, city, state, postalCode, ' +
-  'initial_program_prompt, next_program_prompt, therapy_response_prompt, ' +
+  'initial_program_prompt, next_program_prompt, therapy_response_prompt, llm_provider, ' +
   'expires_at, duration_start, duration_end, created_at, updated_at';
 
 class OrgCode {
@@ -33,6 +35,7 @@ class OrgCode {
         initial_program_prompt TEXT DEFAULT NULL,
         next_program_prompt TEXT DEFAULT NULL,
         therapy_response_prompt TEXT DEFAULT NULL,
+        llm_provider VARCHAR(50) DEFAULT NULL,
         expires_at DATETIME DEFAULT NULL,
         duration_start DATETIME DEFAULT NULL,
         duration_end DATETIME DEFAULT NULL,
@@ -99,6 +102,24 @@ class OrgCode {
         }
       }
 
+      // Migration: Add llm_provider (per-org LLM provider override) if it doesn't exist
+      try {
+        const columnExists = await this.queryOne(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = 'org_codes'
+            AND COLUMN_NAME = 'llm_provider'
+        `);
+
+        if (!columnExists) {
+          await this.query('ALTER TABLE org_codes ADD COLUMN llm_provider VARCHAR(50) DEFAULT NULL AFTER therapy_response_prompt');
+          console.log('Added llm_provider column to org_codes table');
+        }
+      } catch (colErr) {
+        console.warn('Warning adding llm_provider column:', colErr.message);
+      }
+
       // Migration: Drop user_id column if it exists (from old schema)
       try {
         // Check if column exists
@@ -133,6 +154,16 @@ class OrgCode {
     }
   }
 
+  // llm_provider must name a provider from services/LLMProviders.js; null /
+  // empty clears the override so the org uses the LLM_PROVIDER default.
+  normalizeLlmProvider(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!isSupportedProvider(value)) {
+      throw new Error(`Invalid llm_provider. Must be one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+    }
+    return value;
+  }
+
   generateUniqueId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
@@ -149,6 +180,7 @@ class OrgCode {
       initial_program_prompt = null,
       next_program_prompt = null,
       therapy_response_prompt = null,
+      llm_provider = null,
       expires_at = null,
       duration_start = null,
       duration_end = null
@@ -158,14 +190,16 @@ class OrgCode {
       throw new Error('org_code and organization are required');
     }
 
+    const llmProvider = this.normalizeLlmProvider(llm_provider);
+
     const id = this.generateUniqueId();
 
     try {
       await this.query(
         `INSERT INTO org_codes
-          (id, org_code, organization, address1, address2, city, state, postalCode, initial_program_prompt, next_program_prompt, therapy_response_prompt, expires_at, duration_start, duration_end, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-        [id, org_code, organization, address1, address2, city, state, postalCode, initial_program_prompt, next_program_prompt, therapy_response_prompt, expires_at, duration_start, duration_end]
+          (id, org_code, organization, address1, address2, city, state, postalCode, initial_program_prompt, next_program_prompt, therapy_response_prompt, llm_provider, expires_at, duration_start, duration_end, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [id, org_code, organization, address1, address2, city, state, postalCode, initial_program_prompt, next_program_prompt, therapy_response_prompt, llmProvider, expires_at, duration_start, duration_end]
       );
 
       return this.getOrgCodeById(id);
@@ -211,14 +245,14 @@ class OrgCode {
   }
 
   async updateOrgCode(id, updateData) {
-    const allowed = ['org_code', 'organization', 'address1', 'address2', 'city', 'state', 'postalCode', 'initial_program_prompt', 'next_program_prompt', 'therapy_response_prompt', 'expires_at', 'duration_start', 'duration_end'];
+    const allowed = ['org_code', 'organization', 'address1', 'address2', 'city', 'state', 'postalCode', 'initial_program_prompt', 'next_program_prompt', 'therapy_response_prompt', 'llm_provider', 'expires_at', 'duration_start', 'duration_end'];
     const fields = [];
     const values = [];
 
     for (const key of allowed) {
       if (Object.prototype.hasOwnProperty.call(updateData, key)) {
         fields.push(`${key} = ?`);
-        values.push(updateData[key]);
+        values.push(key === 'llm_provider' ? this.normalizeLlmProvider(updateData[key]) : updateData[key]);
       }
     }
 
@@ -1,6 +1,9 @@
 class Pairing {
-  constructor(db) {
+  // options.partnerCodeTtlHours: how long a new partner code (and invite links
+  // built on it) can be redeemed. 0 / null means codes never expire.
+  constructor(db, { partnerCodeTtlHours = 168 } = {}) {
     this.db = db; // MySQL pool
+    this.partnerCodeTtlHours = partnerCodeTtlHours > 0 ? partnerCodeTtlHours : null;
   }
 
   // Helper method to execute queries
@@ -22,8 +25,11 @@ class Pairing {
         user1_id VARCHAR(50) NOT NULL,
         user2_id VARCHAR(50) DEFAULT NULL,
         partner_code VARCHAR(10) DEFAULT NULL,
+        partner_code_expires_at DATETIME DEFAULT NULL,
         status VARCHAR(20) DEFAULT 'pending',
         premium TINYINT(1) NOT NULL DEFAULT 0,
+        ended_at DATETIME DEFAULT NULL,
+        ended_by VARCHAR(50) DEFAULT NULL,
         deleted_at DATETIME DEFAULT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -44,6 +50,8 @@ class Pairing {
       
       // Migration: Add premium column if it doesn't exist (for existing databases)
       await this.migratePremiumField();
+      await this.migratePartnerCodeExpiry();
+      await this.migrateEndedFields();
     } catch (err) {
       console.error('Error creating pairings table:', err.message);
       throw err;
@@ -69,6 +77,50 @@ class Pairing {
     }
   }
 
+  // Migration: partner codes expire (partner_code_expires_at). Codes that were
+  // open before the column existed get a full TTL from now.
+  async migratePartnerCodeExpiry() {
+    try {
+      const [columns] = await this.db.execute(
+        "SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'pairings' AND COLUMN_NAME = 'partner_code_expires_at'"
+      );
+      if (columns.length === 0) {
+        await this.query('ALTER TABLE pairings ADD COLUMN partner_code_expires_at DATETIME DEFAULT NULL AFTER partner_code');
+        if (this.partnerCodeTtlHours) {
+          await this.query(
+            `UPDATE pairings SET partner_code_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+             WHERE partner_code IS NOT NULL AND status = 'pending' AND user2_id IS NULL AND deleted_at IS NULL`,
+            [this.partnerCodeTtlHours]
+          );
+        }
+        console.log('Added partner_code_expires_at column to pairings table.');
+      }
+    } catch (err) {
+      console.warn('Warning during partner code expiry migration:', err.message);
+    }
+  }
+
+  // Migration: an accepted pairing can be ended (status 'ended'); ended_at /
+  // ended_by record when and by which member.
+  async migrateEndedFields() {
+    try {
+      const [columns] = await this.db.execute(
+        "SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'pairings' AND COLUMN_NAME IN ('ended_at', 'ended_by')"
+      );
+      const columnNames = columns.map(col => col.COLUMN_NAME);
+      if (!columnNames.includes('ended_at')) {
+        await this.query('ALTER TABLE pairings ADD COLUMN ended_at DATETIME DEFAULT NULL AFTER premium');
+        console.log('Added ended_at column to pairings table.');
+      }
+      if (!columnNames.includes('ended_by')) {
+        await this.query('ALTER TABLE pairings ADD COLUMN ended_by VARCHAR(50) DEFAULT NULL AFTER ended_at');
+        console.log('Added ended_by column to pairings table.');
+      }
+    } catch (err) {
+      console.warn('Warning during pairing end migration:', err.message);
+    }
+  }
+
   // Generate unique ID
   generateUniqueId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
@@ -126,7 +178,8 @@ class Pairing {
       // Check if this partner code already exists and is active
       try {
         const existingPairing = await this.queryOne(
-          "SELECT id FROM pairings WHERE partner_code = ? AND status = 'pending' AND deleted_at IS NULL",
+          `SELECT id FROM pairings WHERE partner_code = ? AND status = 'pending' AND deleted_at IS NULL
+             AND (partner_code_expires_at IS NULL OR partner_code_expires_at > NOW())`,
           [partnerCode]
         );
         
@@ -144,18 +197,22 @@ class Pairing {
     }
 
     try {
+      const expiresAt = this.partnerCodeTtlHours
+        ? new Date(Date.now() + this.partnerCodeTtlHours * 60 * 60 * 1000)
+        : null;
       const insertPairing = `
-        INSERT INTO pairings (id, user1_id, user2_id, partner_code, status, created_at, updated_at)
-        VALUES (?, ?, NULL, ?, 'pending', NOW(), NOW())
+        INSERT INTO pairings (id, user1_id, user2_id, partner_code, partner_code_expires_at, status, created_at, updated_at)
+        VALUES (?, ?, NULL, ?, ?, 'pending', NOW(), NOW())
       `;
 
-      await this.query(insertPairing, [pairingId, userId, partnerCode]);
+      await this.query(insertPairing, [pairingId, userId, partnerCode, expiresAt]);
       
       return {
         id: pairingId,
         user1_id: userId,
         user2_id: null,
         partner_code: partnerCode,
+        partner_code_expires_at: expiresAt ? expiresAt.toISOString() : null,
         status: 'pending',
         created_at: new Date().toISOString()
       };
@@ -274,12 +331,14 @@ class Pairing {
     }
   }
 
-  // Check if users are already paired (excluding soft deleted)
+  // Check if users are already paired (excluding soft deleted and ended
+  // partnerships, so the same two people can pair again)
   async checkExistingPairing(user1Id, user2Id) {
     try {
       const query = `
         SELECT * FROM pairings 
-        WHERE ((user1_id = ? AND user2_id = ?) OR (user1_id = ? AND user2_id = ?)) AND deleted_at IS NULL
+        WHERE ((user1_id = ? AND user2_id = ?) OR (user1_id = ? AND user2_id = ?))
+          AND status <> 'ended' AND deleted_at IS NULL
       `;
 
       const row = await this.queryOne(query, [user1Id, user2Id, user2Id, user1Id]);
@@ -324,6 +383,7 @@ class Pairing {
         FROM pairings p
         JOIN users u1 ON p.user1_id = u1.id AND u1.deleted_at IS NULL
         WHERE p.partner_code = ? AND p.status = 'pending' AND p.deleted_at IS NULL AND p.user2_id IS NULL
+          AND (p.partner_code_expires_at IS NULL OR p.partner_code_expires_at > NOW())
       `;
 
       const row = await this.queryOne(query, [partnerCode]);
@@ -343,6 +403,7 @@ class Pairing {
         UPDATE pairings 
         SET user2_id = ?, status = 'accepted', updated_at = NOW()
         WHERE partner_code = ? AND status = 'pending' AND user2_id IS NULL AND deleted_at IS NULL
+          AND (partner_code_expires_at IS NULL OR partner_code_expires_at > NOW())
       `;
 
       const result = await this.query(updatePairing, [acceptingUserId, partnerCode]);
@@ -371,6 +432,27 @@ class Pairing {
     }
   }
 
+  // End an accepted pairing: status 'ended', premium cleared. The row stays
+  // (not soft-deleted) so both members keep read access to its archived
+  // programs.
+  async endPairing(pairingId, endedByUserId) {
+    try {
+      const result = await this.query(
+        `UPDATE pairings
+         SET status = 'ended', premium = 0, ended_at = NOW(), ended_by = ?, updated_at = NOW()
+         WHERE id = ? AND status = 'accepted' AND deleted_at IS NULL`,
+        [endedByUserId, pairingId]
+      );
+      if (result.affectedRows === 0) {
+        throw new Error('Pairing not found or not accepted');
+      }
+      return { id: pairingId, status: 'ended', ended_at: new Date().toISOString(), ended_by: endedByUserId };
+    } catch (err) {
+      if (err.message === 'Pairing not found or not accepted') throw err;
+      throw new Error('Failed to end pairing');
+    }
+  }
+
   // Soft delete a pairing
   async softDeletePairing(pairingId) {
     try {
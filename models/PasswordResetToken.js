@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// One-time password reset tokens for users and admin users
+// (services/PasswordResetService.js). Only the SHA-256 of a token is stored,
+// so a leaked table cannot be replayed; the raw token exists only in the
+// emailed link. Issuing a token replaces the account's earlier unused ones,
+// and consuming one is a single conditional UPDATE, so a token works once
+// even under concurrent requests.
+const USER_TYPES = ['user', 'admin'];
+
+class PasswordResetToken {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    // No foreign key: user_id points at users or admin_users depending on user_type.
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id VARCHAR(50) PRIMARY KEY,
+        user_id VARCHAR(50) NOT NULL,
+        user_type ENUM('user', 'admin') NOT NULL DEFAULT 'user',
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_password_reset_tokens_user (user_id, user_type),
+        INDEX idx_password_reset_tokens_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Password reset tokens table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating password_reset_tokens table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  validateUserType(userType) {
+    if (!USER_TYPES.includes(userType)) {
+      throw new Error(`Invalid user_type. Must be one of: ${USER_TYPES.join(', ')}`);
+    }
+  }
+
+  // Issue a token valid for ttlMinutes, revoking the account's unused ones.
+  // Resolves to { token, expires_at }; the raw token is not stored.
+  async createToken(userId, userType, ttlMinutes) {
+    this.validateUserType(userType);
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    try {
+      await this.query(
+        'DELETE FROM password_reset_tokens WHERE user_id = ? AND user_type = ? AND used_at IS NULL',
+        [userId, userType]
+      );
+      await this.query(
+        `INSERT INTO password_reset_tokens (id, user_id, user_type, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), NOW())`,
+        [this.generateUniqueId(), userId, userType, this.hashToken(token), ttlMinutes]
+      );
+    } catch (err) {
+      console.error('Database error:', err);
+      throw new Error('Failed to create password reset token');
+    }
+
+    return { token, expires_at: expiresAt.toISOString() };
+  }
+
+  // Mark a live token used. Resolves to its user_id; throws when the token is
+  // unknown, for the other user type, already used or expired.
+  async consumeToken(token, userType) {
+    this.validateUserType(userType);
+    const tokenHash = this.hashToken(token);
+
+    const result = await this.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE token_hash = ? AND user_type = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [tokenHash, userType]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    const row = await this.queryOne(
+      'SELECT user_id FROM password_reset_tokens WHERE token_hash = ?',
+      [tokenHash]
+    );
+    if (!row) {
+      throw new Error('Invalid or expired reset token');
+    }
+    return row.user_id;
+  }
+
+  // Delete tokens that expired or were used more than `days` days ago.
+  async cleanupOldTokens(days = 1) {
+    const result = await this.query(
+      `DELETE FROM password_reset_tokens
+       WHERE expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+          OR used_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [days, days]
+    );
+    return result.affectedRows || 0;
+  }
+}
+
+module.exports = PasswordResetToken;
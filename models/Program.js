@@ -1,8 +1,25 @@
+// Program generation lifecycle (programs.generation_status), driven by the
+// program_generation job in routes/programs.js:
+//
+//   queued → generating → succeeded
+//                       → retrying → generating …
+//                       → failed   (attempts exhausted; the user can retry → queued)
+const GENERATION_STATUSES = ['queued', 'generating', 'retrying', 'succeeded', 'failed'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cap on programs selected by one admin batch regeneration.
+const MAX_REGENERATION_BATCH = 200;
+
 class Program {
   constructor(db) {
     this.db = db; // MySQL pool
   }
 
+  static get GENERATION_STATUSES() {
+    return GENERATION_STATUSES;
+  }
+
   // Helper method to execute queries
   async query(sql, params = []) {
     const [results] = await this.db.execute(sql, params);
@@ -27,6 +44,7 @@ class Program {
         generation_error TEXT DEFAULT NULL,
         steps_required_for_unlock INT DEFAULT 7,
         next_program_unlocked BOOLEAN DEFAULT FALSE,
+        archived_at DATETIME DEFAULT NULL,
         deleted_at DATETIME DEFAULT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -60,7 +78,7 @@ class Program {
         FROM INFORMATION_SCHEMA.COLUMNS 
         WHERE TABLE_SCHEMA = DATABASE() 
         AND TABLE_NAME = 'programs' 
-        AND COLUMN_NAME IN ('steps_required_for_unlock', 'next_program_unlocked', 'previous_program_id', 'generation_error', 'regenerate_therapy_response', 'llm_used', 'seconds_to_load', 'generation_prompt')
+        AND COLUMN_NAME IN ('steps_required_for_unlock', 'next_program_unlocked', 'previous_program_id', 'generation_error', 'regenerate_therapy_response', 'regenerate_requested_at', 'llm_used', 'seconds_to_load', 'generation_prompt', 'prompt_template_id', 'prompt_template_version', 'experiment_id', 'experiment_arm', 'generation_status', 'generation_mode', 'generation_attempts', 'generation_max_attempts', 'generation_queued_at', 'generation_started_at', 'generation_completed_at', 'generation_next_attempt_at', 'start_date', 'timezone', 'strict_schedule', 'archived_at')
       `;
       
       const existingColumns = await this.query(checkColumns);
@@ -139,6 +157,17 @@ class Program {
         console.log('Added regenerate_therapy_response column to programs table.');
       }
 
+      // When the regeneration poller first saw the flag; keys the queued job
+      // (updated_at moves with every other write to the row)
+      if (!columnNames.includes('regenerate_requested_at')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN regenerate_requested_at TIMESTAMP NULL DEFAULT NULL 
+          AFTER regenerate_therapy_response
+        `);
+        console.log('Added regenerate_requested_at column to programs table.');
+      }
+
       // Add llm_used if it doesn't exist
       if (!columnNames.includes('llm_used')) {
         await this.query(`
@@ -170,6 +199,149 @@ class Program {
         `);
         console.log('Added generation_prompt column to programs table.');
       }
+
+      // Add prompt_template_id / prompt_template_version if they don't exist —
+      // the prompt_templates row (NULL id + version 0 for the built-in default)
+      // that generation_prompt was rendered from.
+      if (!columnNames.includes('prompt_template_id')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN prompt_template_id VARCHAR(50) DEFAULT NULL 
+          AFTER generation_prompt
+        `);
+        console.log('Added prompt_template_id column to programs table.');
+      }
+
+      if (!columnNames.includes('prompt_template_version')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN prompt_template_version INT DEFAULT NULL 
+          AFTER prompt_template_id
+        `);
+        console.log('Added prompt_template_version column to programs table.');
+      }
+
+      // Add experiment_id / experiment_arm if they don't exist — the A/B
+      // experiment arm (models/Experiment.js) the program was generated
+      // under, used by the per-arm report.
+      if (!columnNames.includes('experiment_id')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN experiment_id VARCHAR(50) DEFAULT NULL 
+          AFTER prompt_template_version,
+          ADD INDEX idx_experiment_id (experiment_id)
+        `);
+        console.log('Added experiment_id column to programs table.');
+      }
+
+      if (!columnNames.includes('experiment_arm')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN experiment_arm VARCHAR(50) DEFAULT NULL 
+          AFTER experiment_id
+        `);
+        console.log('Added experiment_arm column to programs table.');
+      }
+
+      // Add the generation lifecycle columns if they don't exist — kept in
+      // step with the program_generation job (see GENERATION_STATUSES).
+      // Programs generated before this existed are backfilled from
+      // therapy_response / generation_error; the rest stay NULL.
+      if (!columnNames.includes('generation_status')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN generation_status ENUM('queued', 'generating', 'retrying', 'succeeded', 'failed') DEFAULT NULL 
+          AFTER generation_error
+        `);
+        await this.query(`
+          UPDATE programs
+          SET generation_status = CASE WHEN therapy_response IS NOT NULL THEN 'succeeded' ELSE 'failed' END
+          WHERE therapy_response IS NOT NULL OR generation_error IS NOT NULL
+        `);
+        console.log('Added generation_status column to programs table.');
+      }
+
+      // Mode of the latest program_generation run, so retrying a failed
+      // generation repeats it (a failed regeneration regenerates again).
+      if (!columnNames.includes('generation_mode')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN generation_mode ENUM('initial', 'next', 'manual', 'regenerate') DEFAULT NULL 
+          AFTER generation_status
+        `);
+        console.log('Added generation_mode column to programs table.');
+      }
+
+      if (!columnNames.includes('generation_attempts')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN generation_attempts INT NOT NULL DEFAULT 0 
+          AFTER generation_status
+        `);
+        console.log('Added generation_attempts column to programs table.');
+      }
+
+      if (!columnNames.includes('generation_max_attempts')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN generation_max_attempts INT DEFAULT NULL 
+          AFTER generation_attempts
+        `);
+        console.log('Added generation_max_attempts column to programs table.');
+      }
+
+      for (const column of ['generation_queued_at', 'generation_started_at', 'generation_completed_at', 'generation_next_attempt_at']) {
+        if (!columnNames.includes(column)) {
+          await this.query(`
+            ALTER TABLE programs 
+            ADD COLUMN ${column} DATETIME DEFAULT NULL
+          `);
+          console.log(`Added ${column} column to programs table.`);
+        }
+      }
+
+      // Add the day-by-day schedule columns if they don't exist (see
+      // services/ProgramSchedule.js). Existing programs start on the day they
+      // were created, in UTC, so their steps are already unlocked.
+      if (!columnNames.includes('start_date')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN start_date DATE DEFAULT NULL 
+          AFTER next_program_unlocked
+        `);
+        await this.query(`
+          UPDATE programs SET start_date = DATE(created_at) WHERE start_date IS NULL
+        `);
+        console.log('Added start_date column to programs table.');
+      }
+
+      if (!columnNames.includes('timezone')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' 
+          AFTER start_date
+        `);
+        console.log('Added timezone column to programs table.');
+      }
+
+      if (!columnNames.includes('strict_schedule')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN strict_schedule BOOLEAN NOT NULL DEFAULT FALSE 
+          AFTER timezone
+        `);
+        console.log('Added strict_schedule column to programs table.');
+      }
+
+      // Programs of an ended partnership are archived (read-only).
+      if (!columnNames.includes('archived_at')) {
+        await this.query(`
+          ALTER TABLE programs 
+          ADD COLUMN archived_at DATETIME DEFAULT NULL 
+          AFTER strict_schedule
+        `);
+        console.log('Added archived_at column to programs table.');
+      }
     } catch (err) {
       // Ignore errors if columns already exist or other migration issues
       console.log('Migration check completed (columns may already exist).');
@@ -203,15 +375,20 @@ class Program {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  // Create a program
+  // Create a program. start_date (YYYY-MM-DD) and timezone (IANA name) set
+  // the day-by-day schedule; routes validate them and default start_date to
+  // today in that timezone.
   async createProgram(userId, programData) {
-    const { user_input, pairing_id, previous_program_id, steps_required_for_unlock = 0, llm_used = null } = programData;
+    const {
+      user_input, pairing_id, previous_program_id, steps_required_for_unlock = 0, llm_used = null,
+      start_date = null, timezone = 'UTC', strict_schedule = false
+    } = programData;
     const programId = this.generateUniqueId();
 
     try {
       const insertProgram = `
-        INSERT INTO programs (id, user_id, user_input, pairing_id, previous_program_id, therapy_response, steps_required_for_unlock, next_program_unlocked, llm_used, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, TRUE, ?, NOW(), NOW())
+        INSERT INTO programs (id, user_id, user_input, pairing_id, previous_program_id, therapy_response, steps_required_for_unlock, next_program_unlocked, llm_used, start_date, timezone, strict_schedule, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, TRUE, ?, COALESCE(?, CURRENT_DATE), ?, ?, NOW(), NOW())
       `;
 
       await this.query(insertProgram, [
@@ -222,7 +399,10 @@ class Program {
         previous_program_id || null,
         programData.therapy_response || null,
         steps_required_for_unlock,
-        llm_used
+        llm_used,
+        start_date,
+        timezone,
+        Boolean(strict_schedule)
       ]);
       
       return {
@@ -235,6 +415,9 @@ class Program {
         steps_required_for_unlock,
         next_program_unlocked: false,
         llm_used,
+        start_date,
+        timezone,
+        strict_schedule: Boolean(strict_schedule),
         created_at: new Date().toISOString()
       };
     } catch (err) {
@@ -243,40 +426,58 @@ class Program {
     }
   }
 
-  // Get all programs for a user and their pairings (excluding soft deleted)
-  async getUserPrograms(userId) {
+  // Programs the user owns or shares through a pairing, newest first
+  // (excluding soft deleted). Programs of an ended pairing stay listed for
+  // both members, archived. pairingId narrows the list to one pairing's
+  // programs ('none': solo programs); pairing_premium is that pairing's
+  // premium flag (null for solo programs).
+  async getUserPrograms(userId, { pairingId = null } = {}) {
+    const params = [userId, userId, userId];
+    let pairingFilter = '';
+    if (pairingId === 'none') {
+      pairingFilter = 'AND p.pairing_id IS NULL';
+    } else if (pairingId) {
+      pairingFilter = 'AND p.pairing_id = ?';
+      params.push(pairingId);
+    }
+
     try {
       const query = `
         SELECT p.id, p.user_id, p.user_input, p.pairing_id,
                p.steps_required_for_unlock, p.next_program_unlocked,
-               p.created_at, p.updated_at,
-               pair.user1_id, pair.user2_id 
+               DATE_FORMAT(p.start_date, '%Y-%m-%d') AS start_date, p.timezone, p.strict_schedule,
+               p.generation_status, p.archived_at, p.created_at, p.updated_at,
+               pair.user1_id, pair.user2_id, pair.premium AS pairing_premium
         FROM programs p
         LEFT JOIN pairings pair ON p.pairing_id = pair.id
         WHERE (
           p.user_id = ? 
           OR (p.pairing_id IS NOT NULL
-              AND pair.status = 'accepted'
+              AND pair.status IN ('accepted', 'ended')
               AND pair.deleted_at IS NULL
               AND (pair.user1_id = ? OR pair.user2_id = ?))
         )
         AND p.deleted_at IS NULL
+        ${pairingFilter}
         ORDER BY p.created_at DESC
       `;
 
-      const programs = await this.query(query, [userId, userId, userId]);
+      const programs = await this.query(query, params);
       
-      // Convert next_program_unlocked to boolean
+      // Convert next_program_unlocked / strict_schedule / pairing_premium to boolean
       return programs.map(program => ({
         ...program,
-        next_program_unlocked: this.convertToBoolean(program.next_program_unlocked)
+        next_program_unlocked: this.convertToBoolean(program.next_program_unlocked),
+        strict_schedule: this.convertToBoolean(program.strict_schedule),
+        pairing_premium: program.pairing_id ? this.convertToBoolean(program.pairing_premium) : null
       }));
     } catch (err) {
       throw new Error('Failed to fetch programs');
     }
   }
 
-  // Check if user has access to a program (either owner or paired user)
+  // Check if user has access to a program (either owner or paired user; an
+  // ended pairing keeps read access to its archived programs)
   async checkProgramAccess(userId, programId) {
     try {
       const query = `
@@ -288,7 +489,7 @@ class Program {
           AND (
             p.user_id = ?
             OR (p.pairing_id IS NOT NULL
-                AND pair.status = 'accepted'
+                AND pair.status IN ('accepted', 'ended')
                 AND pair.deleted_at IS NULL
                 AND (pair.user1_id = ? OR pair.user2_id = ?))
           )
@@ -305,9 +506,10 @@ class Program {
   async getProgramById(programId) {
     try {
       const query = `
-        SELECT id, user_id, user_input, pairing_id, 
+        SELECT id, user_id, user_input, pairing_id, previous_program_id,
                steps_required_for_unlock, next_program_unlocked,
-               created_at, updated_at
+               DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, timezone, strict_schedule,
+               generation_status, archived_at, created_at, updated_at
         FROM programs 
         WHERE id = ? AND deleted_at IS NULL
       `;
@@ -317,8 +519,9 @@ class Program {
         throw new Error('Program not found');
       }
 
-      // Convert next_program_unlocked to boolean
+      // Convert next_program_unlocked / strict_schedule to boolean
       program.next_program_unlocked = this.convertToBoolean(program.next_program_unlocked);
+      program.strict_schedule = this.convertToBoolean(program.strict_schedule);
 
       // Return program without therapy_response
       return program;
@@ -333,15 +536,34 @@ class Program {
   // Update therapy response for a program.
   // generationPrompt (optional) is the full prompt sent to the LLM that
   // produced this response — persisted for auditability.
-  async updateTherapyResponse(programId, therapyResponse, secondsToLoad = null, generationPrompt = null) {
+  // llmUsed (optional) is the "provider:model" that actually answered; when
+  // the fallback chain kicked in it replaces the configured model recorded
+  // at creation. Null keeps the existing value.
+  // `promptTemplate` is the { id, key, version } the prompt was rendered from
+  // (a service response's __template); recorded next to generation_prompt.
+  // `experiment` is the { experiment_id, arm } it was generated under (a
+  // service response's __experiment), or null outside any experiment.
+  async updateTherapyResponse(programId, therapyResponse, secondsToLoad = null, generationPrompt = null, llmUsed = null, promptTemplate = null, experiment = null) {
     try {
       const updateQuery = `
         UPDATE programs 
-        SET therapy_response = ?, generation_prompt = ?, generation_error = NULL, seconds_to_load = ?, updated_at = NOW()
+        SET therapy_response = ?, generation_prompt = ?, prompt_template_id = ?, prompt_template_version = ?,
+            experiment_id = ?, experiment_arm = ?,
+            generation_error = NULL, seconds_to_load = ?, llm_used = COALESCE(?, llm_used), updated_at = NOW()
         WHERE id = ? AND deleted_at IS NULL
       `;
 
-      const result = await this.query(updateQuery, [therapyResponse, generationPrompt, secondsToLoad, programId]);
+      const result = await this.query(updateQuery, [
+        therapyResponse,
+        generationPrompt,
+        promptTemplate ? promptTemplate.id : null,
+        promptTemplate ? promptTemplate.version : null,
+        experiment ? experiment.experiment_id : null,
+        experiment ? experiment.arm : null,
+        secondsToLoad,
+        llmUsed,
+        programId
+      ]);
       if (result.affectedRows === 0) {
         throw new Error('Program not found or already deleted');
       }
@@ -351,12 +573,13 @@ class Program {
     }
   }
 
-  // Clear the regenerate_therapy_response flag after a successful regeneration
+  // Clear the regenerate_therapy_response flag (and its request time) once the
+  // regeneration is queued
   async clearRegenerateFlag(programId) {
     try {
       const updateQuery = `
         UPDATE programs 
-        SET regenerate_therapy_response = FALSE, updated_at = NOW()
+        SET regenerate_therapy_response = FALSE, regenerate_requested_at = NULL, updated_at = NOW()
         WHERE id = ? AND deleted_at IS NULL
       `;
 
@@ -366,13 +589,23 @@ class Program {
     }
   }
 
-  // Fetch all programs that have regenerate_therapy_response = TRUE
+  // Fetch all programs that have regenerate_therapy_response = TRUE. Newly
+  // flagged rows get regenerate_requested_at stamped first; it stays put
+  // until the flag is cleared, whatever else updates the row.
   async getProgramsFlaggedForRegeneration() {
     try {
+      await this.query(`
+        UPDATE programs
+        SET regenerate_requested_at = NOW()
+        WHERE regenerate_therapy_response = TRUE
+          AND regenerate_requested_at IS NULL
+          AND deleted_at IS NULL
+      `);
+
       const query = `
         SELECT p.id, p.user_id, p.user_input, p.pairing_id, p.previous_program_id,
                p.steps_required_for_unlock, p.next_program_unlocked,
-               p.created_at, p.updated_at
+               p.regenerate_requested_at, p.created_at, p.updated_at
         FROM programs p
         WHERE p.regenerate_therapy_response = TRUE
           AND p.deleted_at IS NULL
@@ -389,25 +622,88 @@ class Program {
     }
   }
 
+  // Admin batch regeneration: ids of live programs matching every given
+  // filter — explicit ids, the owner's org code, and/or a created_at range
+  // (inclusive YYYY-MM-DD, UTC). At least one filter is required so a bare
+  // request can't select every program.
+  async findProgramsForRegeneration({ programIds = null, orgCodeId = null, createdFrom = null, createdTo = null, limit = MAX_REGENERATION_BATCH } = {}) {
+    if (programIds !== null && (!Array.isArray(programIds) || programIds.some(id => typeof id !== 'string' || !id))) {
+      throw new Error('Invalid program_ids. Must be an array of program ids');
+    }
+    if ((createdFrom && !DATE_PATTERN.test(createdFrom)) || (createdTo && !DATE_PATTERN.test(createdTo))) {
+      throw new Error('Invalid date range. Use YYYY-MM-DD for created_from and created_to');
+    }
+    if (createdFrom && createdTo && createdFrom > createdTo) {
+      throw new Error('Invalid date range. created_from must be on or before created_to');
+    }
+    if (!(programIds && programIds.length) && !orgCodeId && !createdFrom && !createdTo) {
+      throw new Error('At least one filter is required: program_ids, org_code_id, created_from or created_to');
+    }
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || MAX_REGENERATION_BATCH, 1), MAX_REGENERATION_BATCH);
+
+    const where = ['p.deleted_at IS NULL'];
+    const params = [];
+    if (programIds && programIds.length) {
+      where.push(`p.id IN (${programIds.map(() => '?').join(', ')})`);
+      params.push(...programIds);
+    }
+    if (orgCodeId) {
+      where.push('u.org_code_id = ?');
+      params.push(orgCodeId);
+    }
+    if (createdFrom) {
+      where.push('p.created_at >= ?');
+      params.push(createdFrom);
+    }
+    if (createdTo) {
+      where.push('p.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(createdTo);
+    }
+
+    try {
+      const rows = await this.query(`
+        SELECT p.id
+        FROM programs p
+        JOIN users u ON u.id = p.user_id
+        WHERE ${where.join(' AND ')}
+        ORDER BY p.created_at ASC
+        LIMIT ${safeLimit}
+      `, params);
+      return rows.map(row => row.id);
+    } catch (err) {
+      throw new Error('Failed to find programs for regeneration');
+    }
+  }
+
   // Update generation error for a program.
   // generationPrompt (optional) is the full prompt that was (or would have
   // been) sent to the LLM for the failing attempt — persisted so the DB
   // can log what prompt produced the error.
-  async updateGenerationError(programId, errorMessage, generationPrompt = null) {
+  async updateGenerationError(programId, errorMessage, generationPrompt = null, promptTemplate = null, experiment = null) {
     try {
-      // Only overwrite generation_prompt when a non-null value is provided,
-      // so validation-only failures (where no prompt was ever built) don't
-      // blow away a prompt that may have been saved by a prior attempt.
+      // Only overwrite generation_prompt (and the template / experiment arm) when
+      // a non-null value is provided, so validation-only failures (where no
+      // prompt was ever built) don't blow away a prompt that may have been
+      // saved by a prior attempt.
       const updateQuery = generationPrompt !== null
         ? `UPDATE programs
-             SET generation_error = ?, generation_prompt = ?, updated_at = NOW()
+             SET generation_error = ?, generation_prompt = ?, prompt_template_id = ?, prompt_template_version = ?,
+                 experiment_id = ?, experiment_arm = ?, updated_at = NOW()
            WHERE id = ? AND deleted_at IS NULL`
         : `UPDATE programs
              SET generation_error = ?, updated_at = NOW()
            WHERE id = ? AND deleted_at IS NULL`;
 
       const params = generationPrompt !== null
-        ? [errorMessage, generationPrompt, programId]
+        ? [
+            errorMessage,
+            generationPrompt,
+            promptTemplate ? promptTemplate.id : null,
+            promptTemplate ? promptTemplate.version : null,
+            experiment ? experiment.experiment_id : null,
+            experiment ? experiment.arm : null,
+            programId
+          ]
         : [errorMessage, programId];
 
       const result = await this.query(updateQuery, params);
@@ -420,6 +716,111 @@ class Program {
     }
   }
 
+  // ── Generation lifecycle ───────────────────────────────────────────────
+  // Each transition is one UPDATE from the program_generation job (or the
+  // route that queues it); generation_error keeps the operator-facing detail.
+
+  // Fresh job (or a dead one requeued): attempts start over and the previous
+  // run's timestamps and error are cleared. Skipped while a generation is
+  // already queued or running, so a worker that claimed the job before this
+  // ran isn't reported as queued again. `mode` is the queued job's mode.
+  async markGenerationQueued(programId, maxAttempts = null, mode = null) {
+    try {
+      await this.query(`
+        UPDATE programs
+        SET generation_status = 'queued', generation_attempts = 0, generation_max_attempts = ?,
+            generation_mode = COALESCE(?, generation_mode),
+            generation_queued_at = NOW(), generation_started_at = NULL, generation_completed_at = NULL,
+            generation_next_attempt_at = NULL, generation_error = NULL, updated_at = NOW()
+        WHERE id = ? AND deleted_at IS NULL
+          AND (generation_status IS NULL OR generation_status IN ('succeeded', 'failed'))
+      `, [maxAttempts, mode, programId]);
+    } catch (err) {
+      throw new Error('Failed to update generation status');
+    }
+  }
+
+  // `attempt` is the job's attempt counter (1 for the first run).
+  async markGenerationStarted(programId, attempt, maxAttempts = null, mode = null) {
+    try {
+      await this.query(`
+        UPDATE programs
+        SET generation_status = 'generating', generation_attempts = ?,
+            generation_max_attempts = COALESCE(?, generation_max_attempts),
+            generation_mode = COALESCE(?, generation_mode),
+            generation_started_at = NOW(), generation_next_attempt_at = NULL, updated_at = NOW()
+        WHERE id = ? AND deleted_at IS NULL
+      `, [attempt, maxAttempts, mode, programId]);
+    } catch (err) {
+      throw new Error('Failed to update generation status');
+    }
+  }
+
+  async markGenerationRetrying(programId, delayMs) {
+    try {
+      await this.query(`
+        UPDATE programs
+        SET generation_status = 'retrying',
+            generation_next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND), updated_at = NOW()
+        WHERE id = ? AND deleted_at IS NULL
+      `, [Math.max(0, Math.ceil(delayMs / 1000)), programId]);
+    } catch (err) {
+      throw new Error('Failed to update generation status');
+    }
+  }
+
+  async markGenerationSucceeded(programId) {
+    try {
+      await this.query(`
+        UPDATE programs
+        SET generation_status = 'succeeded', generation_completed_at = NOW(),
+            generation_next_attempt_at = NULL, updated_at = NOW()
+        WHERE id = ? AND deleted_at IS NULL
+      `, [programId]);
+    } catch (err) {
+      throw new Error('Failed to update generation status');
+    }
+  }
+
+  // The error itself is stored separately with updateGenerationError.
+  async markGenerationFailed(programId) {
+    try {
+      await this.query(`
+        UPDATE programs
+        SET generation_status = 'failed', generation_completed_at = NOW(),
+            generation_next_attempt_at = NULL, updated_at = NOW()
+        WHERE id = ? AND deleted_at IS NULL
+      `, [programId]);
+    } catch (err) {
+      throw new Error('Failed to update generation status');
+    }
+  }
+
+  // Lifecycle fields for GET /api/programs/:id/generation, including the
+  // raw generation_error (callers map it to a user-safe message).
+  async getGenerationStatus(programId) {
+    try {
+      const query = `
+        SELECT id, previous_program_id, generation_status, generation_mode, generation_attempts, generation_max_attempts,
+               generation_queued_at, generation_started_at, generation_completed_at,
+               generation_next_attempt_at, generation_error
+        FROM programs
+        WHERE id = ? AND deleted_at IS NULL
+      `;
+
+      const row = await this.queryOne(query, [programId]);
+      if (!row) {
+        throw new Error('Program not found');
+      }
+      return row;
+    } catch (err) {
+      if (err.message === 'Program not found') {
+        throw err;
+      }
+      throw new Error('Failed to fetch generation status');
+    }
+  }
+
   // Soft delete a program
   async softDeleteProgram(programId) {
     try {
@@ -439,6 +840,21 @@ class Program {
     }
   }
 
+  // Archive every live program of a pairing (the partnership ended). Archived
+  // programs are read-only. Resolves to the number archived.
+  async archivePairingPrograms(pairingId) {
+    try {
+      const result = await this.query(
+        `UPDATE programs SET archived_at = NOW(), updated_at = NOW()
+         WHERE pairing_id = ? AND archived_at IS NULL AND deleted_at IS NULL`,
+        [pairingId]
+      );
+      return result.affectedRows;
+    } catch (err) {
+      throw new Error('Failed to archive pairing programs');
+    }
+  }
+
   // Get count of program steps that have been started
   async getStartedStepsCount(programId) {
     try {
@@ -0,0 +1,178 @@
+// Admin-requested program regenerations generated into a draft instead of
+// over the live steps. The program_generation job fills the draft in; an
+// admin compares it with the current days and publishes it (or discards it).
+//
+//   generating → ready  → published
+//                       → discarded
+//              → failed → discarded
+const STATUSES = ['generating', 'ready', 'failed', 'published', 'discarded'];
+
+class ProgramDraft {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS program_drafts (
+        id VARCHAR(50) PRIMARY KEY,
+        program_id VARCHAR(50) NOT NULL,
+        status ENUM('generating', 'ready', 'failed', 'published', 'discarded') NOT NULL DEFAULT 'generating',
+        therapy_response LONGTEXT DEFAULT NULL,
+        generation_prompt LONGTEXT DEFAULT NULL,
+        prompt_template_id VARCHAR(50) DEFAULT NULL,
+        prompt_template_version INT DEFAULT NULL,
+        experiment_id VARCHAR(50) DEFAULT NULL,
+        experiment_arm VARCHAR(50) DEFAULT NULL,
+        llm_used VARCHAR(100) DEFAULT NULL,
+        seconds_to_load DECIMAL(8,4) DEFAULT NULL,
+        generation_error TEXT DEFAULT NULL,
+        job_id VARCHAR(50) DEFAULT NULL,
+        requested_by VARCHAR(50) DEFAULT NULL,
+        published_by VARCHAR(50) DEFAULT NULL,
+        published_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_program_drafts_program_id (program_id),
+        INDEX idx_program_drafts_status (status),
+        FOREIGN KEY (program_id) REFERENCES programs (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Program drafts table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating program_drafts table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  async createDraft(programId, requestedBy = null) {
+    const id = this.generateUniqueId();
+    try {
+      await this.query(
+        `INSERT INTO program_drafts (id, program_id, status, requested_by, created_at, updated_at)
+         VALUES (?, ?, 'generating', ?, NOW(), NOW())`,
+        [id, programId, requestedBy]
+      );
+    } catch (err) {
+      throw new Error('Failed to create program draft');
+    }
+    return this.getDraftById(id);
+  }
+
+  async getDraftById(id) {
+    const draft = await this.queryOne('SELECT * FROM program_drafts WHERE id = ?', [id]);
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+    return draft;
+  }
+
+  // Drafts of one program, newest first, without the (large) content columns.
+  async listDrafts(programId) {
+    return this.query(
+      `SELECT id, program_id, status, llm_used, seconds_to_load, generation_error, job_id,
+              requested_by, published_by, published_at, created_at, updated_at
+       FROM program_drafts
+       WHERE program_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [programId]
+    );
+  }
+
+  async attachJob(id, jobId) {
+    await this.query('UPDATE program_drafts SET job_id = ?, updated_at = NOW() WHERE id = ?', [jobId, id]);
+  }
+
+  // Store generated content. Only a draft still generating is filled in,
+  // so a discarded draft stays discarded if its job finishes late. Returns
+  // false when nothing was updated.
+  async saveDraftContent(id, { therapyResponse, generationPrompt = null, promptTemplate = null, experiment = null, llmUsed = null, secondsToLoad = null }) {
+    const result = await this.query(
+      `UPDATE program_drafts
+       SET status = 'ready', therapy_response = ?, generation_prompt = ?,
+           prompt_template_id = ?, prompt_template_version = ?, experiment_id = ?, experiment_arm = ?,
+           llm_used = ?, seconds_to_load = ?, generation_error = NULL, updated_at = NOW()
+       WHERE id = ? AND status = 'generating'`,
+      [
+        therapyResponse,
+        generationPrompt,
+        promptTemplate ? promptTemplate.id : null,
+        promptTemplate ? promptTemplate.version : null,
+        experiment ? experiment.experiment_id : null,
+        experiment ? experiment.arm : null,
+        llmUsed,
+        secondsToLoad,
+        id
+      ]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async markDraftFailed(id, errorMessage) {
+    const result = await this.query(
+      `UPDATE program_drafts
+       SET status = 'failed', generation_error = ?, updated_at = NOW()
+       WHERE id = ? AND status = 'generating'`,
+      [String(errorMessage).slice(0, 65535), id]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Claim a ready draft for publishing; false when it was published or
+  // discarded in the meantime.
+  async markDraftPublished(id, publishedBy = null) {
+    const result = await this.query(
+      `UPDATE program_drafts
+       SET status = 'published', published_by = ?, published_at = NOW(), updated_at = NOW()
+       WHERE id = ? AND status = 'ready'`,
+      [publishedBy, id]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Undo markDraftPublished when writing the program failed.
+  async releaseDraftClaim(id) {
+    await this.query(
+      `UPDATE program_drafts
+       SET status = 'ready', published_by = NULL, published_at = NULL, updated_at = NOW()
+       WHERE id = ? AND status = 'published'`,
+      [id]
+    );
+  }
+
+  async discardDraft(id) {
+    const draft = await this.getDraftById(id);
+    if (draft.status === 'published' || draft.status === 'discarded') {
+      throw new Error(`Only unpublished drafts can be discarded (draft is ${draft.status})`);
+    }
+    await this.query(
+      `UPDATE program_drafts SET status = 'discarded', updated_at = NOW()
+       WHERE id = ? AND status IN ('generating', 'ready', 'failed')`,
+      [id]
+    );
+    return this.getDraftById(id);
+  }
+}
+
+module.exports = ProgramDraft;
@@ -0,0 +1,186 @@
+// Daily program reminders (services/DailyReminderService.js). One row per
+// reminder sent: the unique (step_id, user_id, kind) key is claimed before
+// the push goes out, so a reminder is never sent twice — across restarts
+// and across instances running the scheduler at the same time.
+const KINDS = ['daily_reminder', 'partner_nudge'];
+const RESULTS = ['pending', 'sent', 'deferred', 'no_devices', 'skipped', 'failed'];
+
+class ProgramReminder {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get KINDS() {
+    return KINDS;
+  }
+
+  static get RESULTS() {
+    return RESULTS;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS program_reminders (
+        id VARCHAR(50) PRIMARY KEY,
+        program_id VARCHAR(50) NOT NULL,
+        step_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        kind ENUM('daily_reminder', 'partner_nudge') NOT NULL,
+        local_date DATE NOT NULL,
+        result ENUM('pending', 'sent', 'deferred', 'no_devices', 'skipped', 'failed') NOT NULL DEFAULT 'pending',
+        success_count INT NOT NULL DEFAULT 0,
+        failure_count INT NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_program_reminders_step_user_kind (step_id, user_id, kind),
+        INDEX idx_program_reminders_user_id (user_id),
+        INDEX idx_program_reminders_program_id (program_id),
+        FOREIGN KEY (program_id) REFERENCES programs (id) ON DELETE CASCADE,
+        FOREIGN KEY (step_id) REFERENCES program_steps (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Program reminders table initialized successfully.');
+
+      // Migration: 'deferred' result (push held until the user's quiet hours end)
+      const resultColumn = await this.queryOne(`
+        SELECT COLUMN_TYPE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'program_reminders'
+          AND COLUMN_NAME = 'result'
+      `);
+      if (resultColumn && !resultColumn.COLUMN_TYPE.includes("'deferred'")) {
+        await this.query(`
+          ALTER TABLE program_reminders
+          MODIFY COLUMN result ENUM('pending', 'sent', 'deferred', 'no_devices', 'skipped', 'failed') NOT NULL DEFAULT 'pending'
+        `);
+        console.log('Added deferred to program_reminders.result');
+      }
+    } catch (err) {
+      console.error('Error creating program_reminders table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  // Live, unarchived programs that may be on a scheduled day today in some
+  // timezone: started no later than tomorrow (UTC) and within the last `windowDays`.
+  // Members are the owner, or both partners of an accepted pairing. Newest
+  // program first, so a user in several programs is reminded of the latest.
+  async getReminderCandidates(windowDays) {
+    try {
+      const rows = await this.query(`
+        SELECT p.id, p.user_id, p.pairing_id, DATE_FORMAT(p.start_date, '%Y-%m-%d') AS start_date,
+               p.timezone, p.created_at, pair.user1_id, pair.user2_id
+        FROM programs p
+        LEFT JOIN pairings pair
+          ON pair.id = p.pairing_id AND pair.status = 'accepted' AND pair.deleted_at IS NULL
+        WHERE p.deleted_at IS NULL
+          AND p.archived_at IS NULL
+          AND p.start_date IS NOT NULL
+          AND p.start_date <= DATE_ADD(UTC_DATE(), INTERVAL 1 DAY)
+          AND p.start_date > DATE_SUB(UTC_DATE(), INTERVAL ? DAY)
+        ORDER BY p.created_at DESC, p.id DESC
+      `, [windowDays]);
+
+      return rows.map(row => ({
+        id: row.id,
+        pairing_id: row.pairing_id,
+        start_date: row.start_date,
+        timezone: row.timezone,
+        created_at: row.created_at,
+        paired: Boolean(row.user1_id && row.user2_id),
+        member_ids: row.user1_id && row.user2_id ? [row.user1_id, row.user2_id] : [row.user_id]
+      }));
+    } catch (err) {
+      throw new Error('Failed to fetch reminder candidates');
+    }
+  }
+
+  // A program's step for one day, with the ids of users who have posted to
+  // it (program_step_user_contribution). Null when the day has no step.
+  async getStepForDay(programId, day) {
+    try {
+      const step = await this.queryOne(
+        'SELECT id, program_id, day, theme FROM program_steps WHERE program_id = ? AND day = ?',
+        [programId, day]
+      );
+      if (!step) return null;
+
+      const contributions = await this.query(
+        'SELECT user_id FROM program_step_user_contribution WHERE step_id = ?',
+        [step.id]
+      );
+      return { ...step, contributor_ids: contributions.map(row => row.user_id) };
+    } catch (err) {
+      throw new Error('Failed to fetch program step for reminder');
+    }
+  }
+
+  // Reminder settings of live users; missing / deleted users are left out.
+  async getUserReminderSettings(userIds) {
+    if (!userIds.length) return [];
+    try {
+      const rows = await this.query(
+        `SELECT id, user_name, reminder_time, daily_reminders_enabled
+         FROM users
+         WHERE id IN (${userIds.map(() => '?').join(', ')}) AND deleted_at IS NULL`,
+        userIds
+      );
+      return rows.map(row => ({
+        ...row,
+        daily_reminders_enabled: Boolean(row.daily_reminders_enabled)
+      }));
+    } catch (err) {
+      throw new Error('Failed to fetch reminder settings');
+    }
+  }
+
+  // Claim a reminder before sending it. Returns the new row id, or null when
+  // this reminder was already claimed (sent earlier, or by another instance).
+  async claimReminder({ programId, stepId, userId, kind, localDate }) {
+    const id = this.generateUniqueId();
+    try {
+      const result = await this.query(
+        `INSERT IGNORE INTO program_reminders (id, program_id, step_id, user_id, kind, local_date, result, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW())`,
+        [id, programId, stepId, userId, kind, localDate]
+      );
+      return result.affectedRows === 1 ? id : null;
+    } catch (err) {
+      throw new Error('Failed to claim reminder');
+    }
+  }
+
+  async recordResult(id, result, { successCount = 0, failureCount = 0 } = {}) {
+    try {
+      await this.query(
+        `UPDATE program_reminders
+         SET result = ?, success_count = ?, failure_count = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [result, successCount, failureCount, id]
+      );
+    } catch (err) {
+      throw new Error('Failed to record reminder result');
+    }
+  }
+}
+
+module.exports = ProgramReminder;
@@ -196,49 +196,128 @@ class ProgramStep {
     }
   }
 
+  // Parse a therapy response into step rows ({ day, theme,
+  // conversation_starter, science_behind_it }), one per day. Hopeful
+  // responses use reflection / bible_verse for the last two. Returns [] when
+  // the response has no structured days.
+  parseProgramDays(therapyResponse) {
+    let programData;
+    try {
+      programData = typeof therapyResponse === 'string'
+        ? JSON.parse(therapyResponse)
+        : therapyResponse;
+    } catch (parseError) {
+      console.error('Error parsing therapy response:', parseError.message);
+      throw new Error('Invalid therapy response format');
+    }
+
+    if (!programData || !programData.program || !Array.isArray(programData.program.days)) {
+      return [];
+    }
+    return programData.program.days.map(dayData => ({
+      day: dayData.day,
+      theme: dayData.theme,
+      conversation_starter: dayData.conversation_starter || dayData.reflection,
+      science_behind_it: dayData.science_behind_it || dayData.bible_verse
+    }));
+  }
+
   // Parse therapy response and create individual program steps
   async createProgramSteps(programId, therapyResponse) {
     try {
-      let programData;
-      
-      // Parse the therapy response
-      try {
-        programData = typeof therapyResponse === 'string' 
-          ? JSON.parse(therapyResponse) 
-          : therapyResponse;
-      } catch (parseError) {
-        console.error('Error parsing therapy response:', parseError.message);
-        throw new Error('Invalid therapy response format');
+      const days = this.parseProgramDays(therapyResponse);
+      if (days.length === 0) {
+        console.log('No structured days found in therapy response');
+        return [];
       }
 
+      // Create a program step for each day
       const programSteps = [];
-      
-      if (programData.program && programData.program.days && Array.isArray(programData.program.days)) {
-        // Create a program step for each day
-        for (const dayData of programData.program.days) {
-          const step = await this.createProgramStep(
-            programId,
-            dayData.day,
-            dayData.theme,
-            dayData.conversation_starter || dayData.reflection,
-            dayData.science_behind_it || dayData.bible_verse
-          );
-
-          programSteps.push(step);
-        }
-
-        console.log(`Created ${programSteps.length} program steps for program ${programId}`);
-        return programSteps;
-      } else {
-        console.log('No structured days found in therapy response');
-        return [];
+      for (const dayData of days) {
+        const step = await this.createProgramStep(
+          programId,
+          dayData.day,
+          dayData.theme,
+          dayData.conversation_starter,
+          dayData.science_behind_it
+        );
+
+        programSteps.push(step);
       }
+
+      console.log(`Created ${programSteps.length} program steps for program ${programId}`);
+      return programSteps;
     } catch (err) {
       console.error('Error creating program steps:', err.message);
       throw new Error('Failed to create program steps');
     }
   }
 
+  // Apply regenerated content to a program's existing steps, matched by day:
+  // days present in both are updated in place (keeping the step id, its
+  // messages, contributions and started flag), new days are inserted and
+  // days the new content no longer has are deleted (with their messages).
+  // A response with no structured days changes nothing.
+  async replaceProgramSteps(programId, therapyResponse) {
+    try {
+      const days = this.parseProgramDays(therapyResponse);
+      if (days.length === 0) {
+        console.log('No structured days found in therapy response');
+        return { updated: 0, created: 0, removed: 0 };
+      }
+
+      const existing = await this.getProgramSteps(programId);
+      const existingByDay = new Map(existing.map(step => [Number(step.day), step]));
+      const newDays = new Set(days.map(dayData => Number(dayData.day)));
+      const result = { updated: 0, created: 0, removed: 0 };
+
+      for (const dayData of days) {
+        const step = existingByDay.get(Number(dayData.day));
+        if (step) {
+          await this.query(`
+            UPDATE program_steps
+            SET theme = ?, conversation_starter = ?, science_behind_it = ?, updated_at = NOW()
+            WHERE id = ?
+          `, [dayData.theme, dayData.conversation_starter ?? null, dayData.science_behind_it ?? null, step.id]);
+          result.updated++;
+        } else {
+          await this.createProgramStep(programId, dayData.day, dayData.theme, dayData.conversation_starter ?? null, dayData.science_behind_it ?? null);
+          result.created++;
+        }
+      }
+
+      for (const step of existing) {
+        if (!newDays.has(Number(step.day))) {
+          await this.query('DELETE FROM program_steps WHERE id = ?', [step.id]);
+          result.removed++;
+        }
+      }
+
+      console.log(`Replaced program steps for program ${programId} (${result.updated} updated, ${result.created} created, ${result.removed} removed)`);
+      return result;
+    } catch (err) {
+      console.error('Error replacing program steps:', err.message);
+      throw new Error('Failed to replace program steps');
+    }
+  }
+
+  // Message count per step of a program, keyed by step id.
+  async getStepMessageCounts(programId) {
+    try {
+      const rows = await this.query(`
+        SELECT s.id, COUNT(m.id) AS message_count
+        FROM program_steps s
+        LEFT JOIN messages m ON m.step_id = s.id
+        WHERE s.program_id = ?
+        GROUP BY s.id
+      `, [programId]);
+      return Object.fromEntries(rows.map(row => [row.id, Number(row.message_count)]));
+    } catch (err) {
+      console.error('Error counting step messages:', err.message);
+      throw new Error('Failed to count step messages');
+    }
+  }
+
   // Get all program steps for a program
   async getProgramSteps(programId) {
     try {
@@ -364,7 +443,8 @@ class ProgramStep {
     }
   }
 
-  // Check if user has access to program steps
+  // Check if user has access to program steps (an ended pairing keeps read
+  // access to its archived programs)
   async checkStepAccess(userId, programId) {
     try {
       const query = `
@@ -376,7 +456,7 @@ class ProgramStep {
           AND (
             p.user_id = ?
             OR (p.pairing_id IS NOT NULL
-                AND pair.status = 'accepted'
+                AND pair.status IN ('accepted', 'ended')
                 AND pair.deleted_at IS NULL
                 AND (pair.user1_id = ? OR pair.user2_id = ?))
           )
@@ -10,14 +10,15 @@
 // Bridge + Session content is generated. Solo sessions are ready after the
 // creator's prep is complete.
 //
-// NOTE: The generation step (building `generation_prompt`, calling an LLM, and
-// persisting `bridge_content` / `session_content`) is intentionally NOT yet
-// implemented. The persistence hooks exist (saveGeneratedContent /
-// updateGenerationError) so the route layer can wire them up once the prompt
-// construction + LLM method are defined.
+// Generation itself lives in services/PromptSessionPromptService.js; the route
+// layer persists its output through saveGeneratedContent / updateGenerationError.
 class PromptSession {
-  constructor(db) {
+  // options.idleHours: how long an active session may sit without activity
+  // before the expiry job abandons it (drives `expires_at` on the payload).
+  // 0 / null disables expiry.
+  constructor(db, { idleHours = 72 } = {}) {
     this.db = db; // MySQL pool
+    this.idleHours = idleHours > 0 ? idleHours : null;
   }
 
   async query(sql, params = []) {
@@ -44,6 +45,39 @@ class PromptSession {
     return ['prep', 'bridge', 'in_session', 'complete', 'abandoned'];
   }
 
+  // Allowed status transitions. Sessions only move forward; any non-terminal
+  // session may be abandoned. `complete` and `abandoned` are terminal.
+  static get STATUS_TRANSITIONS() {
+    return {
+      prep: ['bridge', 'abandoned'],
+      bridge: ['in_session', 'abandoned'],
+      in_session: ['complete', 'abandoned'],
+      complete: [],
+      abandoned: []
+    };
+  }
+
+  // Valid `current_phase` values per status. The first entry is the phase a
+  // session lands on when it enters that status. in_session phases mirror the
+  // generated session_content (core_prompt_N entries, then synthesis).
+  static get PHASES_BY_STATUS() {
+    return {
+      prep: ['prep'],
+      bridge: ['bridge'],
+      in_session: ['core_prompt_1', 'core_prompt_2', 'core_prompt_3', 'synthesis'],
+      complete: ['closing'],
+      abandoned: []
+    };
+  }
+
+  static get ALL_PHASES() {
+    return [...new Set(Object.values(PromptSession.PHASES_BY_STATUS).flat())];
+  }
+
+  static canTransition(fromStatus, toStatus) {
+    return (PromptSession.STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
   // The six required prep questions. Field names are placeholders pending final
   // product copy — see docs/prompt-sessions-design.md (open question #1).
   static get REQUIRED_PREP_FIELDS() {
@@ -77,12 +111,18 @@ class PromptSession {
         generation_error TEXT DEFAULT NULL,
         seconds_to_generate DECIMAL(8,4) DEFAULT NULL,
 
+        -- Bumped on any member activity (prep, status/phase change, generation).
+        -- Idle expiry is measured from here.
+        last_activity_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expiry_reminder_sent_at DATETIME DEFAULT NULL,
+
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
         INDEX idx_pairing_id (pairing_id),
         INDEX idx_created_by (created_by_user_id),
         INDEX idx_status (status),
+        INDEX idx_status_last_activity (status, last_activity_at),
         FOREIGN KEY (pairing_id) REFERENCES pairings (id) ON DELETE CASCADE,
         FOREIGN KEY (created_by_user_id) REFERENCES users (id) ON DELETE CASCADE
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
@@ -115,12 +155,36 @@ class PromptSession {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `;
 
+    // Audit trail of lifecycle changes. user_id is NULL for system-driven
+    // events (e.g. generation advancing a session to 'bridge').
+    const createEventsTable = `
+      CREATE TABLE IF NOT EXISTS prompt_session_events (
+        id VARCHAR(50) PRIMARY KEY,
+        prompt_session_id VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) DEFAULT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        from_status VARCHAR(20) DEFAULT NULL,
+        to_status VARCHAR(20) DEFAULT NULL,
+        from_phase VARCHAR(50) DEFAULT NULL,
+        to_phase VARCHAR(50) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        INDEX idx_prompt_session_id (prompt_session_id),
+        INDEX idx_created_at (created_at),
+        FOREIGN KEY (prompt_session_id) REFERENCES prompt_sessions (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
     try {
       await this.query(createPromptSessionsTable);
       console.log('prompt_sessions table initialized successfully.');
       await this.query(createPrepsTable);
       console.log('prompt_session_preps table initialized successfully.');
+      await this.query(createEventsTable);
+      console.log('prompt_session_events table initialized successfully.');
       await this.ensurePairingIdNullable();
+      await this.migrateExpiryFields();
     } catch (err) {
       console.error('Error creating prompt_sessions tables:', err.message);
       throw err;
@@ -150,6 +214,41 @@ class PromptSession {
     }
   }
 
+  // Existing DBs predate idle expiry. Backfill last_activity_at from
+  // updated_at so old sessions expire relative to their last change.
+  async migrateExpiryFields() {
+    try {
+      const existingColumns = await this.query(`
+        SELECT COLUMN_NAME
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+          AND TABLE_NAME = 'prompt_sessions'
+          AND COLUMN_NAME IN ('last_activity_at', 'expiry_reminder_sent_at')
+      `);
+      const columnNames = existingColumns.map(col => col.COLUMN_NAME);
+
+      if (!columnNames.includes('last_activity_at')) {
+        await this.query(`
+          ALTER TABLE prompt_sessions
+          ADD COLUMN last_activity_at DATETIME DEFAULT CURRENT_TIMESTAMP AFTER seconds_to_generate,
+          ADD INDEX idx_status_last_activity (status, last_activity_at)
+        `);
+        await this.query(`UPDATE prompt_sessions SET last_activity_at = updated_at`);
+        console.log('Added last_activity_at column to prompt_sessions table.');
+      }
+
+      if (!columnNames.includes('expiry_reminder_sent_at')) {
+        await this.query(`
+          ALTER TABLE prompt_sessions
+          ADD COLUMN expiry_reminder_sent_at DATETIME DEFAULT NULL AFTER last_activity_at
+        `);
+        console.log('Added expiry_reminder_sent_at column to prompt_sessions table.');
+      }
+    } catch (err) {
+      console.warn('Migration warning (prompt_sessions expiry fields):', err.message);
+    }
+  }
+
   parseMaybeJson(value) {
     if (value === null || value === undefined) return null;
     try {
@@ -159,15 +258,25 @@ class PromptSession {
     }
   }
 
+  // When an active session will be abandoned for inactivity, or null for
+  // terminal sessions / when expiry is disabled.
+  computeExpiresAt(row) {
+    if (!this.idleHours || !row.last_activity_at) return null;
+    if (!PromptSession.ACTIVE_STATUSES.includes(row.status)) return null;
+    return new Date(new Date(row.last_activity_at).getTime() + this.idleHours * 60 * 60 * 1000);
+  }
+
   // Shape a prompt_sessions row for client responses. Parses JSON content
-  // fields and strips `generation_prompt` (which must never be exposed).
+  // fields, strips `generation_prompt` (which must never be exposed), and
+  // adds `expires_at`.
   serializeSession(row) {
     if (!row) return null;
     const { generation_prompt, ...rest } = row;
     return {
       ...rest,
       bridge_content: this.parseMaybeJson(row.bridge_content),
-      session_content: this.parseMaybeJson(row.session_content)
+      session_content: this.parseMaybeJson(row.session_content),
+      expires_at: this.computeExpiresAt(row)
     };
   }
 
@@ -195,10 +304,16 @@ class PromptSession {
     const id = this.generateUniqueId();
     try {
       const insert = `
-        INSERT INTO prompt_sessions (id, pairing_id, created_by_user_id, status, created_at, updated_at)
-        VALUES (?, ?, ?, 'prep', NOW(), NOW())
+        INSERT INTO prompt_sessions (id, pairing_id, created_by_user_id, status, current_phase, created_at, updated_at)
+        VALUES (?, ?, ?, 'prep', 'prep', NOW(), NOW())
       `;
       await this.query(insert, [id, pairingId || null, createdByUserId]);
+      await this.recordEvent(id, {
+        userId: createdByUserId,
+        eventType: 'created',
+        toStatus: 'prep',
+        toPhase: 'prep'
+      });
       return this.getPromptSessionById(id);
     } catch (err) {
       console.error('Error creating prompt session:', err.message);
@@ -366,6 +481,7 @@ class PromptSession {
       merged.optional_focus,
       completedAt
     ]);
+    await this.touchActivity(promptSessionId);
 
     return this.getPrep(promptSessionId, userId);
   }
@@ -389,36 +505,253 @@ class PromptSession {
     return (row?.count || 0) >= required;
   }
 
-  async updateStatus(promptSessionId, status) {
+  // Move a session to `status` if the transition table allows it. The UPDATE
+  // is conditioned on the status we validated against, so two members racing
+  // the same transition cannot both succeed. `currentPhase` defaults to the
+  // first phase of the new status.
+  //
+  // Throws 'Invalid status' (400), 'Prompt session not found' (404),
+  // 'Invalid status transition' / 'Invalid phase for status' (409).
+  async updateStatus(promptSessionId, status, { userId = null, currentPhase } = {}) {
     if (!PromptSession.ALL_STATUSES.includes(status)) {
-      throw new Error(`Invalid status: ${status}`);
+      throw new Error('Invalid status');
+    }
+
+    const session = await this.queryOne(
+      `SELECT status, current_phase FROM prompt_sessions WHERE id = ?`,
+      [promptSessionId]
+    );
+    if (!session) {
+      throw new Error('Prompt session not found');
+    }
+    if (!PromptSession.canTransition(session.status, status)) {
+      throw new Error('Invalid status transition');
+    }
+
+    const phases = PromptSession.PHASES_BY_STATUS[status];
+    const nextPhase = currentPhase === undefined ? (phases[0] || null) : currentPhase;
+    if (nextPhase !== null && !phases.includes(nextPhase)) {
+      throw new Error('Invalid phase for status');
     }
+
     const result = await this.query(
-      `UPDATE prompt_sessions SET status = ?, updated_at = NOW() WHERE id = ?`,
-      [status, promptSessionId]
+      `UPDATE prompt_sessions
+         SET status = ?, current_phase = ?,
+             last_activity_at = NOW(), expiry_reminder_sent_at = NULL, updated_at = NOW()
+       WHERE id = ? AND status = ?`,
+      [status, nextPhase, promptSessionId, session.status]
     );
     if (result.affectedRows === 0) {
-      throw new Error('Prompt session not found');
+      throw new Error('Invalid status transition');
     }
+
+    await this.recordEvent(promptSessionId, {
+      userId,
+      eventType: 'status_changed',
+      fromStatus: session.status,
+      toStatus: status,
+      fromPhase: session.current_phase,
+      toPhase: nextPhase
+    });
     return { message: 'Status updated successfully' };
   }
 
-  async updatePhase(promptSessionId, currentPhase) {
+  // Move within the phases of the session's current status.
+  // Throws 'Invalid phase' (400), 'Prompt session not found' (404),
+  // 'Invalid phase for status' (409).
+  async updatePhase(promptSessionId, currentPhase, { userId = null } = {}) {
+    if (!PromptSession.ALL_PHASES.includes(currentPhase)) {
+      throw new Error('Invalid phase');
+    }
+
+    const session = await this.queryOne(
+      `SELECT status, current_phase FROM prompt_sessions WHERE id = ?`,
+      [promptSessionId]
+    );
+    if (!session) {
+      throw new Error('Prompt session not found');
+    }
+    if (!PromptSession.PHASES_BY_STATUS[session.status].includes(currentPhase)) {
+      throw new Error('Invalid phase for status');
+    }
+    if (session.current_phase === currentPhase) {
+      return { message: 'Phase updated successfully' };
+    }
+
     const result = await this.query(
-      `UPDATE prompt_sessions SET current_phase = ?, updated_at = NOW() WHERE id = ?`,
-      [currentPhase, promptSessionId]
+      `UPDATE prompt_sessions
+         SET current_phase = ?,
+             last_activity_at = NOW(), expiry_reminder_sent_at = NULL, updated_at = NOW()
+       WHERE id = ? AND status = ?`,
+      [currentPhase, promptSessionId, session.status]
     );
     if (result.affectedRows === 0) {
-      throw new Error('Prompt session not found');
+      throw new Error('Invalid phase for status');
     }
+
+    await this.recordEvent(promptSessionId, {
+      userId,
+      eventType: 'phase_changed',
+      fromStatus: session.status,
+      toStatus: session.status,
+      fromPhase: session.current_phase,
+      toPhase: currentPhase
+    });
     return { message: 'Phase updated successfully' };
   }
 
-  // ---- Generation persistence hooks (used once generation is implemented) ----
+  // Reset the idle clock (and any pending expiry reminder) after activity.
+  async touchActivity(promptSessionId) {
+    await this.query(
+      `UPDATE prompt_sessions
+         SET last_activity_at = NOW(), expiry_reminder_sent_at = NULL
+       WHERE id = ?`,
+      [promptSessionId]
+    );
+  }
+
+  // ---- Idle expiry ----
+
+  // Active sessions inside the reminder window (or already past expiry) that
+  // have not been reminded yet. Includes member ids for the push.
+  async getSessionsDueForExpiryReminder(reminderLeadHours) {
+    if (!this.idleHours) return [];
+    const reminderAfterMinutes = Math.max(0, Math.round((this.idleHours - reminderLeadHours) * 60));
+    const rows = await this.query(
+      `SELECT ps.*, pair.user1_id, pair.user2_id
+       FROM prompt_sessions ps
+       LEFT JOIN pairings pair ON ps.pairing_id = pair.id AND pair.deleted_at IS NULL
+       WHERE ps.status IN ('prep','bridge','in_session')
+         AND ps.expiry_reminder_sent_at IS NULL
+         AND ps.last_activity_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [reminderAfterMinutes]
+    );
+    return rows.map(row => ({
+      ...this.serializeSession(row),
+      member_ids: [...new Set([row.created_by_user_id, row.user1_id, row.user2_id].filter(Boolean))]
+    }));
+  }
+
+  async markExpiryReminderSent(promptSessionId) {
+    await this.query(
+      `UPDATE prompt_sessions SET expiry_reminder_sent_at = NOW() WHERE id = ?`,
+      [promptSessionId]
+    );
+  }
+
+  // Abandon active sessions idle past the window. A session is only expired
+  // after its reminder went out, so members always get a warning first.
+  // Returns the ids that were abandoned.
+  async abandonExpiredSessions() {
+    if (!this.idleHours) return [];
+    const idleMinutes = Math.round(this.idleHours * 60);
+    const rows = await this.query(
+      `SELECT id, status, current_phase
+       FROM prompt_sessions
+       WHERE status IN ('prep','bridge','in_session')
+         AND expiry_reminder_sent_at IS NOT NULL
+         AND last_activity_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [idleMinutes]
+    );
+
+    const abandoned = [];
+    for (const row of rows) {
+      // Re-check idleness in the UPDATE so activity that lands in between wins.
+      const result = await this.query(
+        `UPDATE prompt_sessions
+           SET status = 'abandoned', current_phase = NULL, updated_at = NOW()
+         WHERE id = ? AND status = ?
+           AND last_activity_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [row.id, row.status, idleMinutes]
+      );
+      if (result.affectedRows > 0) {
+        await this.recordEvent(row.id, {
+          eventType: 'expired',
+          fromStatus: row.status,
+          toStatus: 'abandoned',
+          fromPhase: row.current_phase,
+          toPhase: null
+        });
+        abandoned.push(row.id);
+      }
+    }
+    return abandoned;
+  }
+
+  // Abandon a pairing's active sessions (the partnership ended). Returns the
+  // ids that were abandoned.
+  async abandonPairingSessions(pairingId, { userId = null } = {}) {
+    const rows = await this.query(
+      `SELECT id, status, current_phase
+       FROM prompt_sessions
+       WHERE pairing_id = ? AND status IN ('prep','bridge','in_session')`,
+      [pairingId]
+    );
+
+    const abandoned = [];
+    for (const row of rows) {
+      const result = await this.query(
+        `UPDATE prompt_sessions
+           SET status = 'abandoned', current_phase = NULL, updated_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [row.id, row.status]
+      );
+      if (result.affectedRows > 0) {
+        await this.recordEvent(row.id, {
+          userId,
+          eventType: 'pairing_ended',
+          fromStatus: row.status,
+          toStatus: 'abandoned',
+          fromPhase: row.current_phase,
+          toPhase: null
+        });
+        abandoned.push(row.id);
+      }
+    }
+    return abandoned;
+  }
+
+  // ---- Lifecycle history ----
+
+  async recordEvent(promptSessionId, {
+    userId = null,
+    eventType,
+    fromStatus = null,
+    toStatus = null,
+    fromPhase = null,
+    toPhase = null
+  }) {
+    try {
+      await this.query(
+        `INSERT INTO prompt_session_events
+           (id, prompt_session_id, user_id, event_type, from_status, to_status, from_phase, to_phase, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [this.generateUniqueId(), promptSessionId, userId, eventType, fromStatus, toStatus, fromPhase, toPhase]
+      );
+    } catch (err) {
+      // History is best-effort; never fail the state change because of it.
+      console.error('Error recording prompt session event:', err.message);
+    }
+  }
+
+  async getEvents(promptSessionId) {
+    return this.query(
+      `SELECT id, prompt_session_id, user_id, event_type, from_status, to_status,
+              from_phase, to_phase, created_at
+       FROM prompt_session_events
+       WHERE prompt_session_id = ?
+       ORDER BY created_at ASC, id ASC`,
+      [promptSessionId]
+    );
+  }
+
+  // ---- Generation persistence hooks ----
 
   // Persist generated Bridge + Session content along with the prompt that
   // produced it. `bridgeContent` / `sessionContent` may be objects (stored as
-  // JSON) or strings.
+  // JSON) or strings. The status change obeys STATUS_TRANSITIONS, so content
+  // arriving after a session was abandoned does not revive it ('Invalid
+  // status transition').
   async saveGeneratedContent(promptSessionId, {
     bridgeContent = null,
     sessionContent = null,
@@ -428,6 +761,21 @@ class PromptSession {
     status = 'bridge'
   }) {
     const toStorage = (v) => (v && typeof v === 'object' ? JSON.stringify(v) : v);
+    const fromStatuses = Object.keys(PromptSession.STATUS_TRANSITIONS)
+      .filter(from => PromptSession.canTransition(from, status));
+    if (fromStatuses.length === 0) {
+      throw new Error('Invalid status transition');
+    }
+    const nextPhase = PromptSession.PHASES_BY_STATUS[status][0] || null;
+
+    const session = await this.queryOne(
+      `SELECT status, current_phase FROM prompt_sessions WHERE id = ?`,
+      [promptSessionId]
+    );
+    if (!session) {
+      throw new Error('Prompt session not found');
+    }
+
     const result = await this.query(
       `UPDATE prompt_sessions
          SET bridge_content = ?,
@@ -438,13 +786,24 @@ class PromptSession {
              seconds_to_generate = ?,
              generation_error = NULL,
              status = ?,
+             current_phase = ?,
+             last_activity_at = NOW(),
+             expiry_reminder_sent_at = NULL,
              updated_at = NOW()
-       WHERE id = ?`,
-      [toStorage(bridgeContent), toStorage(sessionContent), generationPrompt, llmUsed, secondsToGenerate, status, promptSessionId]
+       WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+      [toStorage(bridgeContent), toStorage(sessionContent), generationPrompt, llmUsed, secondsToGenerate, status, nextPhase, promptSessionId, ...fromStatuses]
     );
     if (result.affectedRows === 0) {
-      throw new Error('Prompt session not found');
+      throw new Error('Invalid status transition');
     }
+
+    await this.recordEvent(promptSessionId, {
+      eventType: 'content_generated',
+      fromStatus: session.status,
+      toStatus: status,
+      fromPhase: session.current_phase,
+      toPhase: nextPhase
+    });
     return { message: 'Generated content saved successfully' };
   }
 
@@ -466,6 +825,8 @@ class PromptSession {
     if (result.affectedRows === 0) {
       throw new Error('Prompt session not found');
     }
+
+    await this.recordEvent(promptSessionId, { eventType: 'generation_failed' });
     return { message: 'Generation error updated successfully' };
   }
 }
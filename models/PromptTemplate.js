@@ -0,0 +1,240 @@
+const { PROMPT_TEMPLATES, TEMPLATE_KEYS, isTemplateKey, findUnknownVariables } = require('../config/promptTemplates');
+
+// Versioned prompt templates (see config/promptTemplates.js for the keys and
+// built-in defaults). Lifecycle per row: draft → published → archived.
+// At most one version per key is published; publishing archives the
+// previous one, and an archived version can be re-published to roll back.
+const TEMPLATE_STATUSES = ['draft', 'published', 'archived'];
+
+const TEMPLATE_SELECT_COLUMNS = `
+  id, template_key, version, status, body, description, created_by,
+  published_at, created_at, updated_at
+`;
+
+class PromptTemplate {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get STATUSES() {
+    return TEMPLATE_STATUSES;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id VARCHAR(50) PRIMARY KEY,
+        template_key VARCHAR(100) NOT NULL,
+        version INT NOT NULL,
+        status ENUM('draft', 'published', 'archived') NOT NULL DEFAULT 'draft',
+        body MEDIUMTEXT NOT NULL,
+        description VARCHAR(255) DEFAULT NULL,
+        created_by VARCHAR(50) DEFAULT NULL,
+        published_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_template_key_version (template_key, version),
+        INDEX idx_prompt_templates_key_status (template_key, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Prompt templates table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating prompt_templates table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  validateBody(templateKey, body) {
+    if (typeof body !== 'string' || body.trim().length === 0) {
+      throw new Error('Template body is required');
+    }
+    const unknown = findUnknownVariables(templateKey, body);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown template variables: ${unknown.join(', ')}. Allowed for ${templateKey}: ${PROMPT_TEMPLATES[templateKey].variables.join(', ')}`
+      );
+    }
+  }
+
+  // New draft at the next version number for the key.
+  async createDraft({ templateKey, body, description = null, createdBy = null }) {
+    if (!isTemplateKey(templateKey)) {
+      throw new Error(`Invalid template_key. Must be one of: ${TEMPLATE_KEYS.join(', ')}`);
+    }
+    this.validateBody(templateKey, body);
+
+    const id = this.generateUniqueId();
+
+    try {
+      const latest = await this.queryOne(
+        'SELECT COALESCE(MAX(version), 0) AS version FROM prompt_templates WHERE template_key = ?',
+        [templateKey]
+      );
+      await this.query(
+        `INSERT INTO prompt_templates (id, template_key, version, status, body, description, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, 'draft', ?, ?, ?, NOW(), NOW())`,
+        [id, templateKey, Number(latest.version) + 1, body, description, createdBy]
+      );
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new Error('Template version conflict, please retry');
+      }
+      throw new Error('Failed to create prompt template');
+    }
+
+    return this.getTemplateById(id);
+  }
+
+  async getTemplateById(id) {
+    const row = await this.queryOne(
+      `SELECT ${TEMPLATE_SELECT_COLUMNS} FROM prompt_templates WHERE id = ?`,
+      [id]
+    );
+    if (!row) throw new Error('Prompt template not found');
+    return row;
+  }
+
+  async listTemplates({ templateKey = null, status = null } = {}) {
+    const where = [];
+    const params = [];
+    if (templateKey) {
+      where.push('template_key = ?');
+      params.push(templateKey);
+    }
+    if (status) {
+      if (!TEMPLATE_STATUSES.includes(status)) {
+        throw new Error(`Invalid status. Must be one of: ${TEMPLATE_STATUSES.join(', ')}`);
+      }
+      where.push('status = ?');
+      params.push(status);
+    }
+
+    return this.query(
+      `SELECT ${TEMPLATE_SELECT_COLUMNS} FROM prompt_templates
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY template_key ASC, version DESC`,
+      params
+    );
+  }
+
+  // The live version for a key, or null (services then use the built-in).
+  async getPublishedTemplate(templateKey) {
+    return this.queryOne(
+      `SELECT ${TEMPLATE_SELECT_COLUMNS} FROM prompt_templates
+       WHERE template_key = ? AND status = 'published'
+       ORDER BY published_at DESC, version DESC
+       LIMIT 1`,
+      [templateKey]
+    );
+  }
+
+  // A draft pinned by a running experiment arm is frozen like a published
+  // version, so every program in that arm was generated from the same text.
+  async assertNotInRunningExperiment(id) {
+    const row = await this.queryOne(
+      `SELECT id FROM experiments
+       WHERE status = 'running'
+         AND JSON_SEARCH(arms, 'one', ?, NULL, '$[*].prompt_template_id') IS NOT NULL
+       LIMIT 1`,
+      [id]
+    );
+    if (row) {
+      throw new Error('Template is used by a running experiment');
+    }
+  }
+
+  // Only drafts are editable: a published version is what generation_prompt
+  // rows point at, so it must never change under them.
+  async updateDraft(id, { body, description }) {
+    const template = await this.getTemplateById(id);
+    if (template.status !== 'draft') {
+      throw new Error('Only draft templates can be edited');
+    }
+    await this.assertNotInRunningExperiment(id);
+
+    const fields = [];
+    const values = [];
+    if (body !== undefined) {
+      this.validateBody(template.template_key, body);
+      fields.push('body = ?');
+      values.push(body);
+    }
+    if (description !== undefined) {
+      fields.push('description = ?');
+      values.push(description);
+    }
+    if (fields.length === 0) {
+      throw new Error('At least one field must be provided for update');
+    }
+
+    values.push(id);
+    await this.query(
+      `UPDATE prompt_templates SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ? AND status = 'draft'`,
+      values
+    );
+    return this.getTemplateById(id);
+  }
+
+  // Publish a draft (or re-publish an archived version to roll back). The
+  // previously published version for the key is archived.
+  async publishTemplate(id) {
+    const template = await this.getTemplateById(id);
+    if (template.status === 'published') {
+      throw new Error('Template is already published');
+    }
+
+    await this.query(
+      `UPDATE prompt_templates SET status = 'archived', updated_at = NOW()
+       WHERE template_key = ? AND status = 'published' AND id <> ?`,
+      [template.template_key, id]
+    );
+    await this.query(
+      `UPDATE prompt_templates SET status = 'published', published_at = NOW(), updated_at = NOW() WHERE id = ?`,
+      [id]
+    );
+    return this.getTemplateById(id);
+  }
+
+  // Archive the published version; the key falls back to the built-in default.
+  async unpublishTemplate(id) {
+    const template = await this.getTemplateById(id);
+    if (template.status !== 'published') {
+      throw new Error('Only published templates can be unpublished');
+    }
+
+    await this.query(
+      `UPDATE prompt_templates SET status = 'archived', updated_at = NOW() WHERE id = ?`,
+      [id]
+    );
+    return this.getTemplateById(id);
+  }
+
+  async deleteDraft(id) {
+    const template = await this.getTemplateById(id);
+    if (template.status !== 'draft') {
+      throw new Error('Only draft templates can be deleted');
+    }
+    await this.assertNotInRunningExperiment(id);
+    await this.query(`DELETE FROM prompt_templates WHERE id = ? AND status = 'draft'`, [id]);
+    return { message: 'Prompt template deleted successfully' };
+  }
+}
+
+module.exports = PromptTemplate;
@@ -0,0 +1,200 @@
+// Push delivery log, written by services/PushNotificationService.js for
+// every sendToUser / sendToUsers: one row per device token sent to (FCM
+// message id, or error code and whether the token was pruned), plus one row
+// per user the push did not reach a device for:
+//
+//   sent        FCM accepted the message for this token
+//   failed      FCM rejected it (error_code); pruned = token deleted as dead
+//   no_devices  the user had no registered device tokens
+//   suppressed  the user turned this kind off (notification preferences)
+//   deferred    held for the user's quiet hours until deliver_at
+//
+// Searched from GET /api/admin/push-deliveries; rows older than
+// PUSH_DELIVERY_RETENTION_DAYS are deleted by startPushDeliveryCleanupJob.
+const STATUSES = ['sent', 'failed', 'no_devices', 'suppressed', 'deferred'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const MAX_ERROR_MESSAGE_LENGTH = 255;
+// Rows per INSERT (11 placeholders each, well under the 65535 limit).
+const INSERT_BATCH = 500;
+
+class PushDelivery {
+  constructor(db) {
+    this.db = db; // MySQL pool
+  }
+
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  async query(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results;
+  }
+
+  async queryOne(sql, params = []) {
+    const [results] = await this.db.execute(sql, params);
+    return results[0] || null;
+  }
+
+  async initDatabase() {
+    // No foreign keys: the log outlives pruned device tokens and users.
+    const createTable = `
+      CREATE TABLE IF NOT EXISTS push_deliveries (
+        id VARCHAR(50) PRIMARY KEY,
+        user_id VARCHAR(50) NOT NULL,
+        kind VARCHAR(64) DEFAULT NULL,
+        status ENUM('sent', 'failed', 'no_devices', 'suppressed', 'deferred') NOT NULL,
+        device_token_id VARCHAR(50) DEFAULT NULL,
+        platform ENUM('ios', 'android', 'web') DEFAULT NULL,
+        fcm_message_id VARCHAR(255) DEFAULT NULL,
+        error_code VARCHAR(100) DEFAULT NULL,
+        error_message VARCHAR(255) DEFAULT NULL,
+        pruned BOOLEAN NOT NULL DEFAULT FALSE,
+        deliver_at DATETIME DEFAULT NULL,
+        created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_push_deliveries_user_created (user_id, created_at),
+        INDEX idx_push_deliveries_kind_created (kind, created_at),
+        INDEX idx_push_deliveries_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    try {
+      await this.query(createTable);
+      console.log('Push deliveries table initialized successfully.');
+    } catch (err) {
+      console.error('Error creating push_deliveries table:', err.message);
+      throw err;
+    }
+  }
+
+  generateUniqueId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  formatDelivery(row) {
+    return {
+      ...row,
+      pruned: Boolean(row.pruned)
+    };
+  }
+
+  /**
+   * Insert delivery rows (batched). Each entry:
+   * { userId, kind, status, deviceTokenId, platform, fcmMessageId, errorCode,
+   *   errorMessage, pruned, deliverAt }. Resolves to the number recorded.
+   */
+  async recordDeliveries(deliveries) {
+    for (let i = 0; i < deliveries.length; i += INSERT_BATCH) {
+      await this._insertBatch(deliveries.slice(i, i + INSERT_BATCH));
+    }
+    return deliveries.length;
+  }
+
+  async _insertBatch(deliveries) {
+    const params = [];
+    for (const delivery of deliveries) {
+      params.push(
+        this.generateUniqueId(),
+        delivery.userId,
+        delivery.kind || null,
+        delivery.status,
+        delivery.deviceTokenId || null,
+        delivery.platform || null,
+        delivery.fcmMessageId || null,
+        delivery.errorCode || null,
+        delivery.errorMessage ? String(delivery.errorMessage).slice(0, MAX_ERROR_MESSAGE_LENGTH) : null,
+        Boolean(delivery.pruned),
+        delivery.deliverAt ? new Date(delivery.deliverAt) : null
+      );
+    }
+
+    try {
+      await this.query(
+        `INSERT INTO push_deliveries
+           (id, user_id, kind, status, device_token_id, platform, fcm_message_id, error_code, error_message, pruned, deliver_at, created_at)
+         VALUES ${deliveries.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(3))').join(', ')}`,
+        params
+      );
+    } catch (err) {
+      throw new Error('Failed to record push deliveries');
+    }
+  }
+
+  /**
+   * Newest deliveries first, filtered by user / kind / status and an
+   * inclusive YYYY-MM-DD (UTC) range, with per-status counts for the same
+   * filters.
+   */
+  async searchDeliveries({ userId = null, kind = null, status = null, from = null, to = null, limit = DEFAULT_LIST_LIMIT } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw new Error(`Invalid status. Must be one of: ${STATUSES.join(', ')}`);
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      throw new Error('Invalid date range. Use YYYY-MM-DD for from and to');
+    }
+    if (from && to && from > to) {
+      throw new Error('Invalid date range. from must be on or before to');
+    }
+    const safeLimit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+    const where = [];
+    const params = [];
+    if (userId) {
+      where.push('user_id = ?');
+      params.push(userId);
+    }
+    if (kind) {
+      where.push('kind = ?');
+      params.push(kind);
+    }
+    if (from) {
+      where.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      where.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(to);
+    }
+    const countWhereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const listWhere = status ? [...where, 'status = ?'] : where;
+    const listParams = status ? [...params, status] : params;
+    const listWhereSql = listWhere.length ? `WHERE ${listWhere.join(' AND ')}` : '';
+
+    try {
+      const rows = await this.query(
+        `SELECT * FROM push_deliveries ${listWhereSql} ORDER BY created_at DESC, id DESC LIMIT ${safeLimit}`,
+        listParams
+      );
+      const countRows = await this.query(
+        `SELECT status, COUNT(*) AS count FROM push_deliveries ${countWhereSql} GROUP BY status`,
+        params
+      );
+
+      const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+      for (const row of countRows) {
+        counts[row.status] = Number(row.count);
+      }
+      return { deliveries: rows.map(row => this.formatDelivery(row)), counts };
+    } catch (err) {
+      throw new Error('Failed to search push deliveries');
+    }
+  }
+
+  // Delete rows older than `retentionDays`. Resolves to the number removed.
+  async cleanupOldDeliveries(retentionDays) {
+    try {
+      const result = await this.query(
+        'DELETE FROM push_deliveries WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+        [retentionDays]
+      );
+      return result.affectedRows;
+    } catch (err) {
+      throw new Error('Failed to cleanup old push deliveries');
+    }
+  }
+}
+
+module.exports = PushDelivery;
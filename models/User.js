@@ -1,4 +1,5 @@
 const bcrypt = require('bcrypt');
+const NotificationTemplates = require('../services/NotificationTemplates');
 
 class User {
   constructor(db) {
@@ -208,6 +209,107 @@ class User {
       } catch (migrationErr) {
         console.warn('Migration warning for stripe_customer_id column:', migrationErr.message);
       }
+
+      // Migration: Add daily reminder settings (services/DailyReminderService.js).
+      // reminder_time is HH:MM in the program's timezone; NULL uses the default.
+      const reminderColumns = [
+        { name: 'reminder_time', type: 'VARCHAR(5) DEFAULT NULL' },
+        { name: 'daily_reminders_enabled', type: 'TINYINT(1) NOT NULL DEFAULT 1' }
+      ];
+
+      for (const column of reminderColumns) {
+        try {
+          const columnExists = await this.queryOne(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE()
+              AND TABLE_NAME = 'users'
+              AND COLUMN_NAME = '${column.name}'
+          `);
+
+          if (!columnExists) {
+            await this.query(`ALTER TABLE users ADD COLUMN ${column.name} ${column.type}`);
+            console.log(`Migrated users table: added ${column.name} column`);
+          }
+        } catch (migrationErr) {
+          console.warn(`Migration warning for ${column.name} column:`, migrationErr.message);
+        }
+      }
+
+      // Migration: Add locale for push notification templates
+      // (services/NotificationTemplates.js). NULL uses the default locale.
+      try {
+        const localeExists = await this.queryOne(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = 'users'
+            AND COLUMN_NAME = 'locale'
+        `);
+
+        if (!localeExists) {
+          await this.query('ALTER TABLE users ADD COLUMN locale VARCHAR(10) DEFAULT NULL');
+          console.log('Migrated users table: added locale column');
+        }
+      } catch (migrationErr) {
+        console.warn('Migration warning for locale column:', migrationErr.message);
+      }
+
+      // Migration: Add active_pairing_id, the pairing POST /api/programs uses
+      // when pairing_id is omitted (users in several accepted pairings).
+      try {
+        const activePairingExists = await this.queryOne(`
+          SELECT COLUMN_NAME
+          FROM INFORMATION_SCHEMA.COLUMNS
+          WHERE TABLE_SCHEMA = DATABASE()
+            AND TABLE_NAME = 'users'
+            AND COLUMN_NAME = 'active_pairing_id'
+        `);
+
+        if (!activePairingExists) {
+          await this.query('ALTER TABLE users ADD COLUMN active_pairing_id VARCHAR(50) DEFAULT NULL');
+          console.log('Migrated users table: added active_pairing_id column');
+        }
+      } catch (migrationErr) {
+        console.warn('Migration warning for active_pairing_id column:', migrationErr.message);
+      }
+
+      // Migration: Add email verification (services/EmailVerificationService.js).
+      // email_verified_at is set once the address is confirmed; accounts that
+      // exist when the column is added are backfilled as verified (from
+      // created_at) so EMAIL_VERIFICATION_REQUIRED_FOR only gates sign-ups
+      // from then on. pending_email holds a requested change of email until
+      // the new address is confirmed.
+      const emailVerificationColumns = [
+        {
+          name: 'email_verified_at',
+          type: 'DATETIME DEFAULT NULL',
+          backfill: 'UPDATE users SET email_verified_at = COALESCE(created_at, NOW()) WHERE email_verified_at IS NULL'
+        },
+        { name: 'pending_email', type: 'VARCHAR(255) DEFAULT NULL' }
+      ];
+
+      for (const column of emailVerificationColumns) {
+        try {
+          const columnExists = await this.queryOne(`
+            SELECT COLUMN_NAME
+            FROM INFORMATION_SCHEMA.COLUMNS
+            WHERE TABLE_SCHEMA = DATABASE()
+              AND TABLE_NAME = 'users'
+              AND COLUMN_NAME = '${column.name}'
+          `);
+
+          if (!columnExists) {
+            await this.query(`ALTER TABLE users ADD COLUMN ${column.name} ${column.type}`);
+            if (column.backfill) {
+              await this.query(column.backfill);
+            }
+            console.log(`Migrated users table: added ${column.name} column${column.backfill ? ' (backfilled existing rows)' : ''}`);
+          }
+        } catch (migrationErr) {
+          console.warn(`Migration warning for ${column.name} column:`, migrationErr.message);
+        }
+      }
     } catch (err) {
       console.error('Error creating users table:', err.message);
       throw err;
@@ -332,6 +434,24 @@ class User {
     }
   }
 
+  // user id → locale (null when unset) for push notification templates.
+  async getLocalesForUsers(userIds) {
+    const locales = new Map();
+    if (!userIds.length) return locales;
+    try {
+      const rows = await this.query(
+        `SELECT id, locale FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`,
+        userIds
+      );
+      for (const row of rows) {
+        locales.set(row.id, row.locale || null);
+      }
+      return locales;
+    } catch (err) {
+      throw new Error('Failed to fetch user locales');
+    }
+  }
+
   // Get user by email (excluding soft deleted)
   async getUserByEmail(email) {
     try {
@@ -379,7 +499,8 @@ class User {
     const {
       email, max_pairings, user_name, partner_name, children,
       org_code_id, org_name, org_city, org_state, is_premium,
-      bypass_password, stripe_customer_id
+      bypass_password, stripe_customer_id, reminder_time, daily_reminders_enabled, locale,
+      active_pairing_id
     } = updateData;
 
     // Build update query dynamically
@@ -387,6 +508,10 @@ class User {
     const updateValues = [];
 
     if (email) {
+      // A different address is unverified until it is confirmed again.
+      // MySQL applies SET assignments left to right, so this sees the old email.
+      updateFields.push('email_verified_at = IF(email = ?, email_verified_at, NULL)');
+      updateValues.push(email);
       updateFields.push('email = ?');
       updateValues.push(email);
     }
@@ -438,6 +563,34 @@ class User {
       updateFields.push('stripe_customer_id = ?');
       updateValues.push(stripe_customer_id);
     }
+    if (reminder_time !== undefined) {
+      // HH:MM (24-hour) or null for the default reminder time
+      if (reminder_time !== null && (typeof reminder_time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(reminder_time))) {
+        throw new Error('Reminder time must be HH:MM (24-hour) or null');
+      }
+      updateFields.push('reminder_time = ?');
+      updateValues.push(reminder_time);
+    }
+    if (daily_reminders_enabled !== undefined) {
+      if (typeof daily_reminders_enabled !== 'boolean') {
+        throw new Error('Daily reminders enabled must be a boolean');
+      }
+      updateFields.push('daily_reminders_enabled = ?');
+      updateValues.push(daily_reminders_enabled ? 1 : 0);
+    }
+    if (locale !== undefined) {
+      // Push notification locale, or null for the default
+      if (locale !== null && !NotificationTemplates.isSupportedLocale(locale)) {
+        throw new Error(`Locale must be one of: ${NotificationTemplates.LOCALES.join(', ')}, or null`);
+      }
+      updateFields.push('locale = ?');
+      updateValues.push(locale);
+    }
+    if (active_pairing_id !== undefined) {
+      // Membership is checked by the route; null clears the selection
+      updateFields.push('active_pairing_id = ?');
+      updateValues.push(active_pairing_id);
+    }
 
     // Check if at least one field is being updated
     if (updateFields.length === 0) {
@@ -467,6 +620,99 @@ class User {
     }
   }
 
+  // Replace the password (password reset). Validated like createUser.
+  async updatePassword(id, password) {
+    const passwordValidation = this.validatePassword(password);
+    if (!passwordValidation.valid) {
+      throw new Error(passwordValidation.error);
+    }
+
+    const hash = await new Promise((resolve, reject) => {
+      bcrypt.hash(password, 10, (err, hash) => {
+        if (err) {
+          reject(new Error('Failed to hash password'));
+        } else {
+          resolve(hash);
+        }
+      });
+    });
+
+    let result;
+    try {
+      result = await this.query(
+        'UPDATE users SET password_hash = ?, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+        [hash, id]
+      );
+    } catch (err) {
+      throw new Error('Failed to update password');
+    }
+    if (result.affectedRows === 0) {
+      throw new Error('User not found');
+    }
+    return true;
+  }
+
+  // Record (or with null, cancel) a requested change of email address.
+  async setPendingEmail(id, email) {
+    let result;
+    try {
+      result = await this.query(
+        'UPDATE users SET pending_email = ?, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+        [email, id]
+      );
+    } catch (err) {
+      throw new Error('Failed to update pending email');
+    }
+    if (result.affectedRows === 0) {
+      throw new Error('User not found');
+    }
+    return true;
+  }
+
+  // Mark `email` verified, provided it is still the user's address.
+  // Resolves to false when the address has changed since.
+  async markEmailVerified(id, email) {
+    try {
+      const result = await this.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+         WHERE id = ? AND email = ? AND deleted_at IS NULL`,
+        [id, email]
+      );
+      return result.affectedRows > 0;
+    } catch (err) {
+      throw new Error('Failed to verify email');
+    }
+  }
+
+  // Swap in the confirmed pending_email (now verified). Resolves to false
+  // when `email` is no longer the pending address.
+  async confirmPendingEmail(id, email) {
+    try {
+      const result = await this.query(
+        `UPDATE users SET email = pending_email, pending_email = NULL, email_verified_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND pending_email = ? AND deleted_at IS NULL`,
+        [id, email]
+      );
+      return result.affectedRows > 0;
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new Error('Email already exists');
+      }
+      throw new Error('Failed to change email');
+    }
+  }
+
+  // Clear active_pairing_id wherever it points at `pairingId` (the pairing
+  // ended). Resolves to the number of users updated.
+  async clearActivePairing(pairingId) {
+    try {
+      const result = await this.query('UPDATE users SET active_pairing_id = NULL WHERE active_pairing_id = ?', [pairingId]);
+      return result.affectedRows;
+    } catch (err) {
+      throw new Error('Failed to clear active pairing');
+    }
+  }
+
   async logOrgCodeLinkChange(userId, changedByUserId, previousOrgCodeId, newOrgCodeId) {
     const changeType =
       !previousOrgCodeId && newOrgCodeId ? 'attach' :
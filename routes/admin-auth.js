@@ -2,6 +2,7 @@ const express = require('express');
 const { createAuthenticateToken } = require('../middleware/auth');
 const {
   loginLimiter,
+  passwordResetLimiter,
   isAccountLocked,
   recordFailedAttempt,
   clearFailedAttempts,
@@ -17,7 +18,7 @@ function filterAdminUserData(user) {
   return filteredUser;
 }
 
-function createAdminAuthRoutes(adminAuthService, adminUserModel) {
+function createAdminAuthRoutes(adminAuthService, adminUserModel, passwordResetService = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(adminAuthService);
 
@@ -199,6 +200,55 @@ function createAdminAuthRoutes(adminAuthService, adminUserModel) {
     }
   });
 
+  // Admin forgot password: emails a one-time reset link. Always the same 200
+  // response, whether or not the email belongs to an admin account.
+  router.post('/password/forgot', passwordResetLimiter, async (req, res) => {
+    try {
+      if (!passwordResetService || !passwordResetService.adminUserModel) {
+        return res.status(503).json({ error: 'Password reset is not configured' });
+      }
+
+      const { email } = req.body;
+      if (!email || typeof email !== 'string') {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      await passwordResetService.requestReset(email.trim(), 'admin');
+      res.status(200).json({
+        message: 'If an admin account exists for that email, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Admin password reset request error:', error.message);
+      return res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  });
+
+  // Admin reset password with the emailed token. Signs out every session
+  // (all refresh tokens are revoked) and clears any login lockout.
+  router.post('/password/reset', passwordResetLimiter, async (req, res) => {
+    try {
+      if (!passwordResetService || !passwordResetService.adminUserModel) {
+        return res.status(503).json({ error: 'Password reset is not configured' });
+      }
+
+      const { token, password } = req.body;
+      if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Token and password are required' });
+      }
+
+      const account = await passwordResetService.resetPassword(token, password, 'admin');
+      clearFailedAttempts(account.email);
+
+      res.status(200).json({ message: 'Password reset successfully. Please log in with your new password' });
+    } catch (error) {
+      if (error.message === 'Invalid or expired reset token' || error.message.includes('Password')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Admin password reset error:', error.message);
+      return res.status(500).json({ error: 'Failed to reset password' });
+    }
+  });
+
   // Admin logout endpoint
   router.post('/logout', authenticateToken, async (req, res) => {
     try {
@@ -0,0 +1,298 @@
+const express = require('express');
+const { createAuthenticateToken } = require('../middleware/auth');
+const { adminActionLimiter } = require('../middleware/security');
+
+// Fields compared between a program's current days and a draft's.
+const DAY_FIELDS = ['theme', 'conversation_starter', 'science_behind_it'];
+
+// Side-by-side comparison of current steps and draft days, matched by day.
+// Each entry's `change` is unchanged / changed / added (draft only) /
+// removed (current only); `message_count` is what a removed day would take
+// with it on publish.
+function diffProgramDays(currentSteps, draftDays, messageCounts = {}) {
+  const currentByDay = new Map(currentSteps.map(step => [Number(step.day), step]));
+  const draftByDay = new Map(draftDays.map(day => [Number(day.day), day]));
+  const allDays = [...new Set([...currentByDay.keys(), ...draftByDay.keys()])].sort((a, b) => a - b);
+
+  const summary = { unchanged: 0, changed: 0, added: 0, removed: 0, messages_removed: 0 };
+  const days = allDays.map(day => {
+    const step = currentByDay.get(day) || null;
+    const draftDay = draftByDay.get(day) || null;
+    const current = step
+      ? {
+          step_id: step.id,
+          theme: step.theme,
+          conversation_starter: step.conversation_starter ?? null,
+          science_behind_it: step.science_behind_it ?? null,
+          message_count: messageCounts[step.id] || 0
+        }
+      : null;
+    const draft = draftDay
+      ? {
+          theme: draftDay.theme,
+          conversation_starter: draftDay.conversation_starter ?? null,
+          science_behind_it: draftDay.science_behind_it ?? null
+        }
+      : null;
+
+    let change;
+    let changedFields = [];
+    if (current && draft) {
+      changedFields = DAY_FIELDS.filter(field => (current[field] ?? null) !== (draft[field] ?? null));
+      change = changedFields.length ? 'changed' : 'unchanged';
+    } else {
+      change = current ? 'removed' : 'added';
+      changedFields = [...DAY_FIELDS];
+      if (current) summary.messages_removed += current.message_count;
+    }
+    summary[change]++;
+    return { day, change, changed_fields: changedFields, current, draft };
+  });
+
+  return { summary, days };
+}
+
+// Admin program regeneration (mounted at /api/admin/programs). Queues the
+// same program_generation job the regeneration poller uses — replacing the
+// steps in place, or into a draft (models/ProgramDraft.js) that is compared
+// with the current days and published explicitly. Publishing updates days
+// that still exist in place, so their messages are kept.
+function createAdminProgramRoutes(programModel, programStepModel, programDraftModel, adminAuthService, jobQueue = null) {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(adminAuthService);
+
+  const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.type !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    return next();
+  };
+
+  // Map model errors to status codes; anything unrecognised is a 500.
+  const sendError = (res, error, fallbackMessage) => {
+    if (error.message === 'Program not found' || error.message === 'Draft not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Only ')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid ') || error.message.startsWith('At least one filter')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[admin-programs] error:', error.message);
+    return res.status(500).json({ error: fallbackMessage });
+  };
+
+  // Queue one program's regeneration. `requestId` scopes the replace job's
+  // idempotency key to this admin request; a draft job is keyed on its draft.
+  async function queueRegeneration(programId, { draft, adminId, requestId }) {
+    if (draft) {
+      const programDraft = await programDraftModel.createDraft(programId, adminId);
+      const { job } = await jobQueue.enqueue('program_generation', {
+        program_id: programId,
+        mode: 'regenerate',
+        notify_user_id: null,
+        draft_id: programDraft.id
+      }, { idempotencyKey: `program_draft:${programDraft.id}` });
+      await programDraftModel.attachJob(programDraft.id, job.id);
+      return { program_id: programId, job_id: job.id, draft_id: programDraft.id };
+    }
+
+    const { job } = await jobQueue.enqueue('program_generation', {
+      program_id: programId,
+      mode: 'regenerate',
+      notify_user_id: null
+    }, { idempotencyKey: `program:${programId}:regenerate:admin:${requestId}` });
+    await programModel.markGenerationQueued(programId, job.max_attempts, 'regenerate')
+      .catch(error => console.error(`[admin-programs] Could not update generation status for program ${programId}:`, error.message));
+    return { program_id: programId, job_id: job.id, draft_id: null };
+  }
+
+  async function queueRegenerations(res, programIds, { draft, adminId }) {
+    const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+    const queued = [];
+    const failed = [];
+    for (const programId of programIds) {
+      try {
+        queued.push(await queueRegeneration(programId, { draft, adminId, requestId }));
+      } catch (error) {
+        console.error(`[admin-programs] Could not queue regeneration for program ${programId}:`, error.message);
+        failed.push({ program_id: programId, error: 'Failed to queue regeneration' });
+      }
+    }
+    console.log(`[admin-programs] Queued ${queued.length} regeneration(s)${draft ? ' as drafts' : ''} (${failed.length} failed) by admin ${adminId}`);
+
+    return res.status(202).json({
+      message: draft ? 'Draft regeneration queued' : 'Regeneration queued',
+      draft,
+      count: queued.length,
+      queued,
+      failed
+    });
+  }
+
+  // Draft responses leave out the raw response and prompt; the diff shows
+  // the content.
+  const withoutContent = ({ therapy_response: _response, generation_prompt: _prompt, ...draft }) => draft;
+
+  // A program's draft; 404 when the draft belongs to another program.
+  async function getProgramDraft(programId, draftId) {
+    const draft = await programDraftModel.getDraftById(draftId);
+    if (draft.program_id !== programId) {
+      throw new Error('Draft not found');
+    }
+    return draft;
+  }
+
+  // Queue regeneration for a batch of programs.
+  // POST /api/admin/programs/regenerate
+  //   { program_ids?, org_code_id?, created_from?, created_to?, limit?, draft? }
+  // Filters combine; at least one is required.
+  router.post('/regenerate', adminActionLimiter, authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      if (!jobQueue) {
+        return res.status(503).json({ error: 'Job queue is not configured' });
+      }
+
+      const { program_ids, org_code_id, created_from, created_to, limit, draft } = req.body;
+      const programIds = await programModel.findProgramsForRegeneration({
+        programIds: program_ids === undefined ? null : program_ids,
+        orgCodeId: typeof org_code_id === 'string' && org_code_id ? org_code_id : null,
+        createdFrom: typeof created_from === 'string' && created_from ? created_from : null,
+        createdTo: typeof created_to === 'string' && created_to ? created_to : null,
+        limit
+      });
+
+      return queueRegenerations(res, programIds, { draft: draft === true, adminId: req.user.id });
+    } catch (error) {
+      return sendError(res, error, 'Failed to queue regeneration');
+    }
+  });
+
+  // Queue regeneration for one program.
+  // POST /api/admin/programs/:id/regenerate { draft? }
+  router.post('/:id/regenerate', adminActionLimiter, authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      if (!jobQueue) {
+        return res.status(503).json({ error: 'Job queue is not configured' });
+      }
+
+      const program = await programModel.getProgramById(req.params.id);
+      return queueRegenerations(res, [program.id], { draft: req.body.draft === true, adminId: req.user.id });
+    } catch (error) {
+      return sendError(res, error, 'Failed to queue regeneration');
+    }
+  });
+
+  // Drafts of a program, newest first.
+  router.get('/:id/drafts', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const program = await programModel.getProgramById(req.params.id);
+      const drafts = await programDraftModel.listDrafts(program.id);
+
+      res.status(200).json({
+        message: 'Drafts retrieved successfully',
+        drafts
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch drafts');
+    }
+  });
+
+  // A draft with its diff against the current days (null until it is ready).
+  router.get('/:id/drafts/:draft_id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const program = await programModel.getProgramById(req.params.id);
+      const draft = await getProgramDraft(program.id, req.params.draft_id);
+
+      let diff = null;
+      if (draft.therapy_response) {
+        const [currentSteps, messageCounts] = await Promise.all([
+          programStepModel.getProgramSteps(program.id),
+          programStepModel.getStepMessageCounts(program.id)
+        ]);
+        diff = diffProgramDays(currentSteps, programStepModel.parseProgramDays(draft.therapy_response), messageCounts);
+      }
+
+      res.status(200).json({
+        message: 'Draft retrieved successfully',
+        draft: withoutContent(draft),
+        diff
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch draft');
+    }
+  });
+
+  // Publish a ready draft: its content becomes the program's therapy
+  // response and steps are updated in place by day (messages on days that
+  // still exist are kept; removed days lose theirs). The draft is claimed
+  // before the program is written, so a concurrent publish or discard never
+  // gets its content applied as well.
+  router.post('/:id/drafts/:draft_id/publish', adminActionLimiter, authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const program = await programModel.getProgramById(req.params.id);
+      const draft = await getProgramDraft(program.id, req.params.draft_id);
+      if (draft.status !== 'ready') {
+        return res.status(409).json({ error: `Only ready drafts can be published (draft is ${draft.status})` });
+      }
+
+      const claimed = await programDraftModel.markDraftPublished(draft.id, req.user.id);
+      if (!claimed) {
+        const current = await programDraftModel.getDraftById(draft.id);
+        return res.status(409).json({ error: `Only ready drafts can be published (draft is ${current.status})` });
+      }
+
+      let steps;
+      try {
+        await programModel.updateTherapyResponse(
+          program.id,
+          draft.therapy_response,
+          draft.seconds_to_load,
+          draft.generation_prompt,
+          draft.llm_used,
+          draft.prompt_template_version !== null ? { id: draft.prompt_template_id, version: draft.prompt_template_version } : null,
+          draft.experiment_id ? { experiment_id: draft.experiment_id, arm: draft.experiment_arm } : null
+        );
+        steps = await programStepModel.replaceProgramSteps(program.id, draft.therapy_response);
+      } catch (error) {
+        // Hand the draft back so the publish can be retried.
+        await programDraftModel.releaseDraftClaim(draft.id)
+          .catch(releaseError => console.error(`[admin-programs] Could not release draft ${draft.id}:`, releaseError.message));
+        throw error;
+      }
+      await programModel.markGenerationSucceeded(program.id)
+        .catch(error => console.error(`[admin-programs] Could not update generation status for program ${program.id}:`, error.message));
+      console.log(`[admin-programs] Draft ${draft.id} published to program ${program.id} by admin ${req.user.id}`);
+
+      res.status(200).json({
+        message: 'Draft published successfully',
+        draft: withoutContent(await programDraftModel.getDraftById(draft.id)),
+        steps
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to publish draft');
+    }
+  });
+
+  // Discard a draft that has not been published.
+  router.delete('/:id/drafts/:draft_id', adminActionLimiter, authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const program = await programModel.getProgramById(req.params.id);
+      await getProgramDraft(program.id, req.params.draft_id);
+      const draft = await programDraftModel.discardDraft(req.params.draft_id);
+
+      res.status(200).json({
+        message: 'Draft discarded successfully',
+        draft: withoutContent(draft)
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to discard draft');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminProgramRoutes;
+module.exports.diffProgramDays = diffProgramDays;
@@ -2,7 +2,10 @@ const express = require('express');
 const { createAuthenticateToken } = require('../middleware/auth');
 const { adminActionLimiter } = require('../middleware/security');
 
-function createAdminRoutes(adminAuthService, pushNotificationService, userModel) {
+// Upper bound for PUT /users/:id/max-pairings (multi-partner accounts such as coaches).
+const MAX_PAIRINGS_LIMIT = 20;
+
+function createAdminRoutes(adminAuthService, pushNotificationService, userModel, llmUsageModel = null, generationJobModel = null, pushDeliveryModel = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(adminAuthService);
 
@@ -56,6 +59,170 @@ function createAdminRoutes(adminAuthService, pushNotificationService, userModel)
     }
   });
 
+  // Push delivery log (one row per device token sent to, plus users a push
+  // did not reach), newest first, with per-status counts.
+  // GET /api/admin/push-deliveries?user_id=...&kind=step_message&status=failed&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=50
+  router.get('/push-deliveries', authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      if (!pushDeliveryModel) {
+        return res.status(503).json({ error: 'Push delivery log is not configured' });
+      }
+
+      const { user_id, kind, status, from, to, limit } = req.query;
+      const { deliveries, counts } = await pushDeliveryModel.searchDeliveries({
+        userId: typeof user_id === 'string' && user_id ? user_id : null,
+        kind: typeof kind === 'string' && kind ? kind : null,
+        status: typeof status === 'string' && status ? status : null,
+        from: typeof from === 'string' && from ? from : null,
+        to: typeof to === 'string' && to ? to : null,
+        limit
+      });
+
+      res.status(200).json({
+        message: 'Push deliveries retrieved successfully',
+        deliveries,
+        counts
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid status') || error.message.startsWith('Invalid date range')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('[push-deliveries] error:', error.message);
+      return res.status(500).json({ error: 'Failed to retrieve push deliveries' });
+    }
+  });
+
+  // LLM spend report: totals plus per-day, per-org and per-feature breakdowns.
+  // GET /api/admin/llm-usage?from=YYYY-MM-DD&to=YYYY-MM-DD&org_code_id=...
+  // Range is inclusive (UTC) and defaults to the last 30 days.
+  router.get('/llm-usage', authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      if (!llmUsageModel) {
+        return res.status(503).json({ error: 'LLM usage tracking is not configured' });
+      }
+
+      const { from, to, org_code_id } = req.query;
+      const report = await llmUsageModel.getSpendReport({
+        from: typeof from === 'string' ? from : undefined,
+        to: typeof to === 'string' ? to : undefined,
+        orgCodeId: typeof org_code_id === 'string' && org_code_id ? org_code_id : null
+      });
+
+      res.status(200).json({
+        message: 'LLM usage report retrieved successfully',
+        report
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid date range')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('[llm-usage] error:', error.message);
+      return res.status(500).json({ error: 'Failed to retrieve LLM usage report' });
+    }
+  });
+
+  // Background generation jobs (program generation, chime-ins, therapy
+  // responses), newest first, with per-status counts.
+  // GET /api/admin/jobs?status=dead&type=program_generation&limit=50
+  router.get('/jobs', authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      if (!generationJobModel) {
+        return res.status(503).json({ error: 'Job queue is not configured' });
+      }
+
+      const { status, type, limit } = req.query;
+      const { jobs, counts } = await generationJobModel.listJobs({
+        status: typeof status === 'string' && status ? status : null,
+        type: typeof type === 'string' && type ? type : null,
+        limit
+      });
+
+      res.status(200).json({
+        message: 'Jobs retrieved successfully',
+        jobs,
+        counts
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid status')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('[jobs] error:', error.message);
+      return res.status(500).json({ error: 'Failed to retrieve jobs' });
+    }
+  });
+
+  // Put a dead-lettered job back on the queue with fresh attempts.
+  // POST /api/admin/jobs/:id/retry
+  router.post('/jobs/:id/retry', adminActionLimiter, authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      if (!generationJobModel) {
+        return res.status(503).json({ error: 'Job queue is not configured' });
+      }
+
+      const job = await generationJobModel.retryJob(req.params.id);
+      res.status(200).json({
+        message: 'Job queued for retry',
+        job
+      });
+    } catch (error) {
+      if (error.message === 'Job not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Only dead jobs can be retried') {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('[jobs] retry error:', error.message);
+      return res.status(500).json({ error: 'Failed to retry job' });
+    }
+  });
+
+  // Allow a user several accepted pairings (default 1). Lowering it never
+  // ends existing pairings; it only blocks new requests and accepts.
+  // PUT /api/admin/users/:id/max-pairings { max_pairings }
+  router.put('/users/:id/max-pairings', adminActionLimiter, authenticateToken, async (req, res) => {
+    try {
+      if (req.user.type !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+
+      const { max_pairings } = req.body || {};
+      if (!Number.isInteger(max_pairings) || max_pairings < 1 || max_pairings > MAX_PAIRINGS_LIMIT) {
+        return res.status(400).json({ error: `max_pairings must be an integer from 1 to ${MAX_PAIRINGS_LIMIT}` });
+      }
+      if (!userModel) {
+        return res.status(503).json({ error: 'User model is not configured' });
+      }
+
+      const user = await userModel.updateUser(req.params.id, { max_pairings });
+      res.status(200).json({
+        message: 'Max pairings updated successfully',
+        user: { id: user.id, email: user.email, max_pairings: user.max_pairings }
+      });
+    } catch (error) {
+      if (error.message === 'User not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('[max-pairings] error:', error.message);
+      return res.status(500).json({ error: 'Failed to update max pairings' });
+    }
+  });
+
   return router;
 }
 
@@ -2,6 +2,8 @@ const express = require('express');
 const { createAuthenticateToken } = require('../middleware/auth');
 const { 
   loginLimiter, 
+  passwordResetLimiter,
+  emailVerificationLimiter,
   isAccountLocked, 
   recordFailedAttempt, 
   clearFailedAttempts,
@@ -17,7 +19,7 @@ function filterUserData(user) {
   return filteredUser;
 }
 
-function createAuthRoutes(authService, userModel, pairingService, orgCodeModel) {
+function createAuthRoutes(authService, userModel, pairingService, orgCodeModel, passwordResetService = null, emailVerificationService = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(authService);
 
@@ -118,6 +120,117 @@ function createAuthRoutes(authService, userModel, pairingService, orgCodeModel)
     }
   });
 
+  // Forgot password: emails a one-time reset link. Always the same 200
+  // response, whether or not the email belongs to an account.
+  router.post('/auth/password/forgot', passwordResetLimiter, async (req, res) => {
+    try {
+      if (!passwordResetService) {
+        return res.status(503).json({ error: 'Password reset is not configured' });
+      }
+
+      const { email } = req.body;
+      if (!email || typeof email !== 'string') {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      await passwordResetService.requestReset(email.trim(), 'user');
+      res.status(200).json({
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+    } catch (error) {
+      console.error('Password reset request error:', error.message);
+      return res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  });
+
+  // Reset password with the emailed token. Signs out every session
+  // (all refresh tokens are revoked) and clears any login lockout.
+  router.post('/auth/password/reset', passwordResetLimiter, async (req, res) => {
+    try {
+      if (!passwordResetService) {
+        return res.status(503).json({ error: 'Password reset is not configured' });
+      }
+
+      const { token, password } = req.body;
+      if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Token and password are required' });
+      }
+
+      const account = await passwordResetService.resetPassword(token, password, 'user');
+      clearFailedAttempts(account.email);
+
+      res.status(200).json({ message: 'Password reset successfully. Please log in with your new password' });
+    } catch (error) {
+      if (error.message === 'Invalid or expired reset token' || error.message.includes('Password')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Password reset error:', error.message);
+      return res.status(500).json({ error: 'Failed to reset password' });
+    }
+  });
+
+  // Confirm an emailed verification link: verifies the sign-up address, or
+  // completes a requested change of email (users.email switches only now).
+  router.post('/auth/email/verify', emailVerificationLimiter, async (req, res) => {
+    try {
+      if (!emailVerificationService) {
+        return res.status(503).json({ error: 'Email verification is not configured' });
+      }
+
+      const { token } = req.body;
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({ error: 'Token is required' });
+      }
+
+      const { user, email_changed: emailChanged } = await emailVerificationService.verifyEmail(token);
+      res.status(200).json({
+        message: emailChanged ? 'Email address changed and verified' : 'Email address verified',
+        user: {
+          id: user.id,
+          email: user.email,
+          email_verified_at: user.email_verified_at
+        },
+        email_changed: emailChanged
+      });
+    } catch (error) {
+      if (error.message === 'Invalid or expired verification token') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message === 'Email already exists') {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Email verification error:', error.message);
+      return res.status(500).json({ error: 'Failed to verify email' });
+    }
+  });
+
+  // Resend the outstanding verification link (for the pending email when a
+  // change of email is in progress).
+  router.post('/auth/email/resend', authenticateToken, emailVerificationLimiter, async (req, res) => {
+    try {
+      if (!emailVerificationService) {
+        return res.status(503).json({ error: 'Email verification is not configured' });
+      }
+
+      const user = await userModel.getUserById(req.user.id);
+      const result = await emailVerificationService.resend(user);
+      res.status(200).json({
+        message: `Verification email sent to ${result.email}`,
+        email: result.email,
+        pending: result.pending
+      });
+    } catch (error) {
+      if (error.message === 'Email is already verified') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message === 'User not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Email verification resend error:', error.message);
+      return res.status(500).json({ error: 'Failed to resend verification email' });
+    }
+  });
+
   // Debug endpoint to check token info (without validation)
   router.post('/token-info', async (req, res) => {
     try {
@@ -210,11 +323,22 @@ function createAuthRoutes(authService, userModel, pairingService, orgCodeModel)
         };
       }
 
+      // Per-pairing view for users in several accepted pairings: which of
+      // them are premium, and the active one (null once it is no longer accepted).
+      const acceptedPairings = pairingsResult.pairings.filter(pairing => pairing.status === 'accepted');
+      const premiumPairingIds = acceptedPairings.filter(pairing => pairing.premium).map(pairing => pairing.id);
+      const activePairingId = acceptedPairings.some(pairing => pairing.id === user.active_pairing_id)
+        ? user.active_pairing_id
+        : null;
+
       const profile = {
         ...filterUserData(user),
         premium: hasPremiumPairing || !!user.is_premium,
+        email_verified: !!user.email_verified_at,
         pairings: pairingsResult.pairings,
         pairing_codes: pairingCodes,
+        active_pairing_id: activePairingId,
+        premium_pairing_ids: premiumPairingIds,
         ...orgDetails
       };
 
@@ -0,0 +1,163 @@
+const express = require('express');
+const { createAuthenticateToken } = require('../middleware/auth');
+
+// Admin CRUD for A/B experiments on prompt templates / models
+// (models/Experiment.js). Mounted at /api/admin/experiments. Starting or
+// stopping invalidates the ExperimentService cache so assignment changes take
+// effect immediately.
+function createExperimentRoutes(experimentModel, adminAuthService, experimentService = null) {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(adminAuthService);
+
+  const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.type !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    return next();
+  };
+
+  const invalidate = (templateKey) => {
+    if (experimentService) experimentService.invalidate(templateKey);
+  };
+
+  // Map model errors to status codes; anything unrecognised is a 500.
+  const sendError = (res, error, fallbackMessage) => {
+    if (error.message === 'Experiment not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Only ')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid ') ||
+        error.message.includes('required') ||
+        error.message.startsWith('At least one field')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[experiments] error:', error.message);
+    return res.status(500).json({ error: fallbackMessage });
+  };
+
+  // GET /api/admin/experiments?template_key=...&status=draft|running|stopped
+  router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { template_key, status } = req.query;
+      const experiments = await experimentModel.listExperiments({
+        templateKey: typeof template_key === 'string' && template_key ? template_key : null,
+        status: typeof status === 'string' && status ? status : null
+      });
+
+      res.status(200).json({
+        message: 'Experiments retrieved successfully',
+        experiments
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch experiments');
+    }
+  });
+
+  router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const experiment = await experimentModel.getExperimentById(req.params.id);
+
+      res.status(200).json({
+        message: 'Experiment retrieved successfully',
+        experiment
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch experiment');
+    }
+  });
+
+  // Per-arm completion metrics (steps started, next-program rate, chime-in
+  // reply rate).
+  router.get('/:id/report', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const report = await experimentModel.getArmReport(req.params.id);
+
+      res.status(200).json({
+        message: 'Experiment report retrieved successfully',
+        ...report
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch experiment report');
+    }
+  });
+
+  // Create a draft experiment.
+  // POST /api/admin/experiments { name, template_key, arms, description? }
+  router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { name, description, template_key, arms } = req.body;
+      const experiment = await experimentModel.createExperiment({
+        name,
+        description: description || null,
+        templateKey: template_key,
+        arms,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Experiment created successfully',
+        experiment
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create experiment');
+    }
+  });
+
+  // Edit a draft. Running and stopped experiments are immutable.
+  router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { name, description, arms } = req.body;
+      const experiment = await experimentModel.updateExperiment(req.params.id, { name, description, arms });
+
+      res.status(200).json({
+        message: 'Experiment updated successfully',
+        experiment
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update experiment');
+    }
+  });
+
+  router.post('/:id/start', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const experiment = await experimentModel.startExperiment(req.params.id);
+      invalidate(experiment.template_key);
+
+      res.status(200).json({
+        message: 'Experiment started successfully',
+        experiment
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to start experiment');
+    }
+  });
+
+  router.post('/:id/stop', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const experiment = await experimentModel.stopExperiment(req.params.id);
+      invalidate(experiment.template_key);
+
+      res.status(200).json({
+        message: 'Experiment stopped successfully',
+        experiment
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to stop experiment');
+    }
+  });
+
+  router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const result = await experimentModel.deleteExperiment(req.params.id);
+      res.status(200).json(result);
+    } catch (error) {
+      return sendError(res, error, 'Failed to delete experiment');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createExperimentRoutes;
@@ -9,6 +9,7 @@ function createOrgCodeRoutes(orgCodeModel, userModel, authService, adminAuthServ
       initial_program_prompt,
       next_program_prompt,
       therapy_response_prompt,
+      llm_provider,
       ...safeFields
     } = orgCode;
     return safeFields;
@@ -49,7 +50,7 @@ function createOrgCodeRoutes(orgCodeModel, userModel, authService, adminAuthServ
       if (error.message.includes('already exists')) {
         return res.status(400).json({ error: error.message });
       }
-      if (error.message.includes('required')) {
+      if (error.message.includes('required') || error.message.startsWith('Invalid llm_provider')) {
         return res.status(400).json({ error: error.message });
       }
       return res.status(500).json({ error: 'Failed to create org code' });
@@ -133,7 +134,7 @@ function createOrgCodeRoutes(orgCodeModel, userModel, authService, adminAuthServ
       if (error.message === 'OrgCode not found') {
         return res.status(404).json({ error: error.message });
       }
-      if (error.message.includes('already exists')) {
+      if (error.message.includes('already exists') || error.message.startsWith('Invalid llm_provider')) {
         return res.status(400).json({ error: error.message });
       }
       return res.status(500).json({ error: 'Failed to update org code' });
@@ -1,12 +1,52 @@
 const express = require('express');
-const { createAuthenticateToken } = require('../middleware/auth');
+const { createAuthenticateToken, createRequireVerifiedEmail } = require('../middleware/auth');
+const { pairingAcceptLimiter } = require('../middleware/security');
 
-function createPairingRoutes(pairingService, authService, pushNotificationService = null, userModel = null, pairingModel = null) {
+function createPairingRoutes(pairingService, authService, pushNotificationService = null, userModel = null, pairingModel = null, emailVerificationService = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(authService);
+  // EMAIL_VERIFICATION_REQUIRED_FOR=pairing: creating or accepting a pairing needs a verified email.
+  const requireVerifiedEmail = createRequireVerifiedEmail(emailVerificationService, 'pairing');
+
+  // Push a pairing event (pairing_accepted / pairing_ended) from `userId` to
+  // the other member (fire-and-forget).
+  function notifyPairingEvent(kind, recipientId, userId, data = {}) {
+    if (!recipientId || !pushNotificationService) return;
+    // A missing name falls back to the template's localized default.
+    const namePromise = userModel
+      ? userModel.getUserById(userId).then(u => u?.user_name || null).catch(() => null)
+      : Promise.resolve(null);
+    namePromise
+      .then(name => pushNotificationService.sendToUser(recipientId, {
+        template: kind,
+        variables: { sender_name: name },
+        data: { kind, ...data }
+      }))
+      .catch(err => console.warn(`[push] ${kind} failed:`, err.message));
+  }
+
+  // Notify the original requester that someone accepted their invite.
+  function notifyPairingAccepted(requesterId, userId, pairingId) {
+    notifyPairingEvent('pairing_accepted', requesterId, userId, { pairing_id: pairingId });
+  }
+
+  // Shared error mapping for accepting by partner code or invite link.
+  function sendAcceptError(res, error) {
+    if (error.message === 'No pending pairing found for this partner code' || error.message === 'Invite not found or expired') {
+      return res.status(404).json({ error: error.message });
+    } else if (error.message === 'You cannot accept your own pairing request') {
+      return res.status(400).json({ error: error.message });
+    } else if (error.message === 'You are already paired with this user') {
+      return res.status(409).json({ error: error.message });
+    } else if (error.message.includes('reached your maximum number of pairings')) {
+      return res.status(400).json({ error: error.message });
+    } else {
+      return res.status(500).json({ error: 'Failed to accept pairing' });
+    }
+  }
 
   // Request a pairing (generates partner code)
-  router.post('/request', authenticateToken, async (req, res) => {
+  router.post('/request', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
       const requestingUserId = req.user.id;
 
@@ -23,8 +63,22 @@ function createPairingRoutes(pairingService, authService, pushNotificationServic
     }
   });
 
-  // Accept a pairing request
-  router.post('/accept', authenticateToken, async (req, res) => {
+  // Replace the caller's open partner code (revokes the old code and its invite links)
+  router.post('/request/regenerate', authenticateToken, requireVerifiedEmail, async (req, res) => {
+    try {
+      const result = await pairingService.regeneratePartnerCode(req.user.id);
+      res.status(201).json(result);
+    } catch (error) {
+      if (error.message.includes('reached your maximum number of pairings')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error regenerating partner code:', error.message);
+      return res.status(500).json({ error: 'Failed to regenerate partner code' });
+    }
+  });
+
+  // Accept a pairing request (failed attempts are rate-limited per user)
+  router.post('/accept', authenticateToken, requireVerifiedEmail, pairingAcceptLimiter, async (req, res) => {
     try {
       const { partner_code } = req.body;
       const userId = req.user.id;
@@ -37,41 +91,63 @@ function createPairingRoutes(pairingService, authService, pushNotificationServic
       // Only needed for the fire-and-forget push notification below; if pairingModel
       // wasn't wired (shouldn't happen in production), the notification is skipped.
       let requesterId = null;
+      let pairingId = null;
       if (pairingModel) {
         try {
           const pending = await pairingModel.getPendingPairingByPartnerCode(partner_code);
-          if (pending) requesterId = pending.user1_id;
+          if (pending) {
+            requesterId = pending.user1_id;
+            pairingId = pending.id;
+          }
         } catch { /* non-fatal — push is best-effort */ }
       }
 
       await pairingService.acceptPairingByCode(userId, partner_code);
       res.status(200).end();
 
-      // Notify the original requester that someone accepted their invite (fire-and-forget).
-      if (requesterId && pushNotificationService) {
-        const namePromise = userModel
-          ? userModel.getUserById(userId).then(u => u?.user_name || 'Someone').catch(() => 'Someone')
-          : Promise.resolve('Someone');
-        namePromise
-          .then(name => pushNotificationService.sendToUser(requesterId, {
-            title: 'Pairing accepted!',
-            body: `${name} accepted your pairing request.`,
-            data: { kind: 'pairing_accepted' }
-          }))
-          .catch(err => console.warn('[push] pairing_accepted failed:', err.message));
+      notifyPairingAccepted(requesterId, userId, pairingId);
+    } catch (error) {
+      return sendAcceptError(res, error);
+    }
+  });
+
+  // Create a shareable invite link for the caller's open partner code
+  router.post('/invites', authenticateToken, requireVerifiedEmail, async (req, res) => {
+    try {
+      const result = await pairingService.createInvite(req.user.id);
+      res.status(201).json(result);
+    } catch (error) {
+      if (error.message.includes('reached your maximum number of pairings')) {
+        return res.status(400).json({ error: error.message });
       }
+      console.error('Error creating pairing invite:', error.message);
+      return res.status(500).json({ error: 'Failed to create invite' });
+    }
+  });
+
+  // Preview an invite before signing in / accepting (public: inviter name + expiry only)
+  router.get('/invites/:token', async (req, res) => {
+    try {
+      const result = await pairingService.previewInvite(req.params.token);
+      res.status(200).json(result);
     } catch (error) {
-      if (error.message === 'No pending pairing found for this partner code') {
+      if (error.message === 'Invite not found or expired') {
         return res.status(404).json({ error: error.message });
-      } else if (error.message === 'You cannot accept your own pairing request') {
-        return res.status(400).json({ error: error.message });
-      } else if (error.message === 'You are already paired with this user') {
-        return res.status(409).json({ error: error.message });
-      } else if (error.message.includes('reached your maximum number of pairings')) {
-        return res.status(400).json({ error: error.message });
-      } else {
-        return res.status(500).json({ error: 'Failed to accept pairing' });
       }
+      return res.status(500).json({ error: 'Failed to fetch invite' });
+    }
+  });
+
+  // Accept the pairing behind an invite link
+  router.post('/invites/:token/accept', authenticateToken, requireVerifiedEmail, async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const result = await pairingService.acceptInvite(userId, req.params.token);
+      res.status(200).json(result);
+
+      notifyPairingAccepted(result.pairing.requester.id, userId, result.pairing.id);
+    } catch (error) {
+      return sendAcceptError(res, error);
     }
   });
 
@@ -156,6 +232,31 @@ function createPairingRoutes(pairingService, authService, pushNotificationServic
     }
   });
 
+  // End an accepted partnership: programs archived (read-only), each member
+  // keeps their own messages, active prompt sessions abandoned, premium
+  // recomputed, partner notified. The two can pair again later.
+  router.post('/:pairingId/end', authenticateToken, async (req, res) => {
+    try {
+      const { pairingId } = req.params;
+      const userId = req.user.id;
+
+      const result = await pairingService.endPairing(userId, pairingId);
+      res.status(200).json(result);
+
+      notifyPairingEvent('pairing_ended', result.pairing.partner.id, userId, { pairing_id: pairingId });
+    } catch (error) {
+      if (error.message === 'Pairing not found') {
+        return res.status(404).json({ error: error.message });
+      } else if (error.message === 'You are not authorized to end this pairing') {
+        return res.status(403).json({ error: error.message });
+      } else if (error.message === 'Only an accepted pairing can be ended') {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Error ending pairing:', error.message);
+      return res.status(500).json({ error: 'Failed to end pairing' });
+    }
+  });
+
   // Soft delete a pairing
   router.delete('/:pairingId', authenticateToken, async (req, res) => {
     try {
@@ -168,6 +269,11 @@ function createPairingRoutes(pairingService, authService, pushNotificationServic
       if (pairing.user1_id !== userId && pairing.user2_id !== userId) {
         return res.status(403).json({ error: 'You are not authorized to delete this pairing' });
       }
+      // Deleting would skip archiving, premium recompute and the partner
+      // notification; accepted pairings are ended through POST /:pairingId/end.
+      if (pairing.status === 'accepted') {
+        return res.status(409).json({ error: 'An accepted pairing must be ended with POST /api/pairing/:pairingId/end' });
+      }
 
       // Get the pairing model from the service
       const pairingModel = pairingService.pairingModel;
@@ -1,10 +1,41 @@
 const express = require('express');
 const { createAuthenticateToken } = require('../middleware/auth');
+const ProgramSchedule = require('../services/ProgramSchedule');
 
-function createProgramStepRoutes(programStepModel, messageModel, programModel, pairingModel, userModel, hopefulPromptService, helpfulPromptService, authService, userModelForOrgCode = null, pushNotificationService = null) {
+// Programs of an ended partnership are archived: readable, never written to.
+const ARCHIVED_PROGRAM_ERROR = 'This program is archived because the partnership ended';
+
+// programStepStreamService is optional: live typing / partial text / completion
+// events on GET /programSteps/:id/stream (503 when absent). jobQueue
+// (services/JobQueue.js) runs chime-ins and therapy responses durably in the
+// background; without it no system replies are generated.
+function createProgramStepRoutes(programStepModel, messageModel, programModel, pairingModel, userModel, hopefulPromptService, helpfulPromptService, authService, userModelForOrgCode = null, pushNotificationService = null, programStepStreamService = null, jobQueue = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(authService);
 
+  // Report generation progress to open /programSteps/:id/stream connections.
+  // Returns the onPartial callback for the prompt service (null without a
+  // stream service, so nothing is streamed).
+  function startStreaming(stepId, kind) {
+    if (!programStepStreamService) return null;
+    programStepStreamService.startTyping(stepId, kind);
+    return text => programStepStreamService.partial(stepId, text);
+  }
+
+  // What a member still sees on an archived program: their own messages,
+  // the welcome tip (built from no one's messages) and chime-ins generated
+  // from their messages alone. Therapy responses draw on both partners and
+  // are hidden, as are the former partner's chime-ins and older chime-ins
+  // that do not record whom they were for.
+  function isVisibleAfterArchive(msg, userId) {
+    if (msg.message_type === 'user_message') return msg.sender_id === userId;
+    const metadata = messageModel.parseMetadata(msg.metadata);
+    if (!metadata || typeof metadata !== 'object') return false;
+    if (metadata.type === 'first_message_welcome') return true;
+    if (metadata.type === 'chime_in_prompt') return metadata.for_user_id === userId;
+    return false;
+  }
+
   // Pick the right prompt service for a user. Hopeful when they have
   // org_code / custom org fields; Helpful (couples EFT/Gottman) otherwise.
   function pickPromptService(customPrompts) {
@@ -24,7 +55,8 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
           therapyResponsePrompt: orgCode.therapy_response_prompt || null,
           organizationName: orgCode.organization || null,
           organizationCity: orgCode.city || null,
-          organizationState: orgCode.state || null
+          organizationState: orgCode.state || null,
+          llmProvider: orgCode.llm_provider || null
         };
       }
 
@@ -37,7 +69,8 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
           therapyResponsePrompt: null,
           organizationName: user.org_name || null,
           organizationCity: user.org_city || null,
-          organizationState: user.org_state || null
+          organizationState: user.org_state || null,
+          llmProvider: null
         };
       }
 
@@ -51,6 +84,9 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
   async function checkAndTriggerTherapyResponse(stepId, currentUserId, push = null) {
     console.log(`[THERAPY_TRIGGER] Checking therapy response for step ${stepId}, user ${currentUserId}`);
 
+    // Set once generation starts, so a failure can be reported to streams.
+    let streamingKind = null;
+
     try {
       // Get the program step to find the program
       const step = await programStepModel.getStepById(stepId);
@@ -87,14 +123,28 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
 
         const customPrompts = await getCustomPrompts(currentUserId);
         const service = pickPromptService(customPrompts);
+        // Same deterministic arm the service renders with, recorded on the
+        // message so the experiment report can attribute replies to it.
+        const experiment = await service.getExperimentAssignment(service.templateKey('chime_in'), currentUserId);
+        streamingKind = 'chime_in';
+        const onPartial = startStreaming(stepId, streamingKind);
         const chimeInResponse = await service.generateChimeInPrompt(
           currentUserName,
           step.conversation_starter,
           currentUserMessages.map(msg => msg.content),
-          customPrompts
+          customPrompts,
+          {
+            feature: 'chime_in',
+            userId: currentUserId,
+            programId: program.id,
+            programStepId: stepId,
+            messageId: latestMessage.id
+          },
+          onPartial
         );
 
         const chimeInMessages = Array.isArray(chimeInResponse) ? chimeInResponse : [chimeInResponse];
+        const messageIds = [];
 
         for (const chimeInMessage of chimeInMessages) {
           const content = (chimeInMessage || '')
@@ -107,15 +157,19 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
 
           const hasActualContent = content.length > 0 && /[a-zA-Z0-9]/.test(content);
           if (hasActualContent) {
-            await messageModel.addSystemMessage(stepId, content, {
+            const saved = await messageModel.addSystemMessage(stepId, content, {
               type: 'chime_in_prompt',
               triggered_by: 'hopeful_message',
+              for_user_id: currentUserId,
               step_day: step.day,
-              step_theme: step.theme
+              step_theme: step.theme,
+              ...(experiment ? { experiment_id: experiment.experiment_id, experiment_arm: experiment.arm } : {})
             });
+            messageIds.push(saved.id);
           }
         }
 
+        if (programStepStreamService) programStepStreamService.complete(stepId, streamingKind, messageIds);
         console.log(`[THERAPY_TRIGGER] Chime-in prompt added to step ${stepId}`);
         return;
       }
@@ -184,16 +238,27 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
         // Generate therapy response (returns array of messages)
         const customPrompts = await getCustomPrompts(user1Id);
         const service = pickPromptService(customPrompts);
+        streamingKind = 'therapy_response';
+        const onPartial = startStreaming(stepId, streamingKind);
         const therapyResponses = await service.generateCouplesTherapyResponse(
           user1Name,
           user2Name,
           user1MessageContents,
           user2FirstMessage,
-          customPrompts
+          customPrompts,
+          {
+            feature: 'therapy_response',
+            userId: user1Id,
+            programId: program.id,
+            programStepId: stepId,
+            messageId: latestMessage ? latestMessage.id : null
+          },
+          onPartial
         );
 
         // Ensure we have an array
         const messages = Array.isArray(therapyResponses) ? therapyResponses : [therapyResponses];
+        const messageIds = [];
 
         // Add each therapy response as a separate system message
         for (let i = 0; i < messages.length; i++) {
@@ -208,7 +273,7 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
           // Skip empty messages or messages that are only punctuation/whitespace
           const hasActualContent = content.length > 0 && /[a-zA-Z0-9]/.test(content);
           if (hasActualContent) {
-            await messageModel.addSystemMessage(stepId, content, {
+            const saved = await messageModel.addSystemMessage(stepId, content, {
               type: 'chime_in_response_1',
               triggered_by: 'both_users_posted',
               step_day: step.day,
@@ -216,17 +281,18 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
               sequence: i + 1,
               total_messages: messages.length
             });
+            messageIds.push(saved.id);
           }
         }
 
+        if (programStepStreamService) programStepStreamService.complete(stepId, streamingKind, messageIds);
         console.log(`Therapy response added to step ${stepId} (${messages.length} message(s))`);
 
         // Notify both partners that a new therapy reflection is available (fire-and-forget).
         if (push) {
           push.sendToUsers([user1Id, user2Id], {
-            title: 'New reflection ready',
-            body: 'Your therapist added a new reflection to your step.',
-            data: { kind: 'therapy_response', step_id: stepId }
+            template: 'therapy_response',
+            data: { kind: 'therapy_response', step_id: stepId, pairing_id: program.pairing_id }
           }).catch(err => console.warn('[push] therapy_response failed:', err.message));
         }
       } else if (existingTherapyResponse) {
@@ -234,9 +300,27 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
       }
     } catch (error) {
       console.error('Error checking therapy response trigger:', error.message);
+      if (streamingKind && programStepStreamService) {
+        programStepStreamService.fail(stepId, streamingKind, error.message);
+      }
+      // Deleted since the message was posted — nothing left to reply to.
+      if (error.message === 'Program step not found' || error.message === 'Program not found') {
+        return;
+      }
+      // Let the job queue retry.
+      throw error;
     }
   }
 
+  // `therapy_trigger` job handler: { step_id, user_id, message_id }, queued
+  // for every posted message. Re-running is safe — the trigger re-reads the
+  // step's messages, so a chime-in is only written while the trigger
+  // message is still the latest and a therapy response only once per step.
+  if (jobQueue) {
+    jobQueue.register('therapy_trigger', ({ step_id: stepId, user_id: userId }) =>
+      checkAndTriggerTherapyResponse(stepId, userId, pushNotificationService || null));
+  }
+
   // Get all program steps for a program (organized by days)
   router.get('/programs/:programId/programSteps', authenticateToken, async (req, res) => {
     try {
@@ -253,7 +337,7 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
       const program = await programModel.getProgramById(programId);
 
       // Get all program steps for this program
-      const programSteps = await programStepModel.getProgramSteps(programId);
+      const programSteps = ProgramSchedule.annotateSteps(program, await programStepModel.getProgramSteps(programId));
       
       // Format program steps with contribution status
       const formattedSteps = await Promise.all(programSteps.map(async (step) => {
@@ -269,6 +353,8 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
           conversation_starter: step.conversation_starter,
           science_behind_it: step.science_behind_it,
           started: step.started,
+          available_on: step.available_on,
+          unlocked: step.unlocked,
           contributions,
           created_at: step.created_at,
           updated_at: step.updated_at
@@ -310,10 +396,12 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
         contributions = await programStepModel.getStepContributionStatus(id, program.pairing_id);
       }
 
+      const [scheduledStep] = ProgramSchedule.annotateSteps(program, [step]);
+
       res.status(200).json({
         message: 'Program step retrieved successfully',
         step: {
-          ...step,
+          ...scheduledStep,
           contributions
         }
       });
@@ -341,8 +429,13 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
         return res.status(403).json({ error: 'Not authorized to access this program step' });
       }
 
-      // Get all messages for this step
-      const messages = await messageModel.getStepMessages(id);
+      // Get all messages for this step. After the partnership ended (program
+      // archived) each member only sees what is theirs (isVisibleAfterArchive).
+      const program = await programModel.getProgramById(step.program_id);
+      const allMessages = await messageModel.getStepMessages(id);
+      const messages = program.archived_at
+        ? allMessages.filter(msg => isVisibleAfterArchive(msg, userId))
+        : allMessages;
 
       res.status(200).json({
         message: 'Messages retrieved successfully',
@@ -359,6 +452,39 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
     }
   });
 
+  // Live generation progress for a step (Server-Sent Events), so the app can
+  // show "typing" and the reflection as it is written. Sends a `snapshot`
+  // on connect, then typing / partial / completed / failed (see
+  // ProgramStepStreamService); `completed` carries the persisted message ids.
+  router.get('/programSteps/:id/stream', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const step = await programStepModel.getStepById(id);
+      const hasAccess = await programStepModel.checkStepAccess(userId, step.program_id);
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Not authorized to access this program step' });
+      }
+
+      if (!programStepStreamService) {
+        return res.status(503).json({ error: 'Live program step updates are not available' });
+      }
+
+      const unsubscribe = programStepStreamService.subscribe(id, userId, res);
+      req.on('close', unsubscribe);
+    } catch (error) {
+      if (error.message === 'Program step not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Error opening program step stream:', error.message);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Failed to open program step stream' });
+      }
+      res.end();
+    }
+  });
+
   // Add a message to a program step
   router.post('/programSteps/:id/messages', authenticateToken, async (req, res) => {
     try {
@@ -380,6 +506,20 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
         return res.status(403).json({ error: 'Not authorized to access this program step' });
       }
 
+      const program = await programModel.getProgramById(step.program_id);
+      if (program.archived_at) {
+        return res.status(409).json({ error: ARCHIVED_PROGRAM_ERROR });
+      }
+
+      // Strict schedule: a day can't be posted to before it unlocks.
+      if (program.strict_schedule && !ProgramSchedule.isDayUnlocked(program, step.day)) {
+        return res.status(403).json({
+          error: 'This program step is not available yet',
+          available_on: ProgramSchedule.availableOn(program.start_date, step.day),
+          timezone: program.timezone
+        });
+      }
+
       // Mark the step as started (if not already started)
       await programStepModel.markStepAsStarted(id);
 
@@ -401,7 +541,6 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
       // Detect whether this is the first message in the first step of the first program
       // so we can add the welcome system message synchronously and return it in the response.
       let systemMessages = [];
-      const program = await programModel.getProgramById(step.program_id);
 
       // Notify the other partner in real-time that a new message was posted (fire-and-forget).
       if (program.pairing_id && pairingModel && pushNotificationService) {
@@ -412,12 +551,11 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
               const otherUserId = pairing.user1_id === userId ? pairing.user2_id : pairing.user1_id;
               if (otherUserId) {
                 const sender = await userModel.getUserById(userId);
-                const senderName = sender?.user_name || 'Your partner';
                 const preview = content.length > 100 ? `${content.substring(0, 100)}…` : content;
                 await pushNotificationService.sendToUser(otherUserId, {
-                  title: `${senderName} shared a reflection`,
-                  body: preview,
-                  data: { kind: 'step_message', step_id: id, program_id: program.id, step_day: String(step.day) }
+                  template: 'step_message',
+                  variables: { sender_name: sender?.user_name, preview },
+                  data: { kind: 'step_message', step_id: id, program_id: program.id, pairing_id: program.pairing_id, step_day: String(step.day) }
                 });
               }
             }
@@ -451,12 +589,21 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
         }
       }
 
-      // For all other cases (both users posted, hopeful message, etc.) keep the
-      // background trigger so the response is never delayed by LLM calls.
+      // For all other cases (both users posted, hopeful message, etc.) queue
+      // the background trigger so the response is never delayed by LLM calls.
+      // The message is already saved, so a queueing failure is only logged.
       if (systemMessages.length === 0) {
-        setImmediate(() => {
-          checkAndTriggerTherapyResponse(id, userId, pushNotificationService || null);
-        });
+        if (jobQueue) {
+          try {
+            await jobQueue.enqueue('therapy_trigger', { step_id: id, user_id: userId, message_id: message.id }, {
+              idempotencyKey: `message:${message.id}:therapy_trigger`
+            });
+          } catch (queueError) {
+            console.error(`[THERAPY_TRIGGER] Failed to queue trigger for step ${id}:`, queueError.message);
+          }
+        } else {
+          console.log('[THERAPY_TRIGGER] No job queue configured, skipping therapy response trigger');
+        }
       }
 
       res.status(201).json({
@@ -499,6 +646,11 @@ function createProgramStepRoutes(programStepModel, messageModel, programModel, p
         return res.status(403).json({ error: 'Not authorized to edit this message' });
       }
 
+      const program = await programModel.getProgramById(step.program_id);
+      if (program.archived_at) {
+        return res.status(409).json({ error: ARCHIVED_PROGRAM_ERROR });
+      }
+
       // Update the message
       const updatedMessage = await messageModel.updateMessage(messageId, content.trim());
 
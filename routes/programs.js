@@ -1,12 +1,24 @@
 const express = require('express');
-const { createAuthenticateToken } = require('../middleware/auth');
+const { createAuthenticateToken, createRequireVerifiedEmail } = require('../middleware/auth');
+const ProgramSchedule = require('../services/ProgramSchedule');
 
-function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptService, programStepModel = null, userModel = null, pairingModel = null, authService = null, userModelForOrgCode = null, pushNotificationService = null) {
+// Programs of an ended partnership are archived: readable, never written to.
+const ARCHIVED_PROGRAM_ERROR = 'This program is archived because the partnership ended';
+
+// jobQueue (services/JobQueue.js) runs program generation durably in the
+// background; without it programs are created but not generated.
+// programDraftModel (models/ProgramDraft.js) receives admin regenerations
+// requested as drafts (routes/admin-programs.js).
+function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptService, programStepModel = null, userModel = null, pairingModel = null, authService = null, userModelForOrgCode = null, pushNotificationService = null, jobQueue = null, programDraftModel = null, emailVerificationService = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(authService);
+  // EMAIL_VERIFICATION_REQUIRED_FOR=programs: generation needs a verified email.
+  const requireVerifiedEmail = createRequireVerifiedEmail(emailVerificationService, 'programs');
   const GENERATION_FOLLOWUP_ENABLED = process.env.PROGRAM_GENERATION_FOLLOWUP_ENABLED !== 'false';
   const GENERATION_FOLLOWUP_DELAY_MS = Number(process.env.PROGRAM_GENERATION_FOLLOWUP_DELAY_MS || 60000);
   const DEFAULT_STEPS_REQUIRED_FOR_UNLOCK = Number(process.env.DEFAULT_STEPS_REQUIRED_FOR_UNLOCK ?? 0);
+  const DEFAULT_PROGRAM_TIMEZONE = process.env.DEFAULT_PROGRAM_TIMEZONE || 'UTC';
+  const DEFAULT_STRICT_SCHEDULE = process.env.PROGRAM_STRICT_SCHEDULE === 'true';
 
   // Pick the right prompt service for a user's generation request.
   // Presence of customPrompts (org_code or custom org fields) selects Hopeful
@@ -20,7 +32,29 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
            (helpfulPromptService && helpfulPromptService.isConfigured());
   }
 
-  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  // Schedule fields for a new program from the request body. A next program
+  // inherits its previous program's timezone and strict mode; start_date
+  // defaults to today in the timezone. Returns { error } for invalid input.
+  function resolveSchedule(body, previousProgram = null) {
+    const { start_date, timezone, strict_schedule } = body;
+
+    const scheduleTimezone = timezone ?? (previousProgram && previousProgram.timezone) ?? DEFAULT_PROGRAM_TIMEZONE;
+    if (!ProgramSchedule.isValidTimeZone(scheduleTimezone)) {
+      return { error: 'Invalid timezone. Use an IANA time zone name such as America/Chicago' };
+    }
+    if (start_date !== undefined && start_date !== null && !ProgramSchedule.isValidDate(start_date)) {
+      return { error: 'Invalid start_date. Use YYYY-MM-DD' };
+    }
+    if (strict_schedule !== undefined && strict_schedule !== null && typeof strict_schedule !== 'boolean') {
+      return { error: 'Invalid strict_schedule. Must be a boolean' };
+    }
+
+    return {
+      start_date: start_date || ProgramSchedule.localDate(scheduleTimezone),
+      timezone: scheduleTimezone,
+      strict_schedule: strict_schedule ?? (previousProgram ? Boolean(previousProgram.strict_schedule) : DEFAULT_STRICT_SCHEDULE)
+    };
+  }
 
   async function hasProgramSteps(programId) {
     if (!programStepModel) return false;
@@ -28,19 +62,8 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
     return Array.isArray(steps) && steps.length > 0;
   }
 
-  async function generateAndPersistProgramContent({ programId, generateResponse, successLogPrefix, forceRegenerate = false }) {
-    // If steps already exist and this is not a forced regeneration, treat as already-completed work.
-    if (!forceRegenerate && await hasProgramSteps(programId)) {
-      console.log(`${successLogPrefix} Program steps already exist, skipping generation for:`, programId);
-      return;
-    }
-
-    // For forced regeneration, delete existing steps so they can be recreated cleanly.
-    if (forceRegenerate && programStepModel && await hasProgramSteps(programId)) {
-      console.log(`${successLogPrefix} Force-regenerating: deleting existing steps for program:`, programId);
-      await programStepModel.deleteProgramSteps(programId);
-    }
-
+  // Run the LLM call and collect what is persisted alongside the response.
+  async function generateProgramContent(generateResponse) {
     const generationStart = Date.now();
     const therapyResponse = await generateResponse();
     const secondsToLoad = parseFloat(((Date.now() - generationStart) / 1000).toFixed(4));
@@ -54,14 +77,43 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
     const generationPrompt = (therapyResponse && typeof therapyResponse === 'object')
       ? (therapyResponse.__prompt || null)
       : null;
+    // Likewise `__llm` is the "provider:model" that answered (a fallback if
+    // the primary failed), so llm_used records what really generated it.
+    const llmUsed = (therapyResponse && typeof therapyResponse === 'object')
+      ? (therapyResponse.__llm || null)
+      : null;
+    // And `__template` is the prompt template version the prompt came from,
+    // `__experiment` the A/B experiment arm it was generated under (if any).
+    const promptTemplate = (therapyResponse && typeof therapyResponse === 'object')
+      ? (therapyResponse.__template || null)
+      : null;
+    const experiment = (therapyResponse && typeof therapyResponse === 'object')
+      ? (therapyResponse.__experiment || null)
+      : null;
+
+    return { therapyResponse: therapyResponseString, secondsToLoad, generationPrompt, llmUsed, promptTemplate, experiment };
+  }
+
+  async function generateAndPersistProgramContent({ programId, generateResponse, successLogPrefix, forceRegenerate = false }) {
+    // If steps already exist and this is not a forced regeneration, treat as already-completed work.
+    if (!forceRegenerate && await hasProgramSteps(programId)) {
+      console.log(`${successLogPrefix} Program steps already exist, skipping generation for:`, programId);
+      return;
+    }
+
+    const content = await generateProgramContent(generateResponse);
 
     // Persist raw response for backward compatibility and diagnostics.
-    await programModel.updateTherapyResponse(programId, therapyResponseString, secondsToLoad, generationPrompt);
+    await programModel.updateTherapyResponse(programId, content.therapyResponse, content.secondsToLoad, content.generationPrompt, content.llmUsed, content.promptTemplate, content.experiment);
 
     if (programStepModel) {
-      // Check again to avoid duplicate step creation in rare concurrent trigger races.
-      if (!(await hasProgramSteps(programId))) {
-        await programStepModel.createProgramSteps(programId, therapyResponseString);
+      if (forceRegenerate) {
+        // Regeneration updates days in place, so messages on days that
+        // still exist are kept (the old steps stay until it succeeds).
+        await programStepModel.replaceProgramSteps(programId, content.therapyResponse);
+      } else if (!(await hasProgramSteps(programId))) {
+        // Check again to avoid duplicate step creation in rare concurrent trigger races.
+        await programStepModel.createProgramSteps(programId, content.therapyResponse);
       }
       console.log(`${successLogPrefix} Program steps created for program:`, programId);
     }
@@ -69,61 +121,301 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
     console.log(`${successLogPrefix} ChatGPT response generated and saved for program:`, programId);
   }
 
-  async function runGenerationWithFollowUp({ programId, generateResponse, logPrefix, forceRegenerate = false }) {
-    const attemptLogs = [];
-    // Track the prompt from the most recent failing attempt so we can log it
-    // alongside the generation_error even when all attempts fail.
-    let lastAttemptPrompt = null;
+  // Resolve the names the program prompts need: the owner's user_name, and
+  // for a paired program that pairing's partner user_name (a user can be in
+  // several pairings, so the single partner_name profile field is only the
+  // fallback, and the name for solo programs).
+  async function getProgramUserNames(program) {
+    let userName = null;
+    let partnerName = null;
 
+    if (userModel) {
+      try {
+        const user = await userModel.getUserById(program.user_id);
+        userName = user.user_name || null;
+        partnerName = user.partner_name || null;
+
+        if (program.pairing_id && pairingModel) {
+          try {
+            const pairing = await pairingModel.getPairingById(program.pairing_id);
+            const partnerId = pairing.user1_id === program.user_id ? pairing.user2_id : pairing.user1_id;
+            if (partnerId) {
+              const partner = await userModel.getUserById(partnerId);
+              partnerName = partner.user_name || partnerName;
+            }
+          } catch (pairingError) {
+            console.log('Could not fetch partner name from pairing:', pairingError.message);
+          }
+        }
+      } catch (userError) {
+        console.log('Could not fetch user names:', userError.message);
+      }
+    }
+
+    return { userName, partnerName };
+  }
+
+  // The caller's active pairing id, or null when unset or no longer one of
+  // their accepted pairings.
+  async function getActivePairingId(userId) {
+    if (!userModel || !pairingModel) return null;
     try {
-      await generateAndPersistProgramContent({
-        programId,
-        generateResponse,
-        successLogPrefix: logPrefix,
-        forceRegenerate
-      });
-      return;
-    } catch (firstError) {
-      attemptLogs.push(`attempt_1: ${firstError.message}`);
-      if (firstError && firstError.__prompt) {
-        lastAttemptPrompt = firstError.__prompt;
+      const user = await userModel.getUserById(userId);
+      if (!user.active_pairing_id) return null;
+      const pairing = await pairingModel.getPairingById(user.active_pairing_id);
+      const isMember = pairing.user1_id === userId || pairing.user2_id === userId;
+      return isMember && pairing.status === 'accepted' ? pairing.id : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  const LOG_PREFIXES = {
+    initial: '[create_program]',
+    next: '[next_program]',
+    manual: '[manual_therapy_response]',
+    regenerate: '[regenerate_program]'
+  };
+
+  // generation_error keeps the provider / validation detail for operators;
+  // GET /:id/generation returns one of these instead.
+  const GENERATION_ERROR_MESSAGES = {
+    user_name_missing: 'Add your name to your profile, then retry.',
+    input_rejected: 'This description could not be used to create a program. Please rephrase it and create a new program.',
+    generation_failed: 'We could not create this program. Please try again.'
+  };
+
+  function describeGenerationError(generationError) {
+    let code = 'generation_failed';
+    if (generationError && generationError.includes('user_name not set')) {
+      code = 'user_name_missing';
+    } else if (generationError && /Input contains potentially unsafe content|User input must be between/.test(generationError)) {
+      code = 'input_rejected';
+    }
+    return { code, message: GENERATION_ERROR_MESSAGES[code] };
+  }
+
+  function formatGeneration(row) {
+    const status = row.generation_status || null;
+    return {
+      program_id: row.id,
+      status,
+      mode: row.generation_mode || null,
+      attempts: row.generation_attempts || 0,
+      max_attempts: row.generation_max_attempts || null,
+      queued_at: row.generation_queued_at || null,
+      started_at: row.generation_started_at || null,
+      completed_at: row.generation_completed_at || null,
+      next_attempt_at: row.generation_next_attempt_at || null,
+      error: status === 'failed' ? describeGenerationError(row.generation_error) : null,
+      can_retry: status === 'failed'
+    };
+  }
+
+  // Lifecycle writes are best-effort: a failed status update is logged
+  // rather than failing (and retrying) the generation itself.
+  async function trackGeneration(programId, update) {
+    try {
+      await update();
+    } catch (error) {
+      console.error(`[program_generation] Could not update generation status for program ${programId}:`, error.message);
+    }
+  }
+
+  // `program_generation` job handler. The payload only carries ids — names,
+  // org prompts and previous conversation starters are read when the job
+  // runs, so a retry after a deploy sees current data:
+  //   { program_id, mode: 'initial' | 'next' | 'manual' | 'regenerate', notify_user_id, draft_id }
+  // `regenerate` replaces existing steps (in place, by day); the other modes
+  // are done once the program has steps. With a draft_id (admin regeneration
+  // as a draft) the content goes to that program_drafts row instead and the
+  // program is left untouched. Throwing lets the queue retry; attempts and
+  // backoff follow PROGRAM_GENERATION_FOLLOWUP_*. Progress is mirrored to
+  // programs.generation_status for GET /:id/generation.
+  async function runProgramGenerationJob({ program_id: programId, mode, notify_user_id: notifyUserId = null, draft_id: draftId = null }, job) {
+    const logPrefix = LOG_PREFIXES[mode] || '[program_generation]';
+
+    let program;
+    try {
+      program = await programModel.getProgramById(programId);
+    } catch (error) {
+      if (error.message === 'Program not found') {
+        console.log(`${logPrefix} Program no longer exists, dropping generation job:`, programId);
+        return;
       }
-      console.error(`${logPrefix} Initial generation attempt failed for program ${programId}:`, firstError.message);
+      throw error;
     }
 
-    if (GENERATION_FOLLOWUP_ENABLED) {
+    if (draftId && !programDraftModel) {
+      const error = new Error('Program drafts are not configured');
+      error.permanent = true;
+      throw error;
+    }
+    if (!draftId) {
+      await trackGeneration(programId, () => programModel.markGenerationStarted(programId, job.attempts, job.max_attempts, mode));
+    }
+
+    const { userName, partnerName } = await getProgramUserNames(program);
+    if (!userName) {
+      const error = new Error('user_name not set on account');
+      error.permanent = true;
+      throw error;
+    }
+
+    let previousConversationStarters = [];
+    if (mode === 'next' && program.previous_program_id) {
       try {
-        console.log(`${logPrefix} Scheduling follow-up generation attempt in ${GENERATION_FOLLOWUP_DELAY_MS}ms for program:`, programId);
-        await sleep(GENERATION_FOLLOWUP_DELAY_MS);
+        previousConversationStarters = await programModel.getConversationStartersWithMessages(program.previous_program_id);
+      } catch (startersError) {
+        console.log('Could not fetch conversation starters:', startersError.message);
+      }
+    }
 
-        // For forced regeneration the follow-up should also force; otherwise skip if steps exist.
-        if (!forceRegenerate && await hasProgramSteps(programId)) {
-          console.log(`${logPrefix} Follow-up skipped; program already has steps:`, programId);
-          return;
-        }
+    const generateResponse = async () => {
+      const customPrompts = await getCustomPrompts(program.user_id);
+      const service = pickPromptService(customPrompts);
+      if (mode === 'next') {
+        return service.generateNextCouplesProgram(
+          userName,
+          partnerName,
+          previousConversationStarters,
+          program.user_input,
+          customPrompts,
+          { feature: 'next_program', userId: program.user_id, programId }
+        );
+      }
+      return service.generateCouplesProgram(userName, partnerName, program.user_input, customPrompts, {
+        feature: 'initial_program',
+        userId: program.user_id,
+        programId
+      });
+    };
 
-        await generateAndPersistProgramContent({
-          programId,
-          generateResponse,
-          successLogPrefix: `${logPrefix} [follow-up]`,
-          forceRegenerate
-        });
-        return;
-      } catch (followUpError) {
-        attemptLogs.push(`attempt_2: ${followUpError.message}`);
-        if (followUpError && followUpError.__prompt) {
-          lastAttemptPrompt = followUpError.__prompt;
-        }
-        console.error(`${logPrefix} Follow-up generation attempt failed for program ${programId}:`, followUpError.message);
+    if (draftId) {
+      console.log(`${logPrefix} Generating draft ${draftId} for program:`, programId);
+      const saved = await programDraftModel.saveDraftContent(draftId, await generateProgramContent(generateResponse));
+      console.log(`${logPrefix} ${saved ? 'Draft ready' : 'Draft no longer generating, result dropped'}:`, draftId);
+      return;
+    }
+
+    console.log(`${logPrefix} Generating LLM response for program:`, programId);
+    await generateAndPersistProgramContent({
+      programId,
+      successLogPrefix: logPrefix,
+      forceRegenerate: mode === 'regenerate',
+      generateResponse
+    });
+    await trackGeneration(programId, () => programModel.markGenerationSucceeded(programId));
+
+    // Notify once generation succeeds.
+    if (notifyUserId && pushNotificationService && await hasProgramSteps(programId)) {
+      const notifyIds = [notifyUserId];
+      if (program.pairing_id && pairingModel) {
+        try {
+          const pairing = await pairingModel.getPairingById(program.pairing_id);
+          if (pairing?.status === 'accepted') {
+            const partnerId = pairing.user1_id === notifyUserId ? pairing.user2_id : pairing.user1_id;
+            if (partnerId) notifyIds.push(partnerId);
+          }
+        } catch { /* non-fatal */ }
       }
+      const isNext = mode === 'next';
+      pushNotificationService.sendToUsers(notifyIds, {
+        template: isNext ? 'next_program_ready' : 'program_ready',
+        data: { kind: 'program_ready', program_id: programId, pairing_id: program.pairing_id }
+      }).catch(err => console.warn(`[push] ${isNext ? 'next_program_ready' : 'program_ready'} failed:`, err.message));
     }
+  }
 
-    const combinedError = `Program generation failed after ${GENERATION_FOLLOWUP_ENABLED ? '2 attempts' : '1 attempt'} (${attemptLogs.join(' | ')})`;
+  // Every attempt failed (or the failure can't be retried): record it on the
+  // program, with the prompt of the last attempt when the service attached it.
+  // A draft's failure is recorded on the draft only.
+  async function recordProgramGenerationFailure(job, error) {
+    const { program_id: programId, mode, draft_id: draftId = null } = job.payload;
+    const attempts = Math.min(job.attempts, job.max_attempts);
+    const message = `${mode === 'regenerate' ? 'Regeneration' : 'Program generation'} failed after ${attempts} attempt${attempts === 1 ? '' : 's'} (${error.message})`;
+    if (draftId) {
+      if (programDraftModel) {
+        await programDraftModel.markDraftFailed(draftId, message)
+          .catch(saveError => console.error(`${LOG_PREFIXES[mode] || '[program_generation]'} Failed to save error for draft ${draftId}:`, saveError.message));
+      }
+      return;
+    }
     try {
-      await programModel.updateGenerationError(programId, combinedError, lastAttemptPrompt);
+      await programModel.updateGenerationError(programId, message, error.__prompt || null, error.__template || null, error.__experiment || null);
     } catch (saveError) {
-      console.error(`${logPrefix} Failed to save generation error for program ${programId}:`, saveError.message);
+      console.error(`${LOG_PREFIXES[mode] || '[program_generation]'} Failed to save generation error for program ${programId}:`, saveError.message);
+    }
+    await trackGeneration(programId, () => programModel.markGenerationFailed(programId));
+  }
+
+  // A failed attempt was rescheduled: show when the next one runs.
+  async function recordProgramGenerationRetry(job, error, delayMs) {
+    if (job.payload.draft_id) return;
+    await trackGeneration(job.payload.program_id, () => programModel.markGenerationRetrying(job.payload.program_id, delayMs));
+  }
+
+  if (jobQueue) {
+    jobQueue.register('program_generation', runProgramGenerationJob, {
+      maxAttempts: GENERATION_FOLLOWUP_ENABLED ? null : 1,
+      retryBaseMs: GENERATION_FOLLOWUP_DELAY_MS,
+      onRetry: recordProgramGenerationRetry,
+      onDead: recordProgramGenerationFailure
+    });
+  }
+
+  // Queue generation for a program. One job per program (per regeneration
+  // request), so a repeated request joins the job already queued.
+  async function enqueueProgramGeneration(programId, mode, notifyUserId = null, idempotencyKey = `program:${programId}:generate`) {
+    const { job, created } = await jobQueue.enqueue('program_generation', {
+      program_id: programId,
+      mode,
+      notify_user_id: notifyUserId
+    }, { idempotencyKey });
+    console.log(`${LOG_PREFIXES[mode]} ${created ? 'Queued' : 'Already queued'} generation job ${job.id} for program:`, programId);
+    // New or requeued job; the model leaves a generation already in progress alone.
+    if (job.status === 'pending' && job.attempts === 0) {
+      await trackGeneration(programId, () => programModel.markGenerationQueued(programId, job.max_attempts, mode));
+    }
+    return job;
+  }
+
+  // Manual generation (POST /:program_id/therapy_response) starts from the
+  // program's generation key, so a request while generation is queued joins
+  // that job. The key lives as long as the program: once the job behind it
+  // has succeeded (say its response yielded no steps), the request is keyed
+  // after that job, so it runs again instead of reporting the old job.
+  async function enqueueManualGeneration(programId) {
+    let job = await enqueueProgramGeneration(programId, 'manual');
+    while (job.status === 'succeeded') {
+      job = await enqueueProgramGeneration(programId, 'manual', null, `program:${programId}:generate:after:${job.id}`);
+    }
+    return job;
+  }
+
+  // Key for retrying a failed generation, tied to the failure being retried:
+  // a double-submitted retry joins the same job, a later failure gets a new
+  // one. (The original job's key may belong to a job that succeeded before a
+  // regeneration failed, which would not run again.)
+  function retryIdempotencyKey(generation) {
+    const failedAt = generation.generation_completed_at ? new Date(generation.generation_completed_at).getTime() : 0;
+    return `program:${generation.id}:retry:${failedAt}`;
+  }
+
+  // Queue a fresh set of attempts for a failed generation, in the mode of
+  // the run that failed: a failed regeneration still has the old steps,
+  // which any other mode would keep as "already done". Rows from before
+  // generation_mode fall back on the same rule.
+  async function queueGenerationRetry(program, generation, notifyUserId) {
+    let mode = generation.generation_mode;
+    if (!mode) {
+      if (await hasProgramSteps(program.id)) {
+        mode = 'regenerate';
+      } else {
+        mode = program.previous_program_id ? 'next' : 'initial';
+      }
     }
+    return enqueueProgramGeneration(program.id, mode, notifyUserId, retryIdempotencyKey(generation));
   }
 
   // Fetch org context and custom prompts for a user.
@@ -139,7 +431,8 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
           therapyResponsePrompt: orgCode.therapy_response_prompt || null,
           organizationName: orgCode.organization || null,
           organizationCity: orgCode.city || null,
-          organizationState: orgCode.state || null
+          organizationState: orgCode.state || null,
+          llmProvider: orgCode.llm_provider || null
         };
       }
 
@@ -152,7 +445,8 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
           therapyResponsePrompt: null,
           organizationName: user.org_name || null,
           organizationCity: user.org_city || null,
-          organizationState: user.org_state || null
+          organizationState: user.org_state || null,
+          llmProvider: null
         };
       }
 
@@ -163,7 +457,7 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
   }
 
   // Create next program based on previous program
-  router.post('/:id/next_program', authenticateToken, async (req, res) => {
+  router.post('/:id/next_program', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
       const { id: previousProgramId } = req.params;
       const { user_input, steps_required_for_unlock } = req.body;
@@ -186,36 +480,20 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
           error: 'Not authorized to access this program'
         });
       }
+      if (previousProgram.archived_at) {
+        return res.status(409).json({ error: ARCHIVED_PROGRAM_ERROR });
+      }
 
-      // Programs are now always unlocked by default - no unlock check needed
+      const schedule = resolveSchedule(req.body, previousProgram);
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
 
-      // Get user names for the prompt
-      let userName = null;
-      let partnerName = null;
+      // Programs are now always unlocked by default - no unlock check needed
 
-      if (userModel) {
-        try {
-          const user = await userModel.getUserById(previousProgram.user_id);
-          userName = user.user_name || null;
-          partnerName = user.partner_name || null;
-
-          // If pairing exists and partner_name is not set, try to get partner's user_name
-          if (previousProgram.pairing_id && pairingModel && !user.partner_name) {
-            try {
-              const pairing = await pairingModel.getPairingById(previousProgram.pairing_id);
-              const partnerId = pairing.user1_id === previousProgram.user_id ? pairing.user2_id : pairing.user1_id;
-              if (partnerId) {
-                const partner = await userModel.getUserById(partnerId);
-                partnerName = partner.user_name || partnerName;
-              }
-            } catch (pairingError) {
-              console.log('Could not fetch partner name from pairing:', pairingError.message);
-            }
-          }
-        } catch (userError) {
-          console.log('Could not fetch user names:', userError.message);
-        }
-      }
+      // The job resolves names again when it runs; checked here so a missing
+      // user_name is reported to the caller.
+      const { userName } = await getProgramUserNames(previousProgram);
 
       // Validate that user name is set
       if (!userName) {
@@ -228,16 +506,8 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         });
       }
 
-      // Get conversation starters from previous program that have messages
-      let previousConversationStarters = [];
-      try {
-        previousConversationStarters = await programModel.getConversationStartersWithMessages(previousProgramId);
-      } catch (startersError) {
-        console.log('Could not fetch conversation starters:', startersError.message);
-      }
-
       // Resolve which service this user will use so we can record the correct
-      // model name against the program row. We'll re-resolve at generation time
+      // provider:model against the program row. We'll re-resolve at generation time
       // too, but the model name can be committed synchronously here.
       const customPromptsForModel = await getCustomPrompts(previousProgram.user_id);
       const serviceForModel = pickPromptService(customPromptsForModel);
@@ -248,57 +518,22 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         pairing_id: previousProgram.pairing_id,
         previous_program_id: previousProgramId,
         steps_required_for_unlock: steps_required_for_unlock ?? DEFAULT_STEPS_REQUIRED_FOR_UNLOCK,
-        llm_used: serviceForModel ? serviceForModel.model : null
+        llm_used: serviceForModel ? serviceForModel.describeLLM(customPromptsForModel && customPromptsForModel.llmProvider) : null,
+        ...schedule
       });
 
-      // Return immediate response
+      // Generate LLM response in the background. The job is queued before
+      // responding, so a created program is never left without generation.
+      if (anyServiceConfigured() && jobQueue) {
+        await enqueueProgramGeneration(newProgram.id, 'next', userId);
+      } else {
+        console.log('No prompt service or job queue configured, skipping therapy response generation');
+      }
+
       res.status(201).json({
         message: 'Next program created successfully',
         program: newProgram
       });
-
-      // Generate LLM response asynchronously in the background
-      if (anyServiceConfigured()) {
-        (async () => {
-          console.log('Generating next program LLM response for program:', newProgram.id);
-          await runGenerationWithFollowUp({
-            programId: newProgram.id,
-            logPrefix: '[next_program]',
-            generateResponse: async () => {
-              const customPrompts = await getCustomPrompts(previousProgram.user_id);
-              const service = pickPromptService(customPrompts);
-              return service.generateNextCouplesProgram(
-                userName,
-                partnerName,
-                previousConversationStarters,
-                user_input,
-                customPrompts
-              );
-            }
-          });
-
-          // Notify once generation succeeds.
-          if (pushNotificationService && await hasProgramSteps(newProgram.id)) {
-            const notifyIds = [userId];
-            if (newProgram.pairing_id && pairingModel) {
-              try {
-                const pairing = await pairingModel.getPairingById(newProgram.pairing_id);
-                if (pairing?.status === 'accepted') {
-                  const partnerId = pairing.user1_id === userId ? pairing.user2_id : pairing.user1_id;
-                  if (partnerId) notifyIds.push(partnerId);
-                }
-              } catch { /* non-fatal */ }
-            }
-            pushNotificationService.sendToUsers(notifyIds, {
-              title: 'Your next program is ready',
-              body: 'Your next 14-day couples program has been created.',
-              data: { kind: 'program_ready', program_id: newProgram.id }
-            }).catch(err => console.warn('[push] next_program_ready failed:', err.message));
-          }
-        })();
-      } else {
-        console.log('No prompt service configured, skipping therapy response generation');
-      }
     } catch (error) {
       console.error('Error creating next program:', error.message);
       if (error.message === 'Program not found') {
@@ -324,15 +559,23 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
           error: 'Not authorized to access this program'
         });
       }
+      if (program.archived_at) {
+        return res.status(409).json({ error: ARCHIVED_PROGRAM_ERROR });
+      }
 
-      // Check if program already has program steps
-      if (programStepModel) {
+      // With steps in place only a failed generation (e.g. a failed
+      // regeneration) can run again; it is retried below like
+      // POST /:id/generation/retry.
+      const generation = await programModel.getGenerationStatus(program_id);
+      const failed = generation.generation_status === 'failed';
+      if (programStepModel && !failed) {
         const existingSteps = await programStepModel.getProgramSteps(program_id);
         if (existingSteps && existingSteps.length > 0) {
           return res.status(409).json({
             error: 'Therapy response already exists for this program',
-            details: 'This program already has program steps. Delete the program and create a new one if you need to regenerate.',
-            existing_steps_count: existingSteps.length
+            details: 'This program already has program steps. If a later generation fails, retry it with POST /api/programs/:id/generation/retry.',
+            existing_steps_count: existingSteps.length,
+            generation_status: generation.generation_status || null
           });
         }
       }
@@ -345,33 +588,9 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         });
       }
 
-      // Get user names for the prompt
-      let userName = null;
-      let partnerName = null;
-
-      if (userModel) {
-        try {
-          const user = await userModel.getUserById(program.user_id);
-          userName = user.user_name || null;
-          partnerName = user.partner_name || null;
-
-          // If pairing exists and partner_name is not set, try to get partner's user_name
-          if (program.pairing_id && pairingModel && !user.partner_name) {
-            try {
-              const pairing = await pairingModel.getPairingById(program.pairing_id);
-              const partnerId = pairing.user1_id === program.user_id ? pairing.user2_id : pairing.user1_id;
-              if (partnerId) {
-                const partner = await userModel.getUserById(partnerId);
-                partnerName = partner.user_name || partnerName;
-              }
-            } catch (pairingError) {
-              console.log('Could not fetch partner name from pairing:', pairingError.message);
-            }
-          }
-        } catch (userError) {
-          console.log('Could not fetch user names:', userError.message);
-        }
-      }
+      // The job resolves names again when it runs; checked here so a missing
+      // user_name is reported to the caller.
+      const { userName } = await getProgramUserNames(program);
 
       // Validate that user name is set
       if (!userName) {
@@ -384,26 +603,23 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         });
       }
 
-      // Return immediate response
+      if (!jobQueue) {
+        return res.status(503).json({ error: 'Background generation is not available' });
+      }
+
+      // Queued before responding so an accepted request is never lost; a
+      // request while generation is already queued joins that job, and one
+      // after generation failed retries it.
+      const job = failed
+        ? await queueGenerationRetry(program, generation, userId)
+        : await enqueueManualGeneration(program_id);
+
       res.status(202).json({
         message: 'Therapy response generation started',
         program_id: program_id,
-        status: 'processing'
+        status: 'processing',
+        job_id: job.id
       });
-
-      // Generate LLM response asynchronously in the background
-      (async () => {
-        console.log('Manually generating LLM response for program:', program_id);
-        await runGenerationWithFollowUp({
-          programId: program_id,
-          logPrefix: '[manual_therapy_response]',
-          generateResponse: async () => {
-            const customPrompts = await getCustomPrompts(program.user_id);
-            const service = pickPromptService(customPrompts);
-            return service.generateCouplesProgram(userName, partnerName, program.user_input, customPrompts);
-          }
-        });
-      })();
     } catch (error) {
       console.error('Error in manual therapy response generation:', error.message);
       if (error.message === 'Program not found') {
@@ -414,9 +630,9 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
   });
 
   // Create a program
-  router.post('/', authenticateToken, async (req, res) => {
+  router.post('/', authenticateToken, requireVerifiedEmail, async (req, res) => {
     try {
-      const { user_input, pairing_id, steps_required_for_unlock } = req.body;
+      const { user_input, steps_required_for_unlock } = req.body;
       const userId = req.user.id;
 
       // Validation
@@ -426,6 +642,12 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         });
       }
 
+      // Omitted pairing_id falls back to the caller's active pairing
+      // (users.active_pairing_id); an explicit null creates a solo program.
+      const pairing_id = req.body.pairing_id !== undefined
+        ? req.body.pairing_id
+        : await getActivePairingId(userId);
+
       // When pairing_id is supplied, require an existing non-deleted pairing that
       // the caller belongs to. Without this check any authenticated user could
       // attach a program to another couple's pairing and inject it into their feed.
@@ -443,30 +665,23 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         if (!isMember) {
           return res.status(403).json({ error: 'Not authorized to create a program for this pairing' });
         }
+        if (pairingForCreate.status === 'ended') {
+          return res.status(409).json({ error: 'This partnership has ended' });
+        }
       }
 
-      // Get user names for the prompt
+      const schedule = resolveSchedule(req.body);
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+
+      // Get the user name for the prompt
       let userName = null;
-      let partnerName = null;
 
       if (userModel) {
         try {
           const user = await userModel.getUserById(userId);
           userName = user.user_name || null;
-          partnerName = user.partner_name || null;
-
-          // If pairing exists and partner_name is not set, try to get partner's user_name
-          if (pairingForCreate && !user.partner_name) {
-            try {
-              const partnerId = pairingForCreate.user1_id === userId ? pairingForCreate.user2_id : pairingForCreate.user1_id;
-              if (partnerId) {
-                const partner = await userModel.getUserById(partnerId);
-                partnerName = partner.user_name || partnerName;
-              }
-            } catch (pairingError) {
-              console.log('Could not fetch partner name from pairing:', pairingError.message);
-            }
-          }
         } catch (userError) {
           console.log('Could not fetch user names:', userError.message);
         }
@@ -492,51 +707,22 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
         user_input,
         pairing_id,
         steps_required_for_unlock: steps_required_for_unlock ?? DEFAULT_STEPS_REQUIRED_FOR_UNLOCK,
-        llm_used: serviceForModel ? serviceForModel.model : null
+        llm_used: serviceForModel ? serviceForModel.describeLLM(customPromptsForModel && customPromptsForModel.llmProvider) : null,
+        ...schedule
       });
 
-      // Return immediate response
+      // Generate LLM response in the background. The job is queued before
+      // responding, so a created program is never left without generation.
+      if (anyServiceConfigured() && jobQueue) {
+        await enqueueProgramGeneration(program.id, 'initial', userId);
+      } else {
+        console.log('No prompt service or job queue configured, skipping therapy response generation');
+      }
+
       res.status(201).json({
         message: 'Program created successfully',
         program
       });
-
-      // Generate LLM response asynchronously in the background
-      if (anyServiceConfigured()) {
-        (async () => {
-          console.log('Generating LLM response for program:', program.id);
-          await runGenerationWithFollowUp({
-            programId: program.id,
-            logPrefix: '[create_program]',
-            generateResponse: async () => {
-              const customPrompts = await getCustomPrompts(userId);
-              const service = pickPromptService(customPrompts);
-              return service.generateCouplesProgram(userName, partnerName, user_input, customPrompts);
-            }
-          });
-
-          // Notify once generation succeeds (steps exist means no error).
-          if (pushNotificationService && await hasProgramSteps(program.id)) {
-            const notifyIds = [userId];
-            if (pairing_id && pairingModel) {
-              try {
-                const pairing = await pairingModel.getPairingById(pairing_id);
-                if (pairing?.status === 'accepted') {
-                  const partnerId = pairing.user1_id === userId ? pairing.user2_id : pairing.user1_id;
-                  if (partnerId) notifyIds.push(partnerId);
-                }
-              } catch { /* non-fatal */ }
-            }
-            pushNotificationService.sendToUsers(notifyIds, {
-              title: 'Your program is ready',
-              body: 'Your 14-day couples program has been created.',
-              data: { kind: 'program_ready', program_id: program.id }
-            }).catch(err => console.warn('[push] program_ready failed:', err.message));
-          }
-        })();
-      } else {
-        console.log('No prompt service configured, skipping therapy response generation');
-      }
     } catch (error) {
       return res.status(500).json({ error: 'Failed to create program' });
     }
@@ -566,11 +752,11 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
       };
 
       const hopefulMetrics = hopefulPromptService && hopefulPromptService.isConfigured()
-        ? { ...hopefulPromptService.getMetrics(), configured: true, model: hopefulPromptService.model }
+        ? { ...hopefulPromptService.getMetrics(), configured: true, provider: hopefulPromptService.provider, model: hopefulPromptService.model }
         : emptyMetrics;
 
       const helpfulMetrics = helpfulPromptService && helpfulPromptService.isConfigured()
-        ? { ...helpfulPromptService.getMetrics(), configured: true, model: helpfulPromptService.model }
+        ? { ...helpfulPromptService.getMetrics(), configured: true, provider: helpfulPromptService.provider, model: helpfulPromptService.model }
         : emptyMetrics;
 
       res.status(200).json({
@@ -587,11 +773,16 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
     }
   });
 
-  // Get all user's programs
+  // Get all user's programs. ?pairing_id=<id> lists one pairing's programs,
+  // ?pairing_id=none the caller's solo programs.
   router.get('/', authenticateToken, async (req, res) => {
     try {
       const userId = req.user.id;
-      const programs = await programModel.getUserPrograms(userId);
+      const { pairing_id } = req.query;
+      if (pairing_id !== undefined && (typeof pairing_id !== 'string' || !pairing_id)) {
+        return res.status(400).json({ error: 'pairing_id must be a pairing id or "none"' });
+      }
+      const programs = await programModel.getUserPrograms(userId, { pairingId: pairing_id || null });
       
       // Fetch program steps for each program
       const programsWithSteps = await Promise.all(
@@ -600,7 +791,7 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
           return {
             ...program,
             next_program_unlocked: Boolean(program.next_program_unlocked),
-            program_steps: programSteps
+            program_steps: ProgramSchedule.annotateSteps(program, programSteps)
           };
         })
       );
@@ -631,7 +822,7 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
       const programWithSteps = {
         ...program,
         next_program_unlocked: Boolean(program.next_program_unlocked),
-        program_steps: programSteps
+        program_steps: ProgramSchedule.annotateSteps(program, programSteps)
       };
 
       res.status(200).json({
@@ -646,6 +837,120 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
     }
   });
 
+  // Today's step of a program in the couple's timezone, with the schedule
+  // (current day, status, next unlock). `step` is null before the start
+  // date, after the last day, or while the steps are still being generated.
+  router.get('/:id/today', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const program = await programModel.getProgramById(id);
+
+      const hasAccess = await programModel.checkProgramAccess(req.user.id, id);
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Not authorized to access this program' });
+      }
+
+      const programSteps = programStepModel ? await programStepModel.getProgramSteps(id) : [];
+      const schedule = ProgramSchedule.describeSchedule(program, programSteps.length);
+      const todayStep = schedule.status === 'in_progress'
+        ? ProgramSchedule.annotateSteps(program, programSteps).find(step => Number(step.day) === schedule.current_day) || null
+        : null;
+
+      res.status(200).json({
+        message: 'Today\'s step retrieved successfully',
+        program_id: program.id,
+        schedule,
+        step: todayStep
+      });
+    } catch (error) {
+      if (error.message === 'Program not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to fetch today\'s step' });
+    }
+  });
+
+  // Generation progress for a program: lifecycle status, attempts, timestamps
+  // and a user-safe error once generation has failed.
+  router.get('/:id/generation', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const generation = await programModel.getGenerationStatus(id);
+
+      const hasAccess = await programModel.checkProgramAccess(req.user.id, id);
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Not authorized to access this program' });
+      }
+
+      res.status(200).json({
+        message: 'Generation status retrieved successfully',
+        generation: formatGeneration(generation)
+      });
+    } catch (error) {
+      if (error.message === 'Program not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Failed to fetch generation status' });
+    }
+  });
+
+  // Retry generation for a program whose generation failed. Queues a fresh
+  // job, in the mode of the run that failed, with a new set of attempts.
+  router.post('/:id/generation/retry', authenticateToken, requireVerifiedEmail, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const program = await programModel.getProgramById(id);
+
+      const hasAccess = await programModel.checkProgramAccess(userId, id);
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Not authorized to access this program' });
+      }
+      if (program.archived_at) {
+        return res.status(409).json({ error: ARCHIVED_PROGRAM_ERROR });
+      }
+
+      const generation = await programModel.getGenerationStatus(id);
+      if (generation.generation_status !== 'failed') {
+        return res.status(409).json({
+          error: 'Only failed generations can be retried',
+          generation_status: generation.generation_status || null
+        });
+      }
+
+      if (!anyServiceConfigured() || !jobQueue) {
+        return res.status(503).json({ error: 'Background generation is not available' });
+      }
+
+      // The job resolves names again when it runs; checked here so a missing
+      // user_name is reported to the caller.
+      const { userName } = await getProgramUserNames(program);
+      if (!userName) {
+        return res.status(400).json({
+          error: 'User name is required to generate therapy content',
+          details: {
+            user_name_set: !!userName
+          },
+          hint: 'Please update your profile with user_name before generating a program'
+        });
+      }
+
+      const job = await queueGenerationRetry(program, generation, userId);
+
+      res.status(202).json({
+        message: 'Program generation retry queued',
+        job_id: job.id,
+        generation: formatGeneration(await programModel.getGenerationStatus(id))
+      });
+    } catch (error) {
+      console.error('Error retrying program generation:', error.message);
+      if (error.message === 'Program not found') {
+        return res.status(404).json({ error: 'Program not found' });
+      }
+      return res.status(500).json({ error: 'Failed to retry program generation' });
+    }
+  });
+
   // Delete a program
   router.delete('/:id', authenticateToken, async (req, res) => {
     try {
@@ -673,54 +978,15 @@ function createProgramRoutes(programModel, hopefulPromptService, helpfulPromptSe
 }
 
 // Background poller that watches for programs with regenerate_therapy_response = TRUE
-// and re-runs initial-program generation for each one, then clears the flag.
-// Picks Hopeful or Helpful per-user based on the user's org_code / custom org fields.
-function startRegenerationPoller(programModel, programStepModel, hopefulPromptService, helpfulPromptService, userModel, pairingModel, userModelForOrgCode) {
+// and queues a `regenerate` program_generation job for each one (handled by
+// createProgramRoutes), then clears the flag. The job is keyed on
+// regenerate_requested_at, which stays fixed until the flag is cleared, so a
+// flag that could not be cleared is not queued twice.
+function startRegenerationPoller(programModel, jobQueue) {
   const POLL_INTERVAL_MS = Number(process.env.REGENERATION_POLL_INTERVAL_MS || 30000);
 
   const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-  function pickPromptService(customPrompts) {
-    return customPrompts ? hopefulPromptService : helpfulPromptService;
-  }
-
-  async function getCustomPromptsForUser(userId) {
-    if (!userModelForOrgCode) return null;
-    try {
-      const orgCode = await userModelForOrgCode.getUserOrgCode(userId);
-      if (orgCode) {
-        return {
-          initialProgramPrompt: orgCode.initial_program_prompt || null,
-          nextProgramPrompt: orgCode.next_program_prompt || null,
-          therapyResponsePrompt: orgCode.therapy_response_prompt || null,
-          organizationName: orgCode.organization || null,
-          organizationCity: orgCode.city || null,
-          organizationState: orgCode.state || null
-        };
-      }
-      const user = await userModelForOrgCode.getUserById(userId);
-      if (user && (user.org_name || user.org_city || user.org_state)) {
-        return {
-          initialProgramPrompt: null,
-          nextProgramPrompt: null,
-          therapyResponsePrompt: null,
-          organizationName: user.org_name || null,
-          organizationCity: user.org_city || null,
-          organizationState: user.org_state || null
-        };
-      }
-      return null;
-    } catch {
-      return null;
-    }
-  }
-
-  async function hasProgramSteps(programId) {
-    if (!programStepModel) return false;
-    const steps = await programStepModel.getProgramSteps(programId);
-    return Array.isArray(steps) && steps.length > 0;
-  }
-
   async function pollOnce() {
     let flaggedPrograms;
     try {
@@ -735,101 +1001,29 @@ function startRegenerationPoller(programModel, programStepModel, hopefulPromptSe
     console.log(`[regen_poller] Found ${flaggedPrograms.length} program(s) flagged for regeneration.`);
 
     for (const program of flaggedPrograms) {
-      // Clear the flag first so a crash mid-generation doesn't cause an infinite loop.
+      // Queue first, then clear the flag: a crash in between re-finds the
+      // flag and the idempotency key dedupes it.
       try {
-        await programModel.clearRegenerateFlag(program.id);
-      } catch (err) {
-        console.error(`[regen_poller] Could not clear flag for program ${program.id}:`, err.message);
-        continue;
-      }
-
-      console.log(`[regen_poller] Starting regeneration for program:`, program.id);
-
-      // Delete existing steps so they are recreated cleanly.
-      if (programStepModel && await hasProgramSteps(program.id)) {
-        try {
-          await programStepModel.deleteProgramSteps(program.id);
-          console.log(`[regen_poller] Deleted existing steps for program:`, program.id);
-        } catch (err) {
-          console.error(`[regen_poller] Failed to delete steps for program ${program.id}:`, err.message);
-          continue;
+        const flaggedAt = new Date(program.regenerate_requested_at).getTime();
+        const { job } = await jobQueue.enqueue('program_generation', {
+          program_id: program.id,
+          mode: 'regenerate',
+          notify_user_id: null
+        }, { idempotencyKey: `program:${program.id}:regenerate:${flaggedAt}` });
+        console.log(`[regen_poller] Queued regeneration job ${job.id} for program:`, program.id);
+        if (job.status === 'pending' && job.attempts === 0) {
+          await programModel.markGenerationQueued(program.id, job.max_attempts, 'regenerate')
+            .catch(err => console.error(`[regen_poller] Could not update generation status for program ${program.id}:`, err.message));
         }
-      }
-
-      // Resolve user name (and partner name when available — required by
-      // HelpfulPromptService.generateInitialProgram for couples users).
-      let userName = null;
-      let partnerName = null;
-      if (userModel) {
-        try {
-          const user = await userModel.getUserById(program.user_id);
-          userName = user.user_name || null;
-          partnerName = user.partner_name || null;
-
-          if (program.pairing_id && pairingModel && !partnerName) {
-            try {
-              const pairing = await pairingModel.getPairingById(program.pairing_id);
-              const partnerId = pairing.user1_id === program.user_id ? pairing.user2_id : pairing.user1_id;
-              if (partnerId) {
-                const partner = await userModel.getUserById(partnerId);
-                partnerName = partner.user_name || partnerName;
-              }
-            } catch (pairingError) {
-              console.log(`[regen_poller] Could not fetch partner name from pairing for program ${program.id}:`, pairingError.message);
-            }
-          }
-        } catch (err) {
-          console.error(`[regen_poller] Could not fetch user name for program ${program.id}:`, err.message);
-        }
-      }
-
-      if (!userName) {
-        console.error(`[regen_poller] Skipping program ${program.id}: user_name not set.`);
-        await programModel.updateGenerationError(program.id, 'Regeneration skipped: user_name not set on account.');
+      } catch (err) {
+        console.error(`[regen_poller] Could not queue regeneration for program ${program.id}:`, err.message);
         continue;
       }
 
-      // Run generation (no follow-up for poller-triggered regenerations).
       try {
-        const customPrompts = await getCustomPromptsForUser(program.user_id);
-        const service = pickPromptService(customPrompts);
-
-        // Helpful requires partnerName; Hopeful does not.
-        if (service === helpfulPromptService && !partnerName) {
-          console.error(`[regen_poller] Skipping program ${program.id}: partner_name required for couples generation but not set.`);
-          await programModel.updateGenerationError(program.id, 'Regeneration skipped: partner_name required for couples generation but not set.');
-          continue;
-        }
-
-        const generationStart = Date.now();
-        const therapyResponse = await service.generateInitialProgram({
-          userName,
-          partnerName,
-          userInput: program.user_input,
-          customPrompts
-        });
-        const secondsToLoad = parseFloat(((Date.now() - generationStart) / 1000).toFixed(4));
-        const therapyResponseString = typeof therapyResponse === 'object'
-          ? JSON.stringify(therapyResponse)
-          : therapyResponse;
-
-        const generationPrompt = (therapyResponse && typeof therapyResponse === 'object')
-          ? (therapyResponse.__prompt || null)
-          : null;
-
-        await programModel.updateTherapyResponse(program.id, therapyResponseString, secondsToLoad, generationPrompt);
-
-        if (programStepModel) {
-          await programStepModel.createProgramSteps(program.id, therapyResponseString);
-        }
-
-        console.log(`[regen_poller] Regeneration complete for program:`, program.id);
+        await programModel.clearRegenerateFlag(program.id);
       } catch (err) {
-        console.error(`[regen_poller] Regeneration failed for program ${program.id}:`, err.message);
-        try {
-          const failurePrompt = (err && err.__prompt) ? err.__prompt : null;
-          await programModel.updateGenerationError(program.id, `Regeneration failed: ${err.message}`, failurePrompt);
-        } catch { /* non-fatal */ }
+        console.error(`[regen_poller] Could not clear flag for program ${program.id}:`, err.message);
       }
     }
   }
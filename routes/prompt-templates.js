@@ -0,0 +1,180 @@
+const express = require('express');
+const { createAuthenticateToken } = require('../middleware/auth');
+const { PROMPT_TEMPLATES, TEMPLATE_KEYS } = require('../config/promptTemplates');
+
+// Admin CRUD for versioned prompt templates (models/PromptTemplate.js).
+// Mounted at /api/admin/prompt-templates. Publishing / unpublishing
+// invalidates the registry cache so the change takes effect immediately.
+function createPromptTemplateRoutes(promptTemplateModel, adminAuthService, templateRegistry = null) {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(adminAuthService);
+
+  const requireAdmin = (req, res, next) => {
+    if (!req.user || req.user.type !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    return next();
+  };
+
+  const invalidate = (templateKey) => {
+    if (templateRegistry) templateRegistry.invalidate(templateKey);
+  };
+
+  // Map model errors to status codes; anything unrecognised is a 500.
+  const sendError = (res, error, fallbackMessage) => {
+    if (error.message === 'Prompt template not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Only ') ||
+        error.message === 'Template is already published' ||
+        error.message === 'Template is used by a running experiment' ||
+        error.message === 'Template version conflict, please retry') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid ') ||
+        error.message.startsWith('Unknown template variables') ||
+        error.message.includes('required') ||
+        error.message.startsWith('At least one field')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('[prompt-templates] error:', error.message);
+    return res.status(500).json({ error: fallbackMessage });
+  };
+
+  // Every template key with its variables, built-in body and the version
+  // currently live (0 = built-in default).
+  // GET /api/admin/prompt-templates/keys
+  router.get('/keys', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const keys = [];
+      for (const key of TEMPLATE_KEYS) {
+        const published = await promptTemplateModel.getPublishedTemplate(key);
+        keys.push({
+          template_key: key,
+          description: PROMPT_TEMPLATES[key].description,
+          variables: PROMPT_TEMPLATES[key].variables,
+          default_body: PROMPT_TEMPLATES[key].body,
+          published_id: published ? published.id : null,
+          published_version: published ? published.version : 0
+        });
+      }
+
+      res.status(200).json({
+        message: 'Prompt template keys retrieved successfully',
+        template_keys: keys
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch prompt template keys');
+    }
+  });
+
+  // GET /api/admin/prompt-templates?template_key=...&status=draft|published|archived
+  router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { template_key, status } = req.query;
+      const templates = await promptTemplateModel.listTemplates({
+        templateKey: typeof template_key === 'string' && template_key ? template_key : null,
+        status: typeof status === 'string' && status ? status : null
+      });
+
+      res.status(200).json({
+        message: 'Prompt templates retrieved successfully',
+        prompt_templates: templates
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch prompt templates');
+    }
+  });
+
+  router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const template = await promptTemplateModel.getTemplateById(req.params.id);
+
+      res.status(200).json({
+        message: 'Prompt template retrieved successfully',
+        prompt_template: template
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to fetch prompt template');
+    }
+  });
+
+  // Create a draft at the next version for the key.
+  // POST /api/admin/prompt-templates { template_key, body, description? }
+  router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { template_key, body, description } = req.body;
+      const template = await promptTemplateModel.createDraft({
+        templateKey: template_key,
+        body,
+        description: description || null,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        message: 'Prompt template draft created successfully',
+        prompt_template: template
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to create prompt template');
+    }
+  });
+
+  // Edit a draft. Published and archived versions are immutable.
+  router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { body, description } = req.body;
+      const template = await promptTemplateModel.updateDraft(req.params.id, { body, description });
+
+      res.status(200).json({
+        message: 'Prompt template updated successfully',
+        prompt_template: template
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to update prompt template');
+    }
+  });
+
+  // Publish a draft, or re-publish an archived version to roll back.
+  router.post('/:id/publish', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const template = await promptTemplateModel.publishTemplate(req.params.id);
+      invalidate(template.template_key);
+
+      res.status(200).json({
+        message: 'Prompt template published successfully',
+        prompt_template: template
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to publish prompt template');
+    }
+  });
+
+  // Archive the published version; the key reverts to the built-in default.
+  router.post('/:id/unpublish', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const template = await promptTemplateModel.unpublishTemplate(req.params.id);
+      invalidate(template.template_key);
+
+      res.status(200).json({
+        message: 'Prompt template unpublished successfully',
+        prompt_template: template
+      });
+    } catch (error) {
+      return sendError(res, error, 'Failed to unpublish prompt template');
+    }
+  });
+
+  router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const result = await promptTemplateModel.deleteDraft(req.params.id);
+      res.status(200).json(result);
+    } catch (error) {
+      return sendError(res, error, 'Failed to delete prompt template');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createPromptTemplateRoutes;
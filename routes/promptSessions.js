@@ -9,17 +9,25 @@ const PromptSession = require('../models/PromptSession');
 //   - pairingModel:             required (membership / access checks when paired)
 //   - authService:              for token refresh in auth middleware
 //   - pushNotificationService:  optional (partner notifications)
+//   - promptSessionPromptService: optional (Bridge + Session generation; when
+//                                 absent, /generate returns 503)
+//   - userModel:                optional (participant names + org context)
+//   - promptSessionStreamService: optional (live SSE updates via GET /:id/stream;
+//                                 when absent, /stream returns 503)
 //
 // Solo / single-device mode: POST without pairing_id creates a session owned by
 // the caller. Prep and other member endpoints work without an accepted pairing.
 //
-// NOTE: Content generation (building the dynamic prompt + LLM call) is NOT yet
-// implemented. The `/generate` endpoint and the auto-trigger on second prep
-// completion are stubbed and clearly marked as TODO.
-function createPromptSessionRoutes(promptSessionModel, pairingModel, authService = null, pushNotificationService = null) {
+// Generation runs automatically once prep requirements are met (see POST
+// /:id/prep) and can be (re)triggered explicitly via POST /:id/generate.
+function createPromptSessionRoutes(promptSessionModel, pairingModel, authService = null, pushNotificationService = null, promptSessionPromptService = null, userModel = null, promptSessionStreamService = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(authService);
 
+  // Session ids with a generation currently running in this process. Guards
+  // against the auto-trigger and an explicit /generate racing each other.
+  const generationsInFlight = new Set();
+
   // Resolve a pairing and whether the user is a member. Throws 'Pairing not found'
   // (mapped to 404 by callers) when the pairing does not exist.
   async function loadPairing(pairingId) {
@@ -31,11 +39,139 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
     return pairing.user1_id === userId ? pairing.user2_id : pairing.user1_id;
   }
 
-  // STUB: invoked when prep requirements are met. Real implementation will build
-  // the dynamic prompt from prep(s), call the LLM, and persist content via
-  // promptSessionModel.saveGeneratedContent / updateGenerationError.
-  function triggerGenerationStub(promptSessionId) {
-    console.log(`[prompt_sessions] TODO: generation not implemented — prep ready for session ${promptSessionId}.`);
+  // Push an event to every open /:id/stream connection for the session. Once a
+  // session reaches a terminal status its streams are closed.
+  function broadcast(promptSessionId, event, data) {
+    if (!promptSessionStreamService) return;
+    promptSessionStreamService.publish(promptSessionId, event, data);
+    const status = data && data.prompt_session && data.prompt_session.status;
+    if (status && PromptSession.STATUS_TRANSITIONS[status].length === 0) {
+      promptSessionStreamService.close(promptSessionId);
+    }
+  }
+
+  function generationConfigured() {
+    return !!(promptSessionPromptService && promptSessionPromptService.isConfigured());
+  }
+
+  // Org context for the session creator, used to frame the session in their
+  // faith community. Priority: linked admin org code → custom org fields → null.
+  async function getCustomPrompts(userId) {
+    if (!userModel) return null;
+    try {
+      const orgCode = await userModel.getUserOrgCode(userId);
+      if (orgCode) {
+        return {
+          organizationName: orgCode.organization || null,
+          organizationCity: orgCode.city || null,
+          organizationState: orgCode.state || null,
+          llmProvider: orgCode.llm_provider || null
+        };
+      }
+
+      const user = await userModel.getUserById(userId);
+      if (user && (user.org_name || user.org_city || user.org_state)) {
+        return {
+          organizationName: user.org_name || null,
+          organizationCity: user.org_city || null,
+          organizationState: user.org_state || null,
+          llmProvider: null
+        };
+      }
+
+      return null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Build the dynamic prompt from the completed prep(s), call the LLM, and
+  // persist Bridge + Session content (status advances to 'bridge'). Failures
+  // are recorded via updateGenerationError rather than thrown, so callers can
+  // fire-and-forget. Resolves true when content was saved.
+  async function generateSessionContent(promptSessionId) {
+    if (generationsInFlight.has(promptSessionId)) {
+      console.log(`[prompt_sessions] Generation already in progress for session ${promptSessionId}, skipping.`);
+      return false;
+    }
+    generationsInFlight.add(promptSessionId);
+
+    try {
+      const session = await promptSessionModel.getPromptSessionById(promptSessionId);
+      const preps = (await promptSessionModel.getPreps(promptSessionId)).filter(prep => prep.completed);
+
+      const participants = [];
+      for (const prep of preps) {
+        let userName = null;
+        if (userModel) {
+          try {
+            const user = await userModel.getUserById(prep.user_id);
+            userName = user.user_name || null;
+          } catch (userError) {
+            console.log('Could not fetch participant name:', userError.message);
+          }
+        }
+        // Creator first so "Partner A" is stable across regenerations.
+        participants[prep.user_id === session.created_by_user_id ? 'unshift' : 'push']({ userName, prep });
+      }
+
+      const customPrompts = await getCustomPrompts(session.created_by_user_id);
+
+      const generationStart = Date.now();
+      const content = await promptSessionPromptService.generatePromptSessionContent(participants, customPrompts, {
+        feature: 'prompt_session',
+        userId: session.created_by_user_id,
+        promptSessionId
+      });
+      const secondsToGenerate = parseFloat(((Date.now() - generationStart) / 1000).toFixed(4));
+
+      await promptSessionModel.saveGeneratedContent(promptSessionId, {
+        bridgeContent: content.bridge,
+        sessionContent: content.session,
+        generationPrompt: content.__prompt || null,
+        llmUsed: content.__llm || promptSessionPromptService.describeLLM(customPrompts && customPrompts.llmProvider),
+        secondsToGenerate,
+        status: 'bridge'
+      });
+      console.log(`[prompt_sessions] Bridge + Session content generated for session ${promptSessionId} in ${secondsToGenerate}s.`);
+
+      if (promptSessionStreamService) {
+        const updated = await promptSessionModel.getPromptSessionById(promptSessionId);
+        broadcast(promptSessionId, 'content_generated', { prompt_session: updated });
+      }
+
+      if (pushNotificationService) {
+        const memberIds = [session.created_by_user_id];
+        if (session.pairing_id) {
+          try {
+            const pairing = await loadPairing(session.pairing_id);
+            memberIds.push(partnerIdFor(pairing, session.created_by_user_id));
+          } catch { /* non-fatal */ }
+        }
+        pushNotificationService.sendToUsers(memberIds.filter(Boolean), {
+          template: 'prompt_session_ready',
+          data: { kind: 'prompt_session_ready', prompt_session_id: promptSessionId, pairing_id: session.pairing_id }
+        }).catch(err => console.warn('[push] prompt_session_ready failed:', err.message));
+      }
+
+      return true;
+    } catch (error) {
+      if (error.message === 'Invalid status transition') {
+        // Session left 'prep' (e.g. abandoned) while we were generating.
+        console.log(`[prompt_sessions] Discarding generated content for session ${promptSessionId}: no longer in prep.`);
+        return false;
+      }
+      console.error(`[prompt_sessions] Generation failed for session ${promptSessionId}:`, error.message);
+      try {
+        await promptSessionModel.updateGenerationError(promptSessionId, error.message, error.__prompt || null);
+      } catch (saveError) {
+        console.error(`[prompt_sessions] Failed to save generation error for session ${promptSessionId}:`, saveError.message);
+      }
+      broadcast(promptSessionId, 'generation_failed', { prompt_session_id: promptSessionId, error: error.message });
+      return false;
+    } finally {
+      generationsInFlight.delete(promptSessionId);
+    }
   }
 
   // Create a prompt session. pairing_id is optional (solo / single-device mode).
@@ -58,6 +194,9 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
         if (!isMember) {
           return res.status(403).json({ error: 'Not authorized to create a prompt session for this pairing' });
         }
+        if (pairing.status === 'ended') {
+          return res.status(409).json({ error: 'This partnership has ended' });
+        }
 
         // Policy: only one non-terminal prompt session per pairing at a time.
         const active = await promptSessionModel.getActiveSessionForPairing(pairing_id);
@@ -92,9 +231,8 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
       const partnerId = partnerIdFor(pairing, userId);
       if (pushNotificationService && partnerId) {
         pushNotificationService.sendToUser(partnerId, {
-          title: 'New Sit Session',
-          body: 'Your partner started a Sit Session. Complete your prep to begin.',
-          data: { kind: 'prompt_session_created', prompt_session_id: session.id }
+          template: 'prompt_session_created',
+          data: { kind: 'prompt_session_created', prompt_session_id: session.id, pairing_id: session.pairing_id }
         }).catch(err => console.warn('[push] prompt_session_created failed:', err.message));
       }
     } catch (error) {
@@ -191,6 +329,14 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
         both_preps_complete: bothComplete
       });
 
+      // Completion status only — raw answers follow the same visibility
+      // policy as GET /:id/prep.
+      broadcast(id, 'prep_updated', {
+        user_id: userId,
+        completed: prep.completed,
+        both_preps_complete: bothComplete
+      });
+
       // Resolve pairing for notifications / partner id (optional).
       const session = await promptSessionModel.getPromptSessionById(id);
       let pairing = null;
@@ -202,14 +348,16 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
       const partnerId = partnerIdFor(pairing, userId);
 
       if (bothComplete) {
-        // TODO: kick off real generation here.
-        triggerGenerationStub(id);
+        // Auto-trigger once prep is ready. Skip if content already exists
+        // (e.g. a prep edited after generation) or generation is unavailable.
+        if (session.status === 'prep' && !session.bridge_content && generationConfigured()) {
+          generateSessionContent(id);
+        }
       } else if (prep.completed && pushNotificationService && partnerId) {
         // My prep is done but my partner's is not — nudge them.
         pushNotificationService.sendToUser(partnerId, {
-          title: 'Your partner finished prep',
-          body: 'Complete your prep to start your Sit Session together.',
-          data: { kind: 'prompt_session_prep_complete', prompt_session_id: id }
+          template: 'prompt_session_prep_complete',
+          data: { kind: 'prompt_session_prep_complete', prompt_session_id: id, pairing_id: session.pairing_id }
         }).catch(err => console.warn('[push] prompt_session_prep_complete failed:', err.message));
       }
     } catch (error) {
@@ -277,29 +425,66 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
     }
   });
 
-  // Update phase / status (member-only). Lightweight phase advancement.
+  // Advance status and/or phase (member-only). Transitions are enforced by
+  // PromptSession.STATUS_TRANSITIONS / PHASES_BY_STATUS; illegal moves are 409.
+  // When `status` changes without `current_phase`, the session lands on the
+  // first phase of the new status.
   router.patch('/:id', authenticateToken, async (req, res) => {
     try {
       const { id } = req.params;
+      const userId = req.user.id;
       const { current_phase, status } = req.body;
 
-      await promptSessionModel.getPromptSessionById(id);
-      const hasAccess = await promptSessionModel.checkAccess(req.user.id, id);
+      const session = await promptSessionModel.getPromptSessionById(id);
+      const hasAccess = await promptSessionModel.checkAccess(userId, id);
       if (!hasAccess) {
         return res.status(403).json({ error: 'Not authorized to access this prompt session' });
       }
 
-      if (status !== undefined) {
-        if (!PromptSession.ALL_STATUSES.includes(status)) {
-          return res.status(400).json({
-            error: `Invalid status. Must be one of: ${PromptSession.ALL_STATUSES.join(', ')}`
-          });
-        }
-        await promptSessionModel.updateStatus(id, status);
+      if (status !== undefined && !PromptSession.ALL_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Must be one of: ${PromptSession.ALL_STATUSES.join(', ')}`
+        });
+      }
+      if (current_phase !== undefined && !PromptSession.ALL_PHASES.includes(current_phase)) {
+        return res.status(400).json({
+          error: `Invalid current_phase. Must be one of: ${PromptSession.ALL_PHASES.join(', ')}`
+        });
       }
 
-      if (current_phase !== undefined) {
-        await promptSessionModel.updatePhase(id, current_phase);
+      const conflict = (error) => res.status(409).json({
+        error,
+        status: session.status,
+        current_phase: session.current_phase,
+        allowed_statuses: PromptSession.STATUS_TRANSITIONS[session.status] || [],
+        allowed_phases: PromptSession.PHASES_BY_STATUS[status || session.status] || []
+      });
+
+      if (status !== undefined && status !== session.status) {
+        // The Bridge is generated content; clients cannot skip past generation.
+        if (status === 'bridge' && !session.bridge_content) {
+          return conflict('Prompt session content has not been generated yet');
+        }
+        try {
+          await promptSessionModel.updateStatus(id, status, { userId, currentPhase: current_phase });
+        } catch (err) {
+          if (err.message === 'Invalid status transition') {
+            return conflict(`Cannot change status from ${session.status} to ${status}`);
+          }
+          if (err.message === 'Invalid phase for status') {
+            return conflict(`Phase ${current_phase} is not valid for status ${status}`);
+          }
+          throw err;
+        }
+      } else if (current_phase !== undefined) {
+        try {
+          await promptSessionModel.updatePhase(id, current_phase, { userId });
+        } catch (err) {
+          if (err.message === 'Invalid phase for status') {
+            return conflict(`Phase ${current_phase} is not valid for status ${session.status}`);
+          }
+          throw err;
+        }
       }
 
       const updated = await promptSessionModel.getPromptSessionById(id);
@@ -307,6 +492,8 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
         message: 'Prompt session updated successfully',
         prompt_session: updated
       });
+
+      broadcast(id, 'session_updated', { prompt_session: updated });
     } catch (error) {
       if (error.message === 'Prompt session not found') {
         return res.status(404).json({ error: error.message });
@@ -316,7 +503,75 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
     }
   });
 
-  // Trigger content generation. STUB — not implemented yet.
+  // Live "sit together" channel (Server-Sent Events). Authenticated with the
+  // same Bearer JWT as every other endpoint. Sends a `snapshot` on connect,
+  // then prep_updated / session_updated / content_generated /
+  // generation_failed as they happen (see PromptSessionStreamService).
+  router.get('/:id/stream', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const session = await promptSessionModel.getPromptSessionById(id);
+      const hasAccess = await promptSessionModel.checkAccess(userId, id);
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Not authorized to access this prompt session' });
+      }
+
+      if (!promptSessionStreamService) {
+        return res.status(503).json({ error: 'Live prompt session updates are not available' });
+      }
+
+      if (PromptSession.STATUS_TRANSITIONS[session.status].length === 0) {
+        return res.status(409).json({
+          error: 'Prompt session has ended',
+          prompt_session: session
+        });
+      }
+
+      const unsubscribe = promptSessionStreamService.subscribe(id, userId, res);
+      req.on('close', unsubscribe);
+      promptSessionStreamService.send(res, 'snapshot', { prompt_session: session });
+    } catch (error) {
+      if (error.message === 'Prompt session not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Error opening prompt session stream:', error.message);
+      if (!res.headersSent) {
+        return res.status(500).json({ error: 'Failed to open prompt session stream' });
+      }
+      res.end();
+    }
+  });
+
+  // Lifecycle history (created, status/phase changes, generation outcomes).
+  router.get('/:id/events', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await promptSessionModel.getPromptSessionById(id);
+      const hasAccess = await promptSessionModel.checkAccess(req.user.id, id);
+      if (!hasAccess) {
+        return res.status(403).json({ error: 'Not authorized to access this prompt session' });
+      }
+
+      const events = await promptSessionModel.getEvents(id);
+      res.status(200).json({
+        message: 'Prompt session events retrieved successfully',
+        events
+      });
+    } catch (error) {
+      if (error.message === 'Prompt session not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Error fetching prompt session events:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt session events' });
+    }
+  });
+
+  // Trigger (or retry) Bridge + Session generation. Returns 202 and generates
+  // in the background; clients poll GET /:id, listen on GET /:id/stream, or
+  // wait for the prompt_session_ready push for content or generation_error.
   router.post('/:id/generate', authenticateToken, async (req, res) => {
     try {
       const { id } = req.params;
@@ -335,13 +590,31 @@ function createPromptSessionRoutes(promptSessionModel, pairingModel, authService
         return res.status(409).json({ error: message });
       }
 
-      // TODO: implement prompt construction + LLM call, then persist via
-      // promptSessionModel.saveGeneratedContent(...). Until then, advertise
-      // that this endpoint is not yet implemented.
-      return res.status(501).json({
-        error: 'Prompt session generation is not implemented yet',
-        details: 'The dynamic prompt construction and LLM call still need to be defined. See docs/prompt-sessions-design.md.'
+      if (session.bridge_content || session.status !== 'prep') {
+        return res.status(409).json({
+          error: 'Prompt session content has already been generated',
+          prompt_session: session
+        });
+      }
+
+      if (generationsInFlight.has(id)) {
+        return res.status(409).json({ error: 'Prompt session generation is already in progress' });
+      }
+
+      if (!generationConfigured()) {
+        return res.status(503).json({
+          error: 'Prompt service is not configured. Please set OPENAI_API_KEY.',
+          details: 'An LLM API key is required to generate prompt session content.'
+        });
+      }
+
+      res.status(202).json({
+        message: 'Prompt session generation started',
+        prompt_session_id: id,
+        status: 'processing'
       });
+
+      generateSessionContent(id);
     } catch (error) {
       if (error.message === 'Prompt session not found') {
         return res.status(404).json({ error: error.message });
@@ -10,7 +10,7 @@ function filterUserData(user) {
   return filteredUser;
 }
 
-function createUserRoutes(userModel, authService, pairingService, orgCodeModel, pairingModel = null, stripeSubscriptionModel = null) {
+function createUserRoutes(userModel, authService, pairingService, orgCodeModel, pairingModel = null, stripeSubscriptionModel = null, notificationPreferenceModel = null, pushNotificationService = null, emailVerificationService = null) {
   const router = express.Router();
   const authenticateToken = createAuthenticateToken(authService);
 
@@ -28,10 +28,30 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
     }
   }
 
+  // Membership checks for active_pairing_id and per-pairing notification mutes.
+  async function findPairingOf(pairingId, userId) {
+    const model = pairingModel || pairingService.pairingModel;
+    try {
+      const pairing = await model.getPairingById(pairingId);
+      return pairing.user1_id === userId || pairing.user2_id === userId ? pairing : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function isPairingMember(pairingId, userId) {
+    return !!(await findPairingOf(pairingId, userId));
+  }
+
+  async function isAcceptedPairingOf(pairingId, userId) {
+    const pairing = await findPairingOf(pairingId, userId);
+    return !!pairing && pairing.status === 'accepted';
+  }
+
   // Create user
   router.post('/', async (req, res) => {
     try {
-      const { email, password } = req.body;
+      const { email, password, invite_token } = req.body;
 
       // Validation
       if (!email || !password) {
@@ -53,14 +73,46 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
       // Get the complete user object for token generation
       const user = await userModel.getUserById(createdUser.id);
 
-      // Automatically create a pairing request for the new user
+      // Email the sign-up verification link; a failed send never fails user creation.
+      if (emailVerificationService) {
+        emailVerificationService.sendVerification(user)
+          .catch(err => console.warn('Failed to send verification email for new user:', err.message));
+      }
+      // New accounts are unverified, so pairing waits when the policy requires it.
+      const pairingNeedsVerification = !!emailVerificationService && emailVerificationService.isRequiredFor('pairing');
+
+      // Redeem an invite link the user signed up from. A bad or expired
+      // invite is reported in the response but never fails user creation.
+      let inviteResult = null;
+      if (invite_token && pairingNeedsVerification) {
+        inviteResult = { accepted: false, error: emailVerificationService.notVerifiedError('pairing') };
+      } else if (invite_token) {
+        try {
+          const accepted = await pairingService.acceptInvite(user.id, invite_token);
+          inviteResult = { accepted: true, pairing_id: accepted.pairing.id };
+          const requesterId = accepted.pairing.requester.id;
+          if (pushNotificationService) {
+            pushNotificationService.sendToUser(requesterId, {
+              template: 'pairing_accepted',
+              data: { kind: 'pairing_accepted', pairing_id: accepted.pairing.id }
+            }).catch(err => console.warn('[push] pairing_accepted failed:', err.message));
+          }
+        } catch (inviteError) {
+          inviteResult = { accepted: false, error: inviteError.message };
+        }
+      }
+
+      // Automatically create a pairing request for the new user (not needed
+      // when they just paired through an invite)
       let pairingCode = null;
-      try {
-        const pairingResult = await pairingService.requestPairing(user.id);
-        pairingCode = pairingResult.partner_code;
-      } catch (pairingError) {
-        // Log the pairing error but don't fail user creation
-        console.warn('Failed to create automatic pairing request for new user:', pairingError.message);
+      if (!pairingNeedsVerification && (!inviteResult || !inviteResult.accepted)) {
+        try {
+          const pairingResult = await pairingService.requestPairing(user.id);
+          pairingCode = pairingResult.partner_code;
+        } catch (pairingError) {
+          // Log the pairing error but don't fail user creation
+          console.warn('Failed to create automatic pairing request for new user:', pairingError.message);
+        }
       }
 
       // Issue tokens for the new user
@@ -102,6 +154,9 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
       if (pairingCode) {
         response.pairing_code = pairingCode;
       }
+      if (inviteResult) {
+        response.invite = inviteResult;
+      }
 
       res.status(201).json(response);
     } catch (error) {
@@ -222,7 +277,7 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
         return res.status(403).json({ error: 'Not authorized to update this user' });
       }
 
-      const { email, user_name, partner_name, children, org_code, org_name, org_city, org_state } = req.body;
+      const { email, user_name, partner_name, children, org_code, org_name, org_city, org_state, reminder_time, daily_reminders_enabled, locale, active_pairing_id } = req.body;
       
       // Validate email format if provided
       if (email) {
@@ -234,8 +289,15 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
         }
       }
 
+      // Active pairing (default for new programs): one of the caller's accepted pairings, or null
+      if (active_pairing_id !== undefined && active_pairing_id !== null) {
+        if (typeof active_pairing_id !== 'string' || !(await isAcceptedPairingOf(active_pairing_id, id))) {
+          return res.status(400).json({ error: 'active_pairing_id must be one of your accepted pairings, or null' });
+        }
+      }
+
       const currentUser = await userModel.getUserById(id);
-      const updateData = { email, user_name, partner_name, children };
+      const updateData = { email, user_name, partner_name, children, reminder_time, daily_reminders_enabled, locale, active_pairing_id };
       const hasNonEmptyText = (value) =>
         typeof value === 'string' && value.trim().length > 0;
 
@@ -299,7 +361,29 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
         updateData.is_premium = hasCompleteCustomOrg || await hasActiveStripePremium(id);
       }
 
-      const updatedUser = await userModel.updateUser(id, updateData);
+      // With email verification, a new address is only stored as
+      // pending_email until the emailed link is confirmed. Sending the
+      // current address while a change is pending cancels that change.
+      // A taken address is rejected up front; the change itself is only
+      // requested (pending_email stored, mail sent) once the rest of the
+      // update went through, so a rejected body leaves nothing behind.
+      const emailDiffers = !!email && email.toLowerCase() !== String(currentUser.email).toLowerCase();
+      const wantsEmailChange = !!emailVerificationService && !!email && (emailDiffers || !!currentUser.pending_email);
+      if (wantsEmailChange && emailDiffers) {
+        await emailVerificationService.assertEmailAvailable(currentUser, email);
+        updateData.email = undefined;
+      }
+
+      const hasUpdates = Object.values(updateData).some(value => value !== undefined);
+      let updatedUser = hasUpdates || !wantsEmailChange
+        ? await userModel.updateUser(id, updateData)
+        : await userModel.getUserById(id);
+
+      let emailChange = null;
+      if (wantsEmailChange) {
+        emailChange = await emailVerificationService.requestEmailChange(currentUser, email);
+        updatedUser = await userModel.getUserById(id);
+      }
 
       if (currentUser.org_code_id !== updatedUser.org_code_id) {
         try {
@@ -348,16 +432,26 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
         ...orgDetails
       };
 
-      res.status(200).json({
+      const response = {
         message: 'User updated successfully',
         user: userWithPremium
-      });
+      };
+      if (emailChange) {
+        response.email_change = {
+          pending_email: emailChange.pending_email,
+          message: emailChange.pending_email
+            ? `Confirm the link sent to ${emailChange.pending_email} to finish changing your email`
+            : 'Pending change of email cancelled'
+        };
+      }
+
+      res.status(200).json(response);
     } catch (error) {
       if (error.message === 'User not found') {
         return res.status(404).json({ error: error.message });
       } else if (error.message === 'Email already exists') {
         return res.status(409).json({ error: error.message });
-      } else if (error.message.includes('Children must be')) {
+      } else if (error.message.includes('Children must be') || error.message.startsWith('Reminder time must be') || error.message.startsWith('Daily reminders enabled must be') || error.message.startsWith('Locale must be')) {
         return res.status(400).json({ error: error.message });
       } else {
         console.error('Error updating user:', error.message);
@@ -366,6 +460,65 @@ function createUserRoutes(userModel, authService, pairingService, orgCodeModel,
     }
   });
 
+  // Push notification preferences: per-kind toggles and quiet hours (self only).
+  // Enforced by PushNotificationService on every push.
+  router.get('/:id/notification-preferences', authenticateToken, async (req, res) => {
+    try {
+      if (req.params.id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view these notification preferences' });
+      }
+      if (!notificationPreferenceModel) {
+        return res.status(503).json({ error: 'Notification preferences are not configured' });
+      }
+
+      const preferences = await notificationPreferenceModel.getPreferences(req.params.id);
+      res.status(200).json({
+        message: 'Notification preferences retrieved successfully',
+        preferences
+      });
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error.message);
+      return res.status(500).json({ error: 'Failed to fetch notification preferences' });
+    }
+  });
+
+  // Partial update: { kinds: { step_message: false }, quiet_hours: { enabled, start, end }, timezone,
+  // pairings: { <pairing id>: false } } — pairings mutes one partnership's pushes.
+  router.put('/:id/notification-preferences', userUpdateLimiter, authenticateToken, async (req, res) => {
+    try {
+      if (req.params.id !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to update these notification preferences' });
+      }
+      if (!notificationPreferenceModel) {
+        return res.status(503).json({ error: 'Notification preferences are not configured' });
+      }
+
+      const { kinds, quiet_hours, timezone, pairings } = req.body || {};
+      if (kinds === undefined && quiet_hours === undefined && timezone === undefined && pairings === undefined) {
+        return res.status(400).json({ error: 'Provide at least one of kinds, quiet_hours, timezone or pairings' });
+      }
+      if (pairings && typeof pairings === 'object' && !Array.isArray(pairings)) {
+        for (const pairingId of Object.keys(pairings)) {
+          if (!(await isPairingMember(pairingId, req.params.id))) {
+            return res.status(400).json({ error: `Invalid pairings. "${pairingId}" is not one of your pairings` });
+          }
+        }
+      }
+
+      const preferences = await notificationPreferenceModel.updatePreferences(req.params.id, { kinds, quiet_hours, timezone, pairings });
+      res.status(200).json({
+        message: 'Notification preferences updated successfully',
+        preferences
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid ')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error updating notification preferences:', error.message);
+      return res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+  });
+
   // Get deleted users (admin-only — regular user JWTs never carry type=admin)
   router.get('/deleted/all', authenticateToken, async (req, res) => {
     try {
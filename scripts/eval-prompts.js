@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Offline prompt evaluation.
+ *
+ * Replays the fixture corpus through HelpfulPromptService / HopefulPromptService
+ * against one model, checks every output (structure, safety, personalization,
+ * length, plus rubric scorers) and writes report.json + report.html. Commit
+ * or keep the JSON from the last release and pass it as --baseline to see
+ * which fixtures regressed after a prompt or model change.
+ *
+ * Run: node scripts/eval-prompts.js [options]
+ *
+ *   --llm=provider:model  Model to evaluate, e.g. openai:gpt-5.4 or
+ *                         openai_compatible:llama3.1:8b (LLM_COMPATIBLE_BASE_URL
+ *                         for local servers). Defaults to LLM_PROVIDER.
+ *   --mock                Use the TEST_MOCK_LLM responses (harness smoke test).
+ *   --fixtures=path       Fixture JSON (default scripts/eval/fixtures.json).
+ *   --service=name        Only helpful or hopeful fixtures.
+ *   --only=a,b            Only fixtures whose id contains one of these.
+ *   --rubric=path         Extra rubric scorer module (repeatable).
+ *   --baseline=path       Previous report.json to compare against.
+ *   --out=dir             Output directory (default eval-reports/<timestamp>).
+ *
+ * Exits 1 when a fixture fails a check, errors, or regresses vs. the baseline.
+ * Fallbacks (LLM_FALLBACKS) are disabled so only the chosen model is judged.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const path = require('path');
+const HelpfulPromptService = require('../services/HelpfulPromptService');
+const HopefulPromptService = require('../services/HopefulPromptService');
+const { isSupportedProvider, createLLMProvider, parseFallbackList } = require('../services/LLMProviders');
+const { loadFixtures, runEvaluation } = require('./eval/harness');
+const { BUILT_IN_SCORERS, toScorers } = require('./eval/rubrics');
+const { buildReport, renderHtml } = require('./eval/report');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'eval', 'fixtures.json');
+
+function parseArgs(argv) {
+  const options = { llm: null, mock: false, fixtures: DEFAULT_FIXTURES, service: null, only: null, rubrics: [], baseline: null, out: null };
+  for (const arg of argv) {
+    if (arg === '--mock') options.mock = true;
+    else if (arg.startsWith('--llm=')) options.llm = arg.slice('--llm='.length);
+    else if (arg.startsWith('--fixtures=')) options.fixtures = path.resolve(arg.slice('--fixtures='.length));
+    else if (arg.startsWith('--service=')) options.service = arg.slice('--service='.length);
+    else if (arg.startsWith('--only=')) options.only = arg.slice('--only='.length).split(',').filter(Boolean);
+    else if (arg.startsWith('--rubric=')) options.rubrics.push(path.resolve(arg.slice('--rubric='.length)));
+    else if (arg.startsWith('--baseline=')) options.baseline = path.resolve(arg.slice('--baseline='.length));
+    else if (arg.startsWith('--out=')) options.out = path.resolve(arg.slice('--out='.length));
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (options.service && !['helpful', 'hopeful'].includes(options.service)) {
+    throw new Error('--service must be helpful or hopeful');
+  }
+  return options;
+}
+
+// Point a service at exactly one model: the --llm override (or its default
+// provider) with no fallback chain.
+function configureService(service, options) {
+  if (options.mock) {
+    service.mockMode = true;
+  } else if (options.llm) {
+    const [entry] = parseFallbackList(options.llm);
+    if (!entry || !isSupportedProvider(entry.provider)) {
+      throw new Error(`--llm must be provider:model with a supported provider (got "${options.llm}")`);
+    }
+    const provider = createLLMProvider(entry.provider, process.env, entry.model ? { model: entry.model } : {});
+    if (!provider.isConfigured()) {
+      throw new Error(`${entry.provider} is not configured - check its environment variables`);
+    }
+    service.llmProvider = provider;
+    service.provider = provider.name;
+    service.model = provider.model;
+  }
+  service.fallbackProviders = [];
+
+  if (!service.isConfigured()) {
+    throw new Error(`${service.provider} is not configured - pass --llm=provider:model or --mock`);
+  }
+  return service;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const corpus = JSON.parse(fs.readFileSync(options.fixtures, 'utf8'));
+  const fixtures = loadFixtures(corpus, options);
+  if (fixtures.length === 0) throw new Error('No fixtures matched');
+
+  const scorers = [...BUILT_IN_SCORERS];
+  for (const rubricPath of options.rubrics) {
+    scorers.push(...toScorers(require(rubricPath), rubricPath));
+  }
+  const baseline = options.baseline ? JSON.parse(fs.readFileSync(options.baseline, 'utf8')) : null;
+
+  const services = {
+    helpful: configureService(new HelpfulPromptService(), options),
+    hopeful: configureService(new HopefulPromptService(), options)
+  };
+  const llm = options.mock ? `mock:${services.helpful.model}` : `${services.helpful.provider}:${services.helpful.model}`;
+
+  console.log(`Evaluating ${fixtures.length} fixture(s) against ${llm}\n`);
+  const startedAt = Date.now();
+  const { results, timings } = await runEvaluation({
+    fixtures,
+    services,
+    scorers,
+    onResult: result => {
+      const failed = result.checks.filter(check => check.passed === false).map(check => check.name);
+      const detail = result.error || (failed.length ? `failed: ${failed.join(', ')}` : '');
+      console.log(`${result.status === 'pass' ? '✅' : '❌'} ${result.id} — ${result.status}${detail ? ` (${detail})` : ''}`);
+    }
+  });
+
+  const generatedAt = new Date().toISOString();
+  const report = buildReport({
+    results,
+    timings,
+    baseline,
+    corpusIds: corpus.map(fixture => fixture.id),
+    meta: {
+      generated_at: generatedAt,
+      llm,
+      fixtures: path.relative(process.cwd(), options.fixtures),
+      scorers: scorers.map(scorer => scorer.name),
+      duration_ms: Date.now() - startedAt
+    }
+  });
+
+  const outDir = options.out || path.join(process.cwd(), 'eval-reports', generatedAt.replace(/[:.]/g, '-'));
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'report.json'), `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(path.join(outDir, 'report.html'), renderHtml(report));
+
+  const { summary, comparison } = report;
+  console.log(`\n${summary.pass} pass · ${summary.fail} fail · ${summary.error} error of ${summary.fixtures}`);
+  for (const [name, { mean }] of Object.entries(summary.scores)) {
+    console.log(`  ${name}: ${mean}`);
+  }
+  if (comparison) {
+    console.log(`${comparison.regressions} regression(s) vs baseline, ${comparison.changes.length} fixture(s) changed`);
+  }
+  console.log(`Report: ${outDir}/report.{json,html}`);
+
+  return summary.fail === 0 && summary.error === 0 && (!comparison || comparison.regressions === 0);
+}
+
+main()
+  .then(success => process.exit(success ? 0 : 1))
+  .catch(err => {
+    console.error(`eval-prompts: ${err.message}`);
+    process.exit(1);
+  });
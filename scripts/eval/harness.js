@@ -0,0 +1,249 @@
+/**
+ * Offline prompt evaluation harness.
+ *
+ * Replays fixtures (scripts/eval/fixtures.json) through the Helpful / Hopeful
+ * prompt services' public generate methods, then runs the built-in checks
+ * (the services' own validateProgramStructure / validateAIResponse plus
+ * name-personalization and length checks) and any rubric scorers over each
+ * output. Used by scripts/eval-prompts.js; kept free of CLI / file concerns
+ * so tests can drive it with mocked services.
+ *
+ * Fixture shape:
+ *   { id, service: 'helpful'|'hopeful', type: 'initial_program'|'next_program'|'chime_in',
+ *     userName, partnerName?, userInput?, previousConversationStarters?,
+ *     conversationStarter?, userMessages?, customPrompts? }
+ */
+
+const crypto = require('crypto');
+
+const SERVICES = ['helpful', 'hopeful'];
+const TYPES = ['initial_program', 'next_program', 'chime_in'];
+
+// Expected program length per service track.
+const PROGRAM_DAYS = { helpful: 14, hopeful: 7 };
+
+const LIMITS = {
+  titleMax: 150,
+  dayContentMin: 20,
+  dayContentMax: 600,
+  chimeInMin: 20,
+  chimeInMax: 500
+};
+
+function validateFixture(fixture, index) {
+  const label = fixture && fixture.id ? `"${fixture.id}"` : `#${index + 1}`;
+  if (!fixture || typeof fixture !== 'object') {
+    throw new Error(`Invalid fixture ${label}: must be an object`);
+  }
+  if (typeof fixture.id !== 'string' || !fixture.id) {
+    throw new Error(`Invalid fixture ${label}: id is required`);
+  }
+  if (!SERVICES.includes(fixture.service)) {
+    throw new Error(`Invalid fixture ${label}: service must be one of ${SERVICES.join(', ')}`);
+  }
+  if (!TYPES.includes(fixture.type)) {
+    throw new Error(`Invalid fixture ${label}: type must be one of ${TYPES.join(', ')}`);
+  }
+  if (typeof fixture.userName !== 'string' || !fixture.userName) {
+    throw new Error(`Invalid fixture ${label}: userName is required`);
+  }
+  if (fixture.type === 'chime_in') {
+    if (!fixture.conversationStarter || !Array.isArray(fixture.userMessages) || fixture.userMessages.length === 0) {
+      throw new Error(`Invalid fixture ${label}: chime_in needs conversationStarter and userMessages`);
+    }
+  } else if (typeof fixture.userInput !== 'string' || !fixture.userInput) {
+    throw new Error(`Invalid fixture ${label}: userInput is required`);
+  }
+}
+
+// Fixtures are sorted by id so reports diff cleanly between runs.
+function loadFixtures(list, { service = null, only = null } = {}) {
+  if (!Array.isArray(list)) {
+    throw new Error('Invalid fixtures: expected a JSON array');
+  }
+  const seen = new Set();
+  list.forEach((fixture, index) => {
+    validateFixture(fixture, index);
+    if (seen.has(fixture.id)) throw new Error(`Invalid fixtures: duplicate id "${fixture.id}"`);
+    seen.add(fixture.id);
+  });
+
+  return list
+    .filter(fixture => !service || fixture.service === service)
+    .filter(fixture => !only || only.some(pattern => fixture.id.includes(pattern)))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function generate(service, fixture) {
+  const customPrompts = fixture.customPrompts || null;
+  if (fixture.type === 'initial_program') {
+    return service.generateCouplesProgram(fixture.userName, fixture.partnerName || null, fixture.userInput, customPrompts);
+  }
+  if (fixture.type === 'next_program') {
+    return service.generateNextCouplesProgram(
+      fixture.userName,
+      fixture.partnerName || null,
+      fixture.previousConversationStarters || [],
+      fixture.userInput,
+      customPrompts
+    );
+  }
+  return service.generateChimeInPrompt(fixture.userName, fixture.conversationStarter, fixture.userMessages, customPrompts);
+}
+
+const includesName = (text, name) => Boolean(name) && typeof text === 'string' && text.toLowerCase().includes(name.toLowerCase());
+
+// → [{ name, passed, detail }]. `passed: null` means the check doesn't apply
+// to this fixture.
+function runChecks(service, fixture, output) {
+  const checks = [];
+  const add = (name, passed, detail = '') => checks.push({ name, passed, detail });
+
+  if (fixture.type === 'chime_in') {
+    const text = Array.isArray(output) ? output.join(' ') : output;
+    add('safety', service.validateAIResponse(text, LIMITS.chimeInMin), 'validateAIResponse');
+    const length = typeof text === 'string' ? text.length : 0;
+    add(
+      'length',
+      length >= LIMITS.chimeInMin && length <= LIMITS.chimeInMax,
+      `${length} chars (${LIMITS.chimeInMin}-${LIMITS.chimeInMax})`
+    );
+    add('personalization', null, 'not required for chime-ins');
+    return checks;
+  }
+
+  add('structure', service.validateProgramStructure(output), 'validateProgramStructure');
+  add('safety', service.validateAIResponse(JSON.stringify(output)), 'validateAIResponse');
+
+  const program = output && output.program ? output.program : {};
+  const days = Array.isArray(program.days) ? program.days : [];
+  const expectedDays = PROGRAM_DAYS[fixture.service];
+  const mainContent = day => day.conversation_starter || day.reflection || '';
+  const outOfRange = days.filter(day => {
+    const length = mainContent(day).length;
+    return length < LIMITS.dayContentMin || length > LIMITS.dayContentMax;
+  });
+  const titleLength = typeof program.title === 'string' ? program.title.length : 0;
+  add(
+    'length',
+    days.length === expectedDays && outOfRange.length === 0 && titleLength > 0 && titleLength <= LIMITS.titleMax,
+    `${days.length}/${expectedDays} days, ${outOfRange.length} day(s) outside ${LIMITS.dayContentMin}-${LIMITS.dayContentMax} chars, title ${titleLength} chars`
+  );
+
+  // The Helpful prompts ask for both names in the title and (initial
+  // program) in the first conversation starter; Hopeful prompts don't use
+  // names.
+  if (fixture.service === 'helpful') {
+    const names = [fixture.userName, fixture.partnerName];
+    const titleOk = names.every(name => includesName(program.title, name));
+    const firstDayOk = fixture.type !== 'initial_program' ||
+      (days[0] && names.every(name => includesName(mainContent(days[0]), name)));
+    add(
+      'personalization',
+      titleOk && Boolean(firstDayOk),
+      `title ${titleOk ? 'has' : 'is missing'} both names${fixture.type === 'initial_program' ? `, day 1 ${firstDayOk ? 'has' : 'is missing'} both names` : ''}`
+    );
+  } else {
+    add('personalization', null, 'Hopeful prompts are not name-personalized');
+  }
+
+  if (fixture.type === 'next_program') {
+    const previous = (fixture.previousConversationStarters || []).map(starter => starter.trim().toLowerCase());
+    const repeated = days.filter(day => previous.includes(mainContent(day).trim().toLowerCase()));
+    add('novelty', repeated.length === 0, `${repeated.length} previous conversation starter(s) repeated`);
+  }
+
+  return checks;
+}
+
+// Rubric scorers: { name, appliesTo?: [type], score({ fixture, output, service }) → { score, notes? } }.
+// Scores are clamped to 0..1; a throwing scorer is recorded with score null.
+async function runScorers(scorers, context) {
+  const scores = [];
+  for (const scorer of scorers) {
+    if (Array.isArray(scorer.appliesTo) && !scorer.appliesTo.includes(context.fixture.type)) continue;
+    if (Array.isArray(scorer.services) && !scorer.services.includes(context.fixture.service)) continue;
+    try {
+      const result = await scorer.score(context);
+      const value = Number(result && result.score);
+      scores.push({
+        name: scorer.name,
+        score: Number.isFinite(value) ? Number(Math.min(1, Math.max(0, value)).toFixed(4)) : null,
+        notes: (result && result.notes) || ''
+      });
+    } catch (error) {
+      scores.push({ name: scorer.name, score: null, notes: `scorer error: ${error.message}` });
+    }
+  }
+  return scores;
+}
+
+const promptHash = prompt => (typeof prompt === 'string'
+  ? crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12)
+  : null);
+
+/**
+ * Evaluate fixtures one at a time (so a local model isn't flooded).
+ *
+ * @param {Object}   options
+ * @param {Object[]} options.fixtures  Output of loadFixtures.
+ * @param {Object}   options.services  { helpful, hopeful } prompt service instances.
+ * @param {Object[]} [options.scorers] Rubric scorers (see runScorers).
+ * @param {Function} [options.onResult] Progress callback (result) => void.
+ * @returns {Promise<{ results: Object[], timings: Object }>}
+ */
+async function runEvaluation({ fixtures, services, scorers = [], onResult = null }) {
+  const results = [];
+  const timings = {};
+
+  for (const fixture of fixtures) {
+    const service = services[fixture.service];
+    const startedAt = Date.now();
+    const result = {
+      id: fixture.id,
+      service: fixture.service,
+      type: fixture.type,
+      status: 'pass',
+      error: null,
+      llm: null,
+      template: null,
+      prompt_sha: null,
+      checks: [],
+      scores: [],
+      output: null
+    };
+
+    try {
+      const output = await generate(service, fixture);
+      result.output = output;
+      if (output && typeof output === 'object') {
+        result.llm = output.__llm || null;
+        result.template = output.__template ? { key: output.__template.key, version: output.__template.version } : null;
+        result.prompt_sha = promptHash(output.__prompt);
+      }
+      result.checks = runChecks(service, fixture, output);
+      result.scores = await runScorers(scorers, { fixture, output, service });
+      if (result.checks.some(check => check.passed === false)) result.status = 'fail';
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.message;
+      if (error.__template) result.template = { key: error.__template.key, version: error.__template.version };
+      result.prompt_sha = promptHash(error.__prompt);
+    }
+
+    timings[fixture.id] = Date.now() - startedAt;
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+
+  return { results, timings };
+}
+
+module.exports = {
+  LIMITS,
+  PROGRAM_DAYS,
+  loadFixtures,
+  runChecks,
+  runScorers,
+  runEvaluation
+};
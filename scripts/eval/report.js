@@ -0,0 +1,185 @@
+/**
+ * Report building for the prompt evaluation harness: a JSON report meant to
+ * be committed / diffed between prompt changes (results sorted by fixture id,
+ * run-specific data such as timestamps and latency kept under `meta`), and a
+ * self-contained HTML view of the same data.
+ */
+
+function summarize(results) {
+  const summary = { fixtures: results.length, pass: 0, fail: 0, error: 0, checks: {}, scores: {} };
+  const scoreTotals = {};
+
+  for (const result of results) {
+    summary[result.status]++;
+    for (const check of result.checks) {
+      if (check.passed === null) continue;
+      const bucket = summary.checks[check.name] || (summary.checks[check.name] = { passed: 0, failed: 0 });
+      bucket[check.passed ? 'passed' : 'failed']++;
+    }
+    for (const { name, score } of result.scores) {
+      if (score === null) continue;
+      const bucket = scoreTotals[name] || (scoreTotals[name] = { total: 0, count: 0 });
+      bucket.total += score;
+      bucket.count++;
+    }
+  }
+
+  for (const [name, { total, count }] of Object.entries(scoreTotals)) {
+    summary.scores[name] = { mean: Number((total / count).toFixed(4)), count };
+  }
+  return summary;
+}
+
+// Per-fixture changes against a previous report: status changes, checks
+// that started failing, and rubric score deltas. `corpusIds` (every fixture
+// id in the corpus, before --only / --service filtering) decides which
+// baseline fixtures count as removed; without it any missing id does.
+function compareToBaseline(results, baseline, corpusIds = null) {
+  const previousById = new Map((baseline.results || []).map(result => [result.id, result]));
+  const changes = [];
+
+  for (const result of results) {
+    const previous = previousById.get(result.id);
+    if (!previous) {
+      changes.push({ id: result.id, change: 'new', status: result.status });
+      continue;
+    }
+
+    const previousChecks = new Map((previous.checks || []).map(check => [check.name, check.passed]));
+    const regressedChecks = result.checks
+      .filter(check => check.passed === false && previousChecks.get(check.name) === true)
+      .map(check => check.name);
+    const fixedChecks = result.checks
+      .filter(check => check.passed === true && previousChecks.get(check.name) === false)
+      .map(check => check.name);
+
+    const previousScores = new Map((previous.scores || []).map(score => [score.name, score.score]));
+    const scoreDeltas = {};
+    for (const { name, score } of result.scores) {
+      const before = previousScores.get(name);
+      if (score !== null && typeof before === 'number' && score !== before) {
+        scoreDeltas[name] = Number((score - before).toFixed(4));
+      }
+    }
+
+    const promptChanged = Boolean(previous.prompt_sha && result.prompt_sha && previous.prompt_sha !== result.prompt_sha);
+    if (previous.status !== result.status || regressedChecks.length || fixedChecks.length ||
+        Object.keys(scoreDeltas).length || promptChanged) {
+      changes.push({
+        id: result.id,
+        change: 'changed',
+        status_before: previous.status,
+        status: result.status,
+        prompt_changed: promptChanged,
+        regressed_checks: regressedChecks,
+        fixed_checks: fixedChecks,
+        score_deltas: scoreDeltas
+      });
+    }
+  }
+
+  const currentIds = new Set(corpusIds || results.map(result => result.id));
+  for (const id of previousById.keys()) {
+    if (!currentIds.has(id)) changes.push({ id, change: 'removed' });
+  }
+
+  return {
+    baseline_generated_at: baseline.meta ? baseline.meta.generated_at : null,
+    regressions: changes.filter(change => change.change === 'changed' &&
+      (change.regressed_checks.length > 0 || (change.status_before === 'pass' && change.status !== 'pass'))).length,
+    changes
+  };
+}
+
+function buildReport({ results, timings, meta, baseline = null, corpusIds = null }) {
+  return {
+    meta: { ...meta, timings_ms: timings },
+    summary: summarize(results),
+    comparison: baseline ? compareToBaseline(results, baseline, corpusIds) : null,
+    results
+  };
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const badge = passed => {
+  if (passed === null) return '<span class="na">n/a</span>';
+  return passed ? '<span class="pass">pass</span>' : '<span class="fail">fail</span>';
+};
+
+function renderHtml(report) {
+  const { meta, summary, comparison, results } = report;
+  const checkNames = [...new Set(results.flatMap(result => result.checks.map(check => check.name)))];
+  const scoreNames = [...new Set(results.flatMap(result => result.scores.map(score => score.name)))];
+  const changesById = new Map((comparison ? comparison.changes : []).map(change => [change.id, change]));
+
+  const rows = results.map(result => {
+    const checks = new Map(result.checks.map(check => [check.name, check]));
+    const scores = new Map(result.scores.map(score => [score.name, score]));
+    const change = changesById.get(result.id);
+    const output = typeof result.output === 'string' ? result.output : JSON.stringify(result.output, null, 2);
+    return `<tr class="${result.status}">
+  <td><code>${escapeHtml(result.id)}</code></td>
+  <td>${escapeHtml(result.service)}</td>
+  <td>${escapeHtml(result.type)}</td>
+  <td class="${result.status}">${escapeHtml(result.status)}${change ? ` <small>(${escapeHtml(change.change === 'changed' ? `was ${change.status_before}` : change.change)})</small>` : ''}</td>
+  ${checkNames.map(name => {
+    const check = checks.get(name);
+    return `<td title="${escapeHtml(check ? check.detail : '')}">${check ? badge(check.passed) : ''}</td>`;
+  }).join('')}
+  ${scoreNames.map(name => {
+    const score = scores.get(name);
+    const delta = change && change.score_deltas ? change.score_deltas[name] : undefined;
+    return `<td title="${escapeHtml(score ? score.notes : '')}">${score && score.score !== null ? score.score : ''}${delta !== undefined ? ` <small>(${delta > 0 ? '+' : ''}${delta})</small>` : ''}</td>`;
+  }).join('')}
+  <td>${meta.timings_ms && meta.timings_ms[result.id] !== undefined ? meta.timings_ms[result.id] : ''}</td>
+  <td><details><summary>${result.error ? escapeHtml(result.error) : 'output'}</summary>
+    <p>llm: <code>${escapeHtml(result.llm || '-')}</code> · template: <code>${escapeHtml(result.template ? `${result.template.key} v${result.template.version}` : '-')}</code> · prompt: <code>${escapeHtml(result.prompt_sha || '-')}</code></p>
+    <pre>${escapeHtml(output || '')}</pre></details></td>
+</tr>`;
+  }).join('\n');
+
+  const scoreSummary = Object.entries(summary.scores)
+    .map(([name, { mean, count }]) => `<li><code>${escapeHtml(name)}</code>: ${mean} (n=${count})</li>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Prompt evaluation — ${escapeHtml(meta.generated_at)}</title>
+<style>
+  body { font-family: -apple-system, system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.35rem 0.5rem; vertical-align: top; text-align: left; }
+  th { background: #f5f5f5; }
+  .pass { color: #17803d; } .fail, .error { color: #c0262d; } .na { color: #999; }
+  pre { white-space: pre-wrap; max-height: 30rem; overflow: auto; background: #fafafa; padding: 0.5rem; }
+</style>
+</head>
+<body>
+<h1>Prompt evaluation</h1>
+<p>Generated ${escapeHtml(meta.generated_at)} · LLM <code>${escapeHtml(meta.llm)}</code> · fixtures <code>${escapeHtml(meta.fixtures)}</code></p>
+<p><strong>${summary.pass}</strong> pass · <strong>${summary.fail}</strong> fail · <strong>${summary.error}</strong> error of ${summary.fixtures}${comparison ? ` · <strong>${comparison.regressions}</strong> regression(s) vs baseline ${escapeHtml(comparison.baseline_generated_at || '')}` : ''}</p>
+${scoreSummary ? `<ul>${scoreSummary}</ul>` : ''}
+<table>
+<thead><tr><th>Fixture</th><th>Service</th><th>Type</th><th>Status</th>${checkNames.map(name => `<th>${escapeHtml(name)}</th>`).join('')}${scoreNames.map(name => `<th>${escapeHtml(name)}</th>`).join('')}<th>ms</th><th>Output</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  summarize,
+  compareToBaseline,
+  buildReport,
+  renderHtml
+};
@@ -0,0 +1,71 @@
+/**
+ * Built-in rubric scorers for the prompt evaluation harness.
+ *
+ * A scorer is { name, appliesTo?, services?, score(context) } where
+ * `appliesTo` limits it to fixture types, `services` to service tracks, and
+ * `score({ fixture, output, service })` returns { score: 0..1, notes? }
+ * (sync or async). Extra scorers are loaded with --rubric=path/to/module.js;
+ * the module exports one scorer or an array of them, so an LLM-as-judge
+ * scorer can live outside the repo.
+ */
+
+const FAITH_TERMS = /\b(god|jesus|christ|bible|scripture|church|prayer|pray|faith|holy spirit)\b/gi;
+const METHOD_NAMES = /\b(emotionally focused|EFT|gottman)\b/gi;
+
+const programText = output => JSON.stringify(output && output.program ? output.program : output || '');
+const chimeInText = output => (Array.isArray(output) ? output.join(' ') : String(output || ''));
+
+const BUILT_IN_SCORERS = [
+  {
+    name: 'secular_language',
+    services: ['helpful'],
+    score({ fixture, output }) {
+      const text = fixture.type === 'chime_in' ? chimeInText(output) : programText(output);
+      const hits = text.match(FAITH_TERMS) || [];
+      return { score: hits.length === 0 ? 1 : 0, notes: hits.length ? `faith terms: ${[...new Set(hits.map(h => h.toLowerCase()))].join(', ')}` : '' };
+    }
+  },
+  {
+    name: 'no_method_names',
+    services: ['helpful'],
+    score({ fixture, output }) {
+      const text = fixture.type === 'chime_in' ? chimeInText(output) : programText(output);
+      const hits = text.match(METHOD_NAMES) || [];
+      return { score: hits.length === 0 ? 1 : 0, notes: hits.length ? `mentions: ${[...new Set(hits)].join(', ')}` : '' };
+    }
+  },
+  {
+    name: 'single_question',
+    appliesTo: ['chime_in'],
+    score({ output }) {
+      const questions = (chimeInText(output).match(/\?/g) || []).length;
+      return { score: questions === 1 ? 1 : 0, notes: `${questions} question mark(s)` };
+    }
+  },
+  {
+    name: 'theme_variety',
+    appliesTo: ['initial_program', 'next_program'],
+    score({ output }) {
+      const days = output && output.program && Array.isArray(output.program.days) ? output.program.days : [];
+      if (days.length === 0) return { score: 0, notes: 'no days' };
+      const themes = new Set(days.map(day => String(day.theme || '').trim().toLowerCase()));
+      return { score: themes.size / days.length, notes: `${themes.size}/${days.length} distinct themes` };
+    }
+  }
+];
+
+// Normalize a --rubric module's export into a list of scorers.
+function toScorers(exported, source) {
+  const list = Array.isArray(exported) ? exported : [exported];
+  for (const scorer of list) {
+    if (!scorer || typeof scorer.name !== 'string' || typeof scorer.score !== 'function') {
+      throw new Error(`Invalid rubric in ${source}: each scorer needs a name and a score() function`);
+    }
+  }
+  return list;
+}
+
+module.exports = {
+  BUILT_IN_SCORERS,
+  toScorers
+};
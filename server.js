@@ -19,14 +19,35 @@ const AdminUser = require('./models/AdminUser');
 const DeviceToken = require('./models/DeviceToken');
 const PromptSession = require('./models/PromptSession');
 const StripeSubscription = require('./models/StripeSubscription');
+const LlmUsage = require('./models/LlmUsage');
+const PromptTemplate = require('./models/PromptTemplate');
+const Experiment = require('./models/Experiment');
+const GenerationJob = require('./models/GenerationJob');
+const ProgramDraft = require('./models/ProgramDraft');
+const ProgramReminder = require('./models/ProgramReminder');
+const NotificationPreference = require('./models/NotificationPreference');
+const PushDelivery = require('./models/PushDelivery');
+const PasswordResetToken = require('./models/PasswordResetToken');
+const EmailVerificationToken = require('./models/EmailVerificationToken');
 const AuthService = require('./services/AuthService');
 const PairingService = require('./services/PairingService');
 const HopefulPromptService = require('./services/HopefulPromptService');
 const HelpfulPromptService = require('./services/HelpfulPromptService');
+const PromptSessionPromptService = require('./services/PromptSessionPromptService');
 const { SubscriptionService } = require('./services/SubscriptionService');
 const { StripeBillingService } = require('./services/StripeBillingService');
 const AdminAuthService = require('./services/AdminAuthService');
 const PushNotificationService = require('./services/PushNotificationService');
+const PromptSessionExpiryService = require('./services/PromptSessionExpiryService');
+const PromptSessionStreamService = require('./services/PromptSessionStreamService');
+const ProgramStepStreamService = require('./services/ProgramStepStreamService');
+const PromptTemplateRegistry = require('./services/PromptTemplateRegistry');
+const ExperimentService = require('./services/ExperimentService');
+const JobQueue = require('./services/JobQueue');
+const DailyReminderService = require('./services/DailyReminderService');
+const MailService = require('./services/MailService');
+const PasswordResetService = require('./services/PasswordResetService');
+const EmailVerificationService = require('./services/EmailVerificationService');
 
 // Import routes
 const createUserRoutes = require('./routes/users');
@@ -38,6 +59,9 @@ const createSubscriptionRoutes = require('./routes/subscription');
 const createOrgCodeRoutes = require('./routes/org-codes');
 const createAdminAuthRoutes = require('./routes/admin-auth');
 const createAdminRoutes = require('./routes/admin');
+const createAdminProgramRoutes = require('./routes/admin-programs');
+const createPromptTemplateRoutes = require('./routes/prompt-templates');
+const createExperimentRoutes = require('./routes/experiments');
 const createDeviceTokenRoutes = require('./routes/device-tokens');
 const createPromptSessionRoutes = require('./routes/promptSessions');
 const { createBillingRoutes, createBillingWebhookHandler } = require('./routes/billing');
@@ -157,6 +181,125 @@ function startDeviceTokenCleanupJob(deviceTokenModel) {
   console.log(`[push-cleanup] scheduled every ${intervalHours}h (threshold: ${DAYS_OLD} days)`);
 }
 
+// Periodically delete push_deliveries rows older than
+// PUSH_DELIVERY_RETENTION_DAYS (default 30; 0 keeps them forever). Runs on
+// the device token cleanup cadence (PUSH_TOKEN_CLEANUP_INTERVAL_HOURS).
+function startPushDeliveryCleanupJob(pushDeliveryModel) {
+  const retentionDays = parseInt(process.env.PUSH_DELIVERY_RETENTION_DAYS || '30', 10);
+  const intervalHours = parseInt(process.env.PUSH_TOKEN_CLEANUP_INTERVAL_HOURS || '24', 10);
+  if (!retentionDays || retentionDays <= 0 || !intervalHours || intervalHours <= 0) {
+    console.log('[push-deliveries] retention cleanup disabled');
+    return;
+  }
+
+  async function runOnce() {
+    const removed = await pushDeliveryModel.cleanupOldDeliveries(retentionDays);
+    if (removed > 0) {
+      console.log(`[push-deliveries] removed ${removed} delivery row(s) older than ${retentionDays} days`);
+    }
+  }
+
+  // First run shortly after the device token cleanup
+  setTimeout(() => {
+    runOnce().catch(e => console.warn('[push-deliveries] initial cleanup failed:', e.message));
+  }, 5 * 60 * 1000); // 5 minutes
+
+  setInterval(() => {
+    runOnce().catch(e => console.warn('[push-deliveries] periodic cleanup failed:', e.message));
+  }, intervalHours * 60 * 60 * 1000);
+
+  console.log(`[push-deliveries] retention cleanup every ${intervalHours}h (keeping ${retentionDays} days)`);
+}
+
+// Periodically expire prompt sessions that have been idle for the model's
+// idle window (services/PromptSessionExpiryService.js). Members get a reminder
+// push PROMPT_SESSION_EXPIRY_REMINDER_HOURS before expiry; sessions are only
+// abandoned after that reminder has gone out. Abandoning frees the
+// one-active-session-per-pairing / per-solo-user slot.
+function startPromptSessionExpiryJob(promptSessionExpiryService) {
+  const intervalMinutes = parseInt(process.env.PROMPT_SESSION_EXPIRY_INTERVAL_MINUTES || '15', 10);
+  if (!promptSessionExpiryService.enabled || !intervalMinutes || intervalMinutes <= 0) {
+    console.log('[prompt-session-expiry] disabled via PROMPT_SESSION_IDLE_HOURS / PROMPT_SESSION_EXPIRY_INTERVAL_MINUTES');
+    return;
+  }
+
+  async function runOnce() {
+    const { reminded, abandoned } = await promptSessionExpiryService.runOnce();
+    if (reminded > 0 || abandoned > 0) {
+      console.log(`[prompt-session-expiry] reminded ${reminded}, abandoned ${abandoned} idle prompt session(s)`);
+    }
+  }
+
+  // First run shortly after boot (gives DB/migrations time to settle)
+  setTimeout(() => {
+    runOnce().catch(e => console.warn('[prompt-session-expiry] initial run failed:', e.message));
+  }, 2 * 60 * 1000); // 2 minutes
+
+  setInterval(() => {
+    runOnce().catch(e => console.warn('[prompt-session-expiry] periodic run failed:', e.message));
+  }, intervalMinutes * 60 * 1000);
+
+  const { promptSessionModel, reminderLeadHours } = promptSessionExpiryService;
+  console.log(`[prompt-session-expiry] scheduled every ${intervalMinutes}m (idle window: ${promptSessionModel.idleHours}h, reminder ${reminderLeadHours}h before)`);
+}
+
+// Periodically send daily program reminders and partner nudges that are due
+// (services/DailyReminderService.js). Every DAILY_REMINDER_INTERVAL_MINUTES
+// (default 5); 0 disables. Each reminder is claimed in program_reminders
+// before sending, so overlapping instances don't double up.
+function startDailyReminderJob(dailyReminderService) {
+  const intervalMinutes = parseInt(process.env.DAILY_REMINDER_INTERVAL_MINUTES || '5', 10);
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    console.log('[reminders] disabled via DAILY_REMINDER_INTERVAL_MINUTES');
+    return;
+  }
+
+  async function runOnce() {
+    const { reminders, nudges } = await dailyReminderService.runOnce();
+    if (reminders > 0 || nudges > 0) {
+      console.log(`[reminders] sent ${reminders} daily reminder(s), ${nudges} partner nudge(s)`);
+    }
+  }
+
+  // First run shortly after boot (gives DB/migrations time to settle)
+  setTimeout(() => {
+    runOnce().catch(e => console.warn('[reminders] initial run failed:', e.message));
+  }, 60 * 1000); // 1 minute
+
+  setInterval(() => {
+    runOnce().catch(e => console.warn('[reminders] periodic run failed:', e.message));
+  }, intervalMinutes * 60 * 1000);
+
+  console.log(`[reminders] scheduled every ${intervalMinutes}m (default time ${dailyReminderService.defaultReminderTime}, partner nudge ${dailyReminderService.nudgeTime})`);
+}
+
+// Delete used / expired emailed-link tokens (password_reset_tokens,
+// email_verification_tokens) once a day. Issuing a token already drops the
+// account's unused ones; this trims the rest. `tokenModels` maps a log tag
+// to a model with cleanupOldTokens().
+function startEmailTokenCleanupJob(tokenModels) {
+  async function runOnce() {
+    for (const [tag, model] of Object.entries(tokenModels)) {
+      try {
+        const removed = await model.cleanupOldTokens();
+        if (removed > 0) {
+          console.log(`[${tag}] removed ${removed} used or expired token(s)`);
+        }
+      } catch (e) {
+        console.warn(`[${tag}] token cleanup failed:`, e.message);
+      }
+    }
+  }
+
+  setTimeout(() => {
+    runOnce().catch(e => console.warn('[email-tokens] initial cleanup failed:', e.message));
+  }, 10 * 60 * 1000); // 10 minutes
+
+  setInterval(() => {
+    runOnce().catch(e => console.warn('[email-tokens] periodic cleanup failed:', e.message));
+  }, 24 * 60 * 60 * 1000);
+}
+
 // Middleware
 app.use(cors());
 app.use(securityHeaders); // Apply security headers to all responses
@@ -193,14 +336,16 @@ async function setupDatabase() {
 setupDatabase();
 
 // Initialize models and services
-let userModel, refreshTokenModel, pairingModel, programModel, programStepModel, messageModel, iosSubscriptionModel, androidSubscriptionModel, orgCodeModel, adminUserModel, deviceTokenModel, promptSessionModel, stripeSubscriptionModel, authService, pairingService, hopefulPromptService, helpfulPromptService, subscriptionService, stripeBillingService, adminAuthService, pushNotificationService;
+let userModel, refreshTokenModel, pairingModel, programModel, programStepModel, messageModel, iosSubscriptionModel, androidSubscriptionModel, orgCodeModel, adminUserModel, deviceTokenModel, promptSessionModel, stripeSubscriptionModel, llmUsageModel, promptTemplateModel, experimentModel, generationJobModel, programDraftModel, programReminderModel, notificationPreferenceModel, pushDeliveryModel, passwordResetTokenModel, emailVerificationTokenModel, authService, pairingService, hopefulPromptService, helpfulPromptService, promptSessionPromptService, subscriptionService, stripeBillingService, adminAuthService, pushNotificationService, promptSessionStreamService, programStepStreamService, promptSessionExpiryService, promptTemplateRegistry, experimentService, jobQueue, dailyReminderService, mailService, passwordResetService, emailVerificationService;
 
 async function initializeApp() {
   try {
     // Initialize models
     const userModelInstance = new User(db);
     const refreshTokenModelInstance = new RefreshToken(db);
-    const pairingModelInstance = new Pairing(db);
+    const pairingModelInstance = new Pairing(db, {
+      partnerCodeTtlHours: Number(process.env.PARTNER_CODE_TTL_HOURS ?? 168)
+    });
     const programModelInstance = new Program(db);
     const programStepModelInstance = new ProgramStep(db);
     const messageModelInstance = new Message(db);
@@ -209,8 +354,20 @@ async function initializeApp() {
     const orgCodeModelInstance = new OrgCode(db);
     const adminUserModelInstance = new AdminUser(db);
     const deviceTokenModelInstance = new DeviceToken(db);
-    const promptSessionModelInstance = new PromptSession(db);
+    const promptSessionModelInstance = new PromptSession(db, {
+      idleHours: Number(process.env.PROMPT_SESSION_IDLE_HOURS ?? 72)
+    });
     const stripeSubscriptionModelInstance = new StripeSubscription(db);
+    const llmUsageModelInstance = new LlmUsage(db);
+    const promptTemplateModelInstance = new PromptTemplate(db);
+    const experimentModelInstance = new Experiment(db);
+    const generationJobModelInstance = new GenerationJob(db);
+    const programDraftModelInstance = new ProgramDraft(db);
+    const programReminderModelInstance = new ProgramReminder(db);
+    const notificationPreferenceModelInstance = new NotificationPreference(db);
+    const pushDeliveryModelInstance = new PushDelivery(db);
+    const passwordResetTokenModelInstance = new PasswordResetToken(db);
+    const emailVerificationTokenModelInstance = new EmailVerificationToken(db);
     
     // Initialize database tables.
     // org_codes must precede users (users.org_code_id FK → org_codes.id).
@@ -227,6 +384,16 @@ async function initializeApp() {
     await deviceTokenModelInstance.initDatabase();
     await promptSessionModelInstance.initDatabase();
     await stripeSubscriptionModelInstance.initDatabase();
+    await llmUsageModelInstance.initDatabase();
+    await promptTemplateModelInstance.initDatabase();
+    await experimentModelInstance.initDatabase();
+    await generationJobModelInstance.initDatabase();
+    await programDraftModelInstance.initDatabase();
+    await programReminderModelInstance.initDatabase();
+    await notificationPreferenceModelInstance.initDatabase();
+    await pushDeliveryModelInstance.initDatabase();
+    await passwordResetTokenModelInstance.initDatabase();
+    await emailVerificationTokenModelInstance.initDatabase();
     
     // Assign to global variables after successful initialization
     userModel = userModelInstance;
@@ -242,15 +409,41 @@ async function initializeApp() {
     deviceTokenModel = deviceTokenModelInstance;
     promptSessionModel = promptSessionModelInstance;
     stripeSubscriptionModel = stripeSubscriptionModelInstance;
+    llmUsageModel = llmUsageModelInstance;
+    promptTemplateModel = promptTemplateModelInstance;
+    experimentModel = experimentModelInstance;
+    generationJobModel = generationJobModelInstance;
+    programDraftModel = programDraftModelInstance;
+    programReminderModel = programReminderModelInstance;
+    notificationPreferenceModel = notificationPreferenceModelInstance;
+    pushDeliveryModel = pushDeliveryModelInstance;
+    passwordResetTokenModel = passwordResetTokenModelInstance;
+    emailVerificationTokenModel = emailVerificationTokenModelInstance;
 
     // Initialize services
     authService = new AuthService(userModel, refreshTokenModel, pairingModel);
-    pairingService = new PairingService(userModel, pairingModel);
     // Two concrete prompt services are instantiated. Routes select between
     // them per-request based on whether the user has an org_code / custom org
     // fields (Hopeful = faith-based, Helpful = secular couples EFT/Gottman).
     hopefulPromptService = new HopefulPromptService();
     helpfulPromptService = new HelpfulPromptService();
+    // Bridge + Session generation for prompt sessions ("Sit Sessions").
+    promptSessionPromptService = new PromptSessionPromptService();
+    // Every completion is written to llm_usage (tokens + cost) for the
+    // admin spend report.
+    for (const service of [hopefulPromptService, helpfulPromptService, promptSessionPromptService]) {
+      service.setUsageRecorder(llmUsageModel);
+    }
+    // Program prompts render the published prompt_templates version when one
+    // exists (built-in default otherwise); managed via /api/admin/prompt-templates.
+    promptTemplateRegistry = new PromptTemplateRegistry({ promptTemplateModel });
+    hopefulPromptService.setTemplateRegistry(promptTemplateRegistry);
+    helpfulPromptService.setTemplateRegistry(promptTemplateRegistry);
+    // A running experiment on a template key splits users across its arms
+    // (template version / model / temperature); managed via /api/admin/experiments.
+    experimentService = new ExperimentService({ experimentModel });
+    hopefulPromptService.setExperimentService(experimentService);
+    helpfulPromptService.setExperimentService(experimentService);
     adminAuthService = new AdminAuthService(adminUserModel, refreshTokenModel);
     subscriptionService = new SubscriptionService(
       iosSubscriptionModel,
@@ -262,22 +455,87 @@ async function initializeApp() {
       userModel,
       stripeSubscriptionModel
     );
+    // Ending a partnership archives its programs, abandons its prompt sessions
+    // and recomputes both members' premium (app-store pairings, then Stripe).
+    pairingService = new PairingService(userModel, pairingModel, {
+      ...PairingService.optionsFromEnv(process.env),
+      programModel,
+      promptSessionModel,
+      subscriptionService,
+      stripeBillingService
+    });
+    // Durable background jobs (generation_jobs). Program and step routes
+    // register their handlers in setupRoutes() (push registers deferred_push
+    // below); the worker starts after.
+    jobQueue = new JobQueue({ jobModel: generationJobModel, ...JobQueue.optionsFromEnv(process.env) });
     // Push notifications (FCM via firebase-admin). Fails soft when no Firebase
     // credentials are present so local/dev/CI environments stay healthy; sends
     // become no-ops in that case. Set FIREBASE_SERVICE_ACCOUNT_JSON (or _PATH)
     // in production, or TEST_MOCK_PUSH=true for a deterministic mock client.
+    // Notification preferences drop opted-out kinds and defer pushes past
+    // each user's quiet hours (as deferred_push jobs); every outcome is
+    // logged to push_deliveries. Templated pushes render in users.locale.
     pushNotificationService = new PushNotificationService({
-      deviceTokenModel: deviceTokenModelInstance
+      deviceTokenModel: deviceTokenModelInstance,
+      preferenceModel: notificationPreferenceModel,
+      jobQueue,
+      deliveryModel: pushDeliveryModel,
+      userModel,
+      locKeys: process.env.PUSH_LOC_KEYS === 'true'
+    });
+    // Live SSE updates for prompt sessions (GET /api/prompt-sessions/:id/stream).
+    promptSessionStreamService = new PromptSessionStreamService();
+    // Live therapy response / chime-in progress (GET /api/programSteps/:id/stream).
+    programStepStreamService = new ProgramStepStreamService();
+    // Abandonment, then reminder pushes, for prompt sessions left idle.
+    promptSessionExpiryService = new PromptSessionExpiryService({
+      promptSessionModel: promptSessionModelInstance,
+      pushNotificationService,
+      promptSessionStreamService,
+      ...PromptSessionExpiryService.optionsFromEnv(process.env)
+    });
+    // Daily program reminders / partner nudges at each user's local time.
+    dailyReminderService = new DailyReminderService({
+      reminderModel: programReminderModel,
+      pushNotificationService,
+      ...DailyReminderService.optionsFromEnv(process.env)
+    });
+
+    // Transactional email: MAIL_TRANSPORT=console (default) | file | smtp.
+    mailService = new MailService(MailService.optionsFromEnv(process.env));
+    // Forgot / reset password for users and admin users (emailed one-time
+    // links; a reset revokes every refresh token of the account).
+    passwordResetService = new PasswordResetService({
+      tokenModel: passwordResetTokenModel,
+      userModel,
+      adminUserModel,
+      refreshTokenModel,
+      mailService,
+      ...PasswordResetService.optionsFromEnv(process.env)
+    });
+    // Sign-up verification links, confirmed change of email, and the optional
+    // EMAIL_VERIFICATION_REQUIRED_FOR policy (programs / pairing).
+    emailVerificationService = new EmailVerificationService({
+      tokenModel: emailVerificationTokenModel,
+      userModel,
+      mailService,
+      ...EmailVerificationService.optionsFromEnv(process.env)
     });
 
     // Setup routes
     setupRoutes();
 
+    // Process queued generation work on this instance (JOB_WORKER_ENABLED=false
+    // for API-only instances; their jobs run on the other instances).
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      jobQueue.start();
+    }
+
     // Start background poller for programs flagged for therapy response regeneration.
-    // The poller itself picks Hopeful vs Helpful per-user based on org_code presence.
+    // It queues program_generation jobs; the job picks Hopeful vs Helpful per-user.
     if ((hopefulPromptService && hopefulPromptService.isConfigured()) ||
         (helpfulPromptService && helpfulPromptService.isConfigured())) {
-      startRegenerationPoller(programModel, programStepModel, hopefulPromptService, helpfulPromptService, userModel, pairingModel, userModel);
+      startRegenerationPoller(programModel, jobQueue);
     }
 
     // Start periodic cleanup of stale device tokens for push notifications.
@@ -286,6 +544,24 @@ async function initializeApp() {
     if (deviceTokenModelInstance) {
       startDeviceTokenCleanupJob(deviceTokenModelInstance);
     }
+
+    // Trim the push delivery log to PUSH_DELIVERY_RETENTION_DAYS.
+    startPushDeliveryCleanupJob(pushDeliveryModelInstance);
+
+    // Abandon prompt sessions left idle (reminder push first) so a stale
+    // session never blocks a couple from starting a new one.
+    if (promptSessionModelInstance) {
+      startPromptSessionExpiryJob(promptSessionExpiryService);
+    }
+
+    // Remind members of today's program step (and nudge the partner who
+    // hasn't posted by evening). Sends are recorded, so restarts never repeat one.
+    startDailyReminderJob(dailyReminderService);
+
+    startEmailTokenCleanupJob({
+      'password-reset': passwordResetTokenModelInstance,
+      'email-verification': emailVerificationTokenModelInstance
+    });
     
     console.log('Application initialized successfully.');
   } catch (error) {
@@ -300,27 +576,27 @@ function setupRoutes() {
 
   // Setup user routes
   if (userModel && authService && pairingService) {
-    app.use('/api/users', createUserRoutes(userModel, authService, pairingService, orgCodeModel, pairingModel || null, stripeSubscriptionModel || null));
+    app.use('/api/users', createUserRoutes(userModel, authService, pairingService, orgCodeModel, pairingModel || null, stripeSubscriptionModel || null, notificationPreferenceModel || null, pushNotificationService || null, emailVerificationService || null));
   }
 
   // Setup auth routes
   if (authService && userModel && pairingService) {
-    app.use('/api', createAuthRoutes(authService, userModel, pairingService, orgCodeModel));
+    app.use('/api', createAuthRoutes(authService, userModel, pairingService, orgCodeModel, passwordResetService, emailVerificationService));
   }
 
   // Setup pairing routes
   if (pairingService && authService) {
-    app.use('/api/pairing', createPairingRoutes(pairingService, authService, pushNotificationService || null, userModel || null, pairingModel || null));
+    app.use('/api/pairing', createPairingRoutes(pairingService, authService, pushNotificationService || null, userModel || null, pairingModel || null, emailVerificationService || null));
   }
 
   // Setup program routes
   if (programModel && hopefulPromptService && helpfulPromptService && authService) {
-    app.use('/api/programs', createProgramRoutes(programModel, hopefulPromptService, helpfulPromptService, programStepModel, userModel, pairingModel, authService, userModel, pushNotificationService || null));
+    app.use('/api/programs', createProgramRoutes(programModel, hopefulPromptService, helpfulPromptService, programStepModel, userModel, pairingModel, authService, userModel, pushNotificationService || null, jobQueue || null, programDraftModel || null, emailVerificationService || null));
   }
 
   // Setup conversation routes
   if (programStepModel && messageModel && programModel && pairingModel && userModel && hopefulPromptService && helpfulPromptService && authService) {
-    app.use('/api', createProgramStepRoutes(programStepModel, messageModel, programModel, pairingModel, userModel, hopefulPromptService, helpfulPromptService, authService, userModel, pushNotificationService || null));
+    app.use('/api', createProgramStepRoutes(programStepModel, messageModel, programModel, pairingModel, userModel, hopefulPromptService, helpfulPromptService, authService, userModel, pushNotificationService || null, programStepStreamService || null, jobQueue || null));
   }
 
   // Setup subscription routes
@@ -342,17 +618,32 @@ function setupRoutes() {
 
   // Setup prompt session ("Sit Sessions") routes
   if (promptSessionModel && pairingModel && authService) {
-    app.use('/api/prompt-sessions', createPromptSessionRoutes(promptSessionModel, pairingModel, authService, pushNotificationService || null));
+    app.use('/api/prompt-sessions', createPromptSessionRoutes(promptSessionModel, pairingModel, authService, pushNotificationService || null, promptSessionPromptService || null, userModel || null, promptSessionStreamService || null));
   }
 
   // Setup admin auth routes
   if (adminAuthService && adminUserModel) {
-    app.use('/api/admin/auth', createAdminAuthRoutes(adminAuthService, adminUserModel));
+    app.use('/api/admin/auth', createAdminAuthRoutes(adminAuthService, adminUserModel, passwordResetService));
+  }
+
+  // Setup prompt template registry routes (admin only)
+  if (promptTemplateModel && adminAuthService) {
+    app.use('/api/admin/prompt-templates', createPromptTemplateRoutes(promptTemplateModel, adminAuthService, promptTemplateRegistry || null));
+  }
+
+  // Setup prompt / model A/B experiment routes (admin only)
+  if (experimentModel && adminAuthService) {
+    app.use('/api/admin/experiments', createExperimentRoutes(experimentModel, adminAuthService, experimentService || null));
+  }
+
+  // Setup admin program regeneration routes (batch regenerate, drafts, publish)
+  if (programModel && programStepModel && programDraftModel && adminAuthService) {
+    app.use('/api/admin/programs', createAdminProgramRoutes(programModel, programStepModel, programDraftModel, adminAuthService, jobQueue || null));
   }
 
   // Setup general admin tooling routes (push-test, etc.)
   if (adminAuthService) {
-    app.use('/api/admin', createAdminRoutes(adminAuthService, pushNotificationService || null, userModel || null));
+    app.use('/api/admin', createAdminRoutes(adminAuthService, pushNotificationService || null, userModel || null, llmUsageModel || null, generationJobModel || null, pushDeliveryModel || null));
   }
 
   // Setup org code routes (admin only)
@@ -438,6 +729,8 @@ process.on('unhandledRejection', (reason, promise) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   try {
+    // Let running jobs finish; anything cut off resumes when its lease lapses.
+    if (jobQueue) await jobQueue.stop();
     await closePool();
     console.log('Database connection pool closed.');
   } catch (err) {
@@ -448,6 +741,8 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   try {
+    // Let running jobs finish; anything cut off resumes when its lease lapses.
+    if (jobQueue) await jobQueue.stop();
     await closePool();
     console.log('Database connection pool closed.');
   } catch (err) {
@@ -1,27 +1,60 @@
+const { DEFAULT_PROVIDER, SUPPORTED_PROVIDERS, isSupportedProvider, createLLMProvider, parseFallbackList } = require('./LLMProviders');
+const { loadPriceTable, estimateCostUsd } = require('../config/llmPricing');
+const { PROMPT_TEMPLATES, renderTemplate } = require('../config/promptTemplates');
+const LLMCassette = require('./LLMCassette');
+
 /**
  * BasePromptService
  *
  * Shared foundation for all concrete prompt services (HopefulPromptService,
  * HelpfulPromptService, etc.). Handles:
- *   - OpenAI LLM configuration and request/response handling
+ *   - LLM provider selection (LLM_PROVIDER env default, optional per-call
+ *     override from an org code) — vendor details live in LLMProviders.js
+ *   - Ordered fallback chain (LLM_FALLBACKS) for 5xx / timeout / invalid
+ *     responses, with per-fallback metrics
+ *   - Token usage + cost recording (llm_usage) when a usage recorder is set
+ *   - Prompt template rendering (published prompt_templates version when a
+ *     registry is set, built-in config/promptTemplates.js otherwise)
+ *   - A/B experiment arms (template version, model, temperature) when an
+ *     experiment service is set
  *   - Input sanitization and safety validation
  *   - Output validation (program JSON shape + dangerous-pattern checks)
  *   - Rate-limited / concurrency-bounded request queue with metrics
  *   - Common message post-processing helpers
  *   - Deterministic mock responses when TEST_MOCK_LLM=true (so tests never
  *     spend real tokens)
+ *   - Recorded responses and scripted failures (LLM_CASSETTE_MODE /
+ *     LLM_CASSETTE_FAULTS, see LLMCassette.js) for integration tests
+ *   - Streaming partial text (callLLM onPartial) for live chime-ins
  *
  * Subclasses MUST override processOpenAIRequest(requestData) to dispatch
  * queued request types to their concrete generation methods.
  */
 class BasePromptService {
   constructor() {
-    this.provider = 'openai';
-    this.apiKey = process.env.OPENAI_API_KEY || null;
-    this.model = process.env.OPENAI_MODEL || 'gpt-5.4';
-    this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+    // Provider instances by name, created lazily (see getLLMProvider).
+    this.llmProviders = new Map();
+    this.llmProvider = this._createDefaultProvider(process.env.LLM_PROVIDER || DEFAULT_PROVIDER);
+    this.provider = this.llmProvider.name;
+    this.model = this.llmProvider.model;
+    this.fallbackProviders = this._createFallbackProviders(process.env.LLM_FALLBACKS);
 
     this.mockMode = process.env.TEST_MOCK_LLM === 'true';
+    // Record / replay / fault injection for tests; null when not configured.
+    this.cassette = LLMCassette.fromEnv(process.env);
+
+    // Set via setUsageRecorder (LlmUsage model) in server.js; null disables
+    // usage recording (unit tests, scripts).
+    this.usageRecorder = null;
+    this.priceTable = loadPriceTable(process.env);
+
+    // Set via setTemplateRegistry in server.js; null renders the built-in
+    // prompt templates (unit tests, scripts).
+    this.templateRegistry = null;
+
+    // Set via setExperimentService in server.js; null disables experiment
+    // arms (unit tests, scripts).
+    this.experimentService = null;
 
     this.validateApiKey();
 
@@ -37,43 +70,335 @@ class BasePromptService {
       successfulRequests: 0,
       failedRequests: 0,
       rateLimitErrors: 0,
-      averageResponseTime: 0
+      averageResponseTime: 0,
+      // Fallback activity keyed by "provider:model": attempts (primary or an
+      // earlier fallback failed), used (this entry's response was returned),
+      // failed (this entry also failed and the chain moved on / gave up).
+      fallbacks: {}
     };
   }
 
+  // Unknown LLM_PROVIDER values fall back to OpenAI rather than taking the
+  // whole API down; the misconfiguration is logged loudly instead.
+  _createDefaultProvider(name) {
+    if (!isSupportedProvider(name)) {
+      console.error(`LLM_PROVIDER "${name}" is not supported (expected one of: ${SUPPORTED_PROVIDERS.join(', ')}) - falling back to ${DEFAULT_PROVIDER}`);
+      name = DEFAULT_PROVIDER;
+    }
+    const provider = createLLMProvider(name);
+    this.llmProviders.set(name, provider);
+    return provider;
+  }
+
+  // LLM_FALLBACKS="anthropic:claude-sonnet-4-5,openai_compatible:llama3.1:8b".
+  // Unknown or unconfigured entries are skipped with a warning so a partial
+  // config still yields a usable chain.
+  _createFallbackProviders(value) {
+    const providers = [];
+    for (const { provider: name, model } of parseFallbackList(value)) {
+      if (!isSupportedProvider(name)) {
+        console.warn(`LLM_FALLBACKS entry "${name}" is not a supported provider - skipping`);
+        continue;
+      }
+      const provider = createLLMProvider(name, process.env, { model });
+      if (!provider.isConfigured()) {
+        console.warn(`LLM_FALLBACKS entry ${name}:${provider.model} is not configured - skipping`);
+        continue;
+      }
+      providers.push(provider);
+    }
+    return providers;
+  }
+
   validateApiKey() {
+    if (this.cassette) {
+      console.log(`LLM cassette: service=${this.constructor.name}, ${this.cassette.describe()}`);
+    }
+
     if (this.mockMode) {
-      console.log(`LLM configured: service=${this.constructor.name}, provider=openai, model=${this.model}, mock=TEST_MOCK_LLM`);
+      console.log(`LLM configured: service=${this.constructor.name}, provider=${this.provider}, model=${this.model}, mock=TEST_MOCK_LLM`);
       return;
     }
 
-    if (!this.apiKey) {
-      console.warn('OPENAI_API_KEY not configured - LLM features will be disabled');
+    if (!this.llmProvider.isConfigured()) {
+      console.warn(`LLM provider ${this.provider} not configured - LLM features will be disabled`);
       return;
     }
 
-    if (this.apiKey.length < 20 || this.apiKey.length > 200) {
-      console.error('OPENAI_API_KEY appears to have invalid length - check your configuration');
-      return;
+    const apiKey = this.llmProvider.apiKey;
+    if (apiKey) {
+      if (apiKey.length < 20 || apiKey.length > 200) {
+        console.error(`${this.provider} API key appears to have invalid length - check your configuration`);
+        return;
+      }
+
+      if (apiKey.includes(' ') || apiKey.includes('\n') || apiKey.includes('\t')) {
+        console.error(`${this.provider} API key contains whitespace - check for copy/paste errors`);
+        return;
+      }
     }
 
-    if (this.apiKey.includes(' ') || this.apiKey.includes('\n') || this.apiKey.includes('\t')) {
-      console.error('OPENAI_API_KEY contains whitespace - check for copy/paste errors');
-      return;
+    console.log(`LLM configured: service=${this.constructor.name}, ${this.llmProvider.describe()}`);
+    if (this.fallbackProviders.length > 0) {
+      console.log(`LLM fallbacks: service=${this.constructor.name}, chain=${this.fallbackProviders.map(p => `${p.name}:${p.model}`).join(' → ')}`);
+    }
+  }
+
+  // Resolve the provider for a call. `name` comes from an org code's
+  // llm_provider; null, unknown, or unconfigured names use the default
+  // provider so a bad org setting never blocks generation.
+  getLLMProvider(name = null) {
+    if (!name || name === this.provider) return this.llmProvider;
+
+    if (!isSupportedProvider(name)) {
+      console.warn(`LLM provider "${name}" is not supported - using ${this.provider}`);
+      return this.llmProvider;
+    }
+
+    if (!this.llmProviders.has(name)) {
+      this.llmProviders.set(name, createLLMProvider(name));
+    }
+    const provider = this.llmProviders.get(name);
+    if (!provider.isConfigured()) {
+      console.warn(`LLM provider ${name} is not configured - using ${this.provider}`);
+      return this.llmProvider;
+    }
+    return provider;
+  }
+
+  // "provider:model" label persisted in llm_used for programs and prompt
+  // sessions, e.g. "openai:gpt-5.4" or "openai_compatible:llama3.1:8b".
+  describeLLM(providerName = null) {
+    const provider = this.getLLMProvider(providerName);
+    return `${provider.name}:${provider.model}`;
+  }
+
+  // Resolve an experiment arm's "provider:model" label. Cached by label so the
+  // model override sits alongside the per-name providers. Unknown or
+  // unconfigured labels return null and the call uses its normal provider.
+  getLLMProviderForModel(label) {
+    if (this.llmProviders.has(label)) return this.llmProviders.get(label);
+
+    const [entry] = parseFallbackList(label);
+    if (!entry || !isSupportedProvider(entry.provider)) {
+      console.warn(`LLM model "${label}" is not a supported provider:model - ignoring`);
+      return null;
+    }
+    const provider = createLLMProvider(entry.provider, process.env, { model: entry.model });
+    if (!provider.isConfigured()) {
+      console.warn(`LLM model ${label} is not configured - ignoring`);
+      return null;
+    }
+    this.llmProviders.set(label, provider);
+    return provider;
+  }
+
+  // Primary provider (default or org override) followed by LLM_FALLBACKS,
+  // without repeating the primary. An experiment arm's model label takes
+  // precedence over the org override.
+  getLLMChain(providerName = null, modelLabel = null) {
+    const primary = (modelLabel && this.getLLMProviderForModel(modelLabel)) || this.getLLMProvider(providerName);
+    const primaryLabel = `${primary.name}:${primary.model}`;
+    return [primary, ...this.fallbackProviders.filter(p => `${p.name}:${p.model}` !== primaryLabel)];
+  }
+
+  setUsageRecorder(recorder) {
+    this.usageRecorder = recorder || null;
+  }
+
+  setTemplateRegistry(registry) {
+    this.templateRegistry = registry || null;
+  }
+
+  setExperimentService(service) {
+    this.experimentService = service || null;
+  }
+
+  // Prompt template key for a generation type, e.g. 'chime_in' →
+  // 'helpful.chime_in'. Subclasses with templates override this.
+  templateKey(generationType) {
+    throw new Error(`${this.constructor.name} has no prompt templates (${generationType})`);
+  }
+
+  // The user's experiment arm for a template key, or null. Errors are logged
+  // and treated as "no experiment" so they never block generation.
+  // → { experiment_id, arm, prompt_template_id, model, temperature } | null
+  async getExperimentAssignment(templateKey, userId) {
+    if (!this.experimentService || !userId) return null;
+    try {
+      return await this.experimentService.assign(templateKey, userId);
+    } catch (error) {
+      console.warn(`[experiments] Assignment for ${templateKey} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Render a prompt template (config/promptTemplates.js) with the published
+  // version when a registry is set, or the version pinned by the user's
+  // experiment arm (usageContext.userId) when one is running.
+  // → { prompt, template: { id, key, version }, experiment }
+  async renderPromptTemplate(key, variables, usageContext = null) {
+    const experiment = await this.getExperimentAssignment(key, usageContext?.userId);
+    if (this.templateRegistry) {
+      const rendered = await this.templateRegistry.render(key, variables, experiment?.prompt_template_id || null);
+      return { ...rendered, experiment };
     }
+    return {
+      prompt: renderTemplate(PROMPT_TEMPLATES[key].body, variables),
+      template: { id: null, key, version: 0 },
+      experiment
+    };
+  }
+
+  // Fire-and-forget: a failed usage insert must never fail a generation.
+  // `usage` is the caller's context ({ feature, userId, programId, ... });
+  // calls without one (e.g. ad-hoc scripts) are not recorded.
+  _recordUsage(usage, llmProvider, result) {
+    if (!this.usageRecorder || !usage || !usage.feature) return;
+
+    const promptTokens = result.usage?.prompt_tokens ?? result.usage?.input_tokens ?? 0;
+    const completionTokens = result.usage?.completion_tokens ?? result.usage?.output_tokens ?? 0;
+    const totalTokens = result.usage?.total_tokens ?? promptTokens + completionTokens;
+
+    this.usageRecorder.recordUsage({
+      ...usage,
+      provider: llmProvider.name,
+      model: llmProvider.model,
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      costUsd: estimateCostUsd(this.priceTable, llmProvider.name, llmProvider.model, promptTokens, completionTokens)
+    }).catch(err => console.warn(`[llm-usage] ${usage.feature} record failed:`, err.message));
+  }
+
+  // 5xx and transport failures (timeouts, connection resets — no HTTP status)
+  // move to the next model. 4xx (bad key, bad request) and 429 do not: those
+  // are either config problems or handled by the callers' backoff.
+  isFallbackEligible(error) {
+    if (!error) return false;
+    if (!error.status) return true;
+    return error.status >= 500 || error.status === 408;
+  }
 
-    const maskedKey = `***${this.apiKey.slice(-4)}`;
-    console.log(`LLM configured: service=${this.constructor.name}, provider=openai, model=${this.model}, key=${maskedKey}`);
+  _recordFallback(label, field) {
+    if (!this.metrics.fallbacks[label]) {
+      this.metrics.fallbacks[label] = { attempts: 0, used: 0, failed: 0 };
+    }
+    this.metrics.fallbacks[label][field]++;
   }
 
+  // Options:
+  //   maxTokens, temperature, jsonMode
+  //   provider  org code llm_provider override (see getLLMProvider)
+  //   model     experiment arm "provider:model" override (see
+  //             getLLMProviderForModel); wins over `provider`
+  //   validate  (content) => boolean; a false result moves to the next model
+  //             in the chain (parse / safety failures). The last model's
+  //             response is returned as-is so callers' own checks still run.
+  //   usage     llm_usage context ({ feature, userId, programId, ... });
+  //             every completion — including ones rejected by validate — is
+  //             recorded since its tokens were billed.
+  //   onPartial (textSoFar) => void; streams the response as it arrives.
+  //             Text is unvalidated, and starts over from '' when the chain
+  //             moves to another model, so callers should treat it as a
+  //             preview of the final result.
+  // The result carries `llmUsed` ("provider:model" of the model that answered).
+  // With a cassette set, every model in the chain answers through it.
   async callLLM(systemPrompt, userPrompt, options = {}) {
-    const { maxTokens, temperature = 0.7, jsonMode = false } = options;
+    const { maxTokens, temperature = 0.7, jsonMode = false, provider = null, model = null, validate = null, usage = null } = options;
+    const chain = this.getLLMChain(provider, model);
+    const onPartial = this._safePartialCallback(options.onPartial);
+
+    if (this.mockMode && !this.cassette) {
+      const result = this._buildMockResponse({ jsonMode, systemPrompt, userPrompt, model: chain[0].model });
+      if (onPartial) this._emitMockPartials(result.content, onPartial);
+      this._recordUsage(usage, chain[0], result);
+      return { ...result, llmUsed: `${chain[0].name}:${chain[0].model}` };
+    }
 
-    if (this.mockMode) {
-      return this._buildMockResponse({ jsonMode, systemPrompt, userPrompt });
+    let lastError = null;
+    for (let i = 0; i < chain.length; i++) {
+      const llmProvider = chain[i];
+      const label = `${llmProvider.name}:${llmProvider.model}`;
+      const isFallback = i > 0;
+      const isLast = i === chain.length - 1;
+      if (isFallback) this._recordFallback(label, 'attempts');
+
+      try {
+        const result = await this._complete(llmProvider, systemPrompt, userPrompt, { maxTokens, temperature, jsonMode }, onPartial);
+        this._recordUsage(usage, llmProvider, result);
+        if (!isLast && validate && !validate(result.content)) {
+          console.warn(`[llm-fallback] ${this.constructor.name}: ${label} returned an invalid response - trying ${chain[i + 1].name}:${chain[i + 1].model}`);
+          if (isFallback) this._recordFallback(label, 'failed');
+          continue;
+        }
+        if (isFallback) this._recordFallback(label, 'used');
+        return { ...result, llmUsed: label };
+      } catch (error) {
+        lastError = error;
+        if (isFallback) this._recordFallback(label, 'failed');
+        if (isLast || !this.isFallbackEligible(error)) throw error;
+        console.warn(`[llm-fallback] ${this.constructor.name}: ${label} failed (${error.status || error.code || error.message}) - trying ${chain[i + 1].name}:${chain[i + 1].model}`);
+      }
+    }
+    throw lastError;
+  }
+
+  // One provider call, through the cassette when one is set. Replay misses
+  // and faults-only calls use the mock response in mock mode (record mode
+  // always calls the provider). With `onPartial`, providers stream; cassette
+  // responses are passed on whole.
+  async _complete(llmProvider, systemPrompt, userPrompt, requestOptions, onPartial = null) {
+    if (!this.cassette) {
+      return onPartial
+        ? llmProvider.stream(systemPrompt, userPrompt, requestOptions, onPartial)
+        : llmProvider.complete(systemPrompt, userPrompt, requestOptions);
+    }
+    const fallback = this.mockMode
+      ? () => this._buildMockResponse({ jsonMode: requestOptions.jsonMode, systemPrompt, userPrompt, model: llmProvider.model })
+      : null;
+    const result = await this.cassette.complete(llmProvider, systemPrompt, userPrompt, requestOptions, fallback);
+    if (onPartial) onPartial(result.content);
+    return result;
+  }
+
+  // A failing onPartial listener (e.g. a closed stream) must never fail the
+  // generation itself; it is dropped after its first error.
+  _safePartialCallback(onPartial) {
+    if (typeof onPartial !== 'function') return null;
+    let failed = false;
+    return (text) => {
+      if (failed) return;
+      try {
+        onPartial(text);
+      } catch (error) {
+        failed = true;
+        console.warn(`[llm-stream] ${this.constructor.name}: onPartial failed:`, error.message);
+      }
+    };
+  }
+
+  // Mock responses arrive a few words at a time so streaming clients see
+  // the same partial-then-final sequence as with a real provider.
+  _emitMockPartials(content, onPartial) {
+    const words = content.split(' ');
+    const chunkSize = Math.max(1, Math.ceil(words.length / 4));
+    for (let end = chunkSize; end < words.length + chunkSize; end += chunkSize) {
+      onPartial(words.slice(0, Math.min(end, words.length)).join(' '));
     }
+  }
 
-    return this._callOpenAI(systemPrompt, userPrompt, { maxTokens, temperature, jsonMode });
+  // `validate` callback for JSON callLLM calls: safety checks, then parse and
+  // run the service's structure validator.
+  jsonResponseValidator(structureValidator) {
+    return (content) => {
+      if (!this.validateAIResponse(content)) return false;
+      try {
+        return structureValidator.call(this, JSON.parse(content));
+      } catch {
+        return false;
+      }
+    };
   }
 
   // Mocked LLM response used when TEST_MOCK_LLM=true. Keeps tests deterministic
@@ -87,7 +412,7 @@ class BasePromptService {
   // calls. This lets downstream integration tests (e.g. program-org-context)
   // verify that routing actually picks the correct service by inspecting
   // the program shape.
-  _buildMockResponse({ jsonMode, systemPrompt, userPrompt }) {
+  _buildMockResponse({ jsonMode, systemPrompt, userPrompt, model = this.model }) {
     const combined = `${systemPrompt || ''}\n${userPrompt || ''}`.toLowerCase();
 
     // Hopeful cues: faith-based / spiritual wellness appear in the system
@@ -98,6 +423,18 @@ class BasePromptService {
     // those still route to the faith-shaped mock.
     const isHopeful = /faith-based|spiritual wellness|pastor|scripture|bible|church/.test(combined);
 
+    // Prompt sessions ask for Bridge + Session JSON rather than a program.
+    // Checked first because faith-framed session prompts also match isHopeful.
+    if (jsonMode && /sit session/.test(combined)) {
+      return {
+        content: JSON.stringify(this._buildPromptSessionMockContent()),
+        finishReason: 'stop',
+        model,
+        id: 'mock-llm-response',
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      };
+    }
+
     if (jsonMode) {
       const content = isHopeful
         ? JSON.stringify(this._buildHopefulMockProgram())
@@ -105,7 +442,7 @@ class BasePromptService {
       return {
         content,
         finishReason: 'stop',
-        model: this.model,
+        model,
         id: 'mock-llm-response',
         usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
       };
@@ -118,7 +455,7 @@ class BasePromptService {
     return {
       content,
       finishReason: 'stop',
-      model: this.model,
+      model,
       id: 'mock-llm-response',
       usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
     };
@@ -162,42 +499,31 @@ class BasePromptService {
     };
   }
 
-  async _callOpenAI(systemPrompt, userPrompt, { maxTokens, temperature, jsonMode }) {
-    const body = {
-      model: this.model,
-      messages: [
-        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
-        { role: 'user', content: userPrompt }
-      ],
-      temperature
-    };
-    if (maxTokens) body.max_completion_tokens = maxTokens;
-    if (jsonMode) body.response_format = { type: 'json_object' };
-
-    const res = await fetch(this.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({}));
-      const error = new Error(errorData.error?.message || 'OpenAI API request failed');
-      error.status = res.status;
-      throw error;
-    }
-
-    const data = await res.json();
-    const choice = data.choices?.[0];
+  // Bridge + Session mock matching PromptSessionPromptService's shape
+  // (three core prompts followed by a synthesis prompt).
+  _buildPromptSessionMockContent() {
     return {
-      content: choice?.message?.content || '',
-      finishReason: choice?.finish_reason || 'unknown',
-      model: data.model || this.model,
-      id: data.id || 'unknown',
-      usage: data.usage || {}
+      bridge: {
+        title: 'Mock Bridge',
+        opening: 'Welcome in. Take a slow breath together and settle into this moment before you begin.',
+        reflection: 'You both arrived with care for each other, a little tiredness, and a real wish to listen well tonight.',
+        transition: 'Carry that intention with you as you turn toward each other for the session.'
+      },
+      session: {
+        title: 'Mock Session',
+        overview: 'A mocked session used during automated testing so no real LLM tokens are spent.',
+        prompts: [1, 2, 3].map(n => ({
+          phase: `core_prompt_${n}`,
+          title: `Core prompt ${n}`,
+          prompt: `Share one thing that has felt meaningful to you this week and why it mattered (prompt ${n}).`,
+          guidance: 'Listen without fixing, then reflect back what you heard.'
+        })),
+        synthesis: {
+          prompt: 'What is one thing you understand about each other now that you did not before?',
+          guidance: 'Keep it short and name it out loud.'
+        },
+        closing: 'Thank each other for showing up tonight.'
+      }
     };
   }
 
@@ -348,6 +674,10 @@ class BasePromptService {
   getMetrics() {
     return {
       ...this.metrics,
+      fallbacks: Object.fromEntries(
+        Object.entries(this.metrics.fallbacks).map(([label, counts]) => [label, { ...counts }])
+      ),
+      fallbackChain: this.fallbackProviders.map(p => `${p.name}:${p.model}`),
       queueLength: this.requestQueue.length,
       activeRequests: this.activeRequests,
       successRate: this.metrics.totalRequests > 0
@@ -362,8 +692,9 @@ class BasePromptService {
     throw new Error(`${this.constructor.name} must implement processOpenAIRequest()`);
   }
 
+  // Replaying cassettes needs no API key.
   isConfigured() {
-    return this.mockMode || !!this.apiKey;
+    return this.mockMode || this.cassette?.mode === 'replay' || this.llmProvider.isConfigured();
   }
 
   validateAIResponse(response, minLength = 100) {
@@ -488,6 +819,60 @@ class BasePromptService {
     return parsedResponse;
   }
 
+  // Attach the "provider:model" that produced a parsed response (callLLM's
+  // `llmUsed`) as non-enumerable `__llm`, so routes can record the model
+  // that actually answered in llm_used — which differs from the configured
+  // primary when the fallback chain kicked in.
+  attachLLMUsedToResponse(parsedResponse, llmUsed) {
+    if (!parsedResponse || typeof parsedResponse !== 'object') return parsedResponse;
+    if (typeof llmUsed !== 'string' || llmUsed.length === 0) return parsedResponse;
+    Object.defineProperty(parsedResponse, '__llm', {
+      value: llmUsed,
+      enumerable: false,
+      writable: false,
+      configurable: true
+    });
+    return parsedResponse;
+  }
+
+  // Attach the prompt template ({ id, key, version }) a response was rendered
+  // from as non-enumerable `__template`, so routes can record it next to
+  // generation_prompt. Also used on errors, like attachPromptToError.
+  attachTemplateToResponse(target, template) {
+    if (!target || typeof target !== 'object') return target;
+    if (!template || !template.key) return target;
+    try {
+      Object.defineProperty(target, '__template', {
+        value: template,
+        enumerable: false,
+        writable: false,
+        configurable: true
+      });
+    } catch {
+      // Non-fatal — template logging must never mask the real error.
+    }
+    return target;
+  }
+
+  // Attach the experiment arm ({ experiment_id, arm }) a response or error was
+  // generated under as non-enumerable `__experiment`, so routes can record it
+  // on the program.
+  attachExperimentToResponse(target, experiment) {
+    if (!target || typeof target !== 'object') return target;
+    if (!experiment || !experiment.experiment_id) return target;
+    try {
+      Object.defineProperty(target, '__experiment', {
+        value: { experiment_id: experiment.experiment_id, arm: experiment.arm },
+        enumerable: false,
+        writable: false,
+        configurable: true
+      });
+    } catch {
+      // Non-fatal — experiment logging must never mask the real error.
+    }
+    return target;
+  }
+
   // Attach the user prompt that was (or would have been) sent to the LLM
   // onto a thrown error, so the route handler can persist it alongside
   // generation_error in the DB. Skips attaching when no prompt was built
@@ -0,0 +1,145 @@
+/**
+ * BaseStreamService
+ *
+ * Shared in-process Server-Sent Events hub behind the concrete stream
+ * services (PromptSessionStreamService, ProgramStepStreamService). Handles:
+ *   - Preparing a response as an event stream (headers + `retry:` hint)
+ *   - Subscribers per key (prompt session id, program step id, …)
+ *   - send() to one response, publish() to every stream of a key, close()
+ *   - A shared heartbeat while any stream is open, so proxies (Railway,
+ *     nginx) and mobile networks don't drop an otherwise idle connection
+ *
+ * Publishing to a key with no open streams is a no-op, so callers never need
+ * to check for listeners. Subscribers live in this process's memory only.
+ * That matches the current single-instance deployment; running several
+ * instances would need a shared pub/sub (e.g. Redis) behind publish().
+ *
+ * Subclasses add their own events and state on top and pass a `logPrefix`
+ * for write failures.
+ */
+
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+// Suggested client reconnect delay, sent in the SSE `retry:` field.
+const RECONNECT_DELAY_MS = 5000;
+
+class BaseStreamService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.heartbeatMs] Heartbeat interval (defaults to 25s).
+   * @param {Object} [options.logger]      Optional logger (defaults to console).
+   * @param {string} [options.logPrefix]   Log tag, e.g. 'prompt-session-stream'.
+   */
+  constructor({ heartbeatMs = DEFAULT_HEARTBEAT_MS, logger = console, logPrefix = 'stream' } = {}) {
+    this.heartbeatMs = heartbeatMs;
+    this.logger = logger;
+    this.logPrefix = logPrefix;
+    this.subscribers = new Map(); // key → Set<{ userId, res }>
+    this.heartbeatTimer = null;
+  }
+
+  // Prepare `res` as an event stream and register it under `key`. Returns an
+  // unsubscribe function; callers should invoke it when the request closes.
+  subscribe(key, userId, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const subscriber = { userId, res };
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, new Set());
+    }
+    this.subscribers.get(key).add(subscriber);
+    this._ensureHeartbeat();
+
+    return () => this._remove(key, subscriber);
+  }
+
+  // Send one event to a single response (e.g. the initial snapshot).
+  send(res, event, data) {
+    try {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`[${this.logPrefix}] write failed (${event}):`, error.message);
+      return false;
+    }
+  }
+
+  // Broadcast an event to every open stream for `key`.
+  publish(key, event, data) {
+    const subscribers = this.subscribers.get(key);
+    if (!subscribers) return 0;
+
+    let delivered = 0;
+    for (const subscriber of subscribers) {
+      if (this.send(subscriber.res, event, data)) {
+        delivered++;
+      } else {
+        this._remove(key, subscriber);
+      }
+    }
+    return delivered;
+  }
+
+  // End every open stream for `key`.
+  close(key) {
+    const subscribers = this.subscribers.get(key);
+    if (!subscribers) return;
+
+    for (const subscriber of subscribers) {
+      try {
+        subscriber.res.end();
+      } catch { /* already closed */ }
+    }
+    this.subscribers.delete(key);
+    this._stopHeartbeatIfIdle();
+  }
+
+  subscriberCount(key) {
+    const subscribers = this.subscribers.get(key);
+    return subscribers ? subscribers.size : 0;
+  }
+
+  // ── Internals ───────────────────────────────────────────────────────────
+
+  _remove(key, subscriber) {
+    const subscribers = this.subscribers.get(key);
+    if (!subscribers) return;
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      this.subscribers.delete(key);
+    }
+    this._stopHeartbeatIfIdle();
+  }
+
+  _ensureHeartbeat() {
+    if (this.heartbeatTimer || !this.heartbeatMs) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const subscribers of this.subscribers.values()) {
+        for (const subscriber of subscribers) {
+          try {
+            subscriber.res.write(': heartbeat\n\n');
+          } catch { /* cleaned up on the request's close event */ }
+        }
+      }
+    }, this.heartbeatMs);
+    // Never keep the process alive just for heartbeats.
+    if (typeof this.heartbeatTimer.unref === 'function') {
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  _stopHeartbeatIfIdle() {
+    if (this.heartbeatTimer && this.subscribers.size === 0) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+}
+
+module.exports = BaseStreamService;
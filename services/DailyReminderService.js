@@ -0,0 +1,179 @@
+/**
+ * DailyReminderService
+ *
+ * Scheduled push reminders for the day-by-day program schedule
+ * (services/ProgramSchedule.js). Each run looks at programs that are on a
+ * scheduled day in their timezone and, per member:
+ *
+ *   - daily_reminder: once the member's local reminder time has passed
+ *     (users.reminder_time, else defaultReminderTime), a reminder for today's
+ *     step — skipped when they already contributed to it.
+ *   - partner_nudge: in a paired program, once nudgeTime has passed and only
+ *     one partner has posted today, a nudge to the other one.
+ *
+ * Users with daily_reminders_enabled = false get neither. A user in several
+ * programs is only reminded about the newest one per pairing (solo programs
+ * count as one pairing), so someone in several pairings hears about each.
+ * Pushes carry data.pairing_id for per-pairing notification mutes.
+ *
+ * Every send is claimed in program_reminders (models/ProgramReminder.js)
+ * before the push goes out, keyed on step + user + kind, so restarts and
+ * multiple instances never duplicate a reminder. A push that fails after the
+ * claim is recorded as failed and not retried. Notification preferences are
+ * applied by PushNotificationService: a kind the user turned off is recorded
+ * as skipped, one held for quiet hours as deferred.
+ *
+ * Lifecycle: instantiated once in server.js and run periodically by
+ * startDailyReminderJob (DAILY_REMINDER_INTERVAL_MINUTES).
+ */
+
+const ProgramSchedule = require('./ProgramSchedule');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_REMINDER_TIME = '09:00';
+const DEFAULT_NUDGE_TIME = '19:00';
+// Longest program is 14 days; candidates are programs started within this window.
+const DEFAULT_WINDOW_DAYS = 15;
+
+function isValidReminderTime(time) {
+  return typeof time === 'string' && TIME_PATTERN.test(time);
+}
+
+class DailyReminderService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.reminderModel             models/ProgramReminder instance.
+   * @param {Object} [options.pushNotificationService] Sends the pushes (null → reminders are recorded as skipped).
+   * @param {string} [options.defaultReminderTime]     HH:MM for users without reminder_time (defaults to 09:00).
+   * @param {string} [options.nudgeTime]               HH:MM after which partners are nudged (defaults to 19:00).
+   * @param {number} [options.windowDays]              Programs started within this many days are checked (defaults to 15).
+   * @param {Object} [options.logger]                  Optional logger (defaults to console).
+   */
+  constructor({
+    reminderModel,
+    pushNotificationService = null,
+    defaultReminderTime = DEFAULT_REMINDER_TIME,
+    nudgeTime = DEFAULT_NUDGE_TIME,
+    windowDays = DEFAULT_WINDOW_DAYS,
+    logger = console
+  }) {
+    if (!reminderModel) {
+      throw new Error('DailyReminderService requires a reminderModel');
+    }
+    this.reminderModel = reminderModel;
+    this.pushNotificationService = pushNotificationService;
+    this.defaultReminderTime = isValidReminderTime(defaultReminderTime) ? defaultReminderTime : DEFAULT_REMINDER_TIME;
+    this.nudgeTime = isValidReminderTime(nudgeTime) ? nudgeTime : DEFAULT_NUDGE_TIME;
+    this.windowDays = windowDays;
+    this.logger = logger;
+  }
+
+  static isValidReminderTime(time) {
+    return isValidReminderTime(time);
+  }
+
+  // Read DAILY_REMINDER_* settings (all optional) into constructor options.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    if (env.DAILY_REMINDER_DEFAULT_TIME) options.defaultReminderTime = env.DAILY_REMINDER_DEFAULT_TIME;
+    if (env.DAILY_REMINDER_NUDGE_TIME) options.nudgeTime = env.DAILY_REMINDER_NUDGE_TIME;
+    return options;
+  }
+
+  /**
+   * Send every reminder and nudge that is due at `now`.
+   * Resolves to { reminders, nudges } — the number of pushes claimed.
+   */
+  async runOnce(now = new Date()) {
+    const candidates = await this.reminderModel.getReminderCandidates(this.windowDays);
+    const handled = new Set(); // `${userId}:${pairingId}`
+    let reminders = 0;
+    let nudges = 0;
+
+    for (const program of candidates) {
+      const handledKey = id => `${id}:${program.pairing_id || ''}`;
+      const memberIds = program.member_ids.filter(id => !handled.has(handledKey(id)));
+      if (memberIds.length === 0) continue;
+
+      const day = ProgramSchedule.currentDay(program, now);
+      if (day < 1) continue;
+      const step = await this.reminderModel.getStepForDay(program.id, day);
+      // Past the last day (or steps not generated yet): not this user's active program.
+      if (!step) continue;
+
+      memberIds.forEach(id => handled.add(handledKey(id)));
+      const localDate = ProgramSchedule.localDate(program.timezone || 'UTC', now);
+      const localTime = ProgramSchedule.localTime(program.timezone || 'UTC', now);
+      const settings = await this.reminderModel.getUserReminderSettings(program.member_ids);
+      const settingsById = new Map(settings.map(user => [user.id, user]));
+
+      for (const userId of memberIds) {
+        const user = settingsById.get(userId);
+        if (!user || !user.daily_reminders_enabled || step.contributor_ids.includes(userId)) continue;
+
+        const reminderTime = isValidReminderTime(user.reminder_time) ? user.reminder_time : this.defaultReminderTime;
+        if (localTime >= reminderTime) {
+          const sent = await this._send({ program, step, userId, kind: 'daily_reminder', localDate }, {
+            template: step.theme ? 'daily_reminder' : 'daily_reminder_no_theme',
+            variables: { step_day: step.day, theme: step.theme },
+            data: { kind: 'daily_reminder', program_id: program.id, pairing_id: program.pairing_id, step_id: step.id, step_day: String(step.day) }
+          });
+          if (sent) reminders++;
+        }
+
+        // Only one partner has posted so far today.
+        if (program.paired && step.contributor_ids.length === 1 && localTime >= this.nudgeTime) {
+          const partner = settingsById.get(step.contributor_ids[0]);
+          const sent = await this._send({ program, step, userId, kind: 'partner_nudge', localDate }, {
+            template: 'partner_nudge',
+            variables: { partner_name: partner && partner.user_name },
+            data: { kind: 'partner_nudge', program_id: program.id, pairing_id: program.pairing_id, step_id: step.id, step_day: String(step.day) }
+          });
+          if (sent) nudges++;
+        }
+      }
+    }
+
+    return { reminders, nudges };
+  }
+
+  // ── Internals ───────────────────────────────────────────────────────────
+
+  // Claim, then send. Returns false when the reminder was already claimed.
+  async _send({ program, step, userId, kind, localDate }, payload) {
+    const reminderId = await this.reminderModel.claimReminder({
+      programId: program.id,
+      stepId: step.id,
+      userId,
+      kind,
+      localDate
+    });
+    if (!reminderId) return false;
+
+    let result = 'skipped';
+    let counts = {};
+    if (this.pushNotificationService) {
+      try {
+        const sendResult = await this.pushNotificationService.sendToUser(userId, payload);
+        counts = { successCount: sendResult.successCount, failureCount: sendResult.failureCount };
+        if (sendResult.skipped || sendResult.suppressed) result = 'skipped';
+        else if (sendResult.deferred) result = 'deferred';
+        else if (sendResult.successCount > 0) result = 'sent';
+        else if (sendResult.failureCount > 0) result = 'failed';
+        else result = 'no_devices';
+      } catch (error) {
+        this.logger.warn(`[reminders] ${kind} for user ${userId} failed:`, error.message);
+        result = 'failed';
+      }
+    }
+
+    try {
+      await this.reminderModel.recordResult(reminderId, result, counts);
+    } catch (error) {
+      this.logger.warn(`[reminders] could not record ${kind} ${reminderId}:`, error.message);
+    }
+    return true;
+  }
+}
+
+module.exports = DailyReminderService;
@@ -0,0 +1,244 @@
+/**
+ * EmailVerificationService
+ *
+ * Confirms that a user controls their email address:
+ *
+ *   - sendVerification(user): on sign-up (and on resend) a one-time link for
+ *     users.email. Confirming it sets users.email_verified_at.
+ *   - requestEmailChange(user, newEmail): PUT /api/users/:id with a new email
+ *     stores it in users.pending_email and sends the link to the new address
+ *     (plus a notice to the current one). users.email only changes once the
+ *     link is confirmed, and the new address is verified at that point.
+ *   - verifyEmail(token): POST /api/auth/email/verify, for either kind of link.
+ *
+ * Tokens live in models/EmailVerificationToken.js (hashed, single use,
+ * EMAIL_VERIFICATION_TOKEN_TTL_MINUTES). Mail goes through
+ * services/MailService.js; failed sends are logged, never surfaced.
+ *
+ * Optional policy (EMAIL_VERIFICATION_REQUIRED_FOR): features listed there
+ * (`programs`, `pairing`) answer 403 to unverified accounts; see
+ * createRequireVerifiedEmail in middleware/auth.js.
+ */
+
+const FEATURES = ['programs', 'pairing'];
+const DEFAULT_TOKEN_TTL_MINUTES = 24 * 60;
+
+const NOT_VERIFIED_ERRORS = {
+  programs: 'Verify your email address before creating programs',
+  pairing: 'Verify your email address before pairing'
+};
+
+class EmailVerificationService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.tokenModel        models/EmailVerificationToken instance.
+   * @param {Object} options.userModel         models/User instance.
+   * @param {Object} [options.mailService]     services/MailService instance (null → nothing is sent; a warning is logged).
+   * @param {number} [options.tokenTtlMinutes] How long a link works (defaults to 24 hours).
+   * @param {string} [options.verifyUrlBase]   Verification page; links are `${verifyUrlBase}?token=<token>`.
+   * @param {string[]} [options.requiredFor]   Features closed to unverified accounts (`programs`, `pairing`).
+   * @param {Object} [options.logger]          Optional logger (defaults to console).
+   */
+  constructor({
+    tokenModel,
+    userModel,
+    mailService = null,
+    tokenTtlMinutes = DEFAULT_TOKEN_TTL_MINUTES,
+    verifyUrlBase = null,
+    requiredFor = [],
+    logger = console
+  }) {
+    if (!tokenModel || !userModel) {
+      throw new Error('EmailVerificationService requires a tokenModel and a userModel');
+    }
+    this.tokenModel = tokenModel;
+    this.userModel = userModel;
+    this.mailService = mailService;
+    this.tokenTtlMinutes = Number.isFinite(tokenTtlMinutes) && tokenTtlMinutes > 0
+      ? tokenTtlMinutes
+      : DEFAULT_TOKEN_TTL_MINUTES;
+    this.verifyUrlBase = verifyUrlBase;
+    this.logger = logger;
+
+    const unknown = requiredFor.filter(feature => !FEATURES.includes(feature));
+    if (unknown.length) {
+      this.logger.warn(`[email-verification] ignoring unknown required features: ${unknown.join(', ')} (expected ${FEATURES.join(', ')})`);
+    }
+    this.requiredFor = new Set(requiredFor.filter(feature => FEATURES.includes(feature)));
+  }
+
+  static get FEATURES() {
+    return FEATURES;
+  }
+
+  // Read EMAIL_VERIFICATION_* settings (all optional) into constructor options.
+  // EMAIL_VERIFICATION_REQUIRED_FOR is a comma-separated feature list.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    if (env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES) {
+      options.tokenTtlMinutes = parseInt(env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES, 10);
+    }
+    if (env.EMAIL_VERIFICATION_URL_BASE) options.verifyUrlBase = env.EMAIL_VERIFICATION_URL_BASE;
+    if (env.EMAIL_VERIFICATION_REQUIRED_FOR) {
+      options.requiredFor = env.EMAIL_VERIFICATION_REQUIRED_FOR
+        .split(',')
+        .map(feature => feature.trim())
+        .filter(Boolean);
+    }
+    return options;
+  }
+
+  isVerified(user) {
+    return !!(user && user.email_verified_at);
+  }
+
+  isRequiredFor(feature) {
+    return this.requiredFor.has(feature);
+  }
+
+  // 403 message for an unverified account using `feature`.
+  notVerifiedError(feature) {
+    return NOT_VERIFIED_ERRORS[feature] || 'Verify your email address first';
+  }
+
+  // Whether `userId` may use `feature` under the policy.
+  async canUse(userId, feature) {
+    if (!this.isRequiredFor(feature)) return true;
+    const user = await this.userModel.getUserById(userId);
+    return this.isVerified(user);
+  }
+
+  buildVerifyLink(token) {
+    if (!this.verifyUrlBase) return null;
+    const base = this.verifyUrlBase;
+    return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+  }
+
+  async _send(to, subject, text) {
+    if (!this.mailService) {
+      this.logger.warn(`[email-verification] no mail service configured; "${subject}" not sent`);
+      return;
+    }
+    try {
+      await this.mailService.send({ to, subject, text });
+    } catch (err) {
+      this.logger.error(`[email-verification] failed to send "${subject}":`, err.message);
+    }
+  }
+
+  async _sendLink(userId, email, intro) {
+    const { token } = await this.tokenModel.createToken(userId, email, this.tokenTtlMinutes);
+    const link = this.buildVerifyLink(token);
+    const lifetime = this.tokenTtlMinutes % 60 === 0
+      ? `${this.tokenTtlMinutes / 60} hour(s)`
+      : `${this.tokenTtlMinutes} minutes`;
+    const text = [
+      intro,
+      '',
+      link ? `Confirm it here: ${link}` : `Your confirmation code: ${token}`,
+      '',
+      `This ${link ? 'link' : 'code'} works once and expires in ${lifetime}.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n');
+    await this._send(email, 'Confirm your email address', text);
+  }
+
+  // Email a verification link for the user's current address.
+  async sendVerification(user) {
+    await this._sendLink(user.id, user.email, `Please confirm ${user.email} as the email address for your account.`);
+  }
+
+  /**
+   * Start a change of email: `newEmail` becomes users.pending_email and gets
+   * the link; the current address gets a notice. Passing the current address
+   * cancels a pending change, and the already pending one is a no-op (see
+   * resend()). Resolves to { pending_email }. Throws 'Email already exists'
+   * when another account uses `newEmail`.
+   */
+  async requestEmailChange(user, newEmail) {
+    if (newEmail.toLowerCase() === String(user.email).toLowerCase()) {
+      if (user.pending_email) await this.userModel.setPendingEmail(user.id, null);
+      return { pending_email: null };
+    }
+    if (user.pending_email && newEmail.toLowerCase() === user.pending_email.toLowerCase()) {
+      return { pending_email: user.pending_email };
+    }
+
+    await this.assertEmailAvailable(user, newEmail);
+    await this.userModel.setPendingEmail(user.id, newEmail);
+    await this._sendLink(user.id, newEmail, `Please confirm ${newEmail} as the new email address for your account.`);
+    await this._send(
+      user.email,
+      'Your email address is being changed',
+      [
+        `Someone asked to change the email address of your account to ${newEmail}.`,
+        'The change only happens once the new address is confirmed.',
+        'If this was not you, reset your password and review your account.'
+      ].join('\n')
+    );
+    return { pending_email: newEmail };
+  }
+
+  // Throws 'Email already exists' when another account uses `email` (users.email
+  // is unique across soft-deleted rows too). Lets callers reject a change
+  // before writing anything else.
+  async assertEmailAvailable(user, email) {
+    let existing = null;
+    try {
+      existing = await this.userModel.getUserByEmailIncludingDeleted(email);
+    } catch (err) {
+      if (err.message !== 'User not found') throw err;
+    }
+    if (existing && existing.id !== user.id) {
+      throw new Error('Email already exists');
+    }
+  }
+
+  /**
+   * Resend the outstanding link: for the pending email when a change is in
+   * progress, else for an unverified current email. Throws
+   * 'Email is already verified' when there is nothing to confirm.
+   */
+  async resend(user) {
+    if (user.pending_email) {
+      await this._sendLink(user.id, user.pending_email, `Please confirm ${user.pending_email} as the new email address for your account.`);
+      return { email: user.pending_email, pending: true };
+    }
+    if (this.isVerified(user)) {
+      throw new Error('Email is already verified');
+    }
+    await this.sendVerification(user);
+    return { email: user.email, pending: false };
+  }
+
+  /**
+   * Confirm a link. Resolves to { user, email_changed }. Throws
+   * 'Invalid or expired verification token' (also when the address is no
+   * longer the user's current or pending one), or 'Email already exists'
+   * when another account took the new address meanwhile.
+   */
+  async verifyEmail(token) {
+    const { user_id: userId, email } = await this.tokenModel.consumeToken(token);
+
+    let user;
+    try {
+      user = await this.userModel.getUserById(userId);
+    } catch (err) {
+      if (err.message === 'User not found') throw new Error('Invalid or expired verification token');
+      throw err;
+    }
+
+    let emailChanged = false;
+    if (user.email === email) {
+      await this.userModel.markEmailVerified(userId, email);
+    } else if (user.pending_email === email && await this.userModel.confirmPendingEmail(userId, email)) {
+      emailChanged = true;
+    } else {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    return { user: await this.userModel.getUserById(userId), email_changed: emailChanged };
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,95 @@
+/**
+ * ExperimentService
+ *
+ * Assigns users to arms of the running A/B experiment for a prompt template
+ * key (models/Experiment.js). Assignment is deterministic: the arm is picked
+ * from sha256(experiment id + user id) over the arm weights, so a user stays
+ * in the same arm for every generation of that experiment without storing an
+ * assignment row, and a new experiment reshuffles users independently.
+ *
+ * Lifecycle: instantiated once at app startup in server.js and handed to the
+ * prompt services via setExperimentService and to the admin experiment
+ * routes, which invalidate the cache on start / stop.
+ *
+ * The running experiment per key is cached for `cacheTtlMs` (including "none
+ * running"). A database error never blocks generation: the user simply gets
+ * no arm and the normal configuration.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_TTL_MS = 60000;
+
+// Weighted, deterministic arm choice for one user.
+function pickArm(experimentId, userId, arms) {
+  const totalWeight = arms.reduce((sum, arm) => sum + arm.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest();
+  let bucket = hash.readUInt32BE(0) % totalWeight;
+  for (const arm of arms) {
+    if (bucket < arm.weight) return arm;
+    bucket -= arm.weight;
+  }
+  return arms[arms.length - 1];
+}
+
+class ExperimentService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.experimentModel] Experiment model (null → no experiments).
+   * @param {number} [options.cacheTtlMs]      Cache lifetime per key (defaults to 60s).
+   * @param {Object} [options.logger]          Optional logger (defaults to console).
+   */
+  constructor({ experimentModel = null, cacheTtlMs = DEFAULT_CACHE_TTL_MS, logger = console } = {}) {
+    this.experimentModel = experimentModel;
+    this.cacheTtlMs = cacheTtlMs;
+    this.logger = logger;
+    this.cache = new Map(); // template key → { experiment, expiresAt }
+  }
+
+  async getRunningExperiment(templateKey) {
+    if (!this.experimentModel) return null;
+
+    const cached = this.cache.get(templateKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.experiment;
+
+    let experiment = null;
+    try {
+      experiment = await this.experimentModel.getRunningExperiment(templateKey);
+    } catch (error) {
+      this.logger.warn(`[experiments] Failed to load running experiment for ${templateKey}:`, error.message);
+      return null;
+    }
+
+    this.cache.set(templateKey, { experiment, expiresAt: Date.now() + this.cacheTtlMs });
+    return experiment;
+  }
+
+  // → { experiment_id, arm, prompt_template_id, model, temperature } or null
+  // when no experiment is running for the key (or there is no user).
+  async assign(templateKey, userId) {
+    if (!userId) return null;
+    const experiment = await this.getRunningExperiment(templateKey);
+    if (!experiment || !Array.isArray(experiment.arms) || experiment.arms.length === 0) return null;
+
+    const arm = pickArm(experiment.id, userId, experiment.arms);
+    return {
+      experiment_id: experiment.id,
+      arm: arm.name,
+      prompt_template_id: arm.prompt_template_id || null,
+      model: arm.model || null,
+      temperature: arm.temperature ?? null
+    };
+  }
+
+  // Drop one key (after start / stop) or the whole cache.
+  invalidate(templateKey = null) {
+    if (templateKey) {
+      this.cache.delete(templateKey);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = ExperimentService;
+module.exports.pickArm = pickArm;
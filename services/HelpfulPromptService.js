@@ -17,7 +17,12 @@ const BasePromptService = require('./BasePromptService');
 class HelpfulPromptService extends BasePromptService {
   // ── Public API ──────────────────────────────────────────────────────────
 
-  async generateCouplesTherapyResponse(user1Name, user2Name, user1Messages, user2FirstMessage, _customPrompts = null) {
+  // 'initial_program' | 'next_program' | 'chime_in' → config/promptTemplates.js key
+  templateKey(generationType) {
+    return `helpful.${generationType}`;
+  }
+
+  async generateCouplesTherapyResponse(user1Name, user2Name, user1Messages, user2FirstMessage, _customPrompts = null, usageContext = null, onPartial = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
@@ -27,11 +32,13 @@ class HelpfulPromptService extends BasePromptService {
       user1Name,
       user2Name,
       user1Messages,
-      user2FirstMessage
+      user2FirstMessage,
+      usageContext,
+      onPartial
     });
   }
 
-  async generateChimeInPrompt(userName, conversationStarter, userMessages, _customPrompts = null) {
+  async generateChimeInPrompt(userName, conversationStarter, userMessages, _customPrompts = null, usageContext = null, onPartial = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
@@ -40,19 +47,21 @@ class HelpfulPromptService extends BasePromptService {
       type: 'single_user_chime_in',
       userName,
       conversationStarter,
-      userMessages
+      userMessages,
+      usageContext,
+      onPartial
     });
   }
 
-  async generateCouplesProgram(userName, partnerName, userInput, _customPrompts = null) {
+  async generateCouplesProgram(userName, partnerName, userInput, _customPrompts = null, usageContext = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
 
-    return this.queueOpenAIRequest({ type: 'program', userName, partnerName, userInput });
+    return this.queueOpenAIRequest({ type: 'program', userName, partnerName, userInput, usageContext });
   }
 
-  async generateNextCouplesProgram(userName, partnerName, previousConversationStarters, userInput, _customPrompts = null) {
+  async generateNextCouplesProgram(userName, partnerName, previousConversationStarters, userInput, _customPrompts = null, usageContext = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
@@ -62,7 +71,8 @@ class HelpfulPromptService extends BasePromptService {
       userName,
       partnerName,
       previousConversationStarters,
-      userInput
+      userInput,
+      usageContext
     });
   }
 
@@ -86,15 +96,18 @@ class HelpfulPromptService extends BasePromptService {
   // can use the same shape they use with HopefulPromptService. customPrompts
   // is accepted for signature parity but ignored here (couples flow never
   // applies org-specific overrides).
-  async generateInitialProgram({ userName, partnerName, userInput }, retryCount = 0, parseRetryCount = 0) {
+  async generateInitialProgram({ userName, partnerName, userInput, usageContext }, retryCount = 0, parseRetryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
     const MAX_PARSE_RETRIES = 1;
 
-    // Hoisted so the outer catch can attach the prompt to thrown errors,
-    // allowing the route layer to persist it in generation_prompt even when
-    // generation fails.
+    // Hoisted so the outer catch can attach the prompt (and the template /
+    // experiment arm it was rendered under) to thrown errors, allowing the
+    // route layer to persist it in generation_prompt even when generation
+    // fails.
     let prompt = null;
+    let template = null;
+    let experiment = null;
     let systemPrompt = null;
 
     try {
@@ -123,59 +136,24 @@ class HelpfulPromptService extends BasePromptService {
         throw new Error('User input must be between 10 and 2000 characters');
       }
 
-      prompt = `You're a top-tier couples therapist with deep expertise using Sue Johnson's Emotionally Focused Therapy method of couples therapy, as well as the Gottman Couples Therapy method.
-
-Your advice to couples is anchored in Emotionally Focused Therapy, but utilizes Gottman Couples Therapy methods when the context of the couple merits it.
-
-A couple comes into your therapy room. Their names are ${sanitizedUserName} and ${sanitizedPartnerName}.
-
-${sanitizedUserName} says the following to you:
-
-"${sanitizedUserInput}"
-
-Your goal, as their couples therapist, is to help them talk every day for 14 consecutive days in order to solve their primary issue and enable them to experience greater emotional connection together.
-
-Specifically, your task is to provide 1 conversation-starter per day for 14 consecutive days. Each conversation starter should have the following attributes:
-
-- Each conversation should build upon the one before it. They should all move towards a unified goal of helping the couple experience emotional connection together.
-- Each conversation-starter should have a theme, which I'd like you to specifically identify as a separate data element.
-- Each conversation-starter should help each person unpack what they're feeling; they should be designed so that each person is able to articulate their perspective.
-- Each conversation-starter should feel very personalized. Please mention specifics about the couple throughout the program.
-- The first conversation-starter should use both of their names, but the remainder of the conversation-starters should not, unless you're asking each person a different question and you need to.
-- The conversation-starters should feel like they're coming from a therapist. Ask the questions like a friendly therapist would ask them to their couples therapy clients.
-- Stylistically, have the entire conversation-starter in one line, with no paragraph breaks.
-
-Together, all of the conversation-starters make up a two-week program, which should feel comprehensive.
-
-Now, craft me the 14 conversation-starters, provide a theme for each one, and explain the science and research behind each question. Note that when you explain the science and research, act like you're talking directly to the couple and say it in a very accessible way. Label this science and research section: "The Science Behind It"
-
-Lastly, give the entire two-week program a name as well.
-
-Note: Don't ever reference Emotionally Focused Therapy or Gottman Couples Therapy. Instead of that, you can refer to it as a research-based couples therapy approach, or a therapy method that is scientifically backed.
-
-Please format your response as a JSON object with the following structure:
-
-{
-  "program": {
-    "title": "14-Day Emotional Connection Program for ${sanitizedUserName} and ${sanitizedPartnerName}",
-    "overview": "Brief description of the program goals, which should be a single sentence that captures the overall goal of the program.",
-    "days": [
-      {
-        "day": 1,
-        "theme": "Theme name",
-        "conversation_starter": "The conversation starter text",
-        "science_behind_it": "Explanation of the research and science"
-      }
-    ]
-  }
-}`;
+      ({ prompt, template, experiment } = await this.renderPromptTemplate('helpful.initial_program', {
+        userName: sanitizedUserName,
+        partnerName: sanitizedPartnerName,
+        userInput: sanitizedUserInput
+      }, usageContext));
 
       systemPrompt = "You are a professional couples therapist. You must respond only with valid JSON in the specified format. Do not include any text outside the JSON structure. Focus only on therapeutic content.";
 
       const llmResult = await this.callLLM(
         systemPrompt,
         prompt,
-        { temperature: 0.7, jsonMode: true }
+        {
+          temperature: experiment?.temperature ?? 0.7,
+          model: experiment?.model,
+          jsonMode: true,
+          validate: this.jsonResponseValidator(this.validateProgramStructure),
+          usage: usageContext
+        }
       );
 
       const response = llmResult.content;
@@ -203,7 +181,9 @@ Please format your response as a JSON object with the following structure:
           throw new Error('AI response does not match expected program structure');
         }
 
-        return this.attachPromptToResponse(parsedResponse, prompt);
+        this.attachTemplateToResponse(parsedResponse, template);
+        this.attachExperimentToResponse(parsedResponse, experiment);
+        return this.attachLLMUsedToResponse(this.attachPromptToResponse(parsedResponse, prompt), llmResult.llmUsed);
       } catch (parseError) {
         console.warn('Failed to parse/validate HelpfulPromptService.generateInitialProgram response:', {
           parse_retry_attempt: parseRetryCount + 1,
@@ -218,7 +198,7 @@ Please format your response as a JSON object with the following structure:
           const retryDelay = 500;
           await new Promise(resolve => setTimeout(resolve, retryDelay));
           return this.generateInitialProgram(
-            { userName, partnerName, userInput },
+            { userName, partnerName, userInput, usageContext },
             retryCount,
             parseRetryCount + 1
           );
@@ -236,7 +216,7 @@ Please format your response as a JSON object with the following structure:
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateInitialProgram({ userName, partnerName, userInput }, retryCount + 1, parseRetryCount);
+        return this.generateInitialProgram({ userName, partnerName, userInput, usageContext }, retryCount + 1, parseRetryCount);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
@@ -254,17 +234,20 @@ Please format your response as a JSON object with the following structure:
       }
 
       const wrappedError = new Error('Failed to generate couples therapy program');
-      throw this.attachPromptToError(wrappedError, prompt);
+      this.attachExperimentToResponse(wrappedError, experiment);
+      throw this.attachTemplateToResponse(this.attachPromptToError(wrappedError, prompt), template);
     }
   }
 
-  async generateNextProgram({ userName, partnerName, previousConversationStarters, userInput }, retryCount = 0, parseRetryCount = 0) {
+  async generateNextProgram({ userName, partnerName, previousConversationStarters, userInput, usageContext }, retryCount = 0, parseRetryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
     const MAX_PARSE_RETRIES = 1;
 
     // Hoisted so the outer catch can attach the prompt to thrown errors.
     let prompt = null;
+    let template = null;
+    let experiment = null;
     let systemPrompt = null;
 
     try {
@@ -304,64 +287,26 @@ Please format your response as a JSON object with the following structure:
           .join('\n');
       }
 
-      prompt = `You're a top-tier couples therapist with deep expertise using Sue Johnson's Emotionally Focused Therapy method of couples therapy, as well as the Gottman Couples Therapy method.
-
-Your advice to couples is anchored in Emotionally Focused Therapy, but utilizes Gottman Couples Therapy methods when the context of the couple merits it.
-
-You've been working with a couple, whose names are ${sanitizedUserName} and ${sanitizedPartnerName}.
-
-${sanitizedUserName} and ${sanitizedPartnerName} have answered the following questions in your therapy room already:
-
-${previousQuestionsText}
-
-Having completed those questions together, they are ready to make more progress together with you as their therapist.
-
-${sanitizedUserName} says the following to you:
-
-"${sanitizedUserInput}"
-
-Your goal, as their couples therapist, is to help them talk every day for 14 consecutive days in order to solve their primary issue and enable them to experience greater emotional connection together.
-
-Specifically, your task is to provide 1 conversation-starter per day for 14 consecutive days. Each conversation starter should have the following attributes:
-
-- Each conversation should build upon the one before it. They should all move towards a unified goal of helping the couple experience emotional connection together.
-- Each conversation-starter should have a theme, which I'd like you to specifically identify as a separate data element.
-- Each conversation-starter should help each person unpack what they're feeling; they should be designed so that each person is able to articulate their perspective. We should never have a scenario where one person is talking more than the other.
-- Each conversation-starter should be designed so that it brings the couple closer together during that day and makes them feel like more of a team.
-- The conversation-starters should use both of their names, when appropriate.
-- The conversation-starters should reference details from their relationship, when appropriate. This is optional.
-- The conversation-starters should feel a little lighter, not as serious. Make them very conversational in tone, as if you were a friend to the couple.
-
-Together, all of the conversation-starters make up a two-week program, which should feel comprehensive.
-
-You should not use any of the conversation-starters that they've already answered.
-
-Now, craft me the 14 conversation-starters, provide a theme for each one, and explain the science and research behind each question. Note that when you explain the science and research, act like you're talking directly to the couple and say it in a very accessible way. Label this science and research section: "The Science Behind It"
-
-Note: Don't ever reference Emotionally Focused Therapy or Gottman Couples Therapy. Instead of that, you can refer to it as a research-based couples therapy approach, or a therapy method that is scientifically backed.
-
-Please format your response as a JSON object with the following structure:
-{
-  "program": {
-    "title": "14-Day Emotional Connection Program for ${sanitizedUserName} and ${sanitizedPartnerName}",
-    "overview": "Brief description of the program goals",
-    "days": [
-      {
-        "day": 1,
-        "theme": "Theme name",
-        "conversation_starter": "The conversation starter text",
-        "science_behind_it": "Explanation of the research and science"
-      }
-    ]
-  }
-}`;
+      ({ prompt, template, experiment } = await this.renderPromptTemplate('helpful.next_program', {
+        userName: sanitizedUserName,
+        partnerName: sanitizedPartnerName,
+        userInput: sanitizedUserInput,
+        previousQuestions: previousQuestionsText
+      }, usageContext));
 
       systemPrompt = "You are a professional couples therapist. You must respond only with valid JSON in the specified format. Do not include any text outside the JSON structure. Focus only on therapeutic content.";
 
       const llmResult = await this.callLLM(
         systemPrompt,
         prompt,
-        { maxTokens: 4000, temperature: 0.7, jsonMode: true }
+        {
+          maxTokens: 4000,
+          temperature: experiment?.temperature ?? 0.7,
+          model: experiment?.model,
+          jsonMode: true,
+          validate: this.jsonResponseValidator(this.validateProgramStructure),
+          usage: usageContext
+        }
       );
 
       const response = llmResult.content;
@@ -389,7 +334,9 @@ Please format your response as a JSON object with the following structure:
           throw new Error('AI response does not match expected program structure');
         }
 
-        return this.attachPromptToResponse(parsedResponse, prompt);
+        this.attachTemplateToResponse(parsedResponse, template);
+        this.attachExperimentToResponse(parsedResponse, experiment);
+        return this.attachLLMUsedToResponse(this.attachPromptToResponse(parsedResponse, prompt), llmResult.llmUsed);
       } catch (parseError) {
         console.warn('Failed to parse/validate HelpfulPromptService.generateNextProgram response:', {
           parse_retry_attempt: parseRetryCount + 1,
@@ -404,7 +351,7 @@ Please format your response as a JSON object with the following structure:
           const retryDelay = 500;
           await new Promise(resolve => setTimeout(resolve, retryDelay));
           return this.generateNextProgram(
-            { userName, partnerName, previousConversationStarters, userInput },
+            { userName, partnerName, previousConversationStarters, userInput, usageContext },
             retryCount,
             parseRetryCount + 1
           );
@@ -422,7 +369,7 @@ Please format your response as a JSON object with the following structure:
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateNextProgram({ userName, partnerName, previousConversationStarters, userInput }, retryCount + 1, parseRetryCount);
+        return this.generateNextProgram({ userName, partnerName, previousConversationStarters, userInput, usageContext }, retryCount + 1, parseRetryCount);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
@@ -440,13 +387,14 @@ Please format your response as a JSON object with the following structure:
       }
 
       const wrappedError = new Error('Failed to generate next couples therapy program');
-      throw this.attachPromptToError(wrappedError, prompt);
+      this.attachExperimentToResponse(wrappedError, experiment);
+      throw this.attachTemplateToResponse(this.attachPromptToError(wrappedError, prompt), template);
     }
   }
 
   // ── Chime-in / follow-up (couples + secular single-user) ───────────────
 
-  async generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages }, retryCount = 0) {
+  async generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages, usageContext, onPartial }, retryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
 
@@ -476,26 +424,23 @@ Please format your response as a JSON object with the following structure:
         throw new Error('At least one user message is required');
       }
 
-      const prompt = `You're a top-tier couples therapist with deep expertise using Sue Johnson's Emotionally Focused Therapy method of couples therapy, as well as the Gottman Couples Therapy method.
-
-Your advice to couples is anchored in Emotionally Focused Therapy, but utilizes Gottman Couples Therapy methods when the context of the couple merits it.
-
-A user comes into your therapy room.
-
-Your first question to them is: "${sanitizedConversationStarter}"
-
-${sanitizedUserName} says:
-
-"${sanitizedUserMessages}"
-
-Your goal, as their couples therapist, is to ask one follow-up question that enables ${sanitizedUserName} to keep reflecting on their relationship.
-
-Do not reference Emotionally Focused Therapy or Gottman Couples Therapy by name.`;
+      const { prompt, experiment } = await this.renderPromptTemplate('helpful.chime_in', {
+        userName: sanitizedUserName,
+        conversationStarter: sanitizedConversationStarter,
+        userMessages: sanitizedUserMessages
+      }, usageContext);
 
       const llmResult = await this.callLLM(
         "You are a research-based couples therapist. Respond with exactly one warm follow-up reflection question and no extra explanation.",
         prompt,
-        { maxTokens: 300, temperature: 0.7 }
+        {
+          maxTokens: 300,
+          temperature: experiment?.temperature ?? 0.7,
+          model: experiment?.model,
+          validate: content => this.validateAIResponse(content, 20),
+          usage: usageContext,
+          onPartial
+        }
       );
 
       const response = llmResult.content;
@@ -512,7 +457,7 @@ Do not reference Emotionally Focused Therapy or Gottman Couples Therapy by name.
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages }, retryCount + 1);
+        return this.generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages, usageContext, onPartial }, retryCount + 1);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
@@ -533,7 +478,7 @@ Do not reference Emotionally Focused Therapy or Gottman Couples Therapy by name.
     }
   }
 
-  async generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage }, retryCount = 0) {
+  async generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage, usageContext, onPartial }, retryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
 
@@ -580,7 +525,13 @@ When you create the follow-up conversation-starter for the couple, please do not
       const llmResult = await this.callLLM(
         null,
         prompt,
-        { maxTokens: 2000, temperature: 0.7 }
+        {
+          maxTokens: 2000,
+          temperature: 0.7,
+          validate: content => this.validateAIResponse(content, 20),
+          usage: usageContext,
+          onPartial
+        }
       );
 
       const response = llmResult.content;
@@ -599,7 +550,7 @@ When you create the follow-up conversation-starter for the couple, please do not
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage }, retryCount + 1);
+        return this.generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage, usageContext, onPartial }, retryCount + 1);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
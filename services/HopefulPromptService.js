@@ -35,7 +35,13 @@ Respond only with a valid JSON object in exactly this structure:
 class HopefulPromptService extends BasePromptService {
   // ── Public API ──────────────────────────────────────────────────────────
 
-  async generateCouplesTherapyResponse(user1Name, user2Name, user1Messages, user2FirstMessage, customPrompts = null) {
+  // 'initial_program' | 'next_program' | 'chime_in' → config/promptTemplates.js
+  // key. Next programs reuse the initial-program template.
+  templateKey(generationType) {
+    return generationType === 'next_program' ? 'hopeful.initial_program' : `hopeful.${generationType}`;
+  }
+
+  async generateCouplesTherapyResponse(user1Name, user2Name, user1Messages, user2FirstMessage, customPrompts = null, usageContext = null, onPartial = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
@@ -46,11 +52,13 @@ class HopefulPromptService extends BasePromptService {
       user2Name,
       user1Messages,
       user2FirstMessage,
-      customPrompts
+      customPrompts,
+      usageContext,
+      onPartial
     });
   }
 
-  async generateChimeInPrompt(userName, conversationStarter, userMessages, customPrompts = null) {
+  async generateChimeInPrompt(userName, conversationStarter, userMessages, customPrompts = null, usageContext = null, onPartial = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
@@ -60,19 +68,21 @@ class HopefulPromptService extends BasePromptService {
       userName,
       conversationStarter,
       userMessages,
-      customPrompts
+      customPrompts,
+      usageContext,
+      onPartial
     });
   }
 
-  async generateCouplesProgram(userName, partnerName, userInput, customPrompts = null) {
+  async generateCouplesProgram(userName, partnerName, userInput, customPrompts = null, usageContext = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
 
-    return this.queueOpenAIRequest({ type: 'program', userName, partnerName, userInput, customPrompts });
+    return this.queueOpenAIRequest({ type: 'program', userName, partnerName, userInput, customPrompts, usageContext });
   }
 
-  async generateNextCouplesProgram(userName, partnerName, previousConversationStarters, userInput, customPrompts = null) {
+  async generateNextCouplesProgram(userName, partnerName, previousConversationStarters, userInput, customPrompts = null, usageContext = null) {
     if (!this.isConfigured()) {
       throw new Error('LLM service is not configured - set OPENAI_API_KEY');
     }
@@ -83,7 +93,8 @@ class HopefulPromptService extends BasePromptService {
       partnerName,
       previousConversationStarters,
       userInput,
-      customPrompts
+      customPrompts,
+      usageContext
     });
   }
 
@@ -103,15 +114,18 @@ class HopefulPromptService extends BasePromptService {
 
   // ── Program generation (faith-based 7-day reflection) ──────────────────
 
-  async generateInitialProgram({ userName, userInput, customPrompts }, retryCount = 0, parseRetryCount = 0) {
+  async generateInitialProgram({ userName, userInput, customPrompts, usageContext }, retryCount = 0, parseRetryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
     const MAX_PARSE_RETRIES = 1;
 
-    // Hoisted so the outer catch can attach the prompt to thrown errors,
-    // allowing the route layer to persist it in generation_prompt even when
-    // generation fails.
+    // Hoisted so the outer catch can attach the prompt (and the template /
+    // experiment arm it was rendered under) to thrown errors, allowing the
+    // route layer to persist it in generation_prompt even when generation
+    // fails.
     let resolvedPrompt = null;
+    let template = null;
+    let experiment = null;
     let systemPrompt = null;
 
     try {
@@ -154,33 +168,30 @@ class HopefulPromptService extends BasePromptService {
         ? `The user attends ${orgName}${orgCityState ? ` in ${orgCityState}` : ''}. Wherever possible, draw on the values, beliefs, and teachings of that community to make each reflection feel rooted in their specific faith home.`
         : 'Ground each reflection in broadly shared Christian values and scripture.';
 
-      resolvedPrompt = `You are a church pastor that is very skilled at creating personalized 7-day reflection programs rooted in Christian values, scripture, and the teachings of ${orgName}${orgCityState ? ` in ${orgCityState}` : ''}
-
-${orgContext}
-
-The user has shared the following goal:
-
-"${sanitizedUserInput}"
-
-Create a 7-day daily reflection program to help this person grow closer to God and make progress toward their goal. Each day should include one focused reflection question, a unifying theme, and a related Bible verse.
-
-Guidelines:
-- Each reflection question should be deeply personal and help the user examine their own heart, motivations, and relationship with God.
-- When you form the question, know that the user will be writing a journal entry in response to the question. Therefore, optimize for asking a question that a user can reflect upon and for which they can write a significant journal entry.
-- Focus on the user's goal for Day 1, but with Days 2 through 7, move the user onward toward other topics that build off of that one.
-- Each reflection should feel warm and pastoral in tone — like guidance from a trusted spiritual mentor.
-- The theme should capture the spiritual focus for that day.
-- The Bible verse should directly reinforce the reflection, not just be tangentially related.
-- Write each reflection with no paragraph breaks.
-- Do not reference any specific pastor or church leader by name.
-- Together the 7 days should form a cohesive journey — not 7 independent prompts.${orgMiddleSection}${HOPEFUL_INITIAL_PROGRAM_JSON_RESPONSE_FORMAT}`;
+      const rendered = await this.renderPromptTemplate('hopeful.initial_program', {
+        userInput: sanitizedUserInput,
+        orgName,
+        orgLocation: orgCityState ? ` in ${orgCityState}` : '',
+        orgContext
+      }, usageContext);
+      const basePrompt = rendered.prompt;
+      template = rendered.template;
+      experiment = rendered.experiment;
+      resolvedPrompt = `${basePrompt}${orgMiddleSection}${HOPEFUL_INITIAL_PROGRAM_JSON_RESPONSE_FORMAT}`;
 
       systemPrompt = "You are a faith-based spiritual wellness program creator. Respond only with valid JSON in the exact format specified. Do not include any text, explanation, or markdown outside the JSON structure.";
 
       const llmResult = await this.callLLM(
         systemPrompt,
         resolvedPrompt,
-        { temperature: 0.7, jsonMode: true }
+        {
+          temperature: experiment?.temperature ?? 0.7,
+          model: experiment?.model,
+          jsonMode: true,
+          provider: customPrompts?.llmProvider,
+          validate: this.jsonResponseValidator(this.validateProgramStructure),
+          usage: usageContext
+        }
       );
 
       const response = llmResult.content;
@@ -208,7 +219,9 @@ Guidelines:
           throw new Error('AI response does not match expected program structure');
         }
 
-        return this.attachPromptToResponse(parsedResponse, resolvedPrompt);
+        this.attachTemplateToResponse(parsedResponse, template);
+        this.attachExperimentToResponse(parsedResponse, experiment);
+        return this.attachLLMUsedToResponse(this.attachPromptToResponse(parsedResponse, resolvedPrompt), llmResult.llmUsed);
       } catch (parseError) {
         console.warn('Failed to parse/validate generateInitialProgram response:', {
           parse_retry_attempt: parseRetryCount + 1,
@@ -223,7 +236,7 @@ Guidelines:
           const retryDelay = 500;
           await new Promise(resolve => setTimeout(resolve, retryDelay));
           return this.generateInitialProgram(
-            { userName, userInput, customPrompts },
+            { userName, userInput, customPrompts, usageContext },
             retryCount,
             parseRetryCount + 1
           );
@@ -241,7 +254,7 @@ Guidelines:
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateInitialProgram({ userName, userInput, customPrompts }, retryCount + 1, parseRetryCount);
+        return this.generateInitialProgram({ userName, userInput, customPrompts, usageContext }, retryCount + 1, parseRetryCount);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
@@ -259,17 +272,18 @@ Guidelines:
       }
 
       const wrappedError = new Error('Failed to generate reflection program');
-      throw this.attachPromptToError(wrappedError, resolvedPrompt);
+      this.attachExperimentToResponse(wrappedError, experiment);
+      throw this.attachTemplateToResponse(this.attachPromptToError(wrappedError, resolvedPrompt), template);
     }
   }
 
-  async generateNextProgram({ userName, userInput, customPrompts }, retryCount = 0, parseRetryCount = 0) {
-    return this.generateInitialProgram({ userName, userInput, customPrompts }, retryCount, parseRetryCount);
+  async generateNextProgram({ userName, userInput, customPrompts, usageContext }, retryCount = 0, parseRetryCount = 0) {
+    return this.generateInitialProgram({ userName, userInput, customPrompts, usageContext }, retryCount, parseRetryCount);
   }
 
   // ── Chime-in / follow-up reflections ───────────────────────────────────
 
-  async generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages, customPrompts }, retryCount = 0) {
+  async generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages, customPrompts, usageContext, onPartial }, retryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
 
@@ -304,22 +318,26 @@ Guidelines:
         ? `${customPrompts.organizationCity}, ${customPrompts.organizationState}`
         : 'their city';
 
-      const defaultPrompt = `You are a top-tier faith-based spiritual wellness guide with deep expertise in research-based therapy methods. You are inspired by Christian theology and biblical wisdom. You go to ${orgName} in ${orgCityState}, and you are very aware of their statements of beliefs, wisdom, practices, teaching, and sermons.
-
-A user comes into your therapy room.
-
-Your first question to them is: "${sanitizedConversationStarter}"
-
-${sanitizedUserName} says:
-
-"${sanitizedUserMessages}"
-
-Your goal, as their couples therapist, is to ask one follow-up question that enables the user to keep reflecting and journaling.`;
+      const { prompt: defaultPrompt, experiment } = await this.renderPromptTemplate('hopeful.chime_in', {
+        userName: sanitizedUserName,
+        conversationStarter: sanitizedConversationStarter,
+        userMessages: sanitizedUserMessages,
+        orgName,
+        orgCityState
+      }, usageContext);
 
       const llmResult = await this.callLLM(
         "You are a faith-based spiritual wellness guide. Respond with exactly one warm follow-up reflection question and no extra explanation.",
         defaultPrompt,
-        { maxTokens: 300, temperature: 0.7 }
+        {
+          maxTokens: 300,
+          temperature: experiment?.temperature ?? 0.7,
+          provider: customPrompts?.llmProvider,
+          model: experiment?.model,
+          validate: content => this.validateAIResponse(content, 20),
+          usage: usageContext,
+          onPartial
+        }
       );
 
       const response = llmResult.content;
@@ -336,7 +354,7 @@ Your goal, as their couples therapist, is to ask one follow-up question that ena
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages, customPrompts }, retryCount + 1);
+        return this.generateSingleUserChimeInPrompt({ userName, conversationStarter, userMessages, customPrompts, usageContext, onPartial }, retryCount + 1);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
@@ -357,7 +375,7 @@ Your goal, as their couples therapist, is to ask one follow-up question that ena
     }
   }
 
-  async generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage, customPrompts }, retryCount = 0) {
+  async generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage, customPrompts, usageContext, onPartial }, retryCount = 0) {
     const MAX_RETRIES = 2;
     const BASE_DELAY = 1000;
 
@@ -412,7 +430,14 @@ When you create the follow-up conversation-starter for the couple, please do not
       const llmResult = await this.callLLM(
         null,
         resolvedPrompt,
-        { maxTokens: 2000, temperature: 0.7 }
+        {
+          maxTokens: 2000,
+          temperature: 0.7,
+          provider: customPrompts?.llmProvider,
+          validate: content => this.validateAIResponse(content, 20),
+          usage: usageContext,
+          onPartial
+        }
       );
 
       const response = llmResult.content;
@@ -431,7 +456,7 @@ When you create the follow-up conversation-starter for the couple, please do not
         console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
 
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage, customPrompts }, retryCount + 1);
+        return this.generateFirstChimeInPrompt({ user1Name, user2Name, user1Messages, user2FirstMessage, customPrompts, usageContext, onPartial }, retryCount + 1);
       }
 
       if (error.message.includes('unsafe content') || error.message.includes('validation')) {
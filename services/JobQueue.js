@@ -0,0 +1,270 @@
+const os = require('os');
+
+/**
+ * JobQueue
+ *
+ * Worker loop for the MySQL-backed generation_jobs table (models/GenerationJob.js).
+ * Routes enqueue work instead of running it in an unawaited async callback,
+ * so a deploy or crash mid-generation leaves the job in the table for the
+ * next worker rather than losing it.
+ *
+ *   - Leasing: a claimed job is locked to this worker for leaseMs and the
+ *     lease is renewed while the handler runs. If the process dies, the
+ *     lease lapses and any instance picks the job up again.
+ *   - Retries: a handler that throws is retried after an exponential
+ *     backoff (retryBaseMs · 2^(attempt-1), capped at retryMaxMs) until
+ *     max_attempts is reached. The type's onRetry hook runs after each
+ *     rescheduled attempt (e.g. to show "retrying" on the program).
+ *   - Dead-lettering: a job out of attempts, or whose handler threw an error
+ *     with `permanent = true`, is marked dead and the type's onDead hook runs
+ *     (e.g. to store generation_error). Dead jobs stay in the table for
+ *     GET /api/admin/jobs and can be retried from there.
+ *   - Idempotency: enqueue() with an idempotencyKey returns the existing job
+ *     for that key instead of adding a second one.
+ *
+ * Handlers are registered per job type by the code that owns the work
+ * (routes/programs.js, routes/programSteps.js); an instance only claims the
+ * types it has handlers for. Handlers must tolerate running more than once —
+ * a job whose worker died after finishing but before recording success is
+ * run again.
+ *
+ * Lifecycle: instantiated once in server.js, handlers registered while
+ * routes are set up, then start(); stop() on shutdown stops claiming and
+ * waits for running jobs.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_LEASE_MS = 120000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 30000;
+const DEFAULT_RETRY_MAX_MS = 15 * 60 * 1000;
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.jobModel         models/GenerationJob instance.
+   * @param {string} [options.workerId]       Lease owner id (defaults to host:pid:random).
+   * @param {number} [options.pollIntervalMs] Idle poll interval (defaults to 2s).
+   * @param {number} [options.leaseMs]        Lease length, renewed at a third of it (defaults to 2m).
+   * @param {number} [options.concurrency]    Jobs run at once by this worker (defaults to 4).
+   * @param {number} [options.maxAttempts]    Default attempts per job (defaults to 3).
+   * @param {number} [options.retryBaseMs]    Default first retry delay (defaults to 30s).
+   * @param {number} [options.retryMaxMs]     Retry delay cap (defaults to 15m).
+   * @param {Object} [options.logger]         Optional logger (defaults to console).
+   */
+  constructor({
+    jobModel,
+    workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`,
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    leaseMs = DEFAULT_LEASE_MS,
+    concurrency = DEFAULT_CONCURRENCY,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = DEFAULT_RETRY_BASE_MS,
+    retryMaxMs = DEFAULT_RETRY_MAX_MS,
+    logger = console
+  }) {
+    this.jobModel = jobModel;
+    this.workerId = workerId;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseMs = leaseMs;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.logger = logger;
+
+    this.handlers = new Map(); // type → { handler, maxAttempts, retryBaseMs, onRetry, onDead }
+    this.active = new Map(); // job id → promise of the running job
+    this.running = false;
+    this.pollTimer = null;
+    this.polling = null;
+  }
+
+  // Read JOB_* settings (all optional) into constructor options.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    const numbers = {
+      pollIntervalMs: 'JOB_POLL_INTERVAL_MS',
+      leaseMs: 'JOB_LEASE_MS',
+      concurrency: 'JOB_WORKER_CONCURRENCY',
+      maxAttempts: 'JOB_MAX_ATTEMPTS',
+      retryBaseMs: 'JOB_RETRY_BASE_MS',
+      retryMaxMs: 'JOB_RETRY_MAX_MS'
+    };
+    for (const [option, name] of Object.entries(numbers)) {
+      if (env[name] !== undefined && env[name] !== '' && Number.isFinite(Number(env[name]))) {
+        options[option] = Number(env[name]);
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Register the handler for a job type.
+   * @param {string} type
+   * @param {Function} handler               async (payload, job) => void; throw to retry.
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts]   Overrides the queue default.
+   * @param {number} [options.retryBaseMs]   Overrides the queue default.
+   * @param {Function} [options.onRetry]     async (job, error, delayMs) => void after a failed attempt is rescheduled.
+   * @param {Function} [options.onDead]      async (job, error) => void once the job is dead-lettered.
+   */
+  register(type, handler, { maxAttempts = null, retryBaseMs = null, onRetry = null, onDead = null } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, retryBaseMs, onRetry, onDead });
+  }
+
+  /**
+   * Add a job. With an idempotencyKey, a second enqueue for the same key
+   * returns the first job (a dead one is requeued with fresh attempts).
+   * Resolves to { job, created }.
+   */
+  async enqueue(type, payload, { idempotencyKey = null, delayMs = 0, maxAttempts = null } = {}) {
+    const registered = this.handlers.get(type);
+    const result = await this.jobModel.enqueue({
+      type,
+      payload,
+      idempotencyKey,
+      delayMs,
+      maxAttempts: maxAttempts || (registered && registered.maxAttempts) || this.maxAttempts
+    });
+    // Pick it up now rather than on the next poll.
+    if (delayMs <= 0) this.poll();
+    return result;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.logger.log(`[jobs] worker ${this.workerId} started (types: ${[...this.handlers.keys()].join(', ') || 'none'}, concurrency: ${this.concurrency})`);
+    this.poll();
+  }
+
+  // Stop claiming jobs and wait (up to timeoutMs) for running ones. A job
+  // still running at the timeout keeps its lease until it lapses, then runs
+  // again elsewhere.
+  async stop(timeoutMs = 30000) {
+    this.running = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.active.size === 0) return;
+
+    let timer = null;
+    await Promise.race([
+      Promise.allSettled([...this.active.values()]),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  retryDelayMs(attempts, baseMs = this.retryBaseMs) {
+    return Math.min(baseMs * 2 ** Math.max(0, attempts - 1), this.retryMaxMs);
+  }
+
+  // Claim and start jobs until the worker is full or nothing is due, then
+  // schedule the next poll. Overlapping calls share the one in flight.
+  poll() {
+    if (!this.running) return Promise.resolve();
+    if (this.polling) return this.polling;
+
+    this.polling = this._claimAvailable()
+      .catch(error => this.logger.error('[jobs] poll failed:', error.message))
+      .finally(() => {
+        this.polling = null;
+        this._schedulePoll();
+      });
+    return this.polling;
+  }
+
+  // ── Internals ───────────────────────────────────────────────────────────
+
+  _schedulePoll() {
+    if (!this.running) return;
+    if (this.pollTimer) clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll();
+    }, this.pollIntervalMs);
+    if (typeof this.pollTimer.unref === 'function') {
+      this.pollTimer.unref();
+    }
+  }
+
+  async _claimAvailable() {
+    const types = [...this.handlers.keys()];
+    while (this.running && this.active.size < this.concurrency) {
+      const job = await this.jobModel.claimNext(this.workerId, types, this.leaseMs);
+      if (!job) return;
+
+      const run = this._run(job).finally(() => {
+        this.active.delete(job.id);
+        // A slot opened up; look for more work.
+        this.poll();
+      });
+      this.active.set(job.id, run);
+    }
+  }
+
+  async _run(job) {
+    const { handler, retryBaseMs, onRetry, onDead } = this.handlers.get(job.type);
+
+    // Reclaimed after its worker died on the final attempt.
+    if (job.attempts > job.max_attempts) {
+      await this._deadLetter(job, new Error(`Lease expired after ${job.max_attempts} attempt(s) (worker stopped mid-job)`), onDead);
+      return;
+    }
+
+    const leaseTimer = setInterval(() => {
+      this.jobModel.extendLease(job.id, this.workerId, this.leaseMs)
+        .catch(error => this.logger.warn(`[jobs] lease renewal failed for ${job.type} ${job.id}:`, error.message));
+    }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+    if (typeof leaseTimer.unref === 'function') leaseTimer.unref();
+
+    try {
+      await handler(job.payload, job);
+      clearInterval(leaseTimer);
+      await this.jobModel.markSucceeded(job.id, this.workerId);
+    } catch (error) {
+      clearInterval(leaseTimer);
+      if (error.permanent || job.attempts >= job.max_attempts) {
+        await this._deadLetter(job, error, onDead);
+        return;
+      }
+
+      const delayMs = this.retryDelayMs(job.attempts, retryBaseMs ?? this.retryBaseMs);
+      this.logger.warn(`[jobs] ${job.type} ${job.id} attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delayMs}ms:`, error.message);
+      const rescheduled = await this.jobModel.markForRetry(job.id, this.workerId, error.message, delayMs)
+        .catch(saveError => {
+          this.logger.error(`[jobs] could not reschedule ${job.type} ${job.id}:`, saveError.message);
+          return false;
+        });
+      if (rescheduled && onRetry) {
+        try {
+          await onRetry(job, error, delayMs);
+        } catch (hookError) {
+          this.logger.error(`[jobs] onRetry hook failed for ${job.type} ${job.id}:`, hookError.message);
+        }
+      }
+    }
+  }
+
+  async _deadLetter(job, error, onDead) {
+    this.logger.error(`[jobs] ${job.type} ${job.id} dead after ${Math.min(job.attempts, job.max_attempts)} attempt(s):`, error.message);
+    try {
+      await this.jobModel.markDead(job.id, this.workerId, error.message);
+    } catch (saveError) {
+      this.logger.error(`[jobs] could not dead-letter ${job.type} ${job.id}:`, saveError.message);
+    }
+    if (onDead) {
+      try {
+        await onDead(job, error);
+      } catch (hookError) {
+        this.logger.error(`[jobs] onDead hook failed for ${job.type} ${job.id}:`, hookError.message);
+      }
+    }
+  }
+}
+
+module.exports = JobQueue;
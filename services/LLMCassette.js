@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * LLM cassettes
+ *
+ * Record / replay for BasePromptService.callLLM so integration tests can run
+ * against realistic model output without spending tokens, plus scripted
+ * failures for the retry and parse-retry paths.
+ *
+ *   LLM_CASSETTE_MODE    record  call the real provider and save each
+ *                                response to <dir>/<key>.json
+ *                        replay  answer from the saved response; a key with
+ *                                no recording throws (or, with
+ *                                TEST_MOCK_LLM=true, uses the mock response)
+ *   LLM_CASSETTE_DIR     default tests/cassettes
+ *   LLM_CASSETTE_FAULTS  comma-separated faults applied to the next calls,
+ *                        one per call, in order; works with or without a
+ *                        mode (e.g. on top of TEST_MOCK_LLM responses)
+ *
+ * The key is a sha256 of the system prompt, user prompt and the request
+ * options (maxTokens, temperature, jsonMode) — not the provider or model, so
+ * a recording replays whatever LLM_PROVIDER the test server uses.
+ *
+ * Faults:
+ *   truncated_json  the response is cut in half (finish_reason unchanged)
+ *   length          cut in half with finish_reason=length, as when a
+ *                   response hits max tokens
+ *   <status>        e.g. 429, 500, 503: the call throws an Error with that
+ *                   `status`, like a provider HTTP failure
+ *
+ * A cassette file may also list `faults` to script a sequence for that one
+ * prompt, e.g. ["length"] so the first call is truncated and the parse retry
+ * gets the recorded response. Re-recording keeps the file's faults.
+ */
+
+const CASSETTE_MODES = ['record', 'replay'];
+
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '..', 'tests', 'cassettes');
+
+const FAULT_PATTERN = /^(truncated_json|length|[45]\d\d)$/;
+
+function parseFaultList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function cassetteKey(systemPrompt, userPrompt, { maxTokens = null, temperature = null, jsonMode = false } = {}) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([systemPrompt || null, userPrompt, { maxTokens: maxTokens ?? null, temperature: temperature ?? null, jsonMode: !!jsonMode }]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function validateFaults(faults, source) {
+  for (const fault of faults) {
+    if (!FAULT_PATTERN.test(String(fault))) {
+      throw new Error(`Invalid LLM cassette fault "${fault}" in ${source} (expected truncated_json, length or an HTTP status)`);
+    }
+  }
+  return faults.map(String);
+}
+
+function applyFault(result, fault) {
+  if (/^\d+$/.test(fault)) {
+    const error = new Error(`Scripted LLM failure (HTTP ${fault})`);
+    error.status = Number(fault);
+    throw error;
+  }
+  const content = result.content || '';
+  return {
+    ...result,
+    content: content.slice(0, Math.floor(content.length / 2)),
+    finishReason: fault === 'length' ? 'length' : result.finishReason
+  };
+}
+
+class LLMCassette {
+  // `mode` is 'record', 'replay' or null (faults only).
+  constructor({ mode = null, dir = DEFAULT_CASSETTE_DIR, faults = [] } = {}) {
+    if (mode && !CASSETTE_MODES.includes(mode)) {
+      throw new Error(`LLM_CASSETTE_MODE "${mode}" is not supported (expected one of: ${CASSETTE_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.dir = dir;
+    this.faults = validateFaults(faults, 'LLM_CASSETTE_FAULTS');
+    // Cassette files by key (null = no recording), and how many of each
+    // file's scripted faults have been used in this process.
+    this.cassettes = new Map();
+    this.faultCursor = new Map();
+  }
+
+  // null when neither a mode nor faults are configured.
+  static fromEnv(env = process.env) {
+    const faults = parseFaultList(env.LLM_CASSETTE_FAULTS);
+    if (!env.LLM_CASSETTE_MODE && faults.length === 0) return null;
+    return new LLMCassette({
+      mode: env.LLM_CASSETTE_MODE || null,
+      dir: env.LLM_CASSETTE_DIR ? path.resolve(env.LLM_CASSETTE_DIR) : DEFAULT_CASSETTE_DIR,
+      faults
+    });
+  }
+
+  describe() {
+    return `mode=${this.mode || 'faults'}, dir=${path.relative(process.cwd(), this.dir) || '.'}${this.faults.length ? `, faults=${this.faults.join(',')}` : ''}`;
+  }
+
+  // Queue faults for the next calls (same as LLM_CASSETTE_FAULTS).
+  injectFaults(faults) {
+    this.faults.push(...validateFaults(faults, 'injectFaults'));
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  load(key) {
+    if (!this.cassettes.has(key)) {
+      let cassette = null;
+      try {
+        cassette = JSON.parse(fs.readFileSync(this.filePath(key), 'utf8'));
+        cassette.faults = validateFaults(cassette.faults || [], this.filePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      this.cassettes.set(key, cassette);
+    }
+    return this.cassettes.get(key);
+  }
+
+  async save(key, cassette) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.filePath(key), `${JSON.stringify(cassette, null, 2)}\n`);
+    this.cassettes.set(key, cassette);
+  }
+
+  // Next fault for this call: the cassette's own script first, then the
+  // global queue.
+  nextFault(key, cassette) {
+    const used = this.faultCursor.get(key) || 0;
+    if (cassette && used < cassette.faults.length) {
+      this.faultCursor.set(key, used + 1);
+      return cassette.faults[used];
+    }
+    return this.faults.shift() || null;
+  }
+
+  // Stand-in for llmProvider.complete(). `fallback` answers replay misses
+  // and faults-only calls without a live provider (the TEST_MOCK_LLM
+  // response); null means call the provider.
+  async complete(llmProvider, systemPrompt, userPrompt, options, fallback = null) {
+    const key = cassetteKey(systemPrompt, userPrompt, options);
+    const cassette = this.load(key);
+    const fault = this.nextFault(key, cassette);
+
+    // A scripted HTTP failure never reaches the provider, as with a real
+    // rejected request.
+    if (fault && /^\d+$/.test(fault)) applyFault(null, fault);
+
+    let result;
+    if (this.mode === 'record') {
+      result = await llmProvider.complete(systemPrompt, userPrompt, options);
+      await this.save(key, {
+        key,
+        recorded_at: new Date().toISOString(),
+        request: {
+          provider: llmProvider.name,
+          model: llmProvider.model,
+          system_prompt: systemPrompt || null,
+          user_prompt: userPrompt,
+          options: { maxTokens: options.maxTokens ?? null, temperature: options.temperature ?? null, jsonMode: !!options.jsonMode }
+        },
+        response: {
+          content: result.content,
+          finishReason: result.finishReason,
+          model: result.model,
+          id: result.id,
+          usage: result.usage || null
+        },
+        faults: cassette ? cassette.faults : []
+      });
+    } else if (this.mode === 'replay' && cassette) {
+      result = { ...cassette.response };
+    } else if (fallback) {
+      result = fallback();
+    } else if (this.mode === 'replay') {
+      const error = new Error(`No LLM cassette for ${key} in ${this.dir} - record it with LLM_CASSETTE_MODE=record`);
+      error.code = 'ECASSETTEMISS';
+      throw error;
+    } else {
+      result = await llmProvider.complete(systemPrompt, userPrompt, options);
+    }
+
+    return fault ? applyFault(result, fault) : result;
+  }
+}
+
+module.exports = LLMCassette;
+module.exports.cassetteKey = cassetteKey;
+module.exports.parseFaultList = parseFaultList;
+module.exports.CASSETTE_MODES = CASSETTE_MODES;
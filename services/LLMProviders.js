@@ -0,0 +1,442 @@
+/**
+ * LLM providers
+ *
+ * Thin adapters that turn one system + user prompt into a chat completion
+ * for a specific vendor. BasePromptService.callLLM picks a provider and the
+ * generate methods never see vendor details, so switching vendors (or
+ * pointing staging at a local model) is configuration only.
+ *
+ * Every provider exposes:
+ *   - name / model
+ *   - isConfigured()
+ *   - complete(systemPrompt, userPrompt, { maxTokens, temperature, jsonMode })
+ *       → { content, finishReason, model, id, usage }
+ *   - stream(systemPrompt, userPrompt, options, onText): the same request
+ *     over the vendor's event stream; onText(textSoFar) runs as text arrives
+ *     and the resolved value matches complete()
+ * and throws an Error with `status` set to the HTTP status on failure so the
+ * generate methods' 429 backoff keeps working for every vendor.
+ *
+ * Supported providers (LLM_PROVIDER, or org_codes.llm_provider per org):
+ *   openai             OPENAI_API_KEY, OPENAI_MODEL (default gpt-5.4)
+ *   anthropic          ANTHROPIC_API_KEY, ANTHROPIC_MODEL (default claude-sonnet-4-5)
+ *   azure_openai       AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT,
+ *                      AZURE_OPENAI_DEPLOYMENT, AZURE_OPENAI_API_VERSION
+ *   openai_compatible  LLM_COMPATIBLE_BASE_URL (e.g. http://localhost:11434/v1
+ *                      for Ollama, http://localhost:8080/v1 for llama.cpp),
+ *                      LLM_COMPATIBLE_MODEL, LLM_COMPATIBLE_API_KEY (optional)
+ *
+ * Requests abort after LLM_REQUEST_TIMEOUT_MS (default 120000) and throw an
+ * Error with code 'ETIMEDOUT' (no `status`), which the fallback chain in
+ * BasePromptService treats like a 5xx.
+ */
+
+const DEFAULT_PROVIDER = 'openai';
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+// Anthropic requires max_tokens on every request; used when the caller
+// doesn't pass one.
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+// Anthropic stop_reason → OpenAI-style finish_reason, so logs and error
+// messages read the same whichever provider answered.
+const ANTHROPIC_FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+function requestTimeoutMs(env) {
+  const value = Number(env.LLM_REQUEST_TIMEOUT_MS);
+  return value > 0 ? value : DEFAULT_REQUEST_TIMEOUT_MS;
+}
+
+function timeoutError(providerLabel, timeoutMs) {
+  const error = new Error(`${providerLabel} API request timed out after ${timeoutMs}ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+// POST and return the fetch Response; non-2xx responses throw with `status`.
+async function post(url, headers, body, providerLabel, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (fetchError) {
+    if (fetchError.name === 'TimeoutError' || fetchError.name === 'AbortError') {
+      throw timeoutError(providerLabel, timeoutMs);
+    }
+    throw fetchError;
+  }
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    const error = new Error(errorData.error?.message || `${providerLabel} API request failed`);
+    error.status = res.status;
+    throw error;
+  }
+
+  return res;
+}
+
+async function postJSON(url, headers, body, providerLabel, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+  const res = await post(url, headers, body, providerLabel, timeoutMs);
+  return res.json();
+}
+
+// Yield { event, data } for each server-sent event in a streaming response
+// body. The request timeout covers the whole stream, so a stalled stream
+// surfaces as ETIMEDOUT like a stalled request.
+async function* readEventStream(res, providerLabel, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of res.body) {
+      buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        }
+        if (data.length > 0) yield { event, data: data.join('\n') };
+      }
+    }
+  } catch (streamError) {
+    if (streamError.name === 'TimeoutError' || streamError.name === 'AbortError') {
+      throw timeoutError(providerLabel, timeoutMs);
+    }
+    throw streamError;
+  }
+}
+
+// OpenAI chat-completions wire format. Azure OpenAI and OpenAI-compatible
+// servers reuse it and only override the URL, auth header, and body tweaks.
+// `overrides.model` replaces the env model; used by LLM_FALLBACKS entries
+// such as "openai:gpt-4.1-mini".
+class OpenAIProvider {
+  constructor(env = process.env, overrides = {}) {
+    this.name = 'openai';
+    this.apiKey = env.OPENAI_API_KEY || null;
+    this.model = overrides.model || env.OPENAI_MODEL || 'gpt-5.4';
+    this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+    this.timeoutMs = requestTimeoutMs(env);
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // Short description for startup logs (never includes the full key).
+  describe() {
+    return `provider=${this.name}, model=${this.model}${this.apiKey ? `, key=***${this.apiKey.slice(-4)}` : ''}`;
+  }
+
+  buildUrl() {
+    return this.apiUrl;
+  }
+
+  buildHeaders() {
+    return { 'Authorization': `Bearer ${this.apiKey}` };
+  }
+
+  buildBody(systemPrompt, userPrompt, { maxTokens, temperature, jsonMode }) {
+    const body = {
+      model: this.model,
+      messages: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        { role: 'user', content: userPrompt }
+      ],
+      temperature
+    };
+    if (maxTokens) body.max_completion_tokens = maxTokens;
+    if (jsonMode) body.response_format = { type: 'json_object' };
+    return body;
+  }
+
+  // Ask for a final usage chunk so streamed calls are still costed.
+  buildStreamBody(systemPrompt, userPrompt, options) {
+    return { ...this.buildBody(systemPrompt, userPrompt, options), stream: true, stream_options: { include_usage: true } };
+  }
+
+  async complete(systemPrompt, userPrompt, options = {}) {
+    const data = await postJSON(
+      this.buildUrl(),
+      this.buildHeaders(),
+      this.buildBody(systemPrompt, userPrompt, options),
+      this.name,
+      this.timeoutMs
+    );
+
+    const choice = data.choices?.[0];
+    return {
+      content: choice?.message?.content || '',
+      finishReason: choice?.finish_reason || 'unknown',
+      model: data.model || this.model,
+      id: data.id || 'unknown',
+      usage: data.usage || {}
+    };
+  }
+
+  async stream(systemPrompt, userPrompt, options = {}, onText = () => {}) {
+    const res = await post(
+      this.buildUrl(),
+      this.buildHeaders(),
+      this.buildStreamBody(systemPrompt, userPrompt, options),
+      this.name,
+      this.timeoutMs
+    );
+
+    const result = { content: '', finishReason: 'unknown', model: this.model, id: 'unknown', usage: {} };
+    for await (const { data } of readEventStream(res, this.name, this.timeoutMs)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      if (chunk.id) result.id = chunk.id;
+      if (chunk.model) result.model = chunk.model;
+      if (chunk.usage) result.usage = chunk.usage;
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        result.content += choice.delta.content;
+        onText(result.content);
+      }
+      if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+    }
+    return result;
+  }
+}
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(env = process.env, overrides = {}) {
+    super(env, overrides);
+    this.name = 'azure_openai';
+    this.apiKey = env.AZURE_OPENAI_API_KEY || null;
+    this.endpoint = (env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+    this.deployment = overrides.model || env.AZURE_OPENAI_DEPLOYMENT || null;
+    this.apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+    // Azure routes by deployment; the deployment name is what we record.
+    this.model = this.deployment;
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.endpoint && this.deployment);
+  }
+
+  buildUrl() {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(this.deployment)}/chat/completions?api-version=${encodeURIComponent(this.apiVersion)}`;
+  }
+
+  buildHeaders() {
+    return { 'api-key': this.apiKey };
+  }
+
+  buildBody(systemPrompt, userPrompt, options) {
+    const { model: _model, ...body } = super.buildBody(systemPrompt, userPrompt, options);
+    return body;
+  }
+}
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(env = process.env, overrides = {}) {
+    super(env, overrides);
+    this.name = 'openai_compatible';
+    this.baseUrl = (env.LLM_COMPATIBLE_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = env.LLM_COMPATIBLE_API_KEY || null;
+    this.model = overrides.model || env.LLM_COMPATIBLE_MODEL || null;
+  }
+
+  // Local servers usually run without auth, so only the URL + model matter.
+  isConfigured() {
+    return !!(this.baseUrl && this.model);
+  }
+
+  describe() {
+    return `provider=${this.name}, model=${this.model}, base_url=${this.baseUrl}`;
+  }
+
+  buildUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  buildHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  // llama.cpp / Ollama understand max_tokens but not max_completion_tokens.
+  buildBody(systemPrompt, userPrompt, options) {
+    const body = super.buildBody(systemPrompt, userPrompt, options);
+    if (body.max_completion_tokens) {
+      body.max_tokens = body.max_completion_tokens;
+      delete body.max_completion_tokens;
+    }
+    return body;
+  }
+
+  // stream_options is not understood by every local server; usage is
+  // recorded as zero tokens instead.
+  buildStreamBody(systemPrompt, userPrompt, options) {
+    return { ...this.buildBody(systemPrompt, userPrompt, options), stream: true };
+  }
+}
+
+class AnthropicProvider {
+  constructor(env = process.env, overrides = {}) {
+    this.name = 'anthropic';
+    this.apiKey = env.ANTHROPIC_API_KEY || null;
+    this.model = overrides.model || env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+    this.apiUrl = env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+    this.timeoutMs = requestTimeoutMs(env);
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  describe() {
+    return `provider=${this.name}, model=${this.model}${this.apiKey ? `, key=***${this.apiKey.slice(-4)}` : ''}`;
+  }
+
+  buildHeaders() {
+    return { 'x-api-key': this.apiKey, 'anthropic-version': '2023-06-01' };
+  }
+
+  buildBody(systemPrompt, userPrompt, { maxTokens, temperature } = {}) {
+    const body = {
+      model: this.model,
+      max_tokens: maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS,
+      messages: [{ role: 'user', content: userPrompt }],
+      temperature
+    };
+    if (systemPrompt) body.system = systemPrompt;
+    return body;
+  }
+
+  // No native JSON mode: the prompts already demand bare JSON, but strip a
+  // markdown fence if the model wraps it anyway.
+  normalizeContent(content, jsonMode) {
+    return jsonMode ? content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '') : content;
+  }
+
+  async complete(systemPrompt, userPrompt, options = {}) {
+    const data = await postJSON(
+      this.apiUrl,
+      this.buildHeaders(),
+      this.buildBody(systemPrompt, userPrompt, options),
+      this.name,
+      this.timeoutMs
+    );
+
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: this.normalizeContent(content, options.jsonMode),
+      finishReason: ANTHROPIC_FINISH_REASONS[data.stop_reason] || data.stop_reason || 'unknown',
+      model: data.model || this.model,
+      id: data.id || 'unknown',
+      usage: data.usage || {}
+    };
+  }
+
+  // Messages API events: message_start carries id / model / input tokens,
+  // content_block_delta the text, message_delta the stop reason and output
+  // tokens. An `error` event mid-stream (e.g. overloaded) throws without a
+  // status, so the fallback chain treats it like a dropped connection.
+  async stream(systemPrompt, userPrompt, options = {}, onText = () => {}) {
+    const res = await post(
+      this.apiUrl,
+      this.buildHeaders(),
+      { ...this.buildBody(systemPrompt, userPrompt, options), stream: true },
+      this.name,
+      this.timeoutMs
+    );
+
+    let content = '';
+    let stopReason = null;
+    const result = { model: this.model, id: 'unknown', usage: {} };
+    for await (const { event, data } of readEventStream(res, this.name, this.timeoutMs)) {
+      const payload = JSON.parse(data);
+      if (event === 'message_start') {
+        result.id = payload.message?.id || result.id;
+        result.model = payload.message?.model || result.model;
+        result.usage = { ...payload.message?.usage };
+      } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+        content += payload.delta.text;
+        onText(content);
+      } else if (event === 'message_delta') {
+        stopReason = payload.delta?.stop_reason || stopReason;
+        result.usage = { ...result.usage, ...payload.usage };
+      } else if (event === 'error') {
+        throw new Error(payload.error?.message || `${this.name} stream failed`);
+      }
+    }
+
+    return {
+      ...result,
+      content: this.normalizeContent(content, options.jsonMode),
+      finishReason: ANTHROPIC_FINISH_REASONS[stopReason] || stopReason || 'unknown'
+    };
+  }
+}
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  azure_openai: AzureOpenAIProvider,
+  openai_compatible: OpenAICompatibleProvider
+};
+
+const SUPPORTED_PROVIDERS = Object.keys(PROVIDERS);
+
+function isSupportedProvider(name) {
+  return SUPPORTED_PROVIDERS.includes(name);
+}
+
+// Build a provider by name. Throws 'Unsupported LLM provider' for unknown names.
+function createLLMProvider(name = DEFAULT_PROVIDER, env = process.env, overrides = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unsupported LLM provider: ${name}`);
+  }
+  return new Provider(env, overrides);
+}
+
+// Parse LLM_FALLBACKS ("provider:model,provider:model,...") into
+// [{ provider, model }]. The model part is optional ("anthropic" uses
+// ANTHROPIC_MODEL) and may itself contain colons ("openai_compatible:llama3.1:8b").
+function parseFallbackList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { provider: entry, model: null }
+        : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) || null };
+    });
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  SUPPORTED_PROVIDERS,
+  isSupportedProvider,
+  createLLMProvider,
+  parseFallbackList,
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider
+};
@@ -0,0 +1,125 @@
+/**
+ * MailService
+ *
+ * Sends transactional email (password reset links, and anything else that
+ * has to reach a user outside the app) through one pluggable transport:
+ *
+ *   - console  logs each message's recipient and subject (default; local
+ *              dev). The body is left out: it carries one-time reset and
+ *              verification tokens, which must not end up in logs
+ *   - file     writes each message as a JSON file to fileDir — integration
+ *              tests read the links back from there
+ *   - smtp     delivers via nodemailer (lazy-required, like firebase-admin
+ *              in PushNotificationService, so other transports never need it)
+ *
+ * Lifecycle: instantiated once in server.js (MailService.optionsFromEnv) and
+ * passed to the services that send mail. send() throws on a transport
+ * failure; callers decide whether that is fatal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TRANSPORTS = ['console', 'file', 'smtp'];
+const DEFAULT_FROM = 'no-reply@localhost';
+const DEFAULT_FILE_DIR = 'mail-outbox';
+
+let nodemailer = null; // Lazy-required only for the smtp transport
+
+class MailService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.transport] console | file | smtp (defaults to console).
+   * @param {string} [options.from]      From address (defaults to no-reply@localhost).
+   * @param {string} [options.fileDir]   Directory for the file transport (defaults to ./mail-outbox).
+   * @param {Object|string} [options.smtp] nodemailer transport options or connection URL.
+   * @param {Object} [options.transporter] Pre-built transporter with sendMail() (tests).
+   * @param {Object} [options.logger]    Optional logger (defaults to console).
+   */
+  constructor({
+    transport = 'console',
+    from = DEFAULT_FROM,
+    fileDir = DEFAULT_FILE_DIR,
+    smtp = null,
+    transporter = null,
+    logger = console
+  } = {}) {
+    if (!TRANSPORTS.includes(transport)) {
+      throw new Error(`Unknown mail transport "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
+    }
+    this.transport = transport;
+    this.from = from;
+    this.fileDir = path.resolve(fileDir);
+    this.smtp = smtp;
+    this.logger = logger;
+    this._transporter = transporter;
+  }
+
+  // Read MAIL_* / SMTP_* settings (all optional) into constructor options.
+  // SMTP_URL wins over the individual SMTP_HOST / PORT / USER / PASS / SECURE.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    if (env.MAIL_TRANSPORT) options.transport = env.MAIL_TRANSPORT;
+    if (env.MAIL_FROM) options.from = env.MAIL_FROM;
+    if (env.MAIL_FILE_DIR) options.fileDir = env.MAIL_FILE_DIR;
+    if (env.SMTP_URL) {
+      options.smtp = env.SMTP_URL;
+    } else if (env.SMTP_HOST) {
+      options.smtp = {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || '587', 10),
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined
+      };
+    }
+    return options;
+  }
+
+  /**
+   * Send one plain-text message. Resolves to { transport, id }.
+   */
+  async send({ to, subject, text }) {
+    if (!to || !subject || !text) {
+      throw new Error('Mail requires to, subject and text');
+    }
+    const message = { from: this.from, to, subject, text };
+
+    if (this.transport === 'console') {
+      this.logger.log(`[mail] To: ${to} | Subject: ${subject} (body not logged; MAIL_TRANSPORT=file keeps it)`);
+      return { transport: 'console', id: null };
+    }
+
+    if (this.transport === 'file') {
+      return this._sendToFile(message);
+    }
+
+    const info = await this._getSmtpTransporter().sendMail(message);
+    return { transport: 'smtp', id: info && info.messageId ? info.messageId : null };
+  }
+
+  async _sendToFile(message) {
+    await fs.promises.mkdir(this.fileDir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 8)}`;
+    const file = path.join(this.fileDir, `${id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ id, ...message, sent_at: new Date().toISOString() }, null, 2));
+    return { transport: 'file', id };
+  }
+
+  _getSmtpTransporter() {
+    if (this._transporter) return this._transporter;
+    if (!this.smtp) {
+      throw new Error('No SMTP server configured (set SMTP_URL or SMTP_HOST)');
+    }
+    if (!nodemailer) {
+      try {
+        nodemailer = require('nodemailer');
+      } catch (err) {
+        throw new Error('nodemailer package is not installed. Run: npm install nodemailer');
+      }
+    }
+    this._transporter = nodemailer.createTransport(this.smtp);
+    return this._transporter;
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,185 @@
+/**
+ * NotificationTemplates
+ *
+ * Catalog of push notification copy, keyed by template name (the push
+ * `data.kind`, plus variants such as next_program_ready), with a title and
+ * body per locale. Placeholders are `{name}`; a variable that is missing or
+ * empty falls back to the locale's `defaults` (e.g. "Your partner"), else ''.
+ *
+ * Callers pass `{ template, variables, data }` to PushNotificationService
+ * instead of a title / body; it renders each recipient's users.locale
+ * (DEFAULT_LOCALE when unset or unsupported). With PUSH_LOC_KEYS=true the
+ * message also carries FCM loc keys for clients that localize themselves:
+ *
+ *   title: push_<template>_title   body: push_<template>_body
+ *   args:  the template's `args`, in order (%1$@ / %1$s in the client strings)
+ *
+ * The rendered title / body are always sent as well (web, older clients).
+ */
+
+const LOCALES = ['en', 'es'];
+const DEFAULT_LOCALE = 'en';
+
+const TEMPLATES = {
+  pairing_accepted: {
+    args: ['sender_name'],
+    en: {
+      title: 'Pairing accepted!',
+      body: '{sender_name} accepted your pairing request.',
+      defaults: { sender_name: 'Someone' }
+    },
+    es: {
+      title: '¡Emparejamiento aceptado!',
+      body: '{sender_name} aceptó tu solicitud de emparejamiento.',
+      defaults: { sender_name: 'Alguien' }
+    }
+  },
+  pairing_ended: {
+    args: ['sender_name'],
+    en: {
+      title: 'Partnership ended',
+      body: '{sender_name} ended your partnership. Your own reflections are still in your archive.',
+      defaults: { sender_name: 'Your partner' }
+    },
+    es: {
+      title: 'Emparejamiento finalizado',
+      body: '{sender_name} finalizó su emparejamiento. Tus reflexiones siguen en tu archivo.',
+      defaults: { sender_name: 'Tu pareja' }
+    }
+  },
+  program_ready: {
+    args: [],
+    en: { title: 'Your program is ready', body: 'Your 14-day couples program has been created.' },
+    es: { title: 'Tu programa está listo', body: 'Tu programa de pareja de 14 días ha sido creado.' }
+  },
+  next_program_ready: {
+    args: [],
+    en: { title: 'Your next program is ready', body: 'Your next 14-day couples program has been created.' },
+    es: { title: 'Tu próximo programa está listo', body: 'Tu próximo programa de pareja de 14 días ha sido creado.' }
+  },
+  step_message: {
+    args: ['sender_name', 'preview'],
+    en: { title: '{sender_name} shared a reflection', body: '{preview}', defaults: { sender_name: 'Your partner' } },
+    es: { title: '{sender_name} compartió una reflexión', body: '{preview}', defaults: { sender_name: 'Tu pareja' } }
+  },
+  therapy_response: {
+    args: [],
+    en: { title: 'New reflection ready', body: 'Your therapist added a new reflection to your step.' },
+    es: { title: 'Nueva reflexión disponible', body: 'Tu terapeuta añadió una nueva reflexión a tu paso.' }
+  },
+  prompt_session_created: {
+    args: [],
+    en: { title: 'New Sit Session', body: 'Your partner started a Sit Session. Complete your prep to begin.' },
+    es: { title: 'Nueva Sit Session', body: 'Tu pareja inició una Sit Session. Completa tu preparación para comenzar.' }
+  },
+  prompt_session_prep_complete: {
+    args: [],
+    en: { title: 'Your partner finished prep', body: 'Complete your prep to start your Sit Session together.' },
+    es: { title: 'Tu pareja terminó su preparación', body: 'Completa tu preparación para empezar su Sit Session juntos.' }
+  },
+  prompt_session_ready: {
+    args: [],
+    en: { title: 'Your Sit Session is ready', body: 'Your Bridge is ready. Sit down together when you have a quiet moment.' },
+    es: { title: 'Tu Sit Session está lista', body: 'Tu Bridge está listo. Siéntense juntos cuando tengan un momento tranquilo.' }
+  },
+  prompt_session_expiring: {
+    args: [],
+    en: { title: 'Your Sit Session is waiting', body: 'Pick up where you left off soon, or this Sit Session will close.' },
+    es: { title: 'Tu Sit Session te espera', body: 'Retómala pronto o esta Sit Session se cerrará.' }
+  },
+  daily_reminder: {
+    args: ['step_day', 'theme'],
+    en: { title: 'Day {step_day} is ready', body: 'Today\'s theme: {theme}' },
+    es: { title: 'El día {step_day} está listo', body: 'Tema de hoy: {theme}' }
+  },
+  daily_reminder_no_theme: {
+    args: ['step_day'],
+    en: { title: 'Day {step_day} is ready', body: 'Take a few minutes for today\'s reflection.' },
+    es: { title: 'El día {step_day} está listo', body: 'Dedica unos minutos a la reflexión de hoy.' }
+  },
+  partner_nudge: {
+    args: ['partner_name'],
+    en: {
+      title: '{partner_name} is waiting for you',
+      body: '{partner_name} shared today\'s reflection. Add yours to see it together.',
+      defaults: { partner_name: 'Your partner' }
+    },
+    es: {
+      title: '{partner_name} te está esperando',
+      body: '{partner_name} compartió la reflexión de hoy. Añade la tuya para verlas juntos.',
+      defaults: { partner_name: 'Tu pareja' }
+    }
+  }
+};
+
+function isSupportedLocale(locale) {
+  return LOCALES.includes(locale);
+}
+
+// Supported locale for a stored / requested one: exact match, then the
+// language part ("es-MX" → "es"), else DEFAULT_LOCALE.
+function resolveLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return DEFAULT_LOCALE;
+  const normalized = locale.toLowerCase();
+  if (isSupportedLocale(normalized)) return normalized;
+  const language = normalized.split(/[-_]/)[0];
+  return isSupportedLocale(language) ? language : DEFAULT_LOCALE;
+}
+
+function hasTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+}
+
+function getTemplate(name) {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown notification template "${name}"`);
+  }
+  return TEMPLATES[name];
+}
+
+// Variable values for one locale, with the locale's defaults filled in.
+function resolveVariables(strings, variables = {}) {
+  const defaults = strings.defaults || {};
+  const values = { ...defaults };
+  for (const [key, value] of Object.entries(variables || {})) {
+    if (value != null && value !== '') values[key] = String(value);
+  }
+  return values;
+}
+
+function interpolate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? values[key] : ''));
+}
+
+// { title, body } for `name` in `locale` (resolved as above).
+function render(name, locale, variables = {}) {
+  const template = getTemplate(name);
+  const strings = template[resolveLocale(locale)] || template[DEFAULT_LOCALE];
+  const values = resolveVariables(strings, variables);
+  return { title: interpolate(strings.title, values), body: interpolate(strings.body, values) };
+}
+
+// FCM loc keys + args for `name`; args use `locale`'s defaults for missing values.
+function locKeys(name, locale, variables = {}) {
+  const template = getTemplate(name);
+  const strings = template[resolveLocale(locale)] || template[DEFAULT_LOCALE];
+  const values = resolveVariables(strings, variables);
+  const args = template.args.map(arg => (values[arg] != null ? values[arg] : ''));
+  return {
+    titleLocKey: `push_${name}_title`,
+    titleLocArgs: args,
+    bodyLocKey: `push_${name}_body`,
+    bodyLocArgs: args
+  };
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  TEMPLATES,
+  isSupportedLocale,
+  resolveLocale,
+  hasTemplate,
+  render,
+  locKeys
+};
@@ -1,7 +1,64 @@
+const jwt = require('jsonwebtoken');
+
+const INVITE_TOKEN_TYPE = 'pairing_invite';
+
 class PairingService {
-  constructor(userModel, pairingModel) {
+  // options.inviteSecret: signs invite-link tokens (defaults to a key derived
+  // from JWT_SECRET, so an invite token is never a valid access token).
+  // options.inviteUrlBase: public invite page; links are `${inviteUrlBase}/${token}`.
+  // options.programModel / promptSessionModel / subscriptionService /
+  // stripeBillingService: used by endPairing; each step is skipped when absent.
+  constructor(userModel, pairingModel, {
+    inviteSecret = null,
+    inviteUrlBase = null,
+    programModel = null,
+    promptSessionModel = null,
+    subscriptionService = null,
+    stripeBillingService = null
+  } = {}) {
     this.userModel = userModel;
     this.pairingModel = pairingModel;
+    this.programModel = programModel;
+    this.promptSessionModel = promptSessionModel;
+    this.subscriptionService = subscriptionService;
+    this.stripeBillingService = stripeBillingService;
+    this.inviteSecret = inviteSecret ||
+      `${process.env.JWT_SECRET || 'your-secret-key-change-in-production'}:${INVITE_TOKEN_TYPE}`;
+    this.inviteUrlBase = inviteUrlBase ? inviteUrlBase.replace(/\/+$/, '') : null;
+  }
+
+  // Read PAIRING_INVITE_* settings (all optional) into constructor options.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    if (env.PAIRING_INVITE_SECRET) options.inviteSecret = env.PAIRING_INVITE_SECRET;
+    if (env.PAIRING_INVITE_URL_BASE) options.inviteUrlBase = env.PAIRING_INVITE_URL_BASE;
+    return options;
+  }
+
+  // Open partner-code request (pending, no partner yet) that has not expired.
+  isLivePartnerCode(pairing, now = new Date()) {
+    return pairing.status === 'pending' && !!pairing.partner_code && !pairing.user2_id &&
+      (!pairing.partner_code_expires_at || new Date(pairing.partner_code_expires_at) > now);
+  }
+
+  formatPartnerCodeResponse(message, pairing, requestingUser) {
+    const expiresAt = pairing.partner_code_expires_at
+      ? new Date(pairing.partner_code_expires_at).toISOString()
+      : null;
+    return {
+      message,
+      partner_code: pairing.partner_code,
+      pairing_id: pairing.id,
+      requester: {
+        id: requestingUser.id,
+        user_name: requestingUser.user_name,
+        email: requestingUser.email
+      },
+      expires_at: expiresAt,
+      expires_note: expiresAt
+        ? `This partner code is valid until ${expiresAt} unless someone uses it or you cancel the request.`
+        : 'This partner code is valid until someone uses it or you cancel the request.'
+    };
   }
 
   // Request a pairing (new flow - creates partner code)
@@ -16,53 +73,118 @@ class PairingService {
         throw new Error('You have reached your maximum number of pairings');
       }
 
-      // Check if user already has a pending partner code request
+      // Check if user already has a live (unexpired) partner code request
       const existingPendingRequest = await this.pairingModel.getUserPairings(requestingUserId);
-      const hasPendingPartnerCode = existingPendingRequest.some(p => 
-        p.status === 'pending' && p.partner_code && !p.user2_id
-      );
-      
-      if (hasPendingPartnerCode) {
-        const pendingRequest = existingPendingRequest.find(p =>
-          p.status === 'pending' && p.partner_code && !p.user2_id
-        );
-
-        if (pendingRequest) {
-          return {
-            message: 'Existing partner code retrieved successfully.',
-            partner_code: pendingRequest.partner_code,
-            pairing_id: pendingRequest.id,
-            requester: {
-              id: requestingUser.id,
-              user_name: requestingUser.user_name,
-              email: requestingUser.email
-            },
-            expires_note: 'This partner code is valid until someone uses it or you cancel the request.'
-          };
-        }
+      const pendingRequest = existingPendingRequest.find(p => this.isLivePartnerCode(p));
+
+      if (pendingRequest) {
+        return this.formatPartnerCodeResponse('Existing partner code retrieved successfully.', pendingRequest, requestingUser);
       }
 
+      // Anything still open at this point has expired — clear it out.
+      if (existingPendingRequest.some(p => p.status === 'pending' && p.partner_code && !p.user2_id)) {
+        await this.pairingModel.softDeleteOpenPartnerCodeRequests(requestingUserId);
+      }
 
-      
       // Create the pairing request with partner code
       const pairing = await this.pairingModel.createPairingWithPartnerCode(requestingUserId);
       
-      return {
-        message: 'Partner code generated successfully. Share this code with someone to pair with you.',
-        partner_code: pairing.partner_code,
-        pairing_id: pairing.id,
-        requester: {
-          id: requestingUser.id,
-          user_name: requestingUser.user_name,
-          email: requestingUser.email
-        },
-        expires_note: 'This partner code is valid until someone uses it or you cancel the request.'
-      };
+      return this.formatPartnerCodeResponse(
+        'Partner code generated successfully. Share this code with someone to pair with you.',
+        pairing,
+        requestingUser
+      );
     } catch (error) {
       throw error;
     }
   }
 
+  // Replace the user's open partner code with a new one. The old code and
+  // every invite link built on it stop working.
+  async regeneratePartnerCode(requestingUserId) {
+    const requestingUser = await this.userModel.getUserById(requestingUserId);
+
+    const acceptedCount = await this.pairingModel.countAcceptedPairings(requestingUserId);
+    if (acceptedCount >= requestingUser.max_pairings) {
+      throw new Error('You have reached your maximum number of pairings');
+    }
+
+    await this.pairingModel.softDeleteOpenPartnerCodeRequests(requestingUserId);
+    const pairing = await this.pairingModel.createPairingWithPartnerCode(requestingUserId);
+
+    return this.formatPartnerCodeResponse(
+      'Partner code regenerated successfully. The previous code and its invite links no longer work.',
+      pairing,
+      requestingUser
+    );
+  }
+
+  // Signed invite link for the user's open partner code (created if needed).
+  // The token carries the inviter's display name and expires with the code.
+  async createInvite(requestingUserId) {
+    const request = await this.requestPairing(requestingUserId);
+    const payload = {
+      type: INVITE_TOKEN_TYPE,
+      pairing_id: request.pairing_id,
+      partner_code: request.partner_code,
+      inviter_name: request.requester.user_name || null
+    };
+    const signOptions = {};
+    if (request.expires_at) {
+      signOptions.expiresIn = Math.max(1, Math.floor((new Date(request.expires_at).getTime() - Date.now()) / 1000));
+    }
+    const inviteToken = jwt.sign(payload, this.inviteSecret, signOptions);
+
+    return {
+      message: 'Invite link created successfully',
+      invite_token: inviteToken,
+      invite_url: this.inviteUrlBase ? `${this.inviteUrlBase}/${inviteToken}` : null,
+      partner_code: request.partner_code,
+      pairing_id: request.pairing_id,
+      expires_at: request.expires_at
+    };
+  }
+
+  // Verify an invite token against the still-open pairing it was issued for.
+  // Expired, regenerated, cancelled or already-used invites all read as not found.
+  async resolveInvite(inviteToken) {
+    let payload;
+    try {
+      payload = jwt.verify(String(inviteToken || ''), this.inviteSecret);
+    } catch (err) {
+      throw new Error('Invite not found or expired');
+    }
+    if (!payload || payload.type !== INVITE_TOKEN_TYPE || !payload.partner_code) {
+      throw new Error('Invite not found or expired');
+    }
+
+    const pairing = await this.pairingModel.getPendingPairingByPartnerCode(payload.partner_code);
+    if (!pairing || pairing.id !== payload.pairing_id) {
+      throw new Error('Invite not found or expired');
+    }
+    return { payload, pairing };
+  }
+
+  // Public preview of an invite (no partner code or email).
+  async previewInvite(inviteToken) {
+    const { payload, pairing } = await this.resolveInvite(inviteToken);
+    return {
+      message: 'Invite retrieved successfully',
+      invite: {
+        inviter: { user_name: payload.inviter_name },
+        expires_at: pairing.partner_code_expires_at
+          ? new Date(pairing.partner_code_expires_at).toISOString()
+          : null
+      }
+    };
+  }
+
+  // Accept the pairing behind an invite token (same checks as a partner code).
+  async acceptInvite(userId, inviteToken) {
+    const { payload } = await this.resolveInvite(inviteToken);
+    return this.acceptPairingByCode(userId, payload.partner_code);
+  }
+
   // Accept a pairing request
   async acceptPairing(userId, pairingId) {
     try {
@@ -196,6 +318,87 @@ class PairingService {
     }
   }
 
+  // End an accepted partnership. The pairing becomes 'ended' (not deleted):
+  // its programs are archived read-only, each member keeps their own
+  // messages, active prompt sessions are abandoned and both members' premium
+  // is recomputed. The two people can pair again later.
+  async endPairing(userId, pairingId) {
+    const pairing = await this.pairingModel.getPairingById(pairingId);
+
+    if (pairing.user1_id !== userId && pairing.user2_id !== userId) {
+      throw new Error('You are not authorized to end this pairing');
+    }
+    if (pairing.status !== 'accepted') {
+      throw new Error('Only an accepted pairing can be ended');
+    }
+
+    let ended;
+    try {
+      ended = await this.pairingModel.endPairing(pairingId, userId);
+    } catch (error) {
+      // Someone else ended it between the read and the update.
+      if (error.message === 'Pairing not found or not accepted') {
+        throw new Error('Only an accepted pairing can be ended');
+      }
+      throw error;
+    }
+
+    const archivedPrograms = this.programModel
+      ? await this.programModel.archivePairingPrograms(pairingId)
+      : 0;
+    const abandonedSessions = this.promptSessionModel
+      ? await this.promptSessionModel.abandonPairingSessions(pairingId, { userId })
+      : [];
+
+    try {
+      await this.userModel.clearActivePairing(pairingId);
+    } catch (error) {
+      console.warn(`Warning: Failed to clear active pairing ${pairingId}:`, error.message);
+    }
+
+    const isUser1 = pairing.user1_id === userId;
+    const partnerId = isUser1 ? pairing.user2_id : pairing.user1_id;
+    await this.recomputePremium([userId, partnerId]);
+
+    return {
+      message: 'Partnership ended successfully',
+      pairing: {
+        id: pairingId,
+        status: ended.status,
+        ended_at: ended.ended_at,
+        ended_by: userId,
+        partner: {
+          id: partnerId,
+          user_name: isUser1 ? pairing.user2_user_name : pairing.user1_user_name
+        }
+      },
+      archived_programs: archivedPrograms,
+      abandoned_prompt_sessions: abandonedSessions.length
+    };
+  }
+
+  // Premium after a partnership ends: pairing-level premium for the members'
+  // remaining pairings (app-store subscriptions), then users.is_premium from
+  // Stripe / org entitlement. Failures are logged; the pairing is already ended.
+  async recomputePremium(userIds) {
+    for (const memberId of userIds.filter(Boolean)) {
+      if (this.subscriptionService) {
+        try {
+          await this.subscriptionService.reconcilePremiumStatus(memberId);
+        } catch (error) {
+          console.warn(`Warning: Failed to reconcile premium for user ${memberId}:`, error.message);
+        }
+      }
+      if (this.stripeBillingService) {
+        try {
+          await this.stripeBillingService.syncPremiumForUser(memberId);
+        } catch (error) {
+          console.warn(`Warning: Failed to sync Stripe premium for user ${memberId}:`, error.message);
+        }
+      }
+    }
+  }
+
   // Get user's pairings (both accepted and pending)
   async getUserPairings(userId) {
     try {
@@ -231,6 +434,7 @@ class PairingService {
           id: pairing.id,
           status: pairing.status,
           partner_code: pairing.partner_code,
+          partner_code_expires_at: pairing.partner_code_expires_at || null,
           premium: pairing.premium,
           created_at: pairing.created_at,
           updated_at: pairing.updated_at,
@@ -272,6 +476,7 @@ class PairingService {
           id: pairing.id,
           status: pairing.status,
           partner_code: pairing.partner_code,
+          partner_code_expires_at: pairing.partner_code_expires_at || null,
           premium: pairing.premium,
           created_at: pairing.created_at,
           updated_at: pairing.updated_at,
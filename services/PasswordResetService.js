@@ -0,0 +1,184 @@
+/**
+ * PasswordResetService
+ *
+ * "Forgot password" for users (POST /api/auth/password/forgot + /reset) and
+ * admin users (POST /api/admin/auth/password/forgot + /reset):
+ *
+ *   1. requestReset(email, userType) emails a one-time link carrying a random
+ *      token (models/PasswordResetToken.js stores only its hash). It resolves
+ *      the same way, and as quickly, whether or not the account exists (the
+ *      link is issued in the background), so the endpoint cannot be used to
+ *      discover registered emails.
+ *   2. resetPassword(token, password, userType) checks the new password,
+ *      spends the token, stores the new hash and revokes every refresh token
+ *      of the account, signing out all of its sessions.
+ *
+ * Mail goes through services/MailService.js; a failed send is logged and not
+ * surfaced to the caller (same generic response).
+ */
+
+const DEFAULT_TOKEN_TTL_MINUTES = 60;
+
+class PasswordResetService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.tokenModel          models/PasswordResetToken instance.
+   * @param {Object} options.userModel           models/User instance.
+   * @param {Object} [options.adminUserModel]    models/AdminUser instance (admin resets; null disables them).
+   * @param {Object} [options.refreshTokenModel] models/RefreshToken instance (sessions revoked on reset).
+   * @param {Object} [options.mailService]       services/MailService instance (null → nothing is sent; a warning is logged).
+   * @param {number} [options.tokenTtlMinutes]   How long a reset link works (defaults to 60).
+   * @param {string} [options.resetUrlBase]      User reset page; links are `${resetUrlBase}?token=<token>`.
+   * @param {string} [options.adminResetUrlBase] Admin reset page, same format.
+   * @param {Object} [options.logger]            Optional logger (defaults to console).
+   */
+  constructor({
+    tokenModel,
+    userModel,
+    adminUserModel = null,
+    refreshTokenModel = null,
+    mailService = null,
+    tokenTtlMinutes = DEFAULT_TOKEN_TTL_MINUTES,
+    resetUrlBase = null,
+    adminResetUrlBase = null,
+    logger = console
+  }) {
+    if (!tokenModel || !userModel) {
+      throw new Error('PasswordResetService requires a tokenModel and a userModel');
+    }
+    this.tokenModel = tokenModel;
+    this.userModel = userModel;
+    this.adminUserModel = adminUserModel;
+    this.refreshTokenModel = refreshTokenModel;
+    this.mailService = mailService;
+    this.tokenTtlMinutes = Number.isFinite(tokenTtlMinutes) && tokenTtlMinutes > 0
+      ? tokenTtlMinutes
+      : DEFAULT_TOKEN_TTL_MINUTES;
+    this.resetUrlBase = resetUrlBase;
+    this.adminResetUrlBase = adminResetUrlBase;
+    this.logger = logger;
+  }
+
+  // Read PASSWORD_RESET_* settings (all optional) into constructor options.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    if (env.PASSWORD_RESET_TOKEN_TTL_MINUTES) {
+      options.tokenTtlMinutes = parseInt(env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10);
+    }
+    if (env.PASSWORD_RESET_URL_BASE) options.resetUrlBase = env.PASSWORD_RESET_URL_BASE;
+    if (env.ADMIN_PASSWORD_RESET_URL_BASE) options.adminResetUrlBase = env.ADMIN_PASSWORD_RESET_URL_BASE;
+    return options;
+  }
+
+  _accounts(userType) {
+    if (userType === 'admin') {
+      if (!this.adminUserModel) {
+        throw new Error('Admin password reset is not configured');
+      }
+      return {
+        getByEmail: email => this.adminUserModel.getAdminUserByEmail(email),
+        getById: id => this.adminUserModel.getAdminUserById(id),
+        model: this.adminUserModel,
+        notFound: 'Admin user not found'
+      };
+    }
+    return {
+      getByEmail: email => this.userModel.getUserByEmail(email),
+      getById: id => this.userModel.getUserById(id),
+      model: this.userModel,
+      notFound: 'User not found'
+    };
+  }
+
+  // Reset link for `token`; without a URL base the raw token is mailed instead.
+  buildResetLink(token, userType = 'user') {
+    const base = userType === 'admin' ? this.adminResetUrlBase : this.resetUrlBase;
+    if (!base) return null;
+    return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Email a reset link when `email` belongs to an account of `userType`.
+   * Resolves to true when a link is being issued, false otherwise; callers
+   * must respond identically in both cases. Only the account lookup is
+   * awaited: the token and the mail are issued in the background, so the
+   * response takes as long for an unknown email as for a registered one.
+   */
+  async requestReset(email, userType = 'user') {
+    const accounts = this._accounts(userType);
+
+    let account;
+    try {
+      account = await accounts.getByEmail(email);
+    } catch (err) {
+      if (err.message === accounts.notFound) return false;
+      throw err;
+    }
+
+    this._sendResetLink(account, userType).catch(err => {
+      this.logger.error(`[password-reset] failed to issue reset for ${userType} ${account.id}:`, err.message);
+    });
+    return true;
+  }
+
+  async _sendResetLink(account, userType) {
+    const { token, expires_at: expiresAt } = await this.tokenModel.createToken(account.id, userType, this.tokenTtlMinutes);
+    const link = this.buildResetLink(token, userType);
+    const text = [
+      'We received a request to reset your password.',
+      '',
+      link ? `Reset it here: ${link}` : `Your reset code: ${token}`,
+      '',
+      `This ${link ? 'link' : 'code'} works once and expires in ${this.tokenTtlMinutes} minutes (${expiresAt}).`,
+      'If you did not ask for this, you can ignore this email; your password has not changed.'
+    ].join('\n');
+
+    if (!this.mailService) {
+      this.logger.warn(`[password-reset] no mail service configured; reset for ${userType} ${account.id} not sent`);
+      return;
+    }
+    try {
+      await this.mailService.send({ to: account.email, subject: 'Reset your password', text });
+    } catch (err) {
+      this.logger.error(`[password-reset] failed to send reset email for ${userType} ${account.id}:`, err.message);
+    }
+  }
+
+  /**
+   * Set a new password with a reset token. Resolves to { id, email } of the
+   * account. Throws 'Invalid or expired reset token', or the password
+   * validation error (the token is not spent in that case).
+   */
+  async resetPassword(token, password, userType = 'user') {
+    const accounts = this._accounts(userType);
+
+    const passwordValidation = accounts.model.validatePassword(password);
+    if (!passwordValidation.valid) {
+      throw new Error(passwordValidation.error);
+    }
+
+    const userId = await this.tokenModel.consumeToken(token, userType);
+    let account;
+    try {
+      account = await accounts.getById(userId);
+    } catch (err) {
+      // Account deleted after the link was sent.
+      if (err.message === accounts.notFound) throw new Error('Invalid or expired reset token');
+      throw err;
+    }
+
+    await accounts.model.updatePassword(userId, password);
+
+    if (this.refreshTokenModel) {
+      try {
+        await this.refreshTokenModel.deleteRefreshTokensByUserId(userId, userType);
+      } catch (err) {
+        this.logger.warn(`[password-reset] failed to revoke refresh tokens for ${userType} ${userId}:`, err.message);
+      }
+    }
+
+    return { id: userId, email: account.email };
+  }
+}
+
+module.exports = PasswordResetService;
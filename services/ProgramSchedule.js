@@ -0,0 +1,122 @@
+/**
+ * ProgramSchedule
+ *
+ * Day-by-day unlocking for programs. A program starts on `start_date` (a
+ * calendar date in the couple's `timezone`); step N becomes available on
+ * start_date + (N - 1) days, at local midnight. Dates are compared as
+ * YYYY-MM-DD strings in that timezone, so DST changes never shift a day.
+ *
+ * Used by routes/programs.js (schedule on create, GET /:id/today, step
+ * annotations), routes/programSteps.js (strict mode rejects messages on
+ * days that are not available yet) and services/DailyReminderService.js.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A real calendar date in YYYY-MM-DD form (rejects e.g. 2026-02-30).
+function isValidDate(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Today's date (YYYY-MM-DD) in the given timezone.
+function localDate(timeZone, now = new Date()) {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+}
+
+// Wall-clock time (HH:MM, 24-hour) in the given timezone.
+function localTime(timeZone, now = new Date()) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// The date a step's day becomes available.
+function availableOn(startDate, day) {
+  return addDays(startDate, Number(day) - 1);
+}
+
+// The program's current day: 1 on the start date, 0 or less before it.
+// Programs without a start date (not yet migrated) are treated as fully open.
+function currentDay(program, now = new Date()) {
+  if (!program.start_date) return Infinity;
+  return daysBetween(program.start_date, localDate(program.timezone || 'UTC', now)) + 1;
+}
+
+function isDayUnlocked(program, day, now = new Date()) {
+  return Number(day) <= currentDay(program, now);
+}
+
+// Add `available_on` / `unlocked` to each step of a program.
+function annotateSteps(program, steps, now = new Date()) {
+  const today = currentDay(program, now);
+  return steps.map(step => ({
+    ...step,
+    available_on: program.start_date ? availableOn(program.start_date, step.day) : null,
+    unlocked: Number(step.day) <= today
+  }));
+}
+
+// Schedule summary for GET /api/programs/:id/today. `status` is not_started
+// (before start_date), in_progress, or finished (past the last step's day).
+function describeSchedule(program, totalDays, now = new Date()) {
+  const day = currentDay(program, now);
+  let status = 'in_progress';
+  if (day < 1) status = 'not_started';
+  else if (totalDays > 0 && day > totalDays) status = 'finished';
+
+  return {
+    start_date: program.start_date || null,
+    timezone: program.timezone || 'UTC',
+    strict_schedule: Boolean(program.strict_schedule),
+    local_date: localDate(program.timezone || 'UTC', now),
+    current_day: Number.isFinite(day) ? day : null,
+    total_days: totalDays,
+    status,
+    next_unlock_on: program.start_date && totalDays > 0 && day < totalDays
+      ? availableOn(program.start_date, Math.max(day, 0) + 1)
+      : null
+  };
+}
+
+module.exports = {
+  isValidTimeZone,
+  isValidDate,
+  localDate,
+  localTime,
+  addDays,
+  availableOn,
+  currentDay,
+  isDayUnlocked,
+  annotateSteps,
+  describeSchedule
+};
@@ -0,0 +1,114 @@
+const BaseStreamService = require('./BaseStreamService');
+
+/**
+ * ProgramStepStreamService
+ *
+ * Server-Sent Events hub for live therapy responses and chime-ins on a
+ * program step. Each open GET /api/programSteps/:id/stream response is
+ * registered here under its step id; the background therapy trigger in
+ * routes/programSteps.js reports generation progress so clients can show a
+ * "typing" state and the reflection as it is written instead of polling
+ * GET /programSteps/:id/messages. Subscribers, heartbeat and delivery come
+ * from BaseStreamService; this class keeps the in-progress generation per
+ * step and turns progress into events.
+ *
+ * Lifecycle: instantiated once at app startup in server.js and passed to
+ * createProgramStepRoutes, mirroring PromptSessionStreamService. Reporting
+ * progress for a step with no open streams only updates the in-memory
+ * generation state.
+ *
+ * Events (SSE `event:` name → `data:` JSON); `kind` is 'chime_in' or
+ * 'therapy_response':
+ *   snapshot   { step_id, generating: { kind, text } | null }  sent on connect
+ *   typing     { kind }                      generation started
+ *   partial    { kind, text }                reflection text so far (throttled;
+ *                                            may restart from '' if the LLM call
+ *                                            is retried — replace, don't append)
+ *   completed  { kind, message_ids }         system messages persisted
+ *   failed     { kind, error }               generation failed; discard partial text
+ * Streams stay open until the client disconnects.
+ */
+
+// Minimum gap between `partial` events for one step; token-level deltas
+// would otherwise mean one event per token.
+const DEFAULT_PARTIAL_INTERVAL_MS = 150;
+
+class ProgramStepStreamService extends BaseStreamService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.heartbeatMs]       Heartbeat interval (defaults to 25s).
+   * @param {number} [options.partialIntervalMs] Partial-text throttle (defaults to 150ms).
+   * @param {Object} [options.logger]            Optional logger (defaults to console).
+   */
+  constructor({ heartbeatMs, partialIntervalMs = DEFAULT_PARTIAL_INTERVAL_MS, logger } = {}) {
+    super({ heartbeatMs, logger, logPrefix: 'program-step-stream' });
+    this.partialIntervalMs = partialIntervalMs;
+    this.generating = new Map(); // stepId → { kind, text, lastSentAt, timer }
+  }
+
+  // Register the stream and send the snapshot (generation in progress, if
+  // any). Returns an unsubscribe function, as BaseStreamService.subscribe.
+  subscribe(stepId, userId, res) {
+    const unsubscribe = super.subscribe(stepId, userId, res);
+
+    const current = this.generating.get(stepId);
+    this.send(res, 'snapshot', {
+      step_id: stepId,
+      generating: current ? { kind: current.kind, text: current.text } : null
+    });
+
+    return unsubscribe;
+  }
+
+  // ── Generation progress (called by the therapy trigger) ─────────────────
+
+  startTyping(stepId, kind) {
+    this._clearGenerating(stepId);
+    this.generating.set(stepId, { kind, text: '', lastSentAt: 0, timer: null });
+    this.publish(stepId, 'typing', { kind });
+  }
+
+  // Record the text so far; sent at most once per partialIntervalMs, with
+  // the latest text sent once the interval has passed.
+  partial(stepId, text) {
+    const current = this.generating.get(stepId);
+    if (!current) return;
+    current.text = text;
+    if (current.timer) return;
+
+    const wait = current.lastSentAt + this.partialIntervalMs - Date.now();
+    if (wait <= 0) {
+      this._sendPartial(stepId, current);
+      return;
+    }
+    current.timer = setTimeout(() => {
+      current.timer = null;
+      if (this.generating.get(stepId) === current) this._sendPartial(stepId, current);
+    }, wait);
+  }
+
+  complete(stepId, kind, messageIds) {
+    this._clearGenerating(stepId);
+    this.publish(stepId, 'completed', { kind, message_ids: messageIds });
+  }
+
+  fail(stepId, kind, error) {
+    this._clearGenerating(stepId);
+    this.publish(stepId, 'failed', { kind, error });
+  }
+
+  // ── Internals ───────────────────────────────────────────────────────────
+
+  _sendPartial(stepId, current) {
+    current.lastSentAt = Date.now();
+    this.publish(stepId, 'partial', { kind: current.kind, text: current.text });
+  }
+
+  _clearGenerating(stepId) {
+    const current = this.generating.get(stepId);
+    if (current && current.timer) clearTimeout(current.timer);
+    this.generating.delete(stepId);
+  }
+}
+
+module.exports = ProgramStepStreamService;
@@ -0,0 +1,103 @@
+/**
+ * PromptSessionExpiryService
+ *
+ * Idle expiry for prompt sessions ("Sit Sessions"). Only one active session
+ * is allowed per pairing / solo user, so a forgotten session would block the
+ * couple indefinitely. Each run:
+ *
+ *   1. Abandons reminded sessions idle past the model's idle window
+ *      (PROMPT_SESSION_IDLE_HOURS) with an `expired` event, and pushes the
+ *      final state to any open SSE stream before closing it.
+ *   2. Sends a prompt_session_expiring push to every member of active
+ *      sessions within reminderLeadHours of expiry, then sets
+ *      expiry_reminder_sent_at so the reminder goes out once per idle period
+ *      (activity clears it again, see PromptSession.touchActivity).
+ *
+ * Idleness is measured by the database (last_activity_at vs NOW()), so runs
+ * from several instances agree; abandoning re-checks idleness in the UPDATE.
+ *
+ * Lifecycle: instantiated once in server.js and run periodically by
+ * startPromptSessionExpiryJob (PROMPT_SESSION_EXPIRY_INTERVAL_MINUTES).
+ */
+
+const DEFAULT_REMINDER_LEAD_HOURS = 12;
+
+class PromptSessionExpiryService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.promptSessionModel           models/PromptSession instance (its idleHours is the window).
+   * @param {Object} [options.pushNotificationService]    Sends the reminder pushes (null → reminders are only recorded).
+   * @param {Object} [options.promptSessionStreamService] Open streams of abandoned sessions are updated and closed.
+   * @param {number} [options.reminderLeadHours]          Hours before expiry to remind (defaults to 12, capped at the idle window).
+   * @param {Object} [options.logger]                     Optional logger (defaults to console).
+   */
+  constructor({
+    promptSessionModel,
+    pushNotificationService = null,
+    promptSessionStreamService = null,
+    reminderLeadHours = DEFAULT_REMINDER_LEAD_HOURS,
+    logger = console
+  }) {
+    if (!promptSessionModel) {
+      throw new Error('PromptSessionExpiryService requires a promptSessionModel');
+    }
+    this.promptSessionModel = promptSessionModel;
+    this.pushNotificationService = pushNotificationService;
+    this.promptSessionStreamService = promptSessionStreamService;
+    const leadHours = Number(reminderLeadHours) >= 0 ? Number(reminderLeadHours) : DEFAULT_REMINDER_LEAD_HOURS;
+    this.reminderLeadHours = Math.min(leadHours, promptSessionModel.idleHours || leadHours);
+    this.logger = logger;
+  }
+
+  // Read PROMPT_SESSION_EXPIRY_REMINDER_HOURS (optional) into constructor options.
+  static optionsFromEnv(env = process.env) {
+    const options = {};
+    if (env.PROMPT_SESSION_EXPIRY_REMINDER_HOURS) options.reminderLeadHours = Number(env.PROMPT_SESSION_EXPIRY_REMINDER_HOURS);
+    return options;
+  }
+
+  // False when PROMPT_SESSION_IDLE_HOURS=0 turned expiry off.
+  get enabled() {
+    return !!this.promptSessionModel.idleHours;
+  }
+
+  /**
+   * Abandon sessions past expiry and remind the ones nearing it.
+   * Resolves to { reminded, abandoned } — the number of sessions handled.
+   */
+  async runOnce() {
+    const model = this.promptSessionModel;
+
+    // Abandon before reminding: a session first seen past the window (e.g.
+    // after downtime) gets its reminder now and expires on a later run.
+    const abandoned = await model.abandonExpiredSessions();
+    if (this.promptSessionStreamService) {
+      for (const id of abandoned) {
+        if (this.promptSessionStreamService.subscriberCount(id) === 0) continue;
+        const session = await model.getPromptSessionById(id);
+        this.promptSessionStreamService.publish(id, 'session_updated', { prompt_session: session });
+        this.promptSessionStreamService.close(id);
+      }
+    }
+
+    const due = await model.getSessionsDueForExpiryReminder(this.reminderLeadHours);
+    for (const session of due) {
+      if (this.pushNotificationService && session.member_ids.length > 0) {
+        this.pushNotificationService.sendToUsers(session.member_ids, {
+          template: 'prompt_session_expiring',
+          data: {
+            kind: 'prompt_session_expiring',
+            prompt_session_id: session.id,
+            pairing_id: session.pairing_id,
+            expires_at: session.expires_at ? session.expires_at.toISOString() : ''
+          }
+        }).catch(err => this.logger.warn('[push] prompt_session_expiring failed:', err.message));
+      }
+      await model.markExpiryReminderSent(session.id);
+    }
+
+    return { reminded: due.length, abandoned: abandoned.length };
+  }
+}
+
+module.exports = PromptSessionExpiryService;
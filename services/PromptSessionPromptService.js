@@ -0,0 +1,294 @@
+const BasePromptService = require('./BasePromptService');
+
+// Human-readable labels for each prep column, used when rendering a partner's
+// answers into the generation prompt. Keys mirror PromptSession.PREP_FIELDS.
+const PREP_FIELD_LABELS = {
+  bringing_text: 'What I am bringing into this session',
+  energy_level: 'My energy level right now',
+  intention: 'My intention for this session',
+  curiosity: 'What I am curious about',
+  boundary: 'A boundary I want us to respect',
+  gratitude: 'Something I am grateful for',
+  optional_focus: 'An optional focus area'
+};
+
+// Number of core prompts the Session must contain. The client renders one
+// `core_prompt_N` phase per entry, followed by the `synthesis` phase.
+const CORE_PROMPT_COUNT = 3;
+
+const PROMPT_SESSION_JSON_RESPONSE_FORMAT = `
+
+Respond only with a valid JSON object in exactly this structure:
+
+{
+  "bridge": {
+    "title": "A short, warm title for The Bridge",
+    "opening": "A gentle opening that welcomes them into the session.",
+    "reflection": "A synthesis of what was shared in prep, reflected back with care.",
+    "transition": "One or two sentences that carry them from The Bridge into The Session."
+  },
+  "session": {
+    "title": "A short title for The Session",
+    "overview": "A single sentence describing what this session is for.",
+    "prompts": [
+      {
+        "phase": "core_prompt_1",
+        "title": "Prompt title",
+        "prompt": "The prompt or question itself.",
+        "guidance": "A short note on how to approach this prompt."
+      }
+    ],
+    "synthesis": {
+      "prompt": "A closing prompt that helps them gather what they discovered.",
+      "guidance": "A short note on how to approach the synthesis."
+    },
+    "closing": "A brief closing blessing or encouragement."
+  }
+}
+
+The "prompts" array must contain exactly ${CORE_PROMPT_COUNT} entries with phases "core_prompt_1" through "core_prompt_${CORE_PROMPT_COUNT}", in order.`;
+
+/**
+ * PromptSessionPromptService
+ *
+ * Generates Bridge + Session content for prompt sessions ("Sit Sessions").
+ * Unlike the program services, the prompt is built dynamically from the
+ * structured prep answers in `prompt_session_preps` — one prep for solo
+ * sessions, two for paired sessions — so every session is unique to what
+ * was shared right before it.
+ *
+ * When customPrompts (org_code / custom org fields) are supplied the session
+ * is framed in the user's faith community, mirroring the Hopeful/Helpful
+ * split used for programs.
+ */
+class PromptSessionPromptService extends BasePromptService {
+  static get CORE_PROMPT_COUNT() {
+    return CORE_PROMPT_COUNT;
+  }
+
+  // ── Public API ──────────────────────────────────────────────────────────
+
+  // participants: [{ userName, prep }] where prep is a serialized
+  // prompt_session_preps row. One entry for solo sessions, two when paired.
+  async generatePromptSessionContent(participants, customPrompts = null, usageContext = null) {
+    if (!this.isConfigured()) {
+      throw new Error('LLM service is not configured - set OPENAI_API_KEY');
+    }
+
+    return this.queueOpenAIRequest({ type: 'prompt_session', participants, customPrompts, usageContext });
+  }
+
+  // ── Queue dispatcher ────────────────────────────────────────────────────
+
+  async processOpenAIRequest(requestData, retryCount = 0) {
+    return this.generateSessionContent(requestData, retryCount);
+  }
+
+  // ── Bridge + Session generation ────────────────────────────────────────
+
+  async generateSessionContent({ participants, customPrompts, usageContext }, retryCount = 0, parseRetryCount = 0) {
+    const MAX_RETRIES = 2;
+    const BASE_DELAY = 1000;
+    const MAX_PARSE_RETRIES = 1;
+
+    // Hoisted so the outer catch can attach the prompt to thrown errors,
+    // allowing the route layer to persist it in generation_prompt even when
+    // generation fails.
+    let prompt = null;
+    let systemPrompt = null;
+
+    try {
+      if (!Array.isArray(participants) || participants.length < 1 || participants.length > 2) {
+        throw new Error('Prompt session generation requires one or two completed preps');
+      }
+
+      const defaultLabels = participants.length === 1 ? ['The participant'] : ['Partner A', 'Partner B'];
+      const sanitizedParticipants = participants.map((participant, index) => {
+        const sanitizedName = this.sanitizePromptInput(participant.userName || '').substring(0, 50);
+        const answers = {};
+        for (const field of Object.keys(PREP_FIELD_LABELS)) {
+          const value = participant.prep ? participant.prep[field] : null;
+          if (value !== null && value !== undefined && String(value).trim() !== '') {
+            answers[field] = this.sanitizePromptInput(String(value));
+          }
+        }
+        return { name: sanitizedName || defaultLabels[index], answers };
+      });
+
+      const allInputs = sanitizedParticipants.flatMap(p => [p.name, ...Object.values(p.answers)]);
+      if (!allInputs.every(input => this.validateInputSafety(input))) {
+        throw new Error('Input contains potentially unsafe content');
+      }
+
+      const prepSections = sanitizedParticipants.map(participant => {
+        const lines = Object.entries(participant.answers)
+          .map(([field, value]) => `- ${PREP_FIELD_LABELS[field]}: "${value}"`)
+          .join('\n');
+        return `${participant.name} shared the following in prep:\n\n${lines}`;
+      }).join('\n\n');
+
+      const isPaired = sanitizedParticipants.length === 2;
+      const audience = isPaired
+        ? `${sanitizedParticipants[0].name} and ${sanitizedParticipants[1].name}, a couple sitting down together`
+        : `${sanitizedParticipants[0].name}, who is sitting down on their own to reflect on their relationship`;
+
+      const orgName = (customPrompts && customPrompts.organizationName) || '';
+      const orgCityState = (customPrompts && customPrompts.organizationCity && customPrompts.organizationState)
+        ? `${customPrompts.organizationCity}, ${customPrompts.organizationState}`
+        : '';
+      const framing = customPrompts
+        ? `You are a faith-based spiritual wellness guide inspired by Christian theology and biblical wisdom${orgName ? `, familiar with the values and teachings of ${orgName}${orgCityState ? ` in ${orgCityState}` : ''}` : ''}. Where it feels natural, let scripture and faith gently inform the session.`
+        : `You're a top-tier couples therapist with deep expertise in research-based couples therapy methods. Do not reference any specific therapy method by name.`;
+
+      prompt = `${framing}
+
+You are guiding a Sit Session for ${audience}. A Sit Session is a short, structured, time-bounded experience made of two parts:
+
+1. The Bridge — a transition that welcomes them in and reflects back what was shared in prep, so they feel seen before they begin.
+2. The Session — ${CORE_PROMPT_COUNT} core prompts that build on one another, followed by a synthesis prompt that helps them gather what they discovered.
+
+${prepSections}
+
+Guidelines:
+- Make every part feel personal to the prep answers above. Reference specifics rather than generalities.
+- Respect any boundary that was named. Never steer the session toward a topic someone asked to avoid.
+- Match the pace of the session to the energy levels that were shared.
+- ${isPaired ? 'Give both partners equal room to speak. No prompt should favor one person over the other.' : 'Write prompts that work well for journaling or quiet reflection alone.'}
+- Keep the tone warm, conversational, and hopeful.
+- Write each field with no paragraph breaks.${PROMPT_SESSION_JSON_RESPONSE_FORMAT}`;
+
+      systemPrompt = "You are a professional relationship guide. You must respond only with valid JSON in the specified format. Do not include any text outside the JSON structure.";
+
+      const llmResult = await this.callLLM(
+        systemPrompt,
+        prompt,
+        {
+          maxTokens: 3000,
+          temperature: 0.7,
+          jsonMode: true,
+          provider: customPrompts?.llmProvider,
+          validate: this.jsonResponseValidator(this.validatePromptSessionStructure),
+          usage: usageContext
+        }
+      );
+
+      const response = llmResult.content;
+      const finishReason = llmResult.finishReason;
+      const responseMetadata = {
+        model: llmResult.model,
+        id: llmResult.id,
+        finish_reason: finishReason,
+        prompt_tokens: llmResult.usage?.prompt_tokens ?? llmResult.usage?.input_tokens ?? null,
+        completion_tokens: llmResult.usage?.completion_tokens ?? llmResult.usage?.output_tokens ?? null,
+        total_tokens: llmResult.usage?.total_tokens ?? null
+      };
+      console.log('DEBUG PromptSessionPromptService.generateSessionContent response (first 500 chars):', typeof response, response ? response.substring(0, 500) : 'NULL/EMPTY');
+      console.log('DEBUG PromptSessionPromptService.generateSessionContent response metadata:', responseMetadata);
+
+      if (!this.validateAIResponse(response)) {
+        console.warn('SECURITY: AI response failed validation checks');
+        throw new Error('AI response contains potentially unsafe content');
+      }
+
+      try {
+        const parsedResponse = JSON.parse(response);
+
+        if (!this.validatePromptSessionStructure(parsedResponse)) {
+          throw new Error('AI response does not match expected prompt session structure');
+        }
+
+        return this.attachLLMUsedToResponse(this.attachPromptToResponse(parsedResponse, prompt), llmResult.llmUsed);
+      } catch (parseError) {
+        console.warn('Failed to parse/validate PromptSessionPromptService.generateSessionContent response:', {
+          parse_retry_attempt: parseRetryCount + 1,
+          max_parse_retries: MAX_PARSE_RETRIES,
+          parse_error: parseError.message,
+          response_preview: response ? response.substring(0, 300) : 'EMPTY',
+          response_length: response ? response.length : 0,
+          ...responseMetadata
+        });
+
+        if (parseRetryCount < MAX_PARSE_RETRIES) {
+          const retryDelay = 500;
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
+          return this.generateSessionContent({ participants, customPrompts, usageContext }, retryCount, parseRetryCount + 1);
+        }
+
+        throw new Error(
+          `Invalid prompt session response format after retry ` +
+          `(finish_reason=${finishReason}, model=${responseMetadata.model}, ` +
+          `response_length=${response ? response.length : 0}): ${parseError.message}`
+        );
+      }
+    } catch (error) {
+      if (error.status === 429 && retryCount < MAX_RETRIES) {
+        const delay = BASE_DELAY * Math.pow(2, retryCount);
+        console.log(`LLM rate limited, retrying in ${delay}ms (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.generateSessionContent({ participants, customPrompts, usageContext }, retryCount + 1, parseRetryCount);
+      }
+
+      if (error.message.includes('unsafe content') || error.message.includes('validation')) {
+        console.error('SECURITY ERROR in PromptSessionPromptService:', error.message);
+      } else {
+        if (error.status === 401) {
+          console.error('LLM API Error: Invalid API key');
+        } else if (error.status === 429) {
+          console.error(`LLM API Error: Rate limit exceeded (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
+        } else if (error.status === 403) {
+          console.error('LLM API Error: Access forbidden');
+        } else {
+          console.error('LLM API Error:', error.message || 'Unknown error');
+        }
+      }
+
+      const wrappedError = new Error('Failed to generate prompt session content');
+      throw this.attachPromptToError(wrappedError, prompt);
+    }
+  }
+
+  // Bridge: title/opening/reflection/transition strings.
+  // Session: title/overview strings, CORE_PROMPT_COUNT ordered core prompts,
+  // a synthesis prompt, and a closing string.
+  validatePromptSessionStructure(data) {
+    try {
+      if (!data || typeof data !== 'object') return false;
+
+      const isText = (v, min = 3, max = 3000) => typeof v === 'string' && v.trim().length >= min && v.length <= max;
+
+      const { bridge, session } = data;
+      if (!bridge || typeof bridge !== 'object') return false;
+      if (!isText(bridge.title, 3, 200)) return false;
+      if (!isText(bridge.opening, 10)) return false;
+      if (!isText(bridge.reflection, 10)) return false;
+      if (!isText(bridge.transition, 10)) return false;
+
+      if (!session || typeof session !== 'object') return false;
+      if (!isText(session.title, 3, 200)) return false;
+      if (!isText(session.overview, 10)) return false;
+      if (!Array.isArray(session.prompts) || session.prompts.length !== CORE_PROMPT_COUNT) return false;
+
+      for (let i = 0; i < session.prompts.length; i++) {
+        const item = session.prompts[i];
+        if (!item || typeof item !== 'object') return false;
+        if (item.phase !== `core_prompt_${i + 1}`) return false;
+        if (!isText(item.title, 3, 200)) return false;
+        if (!isText(item.prompt, 10)) return false;
+        if (!isText(item.guidance, 5)) return false;
+      }
+
+      if (!session.synthesis || typeof session.synthesis !== 'object') return false;
+      if (!isText(session.synthesis.prompt, 10)) return false;
+      if (!isText(session.synthesis.guidance, 5)) return false;
+      if (!isText(session.closing, 5)) return false;
+
+      return true;
+    } catch (error) {
+      console.error('Error validating prompt session structure:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = PromptSessionPromptService;
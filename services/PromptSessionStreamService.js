@@ -0,0 +1,37 @@
+const BaseStreamService = require('./BaseStreamService');
+
+/**
+ * PromptSessionStreamService
+ *
+ * Server-Sent Events hub for the live "sit together" experience. Each open
+ * GET /api/prompt-sessions/:id/stream response is registered here under its
+ * prompt session id; routes and background jobs call publish() when
+ * something the other partner should see happens (prep completion, status /
+ * phase changes, generated content, expiry). Subscribers, heartbeat and
+ * delivery come from BaseStreamService.
+ *
+ * Lifecycle: instantiated once at app startup in server.js and passed
+ * explicitly to createPromptSessionRoutes and PromptSessionExpiryService,
+ * mirroring PushNotificationService.
+ *
+ * Events (SSE `event:` name → `data:` JSON):
+ *   snapshot           { prompt_session }               sent once on connect
+ *   prep_updated       { user_id, completed, both_preps_complete }
+ *   session_updated    { prompt_session }               status / phase changes
+ *   content_generated  { prompt_session }               Bridge + Session ready
+ *   generation_failed  { prompt_session_id, error }
+ * Streams are closed by the server (close()) once the session reaches a
+ * terminal status (complete / abandoned).
+ */
+class PromptSessionStreamService extends BaseStreamService {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.heartbeatMs] Heartbeat interval (defaults to 25s).
+   * @param {Object} [options.logger]      Optional logger (defaults to console).
+   */
+  constructor({ heartbeatMs, logger } = {}) {
+    super({ heartbeatMs, logger, logPrefix: 'prompt-session-stream' });
+  }
+}
+
+module.exports = PromptSessionStreamService;
@@ -0,0 +1,117 @@
+/**
+ * PromptTemplateRegistry
+ *
+ * Resolves the prompt body a service should render for a template key: the
+ * published prompt_templates version when there is one, otherwise the
+ * built-in default from config/promptTemplates.js (reported as version 0).
+ *
+ * Lifecycle: instantiated once at app startup in server.js and handed to each
+ * prompt service via setTemplateRegistry, and to the admin prompt-template
+ * routes so publish / unpublish can invalidate the cache.
+ *
+ * Published versions are cached per key for `cacheTtlMs` so a generation
+ * doesn't cost an extra query. invalidate() makes a publish take effect in
+ * this process immediately; other instances pick it up within the TTL.
+ *
+ * A specific version can also be pinned by id (an experiment arm does this);
+ * pinned versions are cached the same way. If the id is unknown or belongs to
+ * another key, the key's published version is used instead.
+ *
+ * A database error never blocks generation: the registry logs it and serves
+ * the built-in default instead.
+ */
+
+const { PROMPT_TEMPLATES, renderTemplate } = require('../config/promptTemplates');
+
+const DEFAULT_CACHE_TTL_MS = 60000;
+
+class PromptTemplateRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.promptTemplateModel] PromptTemplate model (null → built-ins only).
+   * @param {number} [options.cacheTtlMs]          Cache lifetime per key (defaults to 60s).
+   * @param {Object} [options.logger]              Optional logger (defaults to console).
+   */
+  constructor({ promptTemplateModel = null, cacheTtlMs = DEFAULT_CACHE_TTL_MS, logger = console } = {}) {
+    this.promptTemplateModel = promptTemplateModel;
+    this.cacheTtlMs = cacheTtlMs;
+    this.logger = logger;
+    this.cache = new Map(); // key → { template, expiresAt }
+    this.versionCache = new Map(); // template id → { template, expiresAt }
+  }
+
+  builtIn(key) {
+    const definition = PROMPT_TEMPLATES[key];
+    if (!definition) {
+      throw new Error(`Unknown prompt template key: ${key}`);
+    }
+    return { id: null, key, version: 0, body: definition.body };
+  }
+
+  // → { id, key, version, body }. id is null for the built-in default.
+  async resolve(key) {
+    const fallback = this.builtIn(key);
+    if (!this.promptTemplateModel) return fallback;
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.template;
+
+    let template = fallback;
+    try {
+      const published = await this.promptTemplateModel.getPublishedTemplate(key);
+      if (published) {
+        template = { id: published.id, key, version: Number(published.version), body: published.body };
+      }
+    } catch (error) {
+      this.logger.warn(`[prompt-templates] Failed to load published template for ${key}, using built-in:`, error.message);
+      return fallback;
+    }
+
+    this.cache.set(key, { template, expiresAt: Date.now() + this.cacheTtlMs });
+    return template;
+  }
+
+  // A pinned version of `key` by id, or the key's current template when the
+  // id can't be used.
+  async resolveVersion(key, templateId) {
+    if (!this.promptTemplateModel) return this.resolve(key);
+
+    const cached = this.versionCache.get(templateId);
+    if (cached && cached.expiresAt > Date.now()) return cached.template;
+
+    let row;
+    try {
+      row = await this.promptTemplateModel.getTemplateById(templateId);
+    } catch (error) {
+      this.logger.warn(`[prompt-templates] Failed to load template ${templateId} for ${key}, using current version:`, error.message);
+      return this.resolve(key);
+    }
+    if (row.template_key !== key) {
+      this.logger.warn(`[prompt-templates] Template ${templateId} is not a ${key} template, using current version`);
+      return this.resolve(key);
+    }
+
+    const template = { id: row.id, key, version: Number(row.version), body: row.body };
+    this.versionCache.set(templateId, { template, expiresAt: Date.now() + this.cacheTtlMs });
+    return template;
+  }
+
+  // Drop one key (after publish / unpublish) or the whole cache.
+  invalidate(key = null) {
+    if (key) {
+      this.cache.delete(key);
+    } else {
+      this.cache.clear();
+    }
+    this.versionCache.clear();
+  }
+
+  // → { prompt, template: { id, key, version } }
+  async render(key, variables, templateId = null) {
+    const resolved = templateId ? await this.resolveVersion(key, templateId) : await this.resolve(key);
+    const { body, ...template } = resolved;
+    return { prompt: renderTemplate(body, variables), template };
+  }
+}
+
+module.exports = PromptTemplateRegistry;
@@ -23,6 +23,28 @@
  * Low-level API (rarely needed directly):
  *   - sendToTokens(tokens, payload)   → push to specific raw token strings
  *
+ * Notification preferences (models/NotificationPreference.js): when a
+ * preferenceModel is supplied, sendToUser / sendToUsers drop pushes whose
+ * data.kind the user turned off, and pushes due during the user's quiet
+ * hours are queued as `deferred_push` jobs (services/JobQueue.js) that run
+ * when the window ends. The deferred job goes through sendToUser again, so
+ * a kind turned off in the meantime is still dropped. Pushes without a
+ * known kind (admin push-test) are sent as-is, and a failed preference
+ * lookup sends the push rather than losing it.
+ *
+ * Delivery log (models/PushDelivery.js): when a deliveryModel is supplied,
+ * sendToUser / sendToUsers record one push_deliveries row per device token
+ * (FCM message id, or error code and whether the token was pruned) and one
+ * per user who got nothing (no devices, kind turned off, deferred). Logging
+ * failures are warned about and never fail the send.
+ *
+ * Templates (services/NotificationTemplates.js): a payload with `template`
+ * and `variables` instead of a title / body is rendered per recipient in
+ * their users.locale (looked up through userModel; the default locale when
+ * it is missing or the lookup fails). With locKeys on (PUSH_LOC_KEYS=true)
+ * the FCM message also carries title / body loc keys and args. Deferred
+ * pushes keep the template and are rendered when they are finally sent.
+ *
  * Dead-token cleanup: FCM responses include per-token error codes when a
  * token is no longer registered or is invalid. The high-level methods
  * automatically delete those rows from device_tokens via the model so the
@@ -31,6 +53,7 @@
  * Configuration (env):
  *   FIREBASE_SERVICE_ACCOUNT_JSON   Full service account JSON (preferred)
  *   FIREBASE_SERVICE_ACCOUNT_PATH   Path to service account JSON file
+ *   PUSH_LOC_KEYS=true              Add FCM loc keys to templated pushes
  *   TEST_MOCK_PUSH=true             Force mock mode (no real FCM calls).
  *                                   Mirrors TEST_MOCK_LLM convention so test
  *                                   runs cost nothing and need no Firebase
@@ -40,6 +63,9 @@
  * firebase-admin is never required during the unit suite.
  */
 
+const ProgramSchedule = require('./ProgramSchedule');
+const NotificationTemplates = require('./NotificationTemplates');
+
 let firebaseAdmin = null; // Lazy-required only when we actually init real FCM
 
 // FCM error codes that indicate a token is permanently dead and should be
@@ -64,6 +90,32 @@ const FCM_DEAD_TOKEN_CODES = new Set([
 // FCM hard cap for sendEachForMulticast. Larger fan-outs are chunked.
 const MAX_TOKENS_PER_REQUEST = 500;
 
+const MINUTES_PER_DAY = 24 * 60;
+
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Milliseconds until the user's quiet hours end, or 0 when `now` is outside
+// them. The window is [start, end) in the user's timezone and may cross
+// midnight (22:00 → 07:00).
+function quietHoursRemainingMs(preferences, now = new Date()) {
+  const quietHours = preferences.quiet_hours;
+  if (!quietHours || !quietHours.enabled) return 0;
+
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  const current = minutesOfDay(ProgramSchedule.localTime(preferences.timezone || 'UTC', now));
+  const inWindow = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inWindow) return 0;
+
+  const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return minutesLeft * 60 * 1000 - (now.getTime() % (60 * 1000));
+}
+
 class PushNotificationService {
   /**
    * @param {Object} options
@@ -72,19 +124,39 @@ class PushNotificationService {
    * @param {Object} [options.messagingClient] Optional injected messaging client
    *                                           for tests. When supplied, Firebase
    *                                           is never initialized.
+   * @param {Object} [options.preferenceModel] models/NotificationPreference instance;
+   *                                           without it every push is sent.
+   * @param {Object} [options.jobQueue]        services/JobQueue used to defer pushes
+   *                                           past quiet hours (registers deferred_push).
+   *                                           Without it quiet hours are not applied.
+   * @param {Object} [options.deliveryModel]   models/PushDelivery instance; records every
+   *                                           sendToUser / sendToUsers outcome.
+   * @param {Object} [options.userModel]       models/User instance; recipients' locales for
+   *                                           templated pushes (default locale without it).
+   * @param {boolean} [options.locKeys]        Add FCM loc keys to templated pushes.
    * @param {Object} [options.logger]          Optional logger (defaults to console).
    */
-  constructor({ deviceTokenModel, messagingClient = null, logger = console } = {}) {
+  constructor({ deviceTokenModel, messagingClient = null, preferenceModel = null, jobQueue = null, deliveryModel = null, userModel = null, locKeys = false, logger = console } = {}) {
     if (!deviceTokenModel) {
       throw new Error('PushNotificationService requires a deviceTokenModel');
     }
 
     this.deviceTokenModel = deviceTokenModel;
+    this.preferenceModel = preferenceModel;
+    this.jobQueue = jobQueue;
+    this.deliveryModel = deliveryModel;
+    this.userModel = userModel;
+    this.locKeys = locKeys;
     this.logger = logger;
     this._messaging = null;
     this._configured = false;
     this._mockMode = false;
 
+    if (jobQueue) {
+      // Re-runs the preference checks: a kind turned off meanwhile is dropped.
+      jobQueue.register('deferred_push', ({ user_id: userId, payload }) => this.sendToUser(userId, payload));
+    }
+
     if (messagingClient) {
       // Test path — never touch firebase-admin
       this._messaging = messagingClient;
@@ -216,6 +288,16 @@ class PushNotificationService {
 
     // iOS-specific overrides via APNs payload
     const aps = {};
+    if (payload.locKeys) {
+      aps.alert = {
+        title: notification.title,
+        body: notification.body,
+        titleLocKey: payload.locKeys.titleLocKey,
+        titleLocArgs: payload.locKeys.titleLocArgs,
+        locKey: payload.locKeys.bodyLocKey,
+        locArgs: payload.locKeys.bodyLocArgs
+      };
+    }
     if (payload.badge != null) aps.badge = Number(payload.badge);
     if (payload.sound) aps.sound = String(payload.sound);
     if (payload.apnsContentAvailable) aps['content-available'] = 1;
@@ -231,6 +313,10 @@ class PushNotificationService {
         message.android.notification = { channel_id: String(payload.android.channelId) };
       }
     }
+    if (payload.locKeys) {
+      message.android = message.android || {};
+      message.android.notification = { ...message.android.notification, ...payload.locKeys };
+    }
 
     return message;
   }
@@ -243,13 +329,25 @@ class PushNotificationService {
    * stay in control of cleanup.
    */
   async sendToTokens(tokens, payload) {
+    // No users to look up: templates render in the default locale.
+    const rendered = payload && payload.template
+      ? this._renderPayload(payload, NotificationTemplates.DEFAULT_LOCALE)
+      : payload;
+    const { result } = await this._sendToTokens(tokens, rendered);
+    return result;
+  }
+
+  // sendToTokens, plus the per-token outcome (token string → { success,
+  // messageId, errorCode, errorMessage, dead }) for the delivery log.
+  async _sendToTokens(tokens, payload) {
+    const outcomes = new Map();
     if (!this._configured) {
       this.logger.warn('PushNotificationService.sendToTokens called but service is not configured — skipping');
-      return { successCount: 0, failureCount: 0, invalidTokens: [], skipped: true };
+      return { result: { successCount: 0, failureCount: 0, invalidTokens: [], skipped: true }, outcomes };
     }
 
     if (!Array.isArray(tokens) || tokens.length === 0) {
-      return { successCount: 0, failureCount: 0, invalidTokens: [] };
+      return { result: { successCount: 0, failureCount: 0, invalidTokens: [] }, outcomes };
     }
     if (!payload || typeof payload !== 'object') {
       throw new Error('payload object is required');
@@ -260,7 +358,7 @@ class PushNotificationService {
 
     const uniqueTokens = [...new Set(tokens.filter(t => typeof t === 'string' && t.length > 0))];
     if (uniqueTokens.length === 0) {
-      return { successCount: 0, failureCount: 0, invalidTokens: [] };
+      return { result: { successCount: 0, failureCount: 0, invalidTokens: [] }, outcomes };
     }
 
     const kind = (payload.data && payload.data.kind) || null;
@@ -281,6 +379,9 @@ class PushNotificationService {
       } catch (err) {
         this.logger.error(`[push] FCM call failed for chunk of ${chunk.length}: ${err.message}`);
         failureCount += chunk.length;
+        for (const tok of chunk) {
+          outcomes.set(tok, { success: false, errorCode: err.code || 'send_failed', errorMessage: err.message, dead: false });
+        }
         continue;
       }
 
@@ -291,12 +392,15 @@ class PushNotificationService {
         const tok = chunk[idx];
         if (resp && resp.success) {
           successfulTokens.push(tok);
+          outcomes.set(tok, { success: true, messageId: resp.messageId || null });
           return;
         }
         const error = resp && resp.error;
         if (!error) return;
         const code = error.code || (error.errorInfo && error.errorInfo.code);
-        if (code && FCM_DEAD_TOKEN_CODES.has(code)) {
+        const dead = Boolean(code && FCM_DEAD_TOKEN_CODES.has(code));
+        outcomes.set(tok, { success: false, errorCode: code || null, errorMessage: error.message || null, dead });
+        if (dead) {
           invalidTokens.push(tok);
         } else {
           const preview = tok.slice(0, 12);
@@ -318,7 +422,7 @@ class PushNotificationService {
       this.logger.log(`[push] result: ${successCount} success, ${failureCount} failure, ${invalidTokens.length} dead (pruned upstream)`);
     }
 
-    return { successCount, failureCount, invalidTokens };
+    return { result: { successCount, failureCount, invalidTokens }, outcomes };
   }
 
   /**
@@ -334,20 +438,29 @@ class PushNotificationService {
       throw new Error('userId is required');
     }
 
+    const kind = (payload && payload.data && payload.data.kind) || null;
+    const { deferred, suppressed } = await this._applyPreferences([userId], payload);
+    if (suppressed.length > 0 || deferred.length > 0) {
+      await this._recordDeliveries(kind, { suppressed, deferred });
+      return suppressed.length > 0
+        ? { successCount: 0, failureCount: 0, invalidTokens: [], suppressed: true }
+        : { successCount: 0, failureCount: 0, invalidTokens: [], deferred: true, deliverAt: deferred[0].deliverAt };
+    }
+
     const records = await this.deviceTokenModel.getUserDeviceTokensWithStrings(userId);
     if (!records || records.length === 0) {
+      await this._recordDeliveries(kind, { noDevices: [userId] });
       return { successCount: 0, failureCount: 0, invalidTokens: [] };
     }
 
-    const kind = (payload.data && payload.data.kind) || null;
     this.logger.log(`[push] sendToUser(${userId}) → ${records.length} device(s)${kind ? `, kind=${kind}` : ''}`);
 
-    const tokens = records.map(r => r.device_token).filter(Boolean);
-    const result = await this.sendToTokens(tokens, payload);
+    const { result, outcomes } = await this._sendToRecords(records, payload);
     if (result.invalidTokens.length > 0) {
       const pruned = await this._pruneInvalidTokens(result.invalidTokens);
       result.prunedCount = pruned;
     }
+    await this._recordDeliveries(kind, { records, outcomes });
     return result;
   }
 
@@ -364,7 +477,17 @@ class PushNotificationService {
       return { successCount: 0, failureCount: 0, invalidTokens: [] };
     }
 
-    const uniqueUserIds = [...new Set(userIds.filter(Boolean))];
+    const kind = (payload && payload.data && payload.data.kind) || null;
+    const { send, deferred, suppressed } = await this._applyPreferences([...new Set(userIds.filter(Boolean))], payload);
+    const held = {};
+    if (deferred.length > 0) held.deferredCount = deferred.length;
+    if (suppressed.length > 0) held.suppressedCount = suppressed.length;
+
+    const uniqueUserIds = send;
+    if (uniqueUserIds.length === 0) {
+      await this._recordDeliveries(kind, { suppressed, deferred });
+      return { successCount: 0, failureCount: 0, invalidTokens: [], ...held };
+    }
     let records;
     if (typeof this.deviceTokenModel.getDeviceTokensForUsers === 'function') {
       records = await this.deviceTokenModel.getDeviceTokensForUsers(uniqueUserIds);
@@ -378,20 +501,167 @@ class PushNotificationService {
       }
     }
 
-    const tokens = (records || []).map(r => r.device_token).filter(Boolean);
+    records = records || [];
+    const usersWithDevices = new Set(records.map(r => r.user_id));
+    const noDevices = uniqueUserIds.filter(id => !usersWithDevices.has(id));
+
+    const tokens = records.map(r => r.device_token).filter(Boolean);
     if (tokens.length === 0) {
-      return { successCount: 0, failureCount: 0, invalidTokens: [] };
+      await this._recordDeliveries(kind, { suppressed, deferred, noDevices });
+      return { successCount: 0, failureCount: 0, invalidTokens: [], ...held };
     }
 
-    const kind = (payload.data && payload.data.kind) || null;
     this.logger.log(`[push] sendToUsers → ${uniqueUserIds.length} user(s), ${tokens.length} token(s)${kind ? `, kind=${kind}` : ''}`);
 
-    const result = await this.sendToTokens(tokens, payload);
+    const { result, outcomes } = await this._sendToRecords(records, payload);
     if (result.invalidTokens.length > 0) {
       const pruned = await this._pruneInvalidTokens(result.invalidTokens);
       result.prunedCount = pruned;
     }
-    return result;
+    await this._recordDeliveries(kind, { suppressed, deferred, noDevices, records, outcomes });
+    return { ...result, ...held };
+  }
+
+  // Send to device token records ({ user_id, device_token }). A templated
+  // payload is rendered once per recipient locale and sent per locale group.
+  async _sendToRecords(records, payload) {
+    const tokens = records.map(r => r.device_token).filter(Boolean);
+    if (!payload || !payload.template) {
+      return this._sendToTokens(tokens, payload);
+    }
+
+    const locales = await this._userLocales([...new Set(records.map(r => r.user_id))]);
+    const tokensByLocale = new Map();
+    for (const record of records) {
+      if (!record.device_token) continue;
+      const locale = NotificationTemplates.resolveLocale(locales.get(record.user_id));
+      if (!tokensByLocale.has(locale)) tokensByLocale.set(locale, []);
+      tokensByLocale.get(locale).push(record.device_token);
+    }
+
+    const result = { successCount: 0, failureCount: 0, invalidTokens: [] };
+    const outcomes = new Map();
+    for (const [locale, localeTokens] of tokensByLocale) {
+      const sent = await this._sendToTokens(localeTokens, this._renderPayload(payload, locale));
+      result.successCount += sent.result.successCount;
+      result.failureCount += sent.result.failureCount;
+      result.invalidTokens.push(...sent.result.invalidTokens);
+      for (const [token, outcome] of sent.outcomes) outcomes.set(token, outcome);
+    }
+    return { result, outcomes };
+  }
+
+  // user id → stored locale (possibly null). Empty when there is no userModel
+  // or the lookup fails, so everyone gets the default locale.
+  async _userLocales(userIds) {
+    if (!this.userModel) return new Map();
+    try {
+      return await this.userModel.getLocalesForUsers(userIds);
+    } catch (err) {
+      this.logger.warn(`[push] user locales unavailable, using ${NotificationTemplates.DEFAULT_LOCALE}: ${err.message}`);
+      return new Map();
+    }
+  }
+
+  // Templated payload → plain payload with title / body (and loc keys) for `locale`.
+  _renderPayload(payload, locale) {
+    const { template, variables, ...rest } = payload;
+    const rendered = { ...rest, ...NotificationTemplates.render(template, locale, variables) };
+    if (this.locKeys) {
+      rendered.locKeys = NotificationTemplates.locKeys(template, locale, variables);
+    }
+    return rendered;
+  }
+
+  // Write push_deliveries rows for one send: a row per device token sent to
+  // (records + their outcomes), and a row per user who got nothing.
+  async _recordDeliveries(kind, { records = [], outcomes = new Map(), noDevices = [], suppressed = [], deferred = [] }) {
+    if (!this.deliveryModel) return;
+
+    const deliveries = [];
+    for (const record of records) {
+      const outcome = outcomes.get(record.device_token);
+      if (!outcome) continue; // empty token string, never sent
+      deliveries.push({
+        userId: record.user_id,
+        kind,
+        status: outcome.success ? 'sent' : 'failed',
+        deviceTokenId: record.id,
+        platform: record.platform,
+        fcmMessageId: outcome.messageId,
+        errorCode: outcome.errorCode,
+        errorMessage: outcome.errorMessage,
+        pruned: outcome.dead
+      });
+    }
+    for (const userId of noDevices) deliveries.push({ userId, kind, status: 'no_devices' });
+    for (const userId of suppressed) deliveries.push({ userId, kind, status: 'suppressed' });
+    for (const { userId, deliverAt } of deferred) deliveries.push({ userId, kind, status: 'deferred', deliverAt });
+
+    if (deliveries.length === 0) return;
+    try {
+      await this.deliveryModel.recordDeliveries(deliveries);
+    } catch (err) {
+      this.logger.warn(`[push] could not record ${deliveries.length} delivery row(s): ${err.message}`);
+    }
+  }
+
+  /**
+   * Split `userIds` by their notification preferences for this payload:
+   *   - send:       deliver now
+   *   - suppressed: the user turned this kind off, or muted the pairing
+   *                 the push is about (data.pairing_id)
+   *   - deferred:   inside quiet hours; a deferred_push job was queued for
+   *                 the end of the window ({ userId, deliverAt })
+   */
+  async _applyPreferences(userIds, payload, now = new Date()) {
+    const split = { send: userIds, deferred: [], suppressed: [] };
+    const kind = payload && payload.data && payload.data.kind;
+    const pairingId = payload && payload.data && payload.data.pairing_id;
+    if (!this.preferenceModel || !kind) {
+      return split;
+    }
+
+    let preferences;
+    try {
+      preferences = await this.preferenceModel.getPreferencesForUsers(userIds);
+    } catch (err) {
+      this.logger.warn(`[push] notification preferences unavailable, sending ${kind} anyway: ${err.message}`);
+      return split;
+    }
+
+    split.send = [];
+    for (const userId of userIds) {
+      const userPreferences = preferences.get(userId);
+      // Only known kinds are filtered; anything else is sent as-is.
+      if (!userPreferences || !(kind in userPreferences.kinds)) {
+        split.send.push(userId);
+        continue;
+      }
+      const pairingMuted = !!pairingId && !!userPreferences.pairings && userPreferences.pairings[pairingId] === false;
+      if (userPreferences.kinds[kind] === false || pairingMuted) {
+        split.suppressed.push(userId);
+        continue;
+      }
+
+      const delayMs = this.jobQueue ? quietHoursRemainingMs(userPreferences, now) : 0;
+      if (delayMs <= 0) {
+        split.send.push(userId);
+        continue;
+      }
+      try {
+        await this.jobQueue.enqueue('deferred_push', { user_id: userId, payload }, { delayMs });
+        split.deferred.push({ userId, deliverAt: new Date(now.getTime() + delayMs).toISOString() });
+      } catch (err) {
+        this.logger.warn(`[push] could not defer ${kind} for user ${userId}, sending now: ${err.message}`);
+        split.send.push(userId);
+      }
+    }
+
+    if (split.suppressed.length > 0 || split.deferred.length > 0) {
+      this.logger.log(`[push] ${kind}: ${split.suppressed.length} user(s) opted out, ${split.deferred.length} deferred for quiet hours`);
+    }
+    return split;
   }
 
   async _pruneInvalidTokens(tokens) {
@@ -411,4 +681,6 @@ class PushNotificationService {
   }
 }
 
+PushNotificationService.quietHoursRemainingMs = quietHoursRemainingMs;
+
 module.exports = PushNotificationService;
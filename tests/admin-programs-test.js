@@ -0,0 +1,417 @@
+/**
+ * Admin Program Regeneration Integration Tests
+ *
+ * Covers /api/admin/programs (batch / single regeneration, drafts, diff,
+ * publish, discard) against a live API process.
+ *
+ * What is tested:
+ *   - 401  No token supplied
+ *   - 403  Authenticated as a regular user (not admin)
+ *   - 400  Batch regeneration without a filter / with a bad date range
+ *   - 404  Unknown program / unknown draft / draft of another program
+ *   - 202  Draft regeneration queued; the program's steps are untouched
+ *   - Draft becomes ready → diff lists every day with a change type and
+ *     message counts; publish → 200 with step counts, existing step ids
+ *     (and their messages) kept; publish again → 409
+ *   - Discard: a published draft → 409; a new draft → 200 discarded
+ *   - Manual generation (POST /api/programs/:id/therapy_response) on a program
+ *     with steps → 409 pointing at the retry endpoint
+ *   - A failed in-place regeneration (user_name cleared) reports mode
+ *     regenerate; manual generation then retries it as a regeneration (the
+ *     retry endpoint has nothing left to retry) and the step ids are kept
+ *
+ * Needs an LLM (or TEST_MOCK_LLM=true on the server) for the publish checks;
+ * when the draft does not become ready in time they are skipped with a
+ * warning.
+ *
+ * Run standalone:  node tests/admin-programs-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+const READY_TIMEOUT_MS = 60000;
+const POLL_INTERVAL_MS = 2000;
+
+class AdminProgramsTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { adminToken: null, userToken: null, userId: null, programId: null, otherProgramId: null, stepIds: [] };
+    this.runId = `${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async http(method, path, data = null, token = this.testData.adminToken, base = '/api/admin/programs') {
+    const config = {
+      method,
+      url: `${this.baseURL}${base}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  user(method, path, data = null) {
+    return this.http(method, path, data, this.testData.userToken, '/api');
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: an admin, and a user with two programs
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    const adminEmail = `admin-programs-test_${this.runId}@example.com`;
+    const adminPassword = 'Zpfg8K3qVt!';
+    const regRes = await axios.post(`${this.baseURL}/api/admin/auth/register`, { email: adminEmail, password: adminPassword }, { validateStatus: () => true });
+    if (regRes.status !== 201) {
+      this.log(`Admin register failed: ${JSON.stringify(regRes.data)}`, 'fail');
+      return false;
+    }
+    const loginRes = await axios.post(`${this.baseURL}/api/admin/auth/login`, { email: adminEmail, password: adminPassword }, { validateStatus: () => true });
+    if (loginRes.status !== 200) {
+      this.log(`Admin login failed: ${JSON.stringify(loginRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.adminToken = loginRes.data.access_token;
+    this.log(`Admin created & logged in: ${adminEmail}`, 'data');
+
+    const userRes = await axios.post(`${this.baseURL}/api/users`, {
+      email: generateTestEmail('admin-programs-test'),
+      password: 'SecurePass987!'
+    }, { validateStatus: () => true });
+    if (![200, 201].includes(userRes.status)) {
+      this.log(`User creation failed: ${JSON.stringify(userRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.userToken = userRes.data.access_token;
+    this.testData.userId = userRes.data.user.id;
+
+    const namesRes = await this.user('PUT', `/users/${this.testData.userId}`, { user_name: 'Alice', partner_name: 'Bob' });
+    if (namesRes.status !== 200) {
+      this.log(`Setting user names failed: ${JSON.stringify(namesRes.data)}`, 'fail');
+      return false;
+    }
+
+    for (const key of ['programId', 'otherProgramId']) {
+      const programRes = await this.user('POST', '/programs', { user_input: `admin-programs-test ${this.runId}: we want to reconnect` });
+      if (programRes.status !== 201) {
+        this.log(`Program creation failed: ${JSON.stringify(programRes.data)}`, 'fail');
+        return false;
+      }
+      this.testData[key] = programRes.data.program.id;
+    }
+    this.log(`Programs created: ${this.testData.programId}, ${this.testData.otherProgramId}`, 'data');
+
+    return true;
+  }
+
+  // Steps of the program as the owner sees them (empty until generated).
+  async getSteps(programId = this.testData.programId) {
+    const res = await this.user('GET', `/programs/${programId}`);
+    return res.data?.program?.program_steps || [];
+  }
+
+  // Poll the owner's generation status until `done(status)` holds.
+  async waitForGeneration(programId, done) {
+    const deadline = Date.now() + READY_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const res = await this.user('GET', `/programs/${programId}/generation`);
+      const generation = res.data?.generation;
+      if (generation && done(generation.status)) {
+        return generation;
+      }
+      await this.sleep(POLL_INTERVAL_MS);
+    }
+    return null;
+  }
+
+  async waitForDraft(programId, draftId) {
+    const deadline = Date.now() + READY_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const res = await this.http('GET', `/${programId}/drafts/${draftId}`);
+      if (res.data?.draft && res.data.draft.status !== 'generating') {
+        return res.data;
+      }
+      await this.sleep(POLL_INTERVAL_MS);
+    }
+    return null;
+  }
+
+  // ─────────────────────────────────────────────
+  // Auth / validation
+  // ─────────────────────────────────────────────
+  async runAuthTests() {
+    this.log('Auth / access control', 'section');
+
+    const noToken = await this.http('POST', '/regenerate', { program_ids: [this.testData.programId] }, null);
+    this.assert(noToken.status === 401, 'No token → 401', `got ${noToken.status}`);
+
+    const regularUser = await this.http('GET', `/${this.testData.programId}/drafts`, null, this.testData.userToken);
+    this.assert(regularUser.status === 403, 'Regular user token → 403', `got ${regularUser.status}`);
+  }
+
+  async runValidationTests() {
+    this.log('Regeneration validation', 'section');
+
+    const noFilter = await this.http('POST', '/regenerate', { draft: true });
+    this.assert(noFilter.status === 400, 'Batch regeneration without a filter → 400', `got ${noFilter.status}: ${noFilter.data?.error}`);
+
+    const badDates = await this.http('POST', '/regenerate', { created_from: '2026-02-01', created_to: '2026-01-01', draft: true });
+    this.assert(badDates.status === 400, 'created_from after created_to → 400', `got ${badDates.status}: ${badDates.data?.error}`);
+
+    const badIds = await this.http('POST', '/regenerate', { program_ids: 'not-an-array', draft: true });
+    this.assert(badIds.status === 400, 'Non-array program_ids → 400', `got ${badIds.status}: ${badIds.data?.error}`);
+
+    const unknownProgram = await this.http('POST', '/does-not-exist/regenerate', { draft: true });
+    this.assert(unknownProgram.status === 404, 'Regenerate unknown program → 404', `got ${unknownProgram.status}`);
+
+    const unknownDraft = await this.http('GET', `/${this.testData.programId}/drafts/does-not-exist`);
+    this.assert(unknownDraft.status === 404, 'Unknown draft → 404', `got ${unknownDraft.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Draft → diff → publish
+  // ─────────────────────────────────────────────
+  async runDraftTests() {
+    this.log('Draft regeneration, diff and publish', 'section');
+
+    const stepsBefore = await this.getSteps();
+
+    const queueRes = await this.http('POST', '/regenerate', { program_ids: [this.testData.programId], draft: true });
+    if (queueRes.status === 503) {
+      this.log('Job queue not configured on the server — skipping draft tests', 'warn');
+      return;
+    }
+    const queued = queueRes.data?.queued?.[0];
+    this.assert(
+      queueRes.status === 202 && queueRes.data.count === 1 && queued?.program_id === this.testData.programId && !!queued?.draft_id && !!queued?.job_id,
+      'Draft regeneration → 202 with draft and job ids',
+      `got ${queueRes.status}: ${JSON.stringify(queueRes.data)}`
+    );
+    if (!queued?.draft_id) return;
+
+    const listRes = await this.http('GET', `/${this.testData.programId}/drafts`);
+    this.assert(
+      listRes.status === 200 && (listRes.data?.drafts || []).some(d => d.id === queued.draft_id),
+      'Draft is listed for the program',
+      `got ${listRes.status}`
+    );
+
+    const otherProgram = await this.http('GET', `/${this.testData.otherProgramId}/drafts/${queued.draft_id}`);
+    this.assert(otherProgram.status === 404, 'Draft read through another program → 404', `got ${otherProgram.status}`);
+
+    const result = await this.waitForDraft(this.testData.programId, queued.draft_id);
+    if (!result || result.draft.status !== 'ready') {
+      this.log(`Draft did not become ready (${result ? result.draft.status : 'timeout'}) — skipping diff / publish checks`, 'warn');
+      return;
+    }
+
+    const stepsWhileDraft = await this.getSteps();
+    this.assert(
+      JSON.stringify(stepsWhileDraft.map(s => [s.id, s.theme])) === JSON.stringify(stepsBefore.map(s => [s.id, s.theme])) || stepsBefore.length === 0,
+      'A ready draft leaves the program\'s steps untouched'
+    );
+
+    const { diff } = result;
+    const changes = ['unchanged', 'changed', 'added', 'removed'];
+    this.assert(
+      diff && Array.isArray(diff.days) && diff.days.length > 0 &&
+        diff.days.every(d => changes.includes(d.change) && Array.isArray(d.changed_fields)) &&
+        changes.every(c => typeof diff.summary[c] === 'number'),
+      'Diff lists every day with a change type and a summary',
+      JSON.stringify(diff?.summary)
+    );
+    this.assert(
+      diff.days.filter(d => d.current).every(d => typeof d.current.message_count === 'number'),
+      'Diff reports message counts for current days'
+    );
+    this.assert(!('therapy_response' in result.draft), 'Draft response does not include the raw therapy_response');
+
+    const stepsBeforePublish = await this.getSteps();
+    const publishRes = await this.http('POST', `/${this.testData.programId}/drafts/${queued.draft_id}/publish`);
+    this.assert(
+      publishRes.status === 200 && publishRes.data?.draft?.status === 'published' && typeof publishRes.data?.steps?.updated === 'number',
+      'Publish ready draft → 200 with step counts',
+      `got ${publishRes.status}: ${JSON.stringify(publishRes.data?.steps || publishRes.data?.error)}`
+    );
+
+    const stepsAfter = await this.getSteps();
+    const draftDays = diff.days.filter(d => d.draft).map(d => d.day);
+    this.assert(
+      JSON.stringify(stepsAfter.map(s => s.day)) === JSON.stringify(draftDays),
+      'Published program has the draft\'s days',
+      `days: ${stepsAfter.map(s => s.day).join(',')}`
+    );
+    const keptIds = stepsBeforePublish.filter(s => draftDays.includes(s.day)).map(s => s.id);
+    this.assert(
+      keptIds.every(id => stepsAfter.some(s => s.id === id)),
+      'Days that still exist keep their step ids (and messages)',
+      `${keptIds.length} kept`
+    );
+
+    const again = await this.http('POST', `/${this.testData.programId}/drafts/${queued.draft_id}/publish`);
+    this.assert(again.status === 409, 'Publish an already published draft → 409', `got ${again.status}`);
+
+    const discardPublished = await this.http('DELETE', `/${this.testData.programId}/drafts/${queued.draft_id}`);
+    this.assert(discardPublished.status === 409, 'Discard a published draft → 409', `got ${discardPublished.status}`);
+  }
+
+  async runDiscardTests() {
+    this.log('Discard', 'section');
+
+    const queueRes = await this.http('POST', `/${this.testData.otherProgramId}/regenerate`, { draft: true });
+    const draftId = queueRes.data?.queued?.[0]?.draft_id;
+    if (queueRes.status === 503 || !draftId) {
+      this.log('Could not queue a draft — skipping discard tests', 'warn');
+      return;
+    }
+
+    const discardRes = await this.http('DELETE', `/${this.testData.otherProgramId}/drafts/${draftId}`);
+    this.assert(
+      discardRes.status === 200 && discardRes.data?.draft?.status === 'discarded',
+      'Discard an unpublished draft → 200',
+      `got ${discardRes.status}: ${discardRes.data?.draft?.status || discardRes.data?.error}`
+    );
+
+    const publishRes = await this.http('POST', `/${this.testData.otherProgramId}/drafts/${draftId}/publish`);
+    this.assert(publishRes.status === 409, 'Publish a discarded draft → 409', `got ${publishRes.status}`);
+  }
+
+  // A failed in-place regeneration is retried as a regeneration: the old
+  // steps are rewritten rather than kept as "already generated".
+  async runFailedRegenerationRetryTests() {
+    this.log('Retry a failed regeneration', 'section');
+    const { programId, userId } = this.testData;
+
+    const stepsBefore = await this.getSteps();
+    if (stepsBefore.length === 0) {
+      this.log('Program has no steps yet — skipping failed regeneration retry tests', 'warn');
+      return;
+    }
+
+    const manualWithSteps = await this.user('POST', `/programs/${programId}/therapy_response`);
+    this.assert(
+      manualWithSteps.status === 409 && /generation\/retry/.test(manualWithSteps.data?.details || ''),
+      'Manual generation with steps and nothing failed → 409 pointing at the retry endpoint',
+      `got ${manualWithSteps.status}: ${manualWithSteps.data?.details || manualWithSteps.data?.error}`
+    );
+
+    // Without a user_name the job fails permanently on its first attempt.
+    await this.user('PUT', `/users/${userId}`, { user_name: '' });
+    const queueRes = await this.http('POST', `/${programId}/regenerate`, { draft: false });
+    if (queueRes.status === 503) {
+      await this.user('PUT', `/users/${userId}`, { user_name: 'Alice' });
+      this.log('Job queue not configured on the server — skipping failed regeneration retry tests', 'warn');
+      return;
+    }
+
+    const failed = await this.waitForGeneration(programId, status => status === 'failed');
+    await this.user('PUT', `/users/${userId}`, { user_name: 'Alice' });
+    this.assert(
+      failed?.status === 'failed' && failed.mode === 'regenerate' && failed.can_retry === true,
+      'Regeneration without a user_name fails in mode regenerate',
+      `got ${failed ? `${failed.status} / ${failed.mode}` : 'timeout'}`
+    );
+    if (failed?.status !== 'failed') return;
+
+    // Manual generation on the failed program takes the retry path, after
+    // which nothing is left to retry.
+    const manualRes = await this.user('POST', `/programs/${programId}/therapy_response`);
+    this.assert(manualRes.status === 202 && !!manualRes.data?.job_id, 'Manual generation after a failed regeneration → 202', `got ${manualRes.status}: ${manualRes.data?.error || ''}`);
+
+    const retryRes = await this.user('POST', `/programs/${programId}/generation/retry`);
+    this.assert(
+      retryRes.status === 409 && retryRes.data?.generation_status !== 'failed',
+      'Retry endpoint afterwards → 409, the generation is queued again',
+      `got ${retryRes.status}: ${retryRes.data?.generation_status || retryRes.data?.error}`
+    );
+
+    const queued = await this.user('GET', `/programs/${programId}/generation`);
+    this.assert(
+      queued.data?.generation?.mode === 'regenerate' && queued.data.generation.status !== 'failed',
+      'The retried run is queued as a regeneration',
+      JSON.stringify(queued.data?.generation)
+    );
+
+    const done = await this.waitForGeneration(programId, status => status === 'succeeded' || status === 'failed');
+    if (done?.status !== 'succeeded') {
+      this.log(`Retried regeneration did not succeed (${done ? done.status : 'timeout'}) — skipping step checks`, 'warn');
+      return;
+    }
+    this.assert(done.mode === 'regenerate', 'Retried run is recorded as a regeneration', `mode: ${done.mode}`);
+
+    const stepsAfter = await this.getSteps();
+    const keptIds = stepsBefore.filter(s => stepsAfter.some(a => a.day === s.day)).map(s => s.id);
+    this.assert(
+      stepsAfter.length > 0 && keptIds.every(id => stepsAfter.some(s => s.id === id)),
+      'Retried regeneration rewrites the program in place (step ids kept)',
+      `${keptIds.length} kept`
+    );
+  }
+
+  async runAllTests() {
+    this.log('Admin Program Regeneration Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    await this.runAuthTests();
+    await this.runValidationTests();
+    await this.runDraftTests();
+    await this.runDiscardTests();
+    await this.runFailedRegenerationRetryTests();
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Admin Program Regeneration TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All admin program regeneration tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new AdminProgramsTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = AdminProgramsTestRunner;
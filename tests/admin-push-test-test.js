@@ -1,7 +1,8 @@
 /**
  * Admin Push-Test Endpoint Integration Tests
  *
- * Covers POST /api/admin/push-test against a live API process.
+ * Covers POST /api/admin/push-test and GET /api/admin/push-deliveries
+ * against a live API process.
  * Requires TEST_MOCK_PUSH=true on the server so no real FCM calls are made.
  *
  * What is tested:
@@ -11,6 +12,8 @@
  *   - 400  Missing both title and body
  *   - 404  Target user_id does not exist
  *   - 200  Happy-path send to a real user (mock mode)
+ *   - Delivery log: 401 / 403, 400 for a bad status or date range, and the
+ *     push-test sends show up for the user (no device → no_devices)
  *
  * Run standalone:  node tests/admin-push-test-test.js
  */
@@ -188,6 +191,52 @@ class AdminPushTestRunner {
     this.assert(bodyOnly.status === 200, 'Body-only send → 200', `got ${bodyOnly.status}`);
   }
 
+  // ─────────────────────────────────────────────
+  // Delivery log (GET /api/admin/push-deliveries)
+  // ─────────────────────────────────────────────
+  async runDeliveryLogTests() {
+    this.log('Delivery log', 'section');
+
+    const tok = this.testData.adminToken;
+    const userId = this.testData.targetUser.id;
+
+    const noToken = await this.http('GET', '/api/admin/push-deliveries');
+    this.assert(noToken.status === 401, 'Delivery log without token → 401', `got ${noToken.status}`);
+
+    const regularUser = await this.http('GET', '/api/admin/push-deliveries', null, this.testData.regularToken);
+    this.assert(regularUser.status === 403, 'Delivery log with regular user token → 403', `got ${regularUser.status}`);
+
+    const badStatus = await this.http('GET', '/api/admin/push-deliveries?status=lost', null, tok);
+    this.assert(badStatus.status === 400, 'Unknown status → 400', `got ${badStatus.status}`);
+
+    const badRange = await this.http('GET', '/api/admin/push-deliveries?from=2026-02-01&to=2026-01-01', null, tok);
+    this.assert(badRange.status === 400, 'from after to → 400', `got ${badRange.status}`);
+
+    const forUser = await this.http('GET', `/api/admin/push-deliveries?user_id=${encodeURIComponent(userId)}`, null, tok);
+    const deliveries = forUser.data?.deliveries || [];
+    this.assert(forUser.status === 200, 'Delivery log for user → 200', `got ${forUser.status}`);
+    this.assert(
+      deliveries.length >= 3 && deliveries.every(d => d.user_id === userId),
+      'Every push-test send is logged for the user',
+      `got ${deliveries.length} row(s)`
+    );
+    this.assert(
+      deliveries.some(d => d.kind === 'test' && d.status === 'no_devices'),
+      'Send to a user without devices is logged as no_devices'
+    );
+    this.assert(
+      forUser.data?.counts && forUser.data.counts.no_devices >= 3 && forUser.data.counts.sent === 0,
+      'Per-status counts returned',
+      JSON.stringify(forUser.data?.counts)
+    );
+
+    const byKind = await this.http('GET', `/api/admin/push-deliveries?user_id=${encodeURIComponent(userId)}&kind=test&status=no_devices&limit=1`, null, tok);
+    this.assert(
+      byKind.status === 200 && byKind.data.deliveries.length === 1 && byKind.data.deliveries[0].kind === 'test',
+      'Filter by kind + status with limit'
+    );
+  }
+
   // ─────────────────────────────────────────────
   // Cleanup
   // ─────────────────────────────────────────────
@@ -208,6 +257,7 @@ class AdminPushTestRunner {
     await this.runValidationTests();
     await this.runNotFoundTests();
     await this.runHappyPathTests();
+    await this.runDeliveryLogTests();
     await this.teardown();
 
     const { passed, failed, total } = this.testResults;
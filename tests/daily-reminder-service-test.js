@@ -0,0 +1,424 @@
+/**
+ * DailyReminderService Unit Test Suite
+ *
+ * Pure unit tests for services/DailyReminderService.js. models/ProgramReminder.js
+ * is replaced by an in-memory stand-in (programs, steps, contributions, users
+ * and the program_reminders claim table) and push sends are captured, so no
+ * database or FCM is needed.
+ *
+ * Coverage:
+ *   - Reminders go out once the member's local reminder time has passed (program timezone)
+ *   - users.reminder_time overrides the default; disabled users get nothing
+ *   - Members who already contributed to today's step are skipped
+ *   - A reminder is never sent twice (claimed before sending)
+ *   - Partner nudge after the evening time when only one partner posted
+ *   - Only the newest program per user and pairing; nothing before the start date or after the last day
+ *   - Send results recorded (sent / no_devices / failed / skipped)
+ *   - DAILY_REMINDER_* environment parsing and invalid time fallback
+ *
+ * Run with: node tests/daily-reminder-service-test.js
+ */
+
+const DailyReminderService = require('../services/DailyReminderService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test doubles
+// ─────────────────────────────────────────────────────────────────────────
+
+/**
+ * In-memory ProgramReminder model. `programs` are candidate rows (newest
+ * first, as the SQL orders them); steps are keyed by program id and day.
+ */
+function buildFakeReminderModel({ programs = [], steps = {}, users = [] } = {}) {
+  let nextId = 1;
+  const model = {
+    programs,
+    steps,
+    users: new Map(users.map(user => [user.id, { reminder_time: null, daily_reminders_enabled: true, ...user }])),
+    reminders: new Map(), // `${step_id}:${user_id}:${kind}` → row
+
+    async getReminderCandidates() {
+      return model.programs.map(program => ({
+        paired: program.member_ids.length === 2,
+        ...program
+      }));
+    },
+
+    async getStepForDay(programId, day) {
+      const step = (model.steps[programId] || []).find(s => s.day === day);
+      return step ? { contributor_ids: [], ...step, program_id: programId } : null;
+    },
+
+    async getUserReminderSettings(userIds) {
+      return userIds.filter(id => model.users.has(id)).map(id => ({ id, ...model.users.get(id) }));
+    },
+
+    async claimReminder({ programId, stepId, userId, kind, localDate }) {
+      const key = `${stepId}:${userId}:${kind}`;
+      if (model.reminders.has(key)) return null;
+      const id = `r${nextId++}`;
+      model.reminders.set(key, { id, program_id: programId, step_id: stepId, user_id: userId, kind, local_date: localDate, result: 'pending' });
+      return id;
+    },
+
+    async recordResult(id, result, { successCount = 0, failureCount = 0 } = {}) {
+      const row = [...model.reminders.values()].find(r => r.id === id);
+      Object.assign(row, { result, success_count: successCount, failure_count: failureCount });
+    }
+  };
+  return model;
+}
+
+function buildFakePush({ result = { successCount: 1, failureCount: 0, invalidTokens: [] }, throwFor = [] } = {}) {
+  const push = {
+    sent: [],
+    async sendToUser(userId, payload) {
+      push.sent.push({ userId, payload });
+      if (throwFor.includes(userId)) throw new Error('FCM unavailable');
+      return typeof result === 'function' ? result(userId) : result;
+    }
+  };
+  return push;
+}
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+function buildService(reminderModel, pushNotificationService, options = {}) {
+  return new DailyReminderService({ reminderModel, pushNotificationService, logger: silentLogger, ...options });
+}
+
+// A paired program on day 2 in New York at `now` (2026-05-06 local).
+function pairedProgram(overrides = {}) {
+  return {
+    id: 'p1',
+    start_date: '2026-05-05',
+    timezone: 'America/New_York',
+    member_ids: ['alice', 'bob'],
+    ...overrides
+  };
+}
+
+const steps = (programId, contributors = []) => ({
+  [programId]: [
+    { id: `${programId}-s1`, day: 1, theme: 'Listening' },
+    { id: `${programId}-s2`, day: 2, theme: 'Gratitude', contributor_ids: contributors },
+    { id: `${programId}-s3`, day: 3, theme: 'Repair' }
+  ]
+});
+
+// 2026-05-06 in New York (UTC-4) at the given local time.
+const newYork = time => new Date(`2026-05-06T${time}:00-04:00`);
+
+// ─────────────────────────────────────────────────────────────────────────
+// Runner
+// ─────────────────────────────────────────────────────────────────────────
+
+class DailyReminderServiceTestRunner {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const prefix = {
+      info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '📊'
+    }[type] || '📝';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+  }
+
+  assert(condition, testName, detail = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${detail}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${detail}`, 'fail');
+    }
+  }
+
+  async testDailyReminders() {
+    this.log('Testing daily reminders at the local reminder time', 'section');
+    const model = buildFakeReminderModel({
+      programs: [pairedProgram()],
+      steps: steps('p1'),
+      users: [{ id: 'alice', user_name: 'Alice' }, { id: 'bob', user_name: 'Bob', reminder_time: '12:30' }]
+    });
+    const push = buildFakePush();
+    const service = buildService(model, push);
+
+    const early = await service.runOnce(newYork('08:59'));
+    this.assert(early.reminders === 0 && push.sent.length === 0, 'Nothing is sent before the reminder time', JSON.stringify(early));
+
+    const morning = await service.runOnce(newYork('09:00'));
+    this.assert(
+      morning.reminders === 1 && push.sent.length === 1 && push.sent[0].userId === 'alice',
+      'Default reminder time (09:00) applies in the program timezone',
+      JSON.stringify(push.sent.map(s => s.userId))
+    );
+    const { payload } = push.sent[0];
+    this.assert(
+      payload.data.kind === 'daily_reminder' && payload.data.step_id === 'p1-s2' && payload.data.step_day === '2' &&
+        payload.template.startsWith('daily_reminder') && payload.variables.step_day === 2,
+      'Reminder is for today\'s step',
+      JSON.stringify(payload)
+    );
+
+    await service.runOnce(newYork('12:29'));
+    this.assert(push.sent.length === 1, 'reminder_time is respected per user');
+    await service.runOnce(newYork('12:30'));
+    this.assert(push.sent.length === 2 && push.sent[1].userId === 'bob', 'User with reminder_time 12:30 is reminded at 12:30');
+
+    const again = await service.runOnce(newYork('15:00'));
+    this.assert(again.reminders === 0 && push.sent.length === 2, 'A reminder is never sent twice', JSON.stringify(again));
+    this.assert(
+      [...model.reminders.values()].every(r => r.result === 'sent' && r.local_date === '2026-05-06'),
+      'Sends are recorded with the local date and result',
+      JSON.stringify([...model.reminders.values()].map(r => [r.result, r.local_date]))
+    );
+
+    // A fresh service (a restart) does not resend what was recorded.
+    const restarted = buildService(model, push);
+    await restarted.runOnce(newYork('16:00'));
+    this.assert(push.sent.length === 2, 'Recorded reminders are not resent after a restart');
+  }
+
+  async testSkips() {
+    this.log('Testing contributors, disabled users and the schedule window', 'section');
+
+    {
+      const model = buildFakeReminderModel({
+        programs: [pairedProgram()],
+        steps: steps('p1', ['alice']),
+        users: [{ id: 'alice' }, { id: 'bob', daily_reminders_enabled: false }]
+      });
+      const push = buildFakePush();
+      await buildService(model, push).runOnce(newYork('10:00'));
+      this.assert(push.sent.length === 0, 'Contributors and users with reminders disabled are skipped', JSON.stringify(push.sent));
+    }
+
+    {
+      const model = buildFakeReminderModel({
+        programs: [pairedProgram({ start_date: '2026-05-07' }), pairedProgram({ id: 'p2', start_date: '2026-05-01' })],
+        steps: { ...steps('p1'), ...steps('p2') },
+        users: [{ id: 'alice' }, { id: 'bob' }]
+      });
+      const push = buildFakePush();
+      await buildService(model, push).runOnce(newYork('10:00'));
+      this.assert(push.sent.length === 0, 'Nothing before the start date or after the last day', JSON.stringify(push.sent));
+    }
+
+    {
+      // Same members, newer program first.
+      const model = buildFakeReminderModel({
+        programs: [pairedProgram({ id: 'p-new' }), pairedProgram({ id: 'p-old', start_date: '2026-05-06' })],
+        steps: { ...steps('p-new'), ...steps('p-old') },
+        users: [{ id: 'alice' }, { id: 'bob' }]
+      });
+      const push = buildFakePush();
+      await buildService(model, push).runOnce(newYork('10:00'));
+      this.assert(
+        push.sent.length === 2 && push.sent.every(s => s.payload.data.program_id === 'p-new'),
+        'Only the newest program is reminded per user',
+        JSON.stringify(push.sent.map(s => s.payload.data.program_id))
+      );
+    }
+
+    {
+      // Alice is in two pairings: one reminder per pairing, tagged with its pairing_id.
+      const model = buildFakeReminderModel({
+        programs: [
+          pairedProgram({ id: 'p-bob', pairing_id: 'pair-bob' }),
+          pairedProgram({ id: 'p-carol', pairing_id: 'pair-carol', member_ids: ['alice', 'carol'] })
+        ],
+        steps: { ...steps('p-bob'), ...steps('p-carol') },
+        users: [{ id: 'alice' }, { id: 'bob' }, { id: 'carol' }]
+      });
+      const push = buildFakePush();
+      await buildService(model, push).runOnce(newYork('10:00'));
+      const alicePairings = push.sent.filter(s => s.userId === 'alice').map(s => s.payload.data.pairing_id).sort();
+      this.assert(
+        push.sent.length === 4 && alicePairings.join() === 'pair-bob,pair-carol',
+        'A user in several pairings is reminded once per pairing',
+        JSON.stringify(push.sent.map(s => [s.userId, s.payload.data.pairing_id]))
+      );
+    }
+
+    {
+      // 11:30 in New York is 00:30 the next day in Tokyo (day 3 there).
+      const model = buildFakeReminderModel({
+        programs: [{ id: 'solo', start_date: '2026-05-05', timezone: 'Asia/Tokyo', member_ids: ['carol'] }],
+        steps: steps('solo'),
+        users: [{ id: 'carol', reminder_time: '00:15' }]
+      });
+      const push = buildFakePush();
+      await buildService(model, push).runOnce(newYork('11:30'));
+      this.assert(
+        push.sent.length === 1 && push.sent[0].payload.data.step_day === '3',
+        'Day and reminder time follow the program timezone',
+        JSON.stringify(push.sent.map(s => s.payload.data))
+      );
+    }
+  }
+
+  async testPartnerNudge() {
+    this.log('Testing partner nudges', 'section');
+    const model = buildFakeReminderModel({
+      programs: [pairedProgram()],
+      steps: steps('p1', ['alice']),
+      users: [{ id: 'alice', user_name: 'Alice' }, { id: 'bob', reminder_time: '21:00' }]
+    });
+    const push = buildFakePush();
+    const service = buildService(model, push);
+
+    await service.runOnce(newYork('18:59'));
+    this.assert(push.sent.length === 0, 'No nudge before the nudge time');
+
+    const evening = await service.runOnce(newYork('19:00'));
+    this.assert(
+      evening.nudges === 1 && push.sent.length === 1 && push.sent[0].userId === 'bob' &&
+        push.sent[0].payload.template === 'partner_nudge' && push.sent[0].payload.variables.partner_name === 'Alice',
+      'Partner who has not posted is nudged by evening',
+      JSON.stringify(push.sent.map(s => [s.userId, s.payload.data.kind, s.payload.variables]))
+    );
+
+    await service.runOnce(newYork('21:00'));
+    await service.runOnce(newYork('22:00'));
+    this.assert(
+      push.sent.length === 2 && push.sent[1].payload.data.kind === 'daily_reminder',
+      'Nudge is sent once; the daily reminder still follows at its own time',
+      JSON.stringify(push.sent.map(s => s.payload.data.kind))
+    );
+
+    {
+      const both = buildFakeReminderModel({
+        programs: [pairedProgram(), { id: 'solo', start_date: '2026-05-06', timezone: 'America/New_York', member_ids: ['carol'] }],
+        steps: { ...steps('p1', ['alice', 'bob']), solo: [{ id: 'solo-s1', day: 1, theme: 'Start', contributor_ids: [] }] },
+        users: [{ id: 'alice' }, { id: 'bob' }, { id: 'carol' }]
+      });
+      const bothPush = buildFakePush();
+      await buildService(both, bothPush).runOnce(newYork('20:00'));
+      this.assert(
+        bothPush.sent.length === 1 && bothPush.sent[0].payload.data.kind === 'daily_reminder' && bothPush.sent[0].userId === 'carol',
+        'No nudge when both partners posted or the program is solo',
+        JSON.stringify(bothPush.sent.map(s => [s.userId, s.payload.data.kind]))
+      );
+    }
+  }
+
+  async testSendResults() {
+    this.log('Testing recorded send results', 'section');
+    const model = buildFakeReminderModel({
+      programs: [{ id: 'p1', start_date: '2026-05-05', timezone: 'America/New_York', member_ids: ['alice'] }, { id: 'p2', start_date: '2026-05-05', timezone: 'America/New_York', member_ids: ['bob'] }, { id: 'p3', start_date: '2026-05-05', timezone: 'America/New_York', member_ids: ['carol'] }],
+      steps: { ...steps('p1'), ...steps('p2'), ...steps('p3') },
+      users: [{ id: 'alice' }, { id: 'bob' }, { id: 'carol' }]
+    });
+    const push = buildFakePush({
+      result: userId => userId === 'alice'
+        ? { successCount: 0, failureCount: 0, invalidTokens: [] }
+        : { successCount: 0, failureCount: 2, invalidTokens: [] },
+      throwFor: ['carol']
+    });
+    await buildService(model, push).runOnce(newYork('10:00'));
+    const results = Object.fromEntries([...model.reminders.values()].map(r => [r.user_id, r.result]));
+    this.assert(
+      results.alice === 'no_devices' && results.bob === 'failed' && results.carol === 'failed',
+      'No devices, FCM failures and thrown errors are recorded',
+      JSON.stringify(results)
+    );
+
+    const unconfigured = buildFakeReminderModel({
+      programs: [{ id: 'p1', start_date: '2026-05-05', timezone: 'America/New_York', member_ids: ['alice'] }],
+      steps: steps('p1'),
+      users: [{ id: 'alice' }]
+    });
+    await buildService(unconfigured, null).runOnce(newYork('10:00'));
+    await buildService(unconfigured, buildFakePush({ result: { successCount: 0, failureCount: 0, invalidTokens: [], skipped: true } })).runOnce(newYork('11:00'));
+    this.assert(
+      [...unconfigured.reminders.values()].map(r => r.result).join() === 'skipped',
+      'Without push configured the reminder is recorded as skipped (not retried)',
+      JSON.stringify([...unconfigured.reminders.values()])
+    );
+
+    const held = buildFakeReminderModel({
+      programs: [{ id: 'p1', start_date: '2026-05-05', timezone: 'America/New_York', member_ids: ['alice'] }, { id: 'p2', start_date: '2026-05-05', timezone: 'America/New_York', member_ids: ['bob'] }],
+      steps: { ...steps('p1'), ...steps('p2') },
+      users: [{ id: 'alice' }, { id: 'bob' }]
+    });
+    await buildService(held, buildFakePush({
+      result: userId => userId === 'alice'
+        ? { successCount: 0, failureCount: 0, invalidTokens: [], deferred: true, deliverAt: '2026-05-06T11:00:00.000Z' }
+        : { successCount: 0, failureCount: 0, invalidTokens: [], suppressed: true }
+    })).runOnce(newYork('10:00'));
+    const heldResults = Object.fromEntries([...held.reminders.values()].map(r => [r.user_id, r.result]));
+    this.assert(
+      heldResults.alice === 'deferred' && heldResults.bob === 'skipped',
+      'Pushes held for quiet hours are recorded as deferred, opted-out kinds as skipped',
+      JSON.stringify(heldResults)
+    );
+  }
+
+  testConfiguration() {
+    this.log('Testing configuration', 'section');
+    const options = DailyReminderService.optionsFromEnv({
+      DAILY_REMINDER_DEFAULT_TIME: '07:45',
+      DAILY_REMINDER_NUDGE_TIME: '20:15'
+    });
+    this.assert(
+      options.defaultReminderTime === '07:45' && options.nudgeTime === '20:15',
+      'DAILY_REMINDER_* variables are parsed',
+      JSON.stringify(options)
+    );
+
+    const service = buildService(buildFakeReminderModel(), null, { defaultReminderTime: '7pm', nudgeTime: '24:00' });
+    this.assert(
+      service.defaultReminderTime === '09:00' && service.nudgeTime === '19:00',
+      'Invalid times fall back to the defaults',
+      `${service.defaultReminderTime} / ${service.nudgeTime}`
+    );
+    this.assert(
+      DailyReminderService.isValidReminderTime('23:59') && !DailyReminderService.isValidReminderTime('9:00'),
+      'Reminder times must be HH:MM (24-hour)'
+    );
+  }
+
+  async run() {
+    this.log('Starting DailyReminderService Unit Test Suite', 'section');
+
+    await this.testDailyReminders();
+    await this.testSkips();
+    await this.testPartnerNudge();
+    await this.testSendResults();
+    this.testConfiguration();
+
+    this.printSummary();
+    return this.testResults.failed === 0;
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    this.log('DAILY REMINDER TEST SUMMARY', 'section');
+    console.log(`Total:  ${this.testResults.total}`);
+    console.log(`Passed: ${this.testResults.passed}`);
+    console.log(`Failed: ${this.testResults.failed}`);
+    console.log('='.repeat(60));
+
+    if (this.testResults.failed === 0) {
+      this.log('All DailyReminderService tests passed!', 'pass');
+    } else {
+      this.log(`${this.testResults.failed} test(s) failed`, 'fail');
+    }
+  }
+}
+
+if (require.main === module) {
+  const runner = new DailyReminderServiceTestRunner();
+  runner.run()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(err => {
+      console.error('Test runner failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = DailyReminderServiceTestRunner;
@@ -0,0 +1,295 @@
+/**
+ * Email Verification Integration Tests
+ *
+ * Covers email verification and confirmed change of email against a live
+ * API process:
+ *
+ *   POST /api/users                 sign-up mails a verification link
+ *   POST /api/auth/email/verify     confirm a link (sign-up or new address)
+ *   POST /api/auth/email/resend     resend the outstanding link
+ *   PUT  /api/users/:id             a new email becomes pending_email
+ *
+ * What is tested:
+ *   - New accounts start unverified (profile email_verified false)
+ *   - 400  Missing, garbage or reused token; resend once already verified
+ *   - The emailed link verifies the account; a resend supersedes the earlier link
+ *   - PUT with a new email keeps users.email until the link sent to the new
+ *     address is confirmed; login then works with the new email only
+ *   - PUT with the current email cancels a pending change; its link → 400
+ *   - 409  Changing to an email another account uses
+ *   - 400  A new email alongside an invalid field leaves no change pending
+ *   - 401  Resend without a token
+ *
+ * Token checks read the emails from the file transport, so start the server
+ * with MAIL_TRANSPORT=file (MAIL_FILE_DIR, default ./mail-outbox, must be
+ * the same directory here). They are skipped when no email shows up.
+ *
+ * The EMAIL_VERIFICATION_REQUIRED_FOR policy (403 for unverified accounts on
+ * program generation / pairing) is off by default and not exercised here.
+ *
+ * Run standalone:  node tests/email-verification-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail, waitForMailToken, MAIL_DIR } = require('./test-helpers');
+
+const PASSWORD = 'SecurePass987!';
+const SUBJECT = 'Confirm your email address';
+
+class EmailVerificationTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { user: null, other: null };
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = null) {
+    const config = {
+      method,
+      url: `${this.baseURL}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  async profile() {
+    const response = await this.http('GET', '/api/profile', null, this.testData.user.accessToken);
+    return response.data.profile || {};
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: the user under test, and a second account whose email is taken
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    this.signUpSince = Date.now() - 1000;
+    const email = generateTestEmail('email-verification-test');
+    const created = await this.http('POST', '/api/users', { email, password: PASSWORD });
+    if (![200, 201].includes(created.status)) {
+      this.log(`User creation failed: ${JSON.stringify(created.data)}`, 'fail');
+      return false;
+    }
+    this.testData.user = { id: created.data.user.id, email, accessToken: created.data.access_token };
+
+    const otherEmail = generateTestEmail('email-verification-other');
+    const other = await this.http('POST', '/api/users', { email: otherEmail, password: PASSWORD });
+    if (![200, 201].includes(other.status)) {
+      this.log(`Second user creation failed: ${JSON.stringify(other.data)}`, 'fail');
+      return false;
+    }
+    this.testData.other = { id: other.data.user.id, email: otherEmail };
+
+    this.log(`User ${this.testData.user.id}, outbox ${MAIL_DIR}`, 'data');
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Sign-up verification
+  // ─────────────────────────────────────────────
+  async runVerifyTests() {
+    this.log('Verify sign-up email', 'section');
+    const { user } = this.testData;
+
+    const before = await this.profile();
+    this.assert(before.email_verified === false, 'New account starts unverified', `email_verified: ${before.email_verified}`);
+
+    const missing = await this.http('POST', '/api/auth/email/verify', {});
+    this.assert(missing.status === 400, 'Verify without token → 400', `Status: ${missing.status}`);
+
+    const garbage = await this.http('POST', '/api/auth/email/verify', { token: 'not-a-real-token' });
+    this.assert(garbage.status === 400, 'Verify with a garbage token → 400', `Status: ${garbage.status}`);
+
+    const anonymous = await this.http('POST', '/api/auth/email/resend');
+    this.assert(anonymous.status === 401, 'Resend without auth → 401', `Status: ${anonymous.status}`);
+
+    const signUpToken = await waitForMailToken({ to: user.email, since: this.signUpSince, subject: SUBJECT });
+    if (!signUpToken) {
+      this.log('No verification email in the outbox (is the server running with MAIL_TRANSPORT=file?) — skipping token checks', 'warn');
+      return false;
+    }
+
+    // A resend replaces the sign-up link.
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const resendSince = Date.now() - 500;
+    const resend = await this.http('POST', '/api/auth/email/resend', null, user.accessToken);
+    this.assert(resend.status === 200 && resend.data.email === user.email, 'Resend → 200', `Status: ${resend.status}`);
+    const token = await waitForMailToken({ to: user.email, since: resendSince, subject: SUBJECT });
+    this.assert(token && token !== signUpToken, 'Resend mails a new token');
+
+    const superseded = await this.http('POST', '/api/auth/email/verify', { token: signUpToken });
+    this.assert(superseded.status === 400, 'Superseded token → 400', `Status: ${superseded.status}`);
+
+    const verified = await this.http('POST', '/api/auth/email/verify', { token });
+    this.assert(
+      verified.status === 200 && verified.data.email_changed === false && !!verified.data.user.email_verified_at,
+      'Verify with the emailed token → 200',
+      `Status: ${verified.status} ${verified.data.error || ''}`
+    );
+
+    const reused = await this.http('POST', '/api/auth/email/verify', { token });
+    this.assert(reused.status === 400, 'Reusing the token → 400', `Status: ${reused.status}`);
+
+    const after = await this.profile();
+    this.assert(after.email_verified === true, 'Profile reports the email verified', `email_verified: ${after.email_verified}`);
+
+    const again = await this.http('POST', '/api/auth/email/resend', null, user.accessToken);
+    this.assert(again.status === 400, 'Resend once verified → 400', `Status: ${again.status}`);
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Cancel a pending change of email
+  // ─────────────────────────────────────────────
+  async runCancelEmailChangeTests() {
+    this.log('Cancel change of email', 'section');
+    const { user } = this.testData;
+
+    const newEmail = generateTestEmail('email-verification-cancelled');
+    const since = Date.now() - 1000;
+    const change = await this.http('PUT', `/api/users/${user.id}`, { email: newEmail }, user.accessToken);
+    this.assert(
+      change.status === 200 && change.data.email_change?.pending_email === newEmail,
+      'PUT with a new email → change pending',
+      `Status: ${change.status} ${change.data.error || ''}`
+    );
+
+    const cancel = await this.http('PUT', `/api/users/${user.id}`, { email: user.email }, user.accessToken);
+    this.assert(
+      cancel.status === 200 && cancel.data.email_change && cancel.data.email_change.pending_email === null && cancel.data.user.email === user.email,
+      'PUT with the current email cancels the pending change → 200',
+      `Status: ${cancel.status} ${JSON.stringify(cancel.data.email_change || cancel.data.error)}`
+    );
+
+    const after = await this.profile();
+    this.assert(!after.pending_email && after.email === user.email, 'Profile no longer shows a pending email');
+
+    const token = await waitForMailToken({ to: newEmail, since, subject: SUBJECT });
+    if (!token) {
+      this.log('No confirmation email for the cancelled change — skipping its token check', 'warn');
+      return;
+    }
+    const cancelled = await this.http('POST', '/api/auth/email/verify', { token });
+    this.assert(cancelled.status === 400, 'Link of the cancelled change → 400', `Status: ${cancelled.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Change of email
+  // ─────────────────────────────────────────────
+  async runChangeEmailTests() {
+    this.log('Change email', 'section');
+    const { user, other } = this.testData;
+
+    const taken = await this.http('PUT', `/api/users/${user.id}`, { email: other.email }, user.accessToken);
+    this.assert(taken.status === 409, 'Changing to an email in use → 409', `Status: ${taken.status}`);
+
+    const rejectedEmail = generateTestEmail('email-verification-rejected');
+    const rejected = await this.http('PUT', `/api/users/${user.id}`, { email: rejectedEmail, locale: 'not-a-locale' }, user.accessToken);
+    const afterRejected = await this.profile();
+    this.assert(
+      rejected.status === 400 && !afterRejected.pending_email,
+      'A new email with an invalid field → 400, no change pending',
+      `Status: ${rejected.status}, pending_email: ${afterRejected.pending_email}`
+    );
+
+    const newEmail = generateTestEmail('email-verification-changed');
+    const since = Date.now() - 1000;
+    const change = await this.http('PUT', `/api/users/${user.id}`, { email: newEmail }, user.accessToken);
+    this.assert(
+      change.status === 200 && change.data.user.email === user.email && change.data.email_change?.pending_email === newEmail,
+      'PUT with a new email → 200, email unchanged, change pending',
+      `Status: ${change.status} ${change.data.error || ''}`
+    );
+
+    const pending = await this.profile();
+    this.assert(
+      pending.email === user.email && pending.pending_email === newEmail && pending.email_verified === true,
+      'Profile keeps the verified current email while the change is pending'
+    );
+
+    const token = await waitForMailToken({ to: newEmail, since, subject: SUBJECT });
+    this.assert(!!token, 'Confirmation link is mailed to the new address');
+    if (!token) return;
+
+    const confirmed = await this.http('POST', '/api/auth/email/verify', { token });
+    this.assert(
+      confirmed.status === 200 && confirmed.data.email_changed === true && confirmed.data.user.email === newEmail,
+      'Confirming the link changes the email → 200',
+      `Status: ${confirmed.status} ${confirmed.data.error || ''}`
+    );
+
+    const after = await this.profile();
+    this.assert(
+      after.email === newEmail && !after.pending_email && after.email_verified === true,
+      'Profile shows the new, verified email'
+    );
+
+    const oldLogin = await this.http('POST', '/api/login', { email: user.email, password: PASSWORD });
+    this.assert(oldLogin.status === 401, 'Old email no longer logs in', `Status: ${oldLogin.status}`);
+
+    const newLogin = await this.http('POST', '/api/login', { email: newEmail, password: PASSWORD });
+    this.assert(newLogin.status === 200 && newLogin.data.access_token, 'New email logs in', `Status: ${newLogin.status}`);
+    user.email = newEmail;
+  }
+
+  async runAllTests() {
+    this.log('Email Verification Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    if (await this.runVerifyTests()) {
+      await this.runCancelEmailChangeTests();
+      await this.runChangeEmailTests();
+    }
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Email Verification TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All email verification tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new EmailVerificationTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = EmailVerificationTestRunner;
@@ -0,0 +1,344 @@
+/**
+ * A/B Experiment Integration Tests
+ *
+ * Covers the admin experiment API at /api/admin/experiments against a live
+ * API process.
+ *
+ * What is tested:
+ *   - 401  No token supplied
+ *   - 403  Authenticated as a regular user (not admin)
+ *   - 400  Unknown template_key / too few arms / bad arm name, weight, model
+ *          or temperature / duplicate arm names / arm pinning another key's
+ *          template
+ *   - 201  Draft created with normalized arms; 200 draft edited
+ *   - Start → running; a second experiment on the same key → 409
+ *   - 409  Editing / deleting a running experiment; editing a prompt
+ *          template pinned by a running arm
+ *   - 200  Per-arm report lists every arm with completion metrics
+ *   - Stop → stopped; stopping again → 409; 404 unknown id
+ *
+ * Uses hopeful.chime_in with arms that pin a copy of the built-in body and
+ * no model / temperature override, so the running experiment does not change
+ * what other suites generate. Everything is stopped before the run finishes.
+ *
+ * Run standalone:  node tests/experiments-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+const TEMPLATE_KEY = 'hopeful.chime_in';
+const REPORT_FIELDS = [
+  'programs', 'programs_started', 'steps_total', 'steps_started', 'step_start_rate',
+  'next_programs', 'next_program_rate', 'chime_ins', 'chime_ins_replied', 'chime_in_reply_rate'
+];
+
+class ExperimentsTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { adminToken: null, userToken: null, templateId: null, running: [] };
+    this.runId = `${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = this.testData.adminToken, base = '/api/admin/experiments') {
+    const config = {
+      method,
+      url: `${this.baseURL}${base}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  templates(method, path, data = null) {
+    return this.http(method, path, data, this.testData.adminToken, '/api/admin/prompt-templates');
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: an admin, a regular user and a draft template to pin
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    const adminEmail = `experiments-test_${this.runId}@example.com`;
+    const adminPassword = 'Zpfg8K3qVt!';
+    const regRes = await axios.post(`${this.baseURL}/api/admin/auth/register`, { email: adminEmail, password: adminPassword }, { validateStatus: () => true });
+    if (regRes.status !== 201) {
+      this.log(`Admin register failed: ${JSON.stringify(regRes.data)}`, 'fail');
+      return false;
+    }
+    const loginRes = await axios.post(`${this.baseURL}/api/admin/auth/login`, { email: adminEmail, password: adminPassword }, { validateStatus: () => true });
+    if (loginRes.status !== 200) {
+      this.log(`Admin login failed: ${JSON.stringify(loginRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.adminToken = loginRes.data.access_token;
+    this.log(`Admin created & logged in: ${adminEmail}`, 'data');
+
+    const userRes = await axios.post(`${this.baseURL}/api/users`, {
+      email: generateTestEmail('experiments-test'),
+      password: 'SecurePass987!'
+    }, { validateStatus: () => true });
+    if (![200, 201].includes(userRes.status)) {
+      this.log(`User creation failed: ${JSON.stringify(userRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.userToken = userRes.data.access_token;
+
+    const keysRes = await this.templates('GET', '/keys');
+    const entry = (keysRes.data?.template_keys || []).find(k => k.template_key === TEMPLATE_KEY);
+    if (!entry) {
+      this.log(`Template key ${TEMPLATE_KEY} not listed`, 'fail');
+      return false;
+    }
+    const draftRes = await this.templates('POST', '', {
+      template_key: TEMPLATE_KEY,
+      body: entry.default_body,
+      description: `experiments-test ${this.runId}`
+    });
+    if (draftRes.status !== 201) {
+      this.log(`Template draft failed: ${JSON.stringify(draftRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.templateId = draftRes.data.prompt_template.id;
+    this.log(`Draft template to pin: ${this.testData.templateId}`, 'data');
+
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Auth / access control
+  // ─────────────────────────────────────────────
+  async runAuthTests() {
+    this.log('Auth / access control', 'section');
+
+    const noToken = await this.http('GET', '', null, null);
+    this.assert(noToken.status === 401, 'No token → 401', `got ${noToken.status}`);
+
+    const regularUser = await this.http('GET', '', null, this.testData.userToken);
+    this.assert(regularUser.status === 403, 'Regular user token → 403', `got ${regularUser.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Validation
+  // ─────────────────────────────────────────────
+  async runValidationTests() {
+    this.log('Experiment validation', 'section');
+
+    const validArms = [{ name: 'control' }, { name: 'treatment' }];
+    const create = (overrides) => this.http('POST', '', {
+      name: `validation ${this.runId}`,
+      template_key: TEMPLATE_KEY,
+      arms: validArms,
+      ...overrides
+    });
+
+    const cases = [
+      ['Unknown template_key → 400', { template_key: 'nope.unknown' }],
+      ['Missing name → 400', { name: '' }],
+      ['Single arm → 400', { arms: [{ name: 'control' }] }],
+      ['Invalid arm name → 400', { arms: [{ name: 'Control Arm' }, { name: 'treatment' }] }],
+      ['Duplicate arm names → 400', { arms: [{ name: 'control' }, { name: 'control' }] }],
+      ['Weight out of range → 400', { arms: [{ name: 'control', weight: 0 }, { name: 'treatment' }] }],
+      ['Temperature out of range → 400', { arms: [{ name: 'control' }, { name: 'treatment', temperature: 3 }] }],
+      ['Unsupported model provider → 400', { arms: [{ name: 'control' }, { name: 'treatment', model: 'acme:gpt' }] }],
+      ['Template from another key → 400', { template_key: 'helpful.chime_in', arms: [{ name: 'control' }, { name: 'treatment', prompt_template_id: this.testData.templateId }] }]
+    ];
+    for (const [name, overrides] of cases) {
+      const res = await create(overrides);
+      this.assert(res.status === 400, name, `got ${res.status}: ${res.data?.error}`);
+    }
+
+    const missing = await this.http('GET', '/does-not-exist');
+    this.assert(missing.status === 404, 'Unknown id → 404', `got ${missing.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Draft → running → stopped lifecycle
+  // ─────────────────────────────────────────────
+  async runLifecycleTests() {
+    this.log('Experiment lifecycle', 'section');
+
+    const createRes = await this.http('POST', '', {
+      name: `experiments-test ${this.runId}`,
+      description: 'Pinned built-in copy vs. current template',
+      template_key: TEMPLATE_KEY,
+      arms: [
+        { name: 'control' },
+        { name: 'pinned', weight: 2, prompt_template_id: this.testData.templateId }
+      ]
+    });
+    this.assert(createRes.status === 201, 'Create experiment → 201', `got ${createRes.status}: ${createRes.data?.error || ''}`);
+    const experiment = createRes.data?.experiment;
+    if (!experiment) return;
+
+    const control = experiment.arms.find(arm => arm.name === 'control');
+    this.assert(
+      experiment.status === 'draft' && control && control.weight === 1 && control.model === null &&
+        control.temperature === null && control.prompt_template_id === null,
+      'Draft arms are normalized (default weight 1, null overrides)',
+      JSON.stringify(control)
+    );
+
+    const editRes = await this.http('PUT', `/${experiment.id}`, { description: 'Edited while draft' });
+    this.assert(
+      editRes.status === 200 && editRes.data?.experiment?.description === 'Edited while draft',
+      'Edit draft → 200',
+      `got ${editRes.status}`
+    );
+
+    const emptyEdit = await this.http('PUT', `/${experiment.id}`, {});
+    this.assert(emptyEdit.status === 400, 'Edit with no fields → 400', `got ${emptyEdit.status}`);
+
+    const startRes = await this.http('POST', `/${experiment.id}/start`);
+    this.assert(
+      startRes.status === 200 && startRes.data?.experiment?.status === 'running',
+      'Start → 200 running',
+      `got ${startRes.status}: ${startRes.data?.error || ''}`
+    );
+    if (startRes.status !== 200) return;
+    this.testData.running.push(experiment.id);
+
+    const rivalRes = await this.http('POST', '', {
+      name: `rival ${this.runId}`,
+      template_key: TEMPLATE_KEY,
+      arms: [{ name: 'a' }, { name: 'b' }]
+    });
+    const rival = rivalRes.data?.experiment;
+    const rivalStart = rival ? await this.http('POST', `/${rival.id}/start`) : null;
+    this.assert(
+      rivalStart && rivalStart.status === 409,
+      'Second running experiment on the same key → 409',
+      rivalStart ? `got ${rivalStart.status}: ${rivalStart.data?.error}` : 'rival not created'
+    );
+    if (rival) await this.http('DELETE', `/${rival.id}`);
+
+    const editRunning = await this.http('PUT', `/${experiment.id}`, { description: 'nope' });
+    this.assert(editRunning.status === 409, 'Editing a running experiment → 409', `got ${editRunning.status}`);
+
+    const deleteRunning = await this.http('DELETE', `/${experiment.id}`);
+    this.assert(deleteRunning.status === 409, 'Deleting a running experiment → 409', `got ${deleteRunning.status}`);
+
+    const editPinned = await this.templates('PUT', `/${this.testData.templateId}`, { description: 'nope' });
+    this.assert(
+      editPinned.status === 409,
+      'Editing a template pinned by a running arm → 409',
+      `got ${editPinned.status}: ${editPinned.data?.error}`
+    );
+
+    const listRes = await this.http('GET', `?template_key=${TEMPLATE_KEY}&status=running`);
+    this.assert(
+      listRes.status === 200 && (listRes.data?.experiments || []).some(e => e.id === experiment.id),
+      'List filters by template_key and status',
+      `count=${(listRes.data?.experiments || []).length}`
+    );
+
+    const badStatus = await this.http('GET', '?status=live');
+    this.assert(badStatus.status === 400, 'Invalid status filter → 400', `got ${badStatus.status}`);
+
+    const reportRes = await this.http('GET', `/${experiment.id}/report`);
+    const reportArms = reportRes.data?.arms || [];
+    this.assert(
+      reportRes.status === 200 && reportArms.length === 2 &&
+        reportArms.every(arm => REPORT_FIELDS.every(field => field in arm)),
+      'Report → 200 with completion metrics for every arm',
+      `got ${reportRes.status}, arms=${reportArms.map(a => a.arm).join(', ')}`
+    );
+
+    const stopRes = await this.http('POST', `/${experiment.id}/stop`);
+    this.assert(
+      stopRes.status === 200 && stopRes.data?.experiment?.status === 'stopped',
+      'Stop → 200 stopped',
+      `got ${stopRes.status}`
+    );
+    this.testData.running = [];
+
+    const stopAgain = await this.http('POST', `/${experiment.id}/stop`);
+    this.assert(stopAgain.status === 409, 'Stopping a stopped experiment → 409', `got ${stopAgain.status}`);
+
+    const editUnpinned = await this.templates('PUT', `/${this.testData.templateId}`, { description: 'Unpinned' });
+    this.assert(editUnpinned.status === 200, 'Template is editable again once the experiment stops', `got ${editUnpinned.status}`);
+
+    const throwaway = await this.http('POST', '', {
+      name: `throwaway ${this.runId}`,
+      template_key: TEMPLATE_KEY,
+      arms: [{ name: 'a' }, { name: 'b' }]
+    });
+    const deleteDraft = await this.http('DELETE', `/${throwaway.data?.experiment?.id}`);
+    this.assert(deleteDraft.status === 200, 'Delete draft → 200', `got ${deleteDraft.status}`);
+  }
+
+  // Never leave a test experiment running (or a test draft template) behind.
+  async cleanup() {
+    for (const id of this.testData.running) {
+      await this.http('POST', `/${id}/stop`).catch(() => {});
+    }
+    if (this.testData.templateId) {
+      await this.templates('DELETE', `/${this.testData.templateId}`).catch(() => {});
+    }
+  }
+
+  async runAllTests() {
+    this.log('A/B Experiment Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    try {
+      await this.runAuthTests();
+      await this.runValidationTests();
+      await this.runLifecycleTests();
+    } finally {
+      await this.cleanup();
+    }
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('A/B Experiment TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All experiment tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new ExperimentsTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = ExperimentsTestRunner;
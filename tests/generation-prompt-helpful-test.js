@@ -11,7 +11,8 @@
  *
  *   routes/programs.js → HelpfulPromptService.generateInitialProgram
  *     → attachPromptToResponse (non-enumerable __prompt)
- *     → programModel.updateTherapyResponse(generationPrompt)
+ *     → attachTemplateToResponse (non-enumerable __template)
+ *     → programModel.updateTherapyResponse(generationPrompt, …, promptTemplate)
  *
  * Uses the default (no org_code) path, which exercises HelpfulPromptService.
  * That path constructs a couples-therapy prompt interpolating user_name,
@@ -96,7 +97,7 @@ async function pollForGenerationComplete(pool, programId) {
   const start = Date.now();
   while (Date.now() - start < POLL_TIMEOUT_MS) {
     const [rows] = await pool.execute(
-      'SELECT generation_prompt, generation_error, therapy_response FROM programs WHERE id = ?',
+      'SELECT generation_prompt, prompt_template_id, prompt_template_version, generation_error, therapy_response FROM programs WHERE id = ?',
       [programId]
     );
     const row = rows[0];
@@ -107,7 +108,7 @@ async function pollForGenerationComplete(pool, programId) {
   }
   // Timeout — return the last read so the caller can still assert meaningfully
   const [finalRows] = await pool.execute(
-    'SELECT generation_prompt, generation_error, therapy_response FROM programs WHERE id = ?',
+    'SELECT generation_prompt, prompt_template_id, prompt_template_version, generation_error, therapy_response FROM programs WHERE id = ?',
     [programId]
   );
   return finalRows[0] || null;
@@ -189,6 +190,8 @@ async function main() {
 
     const {
       generation_prompt: generationPrompt,
+      prompt_template_id: promptTemplateId,
+      prompt_template_version: promptTemplateVersion,
       generation_error: generationError,
       therapy_response: therapyResponse
     } = finalRow;
@@ -242,6 +245,15 @@ async function main() {
         'expected no-org-code user to route to Helpful service'
       );
 
+      // The template version is recorded next to the prompt: 0 (no id) for
+      // the built-in default, or the published prompt_templates row.
+      assert(
+        Number.isInteger(promptTemplateVersion) &&
+          (promptTemplateId === null ? promptTemplateVersion === 0 : promptTemplateVersion > 0),
+        'prompt_template_id / prompt_template_version recorded next to generation_prompt',
+        `id = ${promptTemplateId}, version = ${promptTemplateVersion}`
+      );
+
       // On mock success path, therapy_response will be populated and
       // generation_error cleared. On real-API failure, generation_error is
       // set. Either way generation_prompt should still be present — which we
@@ -8,6 +8,12 @@
  *   - Output structure uses conversation_starter + science_behind_it (not reflection/bible_verse)
  *   - Prompt text stays secular — no church/Bible/faith terminology leaks in
  *   - Prompt instructs the LLM not to name EFT / Gottman by name
+ *   - Published prompt templates (PromptTemplateRegistry) replace the built-in
+ *     prompt, the template id/version is attached as __template, and a
+ *     registry DB error falls back to the built-in (version 0)
+ *   - A/B experiments (ExperimentService): arm assignment is deterministic
+ *     and follows the weights, and an arm's template version, model and
+ *     temperature are applied and attached as __experiment
  *
  * Run with: node tests/helpful-prompt-service-test.js
  *
@@ -21,6 +27,9 @@
 if (!process.env.OPENAI_API_KEY) process.env.OPENAI_API_KEY = 'sk-test-helpful-prompt-service-mock-key-000';
 
 const HelpfulPromptService = require('../services/HelpfulPromptService');
+const PromptTemplateRegistry = require('../services/PromptTemplateRegistry');
+const ExperimentService = require('../services/ExperimentService');
+const { pickArm } = require('../services/ExperimentService');
 
 // Token-safety tripwire: any test that forgets to install its local mock will
 // hit this guard instead of silently calling the real OpenAI API. The counter
@@ -251,6 +260,184 @@ class HelpfulPromptServiceTestRunner {
     }
   }
 
+  async testPromptTemplateRegistry(service) {
+    this.log('Testing published prompt templates via PromptTemplateRegistry', 'section');
+    const originalFetch = global.fetch;
+    this._installMockFetch(JSON.stringify(this.buildMockCouplesProgram('Sarah', 'Michael')));
+
+    const publishedBody = 'Revised prompt for {{userName}} and {{partnerName}}: "{{userInput}}". Respond with the program JSON.';
+    const silentLogger = { warn() {} };
+
+    try {
+      const builtIn = await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.');
+      this.assert(
+        builtIn.__template && builtIn.__template.id === null && builtIn.__template.version === 0,
+        'Without a registry the built-in template is used (version 0)',
+        JSON.stringify(builtIn.__template)
+      );
+      this.assert(
+        !Object.keys(builtIn).includes('__template'),
+        '__template is non-enumerable (kept out of therapy_response JSON)'
+      );
+
+      let lookups = 0;
+      service.setTemplateRegistry(new PromptTemplateRegistry({
+        promptTemplateModel: {
+          async getPublishedTemplate(key) {
+            lookups++;
+            return key === 'helpful.initial_program'
+              ? { id: 'tpl_helpful_v3', template_key: key, version: 3, body: publishedBody }
+              : null;
+          }
+        },
+        logger: silentLogger
+      }));
+
+      const published = await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.');
+      this.assert(
+        this.lastCapturedPrompt === 'Revised prompt for Sarah and Michael: "We want to improve communication.". Respond with the program JSON.',
+        'Published template body is rendered with the sanitized variables',
+        this.lastCapturedPrompt.substring(0, 80)
+      );
+      this.assert(
+        published.__template && published.__template.id === 'tpl_helpful_v3' && published.__template.version === 3,
+        'Response carries the published template id/version',
+        JSON.stringify(published.__template)
+      );
+
+      await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.');
+      this.assert(lookups === 1, 'Published template is cached between generations', `lookups=${lookups}`);
+
+      service.setTemplateRegistry(new PromptTemplateRegistry({
+        promptTemplateModel: {
+          async getPublishedTemplate() {
+            throw new Error('connect ECONNREFUSED');
+          }
+        },
+        logger: silentLogger
+      }));
+
+      const fallback = await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.');
+      this.assert(
+        /couples therapist/i.test(this.lastCapturedPrompt) && fallback.__template.version === 0,
+        'Registry DB error falls back to the built-in template',
+        JSON.stringify(fallback.__template)
+      );
+    } catch (error) {
+      this.assert(false, 'Prompt template registry', `Error: ${error.message}`);
+    } finally {
+      service.setTemplateRegistry(null);
+      global.fetch = originalFetch;
+    }
+  }
+
+  async testExperimentArms(service) {
+    this.log('Testing A/B experiment arms via ExperimentService', 'section');
+    const originalFetch = global.fetch;
+    this._installMockFetch(JSON.stringify(this.buildMockCouplesProgram('Sarah', 'Michael')));
+
+    const arms = [
+      { name: 'control', weight: 1, prompt_template_id: null, model: null, temperature: null },
+      { name: 'cooler', weight: 3, prompt_template_id: 'tpl_helpful_v4', model: 'openai:gpt-4o-mini', temperature: 0.2 }
+    ];
+    const silentLogger = { warn() {} };
+
+    try {
+      const userIds = Array.from({ length: 400 }, (_, i) => `user_${i}`);
+      const first = userIds.map(id => pickArm('exp_1', id, arms).name);
+      const second = userIds.map(id => pickArm('exp_1', id, arms).name);
+      this.assert(
+        first.every((name, i) => name === second[i]),
+        'pickArm assigns the same user to the same arm every time'
+      );
+      const cooler = first.filter(name => name === 'cooler').length;
+      this.assert(
+        cooler > 250 && cooler < 350,
+        'pickArm follows arm weights (3:1)',
+        `cooler=${cooler}/400`
+      );
+      const reshuffled = userIds.filter(id => pickArm('exp_2', id, arms).name !== pickArm('exp_1', id, arms).name).length;
+      this.assert(reshuffled > 0, 'A different experiment id reshuffles users', `moved=${reshuffled}`);
+
+      const userId = userIds.find(id => pickArm('exp_1', id, arms).name === 'cooler');
+      const controlUserId = userIds.find(id => pickArm('exp_1', id, arms).name === 'control');
+
+      service.setTemplateRegistry(new PromptTemplateRegistry({
+        promptTemplateModel: {
+          async getPublishedTemplate() { return null; },
+          async getTemplateById(id) {
+            return {
+              id,
+              template_key: 'helpful.initial_program',
+              version: 4,
+              status: 'draft',
+              body: 'Arm prompt for {{userName}} and {{partnerName}}: "{{userInput}}". Respond with the program JSON.'
+            };
+          }
+        },
+        logger: silentLogger
+      }));
+      let experimentLookups = 0;
+      service.setExperimentService(new ExperimentService({
+        experimentModel: {
+          async getRunningExperiment(key) {
+            experimentLookups++;
+            return key === 'helpful.initial_program' ? { id: 'exp_1', template_key: key, arms } : null;
+          }
+        },
+        logger: silentLogger
+      }));
+
+      const armed = await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.', null, {
+        feature: 'initial_program', userId
+      });
+      this.assert(
+        this.lastCapturedPrompt.startsWith('Arm prompt for Sarah and Michael'),
+        'Arm-pinned template version is rendered',
+        this.lastCapturedPrompt.substring(0, 60)
+      );
+      this.assert(
+        this.lastCapturedBody.model === 'gpt-4o-mini' && this.lastCapturedBody.temperature === 0.2,
+        'Arm model and temperature are sent to the provider',
+        `model=${this.lastCapturedBody.model}, temperature=${this.lastCapturedBody.temperature}`
+      );
+      this.assert(
+        armed.__experiment && armed.__experiment.experiment_id === 'exp_1' && armed.__experiment.arm === 'cooler' &&
+          armed.__template.version === 4 && armed.__llm === 'openai:gpt-4o-mini',
+        'Response carries __experiment, the pinned __template and the arm __llm',
+        JSON.stringify({ experiment: armed.__experiment, template: armed.__template, llm: armed.__llm })
+      );
+      this.assert(
+        !Object.keys(armed).includes('__experiment'),
+        '__experiment is non-enumerable (kept out of therapy_response JSON)'
+      );
+
+      const control = await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.', null, {
+        feature: 'initial_program', userId: controlUserId
+      });
+      this.assert(
+        control.__experiment && control.__experiment.arm === 'control' &&
+          this.lastCapturedBody.model === service.model && this.lastCapturedBody.temperature === 0.7 &&
+          control.__template.version === 0,
+        'Control arm keeps the default model, temperature and template',
+        `model=${this.lastCapturedBody.model}, temperature=${this.lastCapturedBody.temperature}`
+      );
+      this.assert(experimentLookups === 1, 'Running experiment is cached between generations', `lookups=${experimentLookups}`);
+
+      const unassigned = await service.generateCouplesProgram('Sarah', 'Michael', 'We want to improve communication.');
+      this.assert(
+        unassigned.__experiment === undefined,
+        'Generations without a user id are not enrolled'
+      );
+    } catch (error) {
+      this.assert(false, 'Experiment arms', `Error: ${error.message}`);
+    } finally {
+      service.setTemplateRegistry(null);
+      service.setExperimentService(null);
+      global.fetch = originalFetch;
+    }
+  }
+
   async testCouplesTherapyResponseReturnsArray(service) {
     this.log('Testing generateCouplesTherapyResponse returns an array of messages', 'section');
     const originalFetch = global.fetch;
@@ -345,6 +532,8 @@ class HelpfulPromptServiceTestRunner {
     await this.testInitialProgramIs14DayCouplesFormat(service);
     await this.testInitialPromptIsSecular(service);
     await this.testNextProgramIncludesPreviousStarters(service);
+    await this.testPromptTemplateRegistry(service);
+    await this.testExperimentArms(service);
     await this.testCouplesTherapyResponseReturnsArray(service);
     await this.testInputValidationRejectsGenericNames(service);
 
@@ -0,0 +1,446 @@
+/**
+ * JobQueue Unit Test Suite
+ *
+ * Pure unit tests for services/JobQueue.js. The generation_jobs table is
+ * replaced by an in-memory stand-in for models/GenerationJob.js with the
+ * same claim / lease / retry semantics, so no database is needed.
+ *
+ * Coverage:
+ *   - Enqueued jobs run with their payload and are marked succeeded
+ *   - Idempotency keys: a repeat enqueue returns the first job; a dead job is requeued
+ *   - Retries with exponential backoff until a later attempt succeeds (onRetry hook)
+ *   - Dead-lettering after max attempts (onDead hook) and on permanent errors
+ *   - Expired leases are reclaimed; a reclaimed job past its attempts is dead-lettered
+ *   - Concurrency limit, registered-types-only claiming, stop() waiting for running jobs
+ *   - Retry delay cap and JOB_* environment parsing
+ *
+ * Run with: node tests/job-queue-test.js
+ */
+
+const JobQueue = require('../services/JobQueue');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test doubles
+// ─────────────────────────────────────────────────────────────────────────
+
+/**
+ * In-memory GenerationJob model. Times are epoch ms; every mutation checks
+ * the same conditions as the SQL in models/GenerationJob.js.
+ */
+function buildFakeJobModel() {
+  let nextId = 1;
+  const model = {
+    jobs: new Map(),
+    retryDelays: [],
+
+    async enqueue({ type, payload = {}, idempotencyKey = null, maxAttempts = 3, delayMs = 0 }) {
+      if (idempotencyKey) {
+        const existing = [...model.jobs.values()].find(job => job.idempotency_key === idempotencyKey);
+        if (existing) {
+          if (existing.status === 'dead') await model.requeueDeadJob(existing.id);
+          return { job: { ...existing }, created: false };
+        }
+      }
+      const job = {
+        id: `job-${nextId++}`,
+        type,
+        payload: JSON.parse(JSON.stringify(payload)),
+        status: 'pending',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        run_at: Date.now() + delayMs,
+        locked_by: null,
+        locked_until: null,
+        last_error: null,
+        idempotency_key: idempotencyKey
+      };
+      model.jobs.set(job.id, job);
+      return { job: { ...job }, created: true };
+    },
+
+    claimable(job) {
+      return (job.status === 'pending' && job.run_at <= Date.now()) ||
+        (job.status === 'running' && job.locked_until < Date.now());
+    },
+
+    async claimNext(workerId, types, leaseMs) {
+      const candidate = [...model.jobs.values()]
+        .filter(job => types.includes(job.type) && model.claimable(job))
+        .sort((a, b) => a.run_at - b.run_at)[0];
+      if (!candidate) return null;
+      Object.assign(candidate, {
+        status: 'running',
+        attempts: candidate.attempts + 1,
+        locked_by: workerId,
+        locked_until: Date.now() + leaseMs
+      });
+      return { ...candidate };
+    },
+
+    owned(id, workerId) {
+      const job = model.jobs.get(id);
+      return job && job.locked_by === workerId && job.status === 'running' ? job : null;
+    },
+
+    async extendLease(id, workerId, leaseMs) {
+      const job = model.owned(id, workerId);
+      if (job) job.locked_until = Date.now() + leaseMs;
+      return !!job;
+    },
+
+    async markSucceeded(id, workerId) {
+      const job = model.owned(id, workerId);
+      if (job) Object.assign(job, { status: 'succeeded', locked_by: null, locked_until: null });
+      return !!job;
+    },
+
+    async markForRetry(id, workerId, error, delayMs) {
+      const job = model.owned(id, workerId);
+      model.retryDelays.push(delayMs);
+      if (job) Object.assign(job, { status: 'pending', run_at: Date.now() + delayMs, locked_by: null, locked_until: null, last_error: error });
+      return !!job;
+    },
+
+    async markDead(id, workerId, error) {
+      const job = model.owned(id, workerId);
+      if (job) Object.assign(job, { status: 'dead', locked_by: null, locked_until: null, last_error: error });
+      return !!job;
+    },
+
+    async requeueDeadJob(id) {
+      const job = model.jobs.get(id);
+      if (!job || job.status !== 'dead') return false;
+      Object.assign(job, { status: 'pending', attempts: 0, run_at: Date.now() });
+      return true;
+    }
+  };
+  return model;
+}
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolve once `condition()` is true (or give up after timeoutMs).
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) return true;
+    await sleep(5);
+  }
+  return condition();
+}
+
+function buildQueue(jobModel, options = {}) {
+  return new JobQueue({
+    jobModel,
+    workerId: 'worker-a',
+    pollIntervalMs: 10,
+    leaseMs: 1000,
+    retryBaseMs: 20,
+    retryMaxMs: 1000,
+    logger: silentLogger,
+    ...options
+  });
+}
+
+class JobQueueTestRunner {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const prefix = {
+      info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '📊'
+    }[type] || '📝';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+  }
+
+  assert(condition, testName, detail = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${detail}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${detail}`, 'fail');
+    }
+  }
+
+  async testRunsAndDedupes() {
+    this.log('Testing job execution and idempotency keys', 'section');
+    const jobModel = buildFakeJobModel();
+    const queue = buildQueue(jobModel);
+    const seen = [];
+    queue.register('program_generation', async (payload, job) => {
+      seen.push({ payload, attempts: job.attempts });
+    });
+    queue.start();
+
+    try {
+      const first = await queue.enqueue('program_generation', { program_id: 'p1', mode: 'initial' }, { idempotencyKey: 'program:p1:generate' });
+      const second = await queue.enqueue('program_generation', { program_id: 'p1', mode: 'manual' }, { idempotencyKey: 'program:p1:generate' });
+
+      await waitFor(() => jobModel.jobs.get(first.job.id).status === 'succeeded');
+      await sleep(30);
+
+      this.assert(first.created && !second.created && second.job.id === first.job.id, 'Repeat enqueue with the same key returns the first job');
+      this.assert(jobModel.jobs.size === 1, 'Only one job row is stored for the key');
+      this.assert(
+        seen.length === 1 && seen[0].payload.program_id === 'p1' && seen[0].payload.mode === 'initial' && seen[0].attempts === 1,
+        'Handler runs once with the stored payload',
+        JSON.stringify(seen)
+      );
+      this.assert(jobModel.jobs.get(first.job.id).status === 'succeeded', 'Job is marked succeeded');
+      this.assert(first.job.max_attempts === 3, 'Queue default max attempts applies', `max_attempts=${first.job.max_attempts}`);
+    } finally {
+      await queue.stop();
+    }
+  }
+
+  async testRetriesAndDeadLetters() {
+    this.log('Testing retries, backoff and dead-lettering', 'section');
+
+    // Fails twice, then succeeds.
+    {
+      const jobModel = buildFakeJobModel();
+      const queue = buildQueue(jobModel);
+      const retryCalls = [];
+      let calls = 0;
+      queue.register('therapy_trigger', async () => {
+        calls++;
+        if (calls < 3) throw new Error(`LLM timeout ${calls}`);
+      }, { onRetry: async (job, error, delayMs) => retryCalls.push(`${job.attempts}:${error.message}:${delayMs}`) });
+      queue.start();
+      try {
+        const { job } = await queue.enqueue('therapy_trigger', { step_id: 's1' });
+        await waitFor(() => jobModel.jobs.get(job.id).status === 'succeeded');
+        const stored = jobModel.jobs.get(job.id);
+        this.assert(stored.status === 'succeeded' && stored.attempts === 3, 'Failed attempts are retried until one succeeds', `status=${stored.status}, attempts=${stored.attempts}`);
+        this.assert(JSON.stringify(jobModel.retryDelays) === '[20,40]', 'Retry delay doubles per attempt', JSON.stringify(jobModel.retryDelays));
+        this.assert(stored.last_error === 'LLM timeout 2', 'Last failure is kept on the job', stored.last_error);
+        this.assert(
+          JSON.stringify(retryCalls) === '["1:LLM timeout 1:20","2:LLM timeout 2:40"]',
+          'onRetry runs after each rescheduled attempt with the delay',
+          JSON.stringify(retryCalls)
+        );
+      } finally {
+        await queue.stop();
+      }
+    }
+
+    // Always fails: dead after max attempts, onDead once; re-enqueue revives it.
+    {
+      const jobModel = buildFakeJobModel();
+      const queue = buildQueue(jobModel);
+      const deadCalls = [];
+      let calls = 0;
+      queue.register('program_generation', async () => {
+        calls++;
+        throw new Error('provider down');
+      }, { maxAttempts: 2, onDead: async (job, error) => deadCalls.push({ job, error }) });
+      queue.start();
+      try {
+        const { job } = await queue.enqueue('program_generation', { program_id: 'p2' }, { idempotencyKey: 'program:p2:generate' });
+        await waitFor(() => deadCalls.length > 0);
+        const stored = jobModel.jobs.get(job.id);
+        this.assert(job.max_attempts === 2, 'Type maxAttempts overrides the queue default');
+        this.assert(stored.status === 'dead' && calls === 2, 'Job is dead-lettered after max attempts', `status=${stored.status}, calls=${calls}`);
+        this.assert(
+          deadCalls.length === 1 && deadCalls[0].error.message === 'provider down' && deadCalls[0].job.payload.program_id === 'p2',
+          'onDead receives the job and the final error'
+        );
+
+        const again = await queue.enqueue('program_generation', { program_id: 'p2' }, { idempotencyKey: 'program:p2:generate' });
+        this.assert(!again.created && again.job.id === job.id && again.job.status === 'pending' && again.job.attempts === 0, 'Enqueueing a dead job\'s key requeues it with fresh attempts');
+        await waitFor(() => deadCalls.length > 1);
+        this.assert(calls === 4 && deadCalls.length === 2, 'Requeued job runs its attempts again', `calls=${calls}`);
+      } finally {
+        await queue.stop();
+      }
+    }
+
+    // Permanent errors skip the remaining attempts.
+    {
+      const jobModel = buildFakeJobModel();
+      const queue = buildQueue(jobModel);
+      let calls = 0;
+      queue.register('program_generation', async () => {
+        calls++;
+        const error = new Error('user_name not set on account');
+        error.permanent = true;
+        throw error;
+      });
+      queue.start();
+      try {
+        const { job } = await queue.enqueue('program_generation', { program_id: 'p3' });
+        await waitFor(() => jobModel.jobs.get(job.id).status === 'dead');
+        this.assert(calls === 1 && jobModel.jobs.get(job.id).status === 'dead', 'Permanent error is dead-lettered without retrying', `calls=${calls}`);
+      } finally {
+        await queue.stop();
+      }
+    }
+  }
+
+  async testLeases() {
+    this.log('Testing lease expiry and recovery', 'section');
+    const jobModel = buildFakeJobModel();
+    const queue = buildQueue(jobModel);
+    const ran = [];
+    const deadCalls = [];
+    queue.register('program_generation', async payload => { ran.push(payload.program_id); }, {
+      onDead: async (job, error) => deadCalls.push(error.message)
+    });
+
+    // A worker that died mid-job (attempt 1 of 3) and one that died on its last attempt.
+    const { job: orphan } = await jobModel.enqueue({ type: 'program_generation', payload: { program_id: 'orphan' } });
+    Object.assign(jobModel.jobs.get(orphan.id), { status: 'running', attempts: 1, locked_by: 'worker-crashed', locked_until: Date.now() - 1 });
+    const { job: exhausted } = await jobModel.enqueue({ type: 'program_generation', payload: { program_id: 'exhausted' } });
+    Object.assign(jobModel.jobs.get(exhausted.id), { status: 'running', attempts: 3, locked_by: 'worker-crashed', locked_until: Date.now() - 1 });
+    // Still leased by a live worker: must not be touched.
+    const { job: leased } = await jobModel.enqueue({ type: 'program_generation', payload: { program_id: 'leased' } });
+    Object.assign(jobModel.jobs.get(leased.id), { status: 'running', attempts: 1, locked_by: 'worker-b', locked_until: Date.now() + 60000 });
+
+    queue.start();
+    try {
+      await waitFor(() => jobModel.jobs.get(orphan.id).status === 'succeeded' && jobModel.jobs.get(exhausted.id).status === 'dead');
+      this.assert(jobModel.jobs.get(orphan.id).status === 'succeeded' && ran.includes('orphan'), 'Job with an expired lease is reclaimed and run');
+      this.assert(jobModel.jobs.get(orphan.id).attempts === 2, 'Reclaim counts as a new attempt', `attempts=${jobModel.jobs.get(orphan.id).attempts}`);
+      this.assert(
+        jobModel.jobs.get(exhausted.id).status === 'dead' && !ran.includes('exhausted') && /Lease expired/.test(deadCalls[0] || ''),
+        'Reclaimed job past its attempts is dead-lettered without running',
+        deadCalls[0]
+      );
+      this.assert(jobModel.jobs.get(leased.id).locked_by === 'worker-b' && !ran.includes('leased'), 'Job leased by a live worker is left alone');
+    } finally {
+      await queue.stop();
+    }
+
+    // The lease is renewed while a long job runs.
+    const renewModel = buildFakeJobModel();
+    const renewQueue = buildQueue(renewModel, { leaseMs: 3000 });
+    let release;
+    renewQueue.register('therapy_trigger', () => new Promise(resolve => { release = resolve; }));
+    renewQueue.start();
+    try {
+      const { job } = await renewQueue.enqueue('therapy_trigger', {});
+      await waitFor(() => renewModel.jobs.get(job.id).status === 'running');
+      const initialLease = renewModel.jobs.get(job.id).locked_until;
+      await sleep(1100);
+      this.assert(renewModel.jobs.get(job.id).locked_until > initialLease, 'Lease is renewed while the handler runs');
+      release();
+      await waitFor(() => renewModel.jobs.get(job.id).status === 'succeeded');
+    } finally {
+      if (release) release();
+      await renewQueue.stop();
+    }
+  }
+
+  async testConcurrencyAndLifecycle() {
+    this.log('Testing concurrency, job types and stop()', 'section');
+    const jobModel = buildFakeJobModel();
+    const queue = buildQueue(jobModel, { concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    let finished = 0;
+    queue.register('therapy_trigger', async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(40);
+      running--;
+      finished++;
+    });
+
+    const { job: foreign } = await jobModel.enqueue({ type: 'unknown_type', payload: {} });
+    queue.start();
+    try {
+      for (let i = 0; i < 4; i++) {
+        await queue.enqueue('therapy_trigger', { i });
+      }
+      await waitFor(() => finished === 4);
+      this.assert(finished === 4 && maxRunning === 2, 'No more than `concurrency` jobs run at once', `maxRunning=${maxRunning}`);
+      this.assert(jobModel.jobs.get(foreign.id).status === 'pending', 'Jobs of unregistered types are left for other workers');
+    } finally {
+      await queue.stop();
+    }
+
+    // stop() waits for the running job, then claims nothing more.
+    const stopModel = buildFakeJobModel();
+    const stopQueue = buildQueue(stopModel);
+    let completed = 0;
+    stopQueue.register('therapy_trigger', async () => {
+      await sleep(50);
+      completed++;
+    });
+    stopQueue.start();
+    const { job: first } = await stopQueue.enqueue('therapy_trigger', {});
+    await waitFor(() => stopModel.jobs.get(first.id).status === 'running');
+    await stopQueue.stop();
+    this.assert(completed === 1 && stopModel.jobs.get(first.id).status === 'succeeded', 'stop() waits for running jobs to finish');
+    const { job: later } = await stopQueue.enqueue('therapy_trigger', {});
+    await sleep(50);
+    this.assert(stopModel.jobs.get(later.id).status === 'pending', 'Stopped queue does not claim new jobs');
+  }
+
+  testConfiguration() {
+    this.log('Testing retry delay and environment options', 'section');
+    const queue = buildQueue(buildFakeJobModel(), { retryBaseMs: 30000, retryMaxMs: 100000 });
+    this.assert(
+      queue.retryDelayMs(1) === 30000 && queue.retryDelayMs(2) === 60000 && queue.retryDelayMs(5) === 100000,
+      'Retry delay is exponential and capped'
+    );
+
+    const options = JobQueue.optionsFromEnv({
+      JOB_POLL_INTERVAL_MS: '500',
+      JOB_WORKER_CONCURRENCY: '8',
+      JOB_MAX_ATTEMPTS: '5',
+      JOB_RETRY_BASE_MS: 'soon'
+    });
+    this.assert(
+      options.pollIntervalMs === 500 && options.concurrency === 8 && options.maxAttempts === 5 && !('retryBaseMs' in options) && !('leaseMs' in options),
+      'JOB_* variables are parsed; unset or invalid ones keep defaults',
+      JSON.stringify(options)
+    );
+  }
+
+  async run() {
+    this.log('Starting JobQueue Unit Test Suite', 'section');
+
+    await this.testRunsAndDedupes();
+    await this.testRetriesAndDeadLetters();
+    await this.testLeases();
+    await this.testConcurrencyAndLifecycle();
+    this.testConfiguration();
+
+    this.printSummary();
+    return this.testResults.failed === 0;
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    this.log('JOB QUEUE TEST SUMMARY', 'section');
+    console.log(`Total:  ${this.testResults.total}`);
+    console.log(`Passed: ${this.testResults.passed}`);
+    console.log(`Failed: ${this.testResults.failed}`);
+    console.log('='.repeat(60));
+
+    if (this.testResults.failed === 0) {
+      this.log('All JobQueue tests passed!', 'pass');
+    } else {
+      this.log(`${this.testResults.failed} test(s) failed`, 'fail');
+    }
+  }
+}
+
+if (require.main === module) {
+  const runner = new JobQueueTestRunner();
+  runner.run()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(err => {
+      console.error('Test runner failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = JobQueueTestRunner;
@@ -0,0 +1,248 @@
+/**
+ * LLM Usage Report Integration Tests
+ *
+ * Covers GET /api/admin/llm-usage against a live API process and checks that
+ * program generation writes llm_usage rows. Requires TEST_MOCK_LLM=true on the
+ * server so generation is instant and free (mock calls record 0 tokens).
+ *
+ * What is tested:
+ *   - 401  No token supplied
+ *   - 403  Authenticated as a regular user (not admin)
+ *   - 400  Malformed / inverted date range
+ *   - 200  Report shape (totals, by_day, by_org, by_feature)
+ *   - Creating a program adds an `initial_program` usage row
+ *
+ * Run standalone:  node tests/llm-usage-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+class LLMUsageTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { adminToken: null, user: null, userToken: null };
+    this.runId = `${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = null) {
+    const config = {
+      method,
+      url: `${this.baseURL}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  // Yesterday..tomorrow (UTC) so the range covers "today" whatever the
+  // database server's time zone.
+  reportRange() {
+    const day = 86400000;
+    const iso = (offset) => new Date(Date.now() + offset).toISOString().slice(0, 10);
+    return { from: iso(-day), to: iso(day) };
+  }
+
+  async fetchReport(token = this.testData.adminToken) {
+    const { from, to } = this.reportRange();
+    return this.http('GET', `/api/admin/llm-usage?from=${from}&to=${to}`, null, token);
+  }
+
+  featureCalls(report, feature) {
+    const row = (report?.by_feature || []).find(r => r.feature === feature);
+    return row ? row.calls : 0;
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: an admin + a regular user with a name set
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    const adminEmail = `llm-usage-test_${this.runId}@example.com`;
+    const adminPassword = 'Zpfg8K3qVt!';
+    const regRes = await this.http('POST', '/api/admin/auth/register', { email: adminEmail, password: adminPassword });
+    if (regRes.status !== 201) {
+      this.log(`Admin register failed: ${JSON.stringify(regRes.data)}`, 'fail');
+      return false;
+    }
+    const loginRes = await this.http('POST', '/api/admin/auth/login', { email: adminEmail, password: adminPassword });
+    if (loginRes.status !== 200) {
+      this.log(`Admin login failed: ${JSON.stringify(loginRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.adminToken = loginRes.data.access_token;
+    this.log(`Admin created & logged in: ${adminEmail}`, 'data');
+
+    const userEmail = generateTestEmail('llm-usage-test');
+    const userRes = await this.http('POST', '/api/users', { email: userEmail, password: 'SecurePass987!' });
+    if (![200, 201].includes(userRes.status)) {
+      this.log(`User creation failed: ${JSON.stringify(userRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.user = userRes.data.user;
+    this.testData.userToken = userRes.data.access_token;
+
+    const nameRes = await this.http('PUT', `/api/users/${this.testData.user.id}`, {
+      user_name: 'Usage',
+      partner_name: 'Partner'
+    }, this.testData.userToken);
+    if (nameRes.status !== 200) {
+      this.log(`Setting user name failed: ${JSON.stringify(nameRes.data)}`, 'fail');
+      return false;
+    }
+    this.log(`User created: ${userEmail} (id: ${this.testData.user.id})`, 'data');
+
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Auth / access control
+  // ─────────────────────────────────────────────
+  async runAuthTests() {
+    this.log('Auth / access control', 'section');
+
+    const noToken = await this.http('GET', '/api/admin/llm-usage');
+    this.assert(noToken.status === 401, 'No token → 401', `got ${noToken.status}`);
+
+    const regularUser = await this.fetchReport(this.testData.userToken);
+    this.assert(regularUser.status === 403, 'Regular user token → 403', `got ${regularUser.status}`);
+    this.assert(
+      regularUser.data?.error === 'Admin access required',
+      'Regular user token → correct error message',
+      `got "${regularUser.data?.error}"`
+    );
+  }
+
+  // ─────────────────────────────────────────────
+  // Input validation
+  // ─────────────────────────────────────────────
+  async runValidationTests() {
+    this.log('Input validation', 'section');
+
+    const tok = this.testData.adminToken;
+
+    const badFormat = await this.http('GET', '/api/admin/llm-usage?from=last-week', null, tok);
+    this.assert(badFormat.status === 400, 'Malformed from → 400', `got ${badFormat.status}`);
+
+    const inverted = await this.http('GET', '/api/admin/llm-usage?from=2026-02-10&to=2026-02-01', null, tok);
+    this.assert(inverted.status === 400, 'from after to → 400', `got ${inverted.status}`);
+
+    const tooWide = await this.http('GET', '/api/admin/llm-usage?from=2020-01-01&to=2026-01-01', null, tok);
+    this.assert(tooWide.status === 400, 'Range over 366 days → 400', `got ${tooWide.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Report shape + recording from program generation
+  // ─────────────────────────────────────────────
+  async runReportTests() {
+    this.log('Report + usage recording', 'section');
+
+    const before = await this.fetchReport();
+    this.assert(before.status === 200, 'Admin report → 200', `got ${before.status}`);
+    const report = before.data?.report;
+    this.assert(
+      report && typeof report.totals?.cost_usd === 'number' && typeof report.totals?.calls === 'number',
+      'Report totals are numeric',
+      JSON.stringify(report?.totals)
+    );
+    this.assert(
+      Array.isArray(report?.by_day) && Array.isArray(report?.by_org) && Array.isArray(report?.by_feature),
+      'Report has by_day / by_org / by_feature breakdowns'
+    );
+
+    const defaultRange = await this.http('GET', '/api/admin/llm-usage', null, this.testData.adminToken);
+    this.assert(
+      defaultRange.status === 200 && defaultRange.data?.report?.from && defaultRange.data?.report?.to,
+      'Range defaults when from/to omitted',
+      `${defaultRange.data?.report?.from} → ${defaultRange.data?.report?.to}`
+    );
+
+    const initialBefore = this.featureCalls(report, 'initial_program');
+
+    const createRes = await this.http('POST', '/api/programs', {
+      user_input: 'We want to communicate better about weekend plans.'
+    }, this.testData.userToken);
+    this.assert(createRes.status === 201, 'Program created → 201', `got ${createRes.status}`);
+
+    // Generation runs in the background; poll until the usage row lands.
+    let initialAfter = initialBefore;
+    let latest = null;
+    for (let attempt = 0; attempt < 20 && initialAfter <= initialBefore; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const res = await this.fetchReport();
+      latest = res.data?.report;
+      initialAfter = this.featureCalls(latest, 'initial_program');
+    }
+
+    this.assert(
+      initialAfter > initialBefore,
+      'Program generation recorded an initial_program usage row',
+      `${initialBefore} → ${initialAfter}`
+    );
+    this.assert(
+      (latest?.by_day || []).length > 0 && (latest?.by_org || []).length > 0,
+      'Recorded usage appears in day and org breakdowns'
+    );
+  }
+
+  async runAllTests() {
+    this.log('LLM Usage Report Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    await this.runAuthTests();
+    await this.runValidationTests();
+    await this.runReportTests();
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('LLM Usage Report TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All LLM usage report tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new LLMUsageTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = LLMUsageTestRunner;
@@ -2,7 +2,7 @@
  * llm_used Column Test
  *
  * Verifies that newly created programs have the llm_used column populated
- * with the OpenAI model name from HopefulPromptService (e.g. "gpt-5.4").
+ * with the provider and model from the prompt service (e.g. "openai:gpt-5.4").
  *
  * Usage:
  *   node tests/llm-used-test.js [--keep-data]
@@ -62,14 +62,21 @@ async function main() {
   );
 
   const expectedModels = ['gpt-5.4'];
-  const modelOverrideSet = process.env.OPENAI_MODEL;
+  const modelOverrideSet = process.env.OPENAI_MODEL || process.env.LLM_PROVIDER;
   const isKnownModel = expectedModels.includes(service.model) || !!modelOverrideSet;
   assert(
     isKnownModel,
-    'PromptService.model is a recognised value (or overridden via OPENAI_MODEL)',
+    'PromptService.model is a recognised value (or overridden via OPENAI_MODEL / LLM_PROVIDER)',
     `model = "${service.model}"`
   );
 
+  const expectedLlmUsed = service.describeLLM();
+  assert(
+    expectedLlmUsed === `${service.provider}:${service.model}`,
+    'describeLLM() returns provider:model',
+    `describeLLM() = "${expectedLlmUsed}"`
+  );
+
   // ── Integration tests ─────────────────────────────────────────────────────
   console.log('\n🧪 Integration Tests\n');
 
@@ -121,9 +128,9 @@ async function main() {
       `llm_used = "${llmUsedInResponse}"`
     );
     assert(
-      llmUsedInResponse === service.model,
-      'llm_used matches PromptService.model',
-      `response "${llmUsedInResponse}" === service "${service.model}"`
+      llmUsedInResponse === expectedLlmUsed,
+      'llm_used matches PromptService.describeLLM()',
+      `response "${llmUsedInResponse}" === service "${expectedLlmUsed}"`
     );
 
     // 4. Verify the value is persisted in the database
@@ -139,9 +146,9 @@ async function main() {
         `DB value = "${dbLlmUsed}"`
       );
       assert(
-        dbLlmUsed === service.model,
-        'DB llm_used matches PromptService.model',
-        `DB "${dbLlmUsed}" === service "${service.model}"`
+        dbLlmUsed === expectedLlmUsed,
+        'DB llm_used matches PromptService.describeLLM()',
+        `DB "${dbLlmUsed}" === service "${expectedLlmUsed}"`
       );
     }
 
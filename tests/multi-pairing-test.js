@@ -0,0 +1,341 @@
+/**
+ * Multi-Pairing Integration Tests
+ *
+ * Covers a user in several accepted pairings (e.g. a coach) against a live
+ * API process:
+ *
+ *   PUT /api/admin/users/:id/max-pairings          raise the pairing limit
+ *   PUT /api/users/:id { active_pairing_id }       default pairing for new programs
+ *   POST /api/programs                             omitted pairing_id → active pairing
+ *   GET /api/programs?pairing_id=<id>|none         per-pairing program lists
+ *   PUT /api/users/:id/notification-preferences    { pairings: { <id>: false } }
+ *   GET /api/profile                               active_pairing_id, premium_pairing_ids
+ *
+ * What is tested:
+ *   - 403 / 400  max-pairings as a regular user or with a bad value
+ *   - The coach can hold two accepted pairings once the limit is raised
+ *   - 400  active_pairing_id of someone else's pairing; muting a pairing the
+ *          caller is not in
+ *   - Program creation follows the active pairing; explicit pairing_id and
+ *     pairing_id: null still win; each list only holds its pairing's programs
+ *   - Ending the active pairing clears active_pairing_id
+ *
+ * Push delivery for muted pairings is covered by the
+ * PushNotificationService unit tests.
+ *
+ * Run standalone:  node tests/multi-pairing-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+class MultiPairingTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.runId = `${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { adminToken: null, users: {}, pairings: {}, programs: {} };
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = null) {
+    const config = {
+      method,
+      url: `${this.baseURL}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  async createUser(userName) {
+    const res = await this.http('POST', '/api/users', {
+      email: generateTestEmail('multi-pairing-test'),
+      password: 'SecurePass987!'
+    });
+    if (![200, 201].includes(res.status)) {
+      this.log(`User creation failed: ${JSON.stringify(res.data)}`, 'fail');
+      return null;
+    }
+    const user = { id: res.data.user.id, token: res.data.access_token };
+    await this.http('PUT', `/api/users/${user.id}`, { user_name: userName }, user.token);
+    return user;
+  }
+
+  // Pair `requester` and `accepter` through a fresh partner code; resolves to the pairing id.
+  async pair(requester, accepter) {
+    const request = await this.http('POST', '/api/pairing/request', null, requester.token);
+    if (request.status !== 201) return { status: request.status, error: request.data.error };
+    const accept = await this.http('POST', '/api/pairing/accept', { partner_code: request.data.partner_code }, accepter.token);
+    return { status: accept.status, error: accept.data && accept.data.error, pairingId: request.data.pairing_id };
+  }
+
+  async createProgram(user, body) {
+    return this.http('POST', '/api/programs', { user_input: 'We want to check in with each other more.', ...body }, user.token);
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: an admin, a coach and two clients
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    const adminEmail = `multi-pairing-test_${this.runId}@example.com`;
+    const adminPassword = 'Zpfg8K3qVt!';
+    const regRes = await this.http('POST', '/api/admin/auth/register', { email: adminEmail, password: adminPassword });
+    if (regRes.status !== 201) {
+      this.log(`Admin register failed: ${JSON.stringify(regRes.data)}`, 'fail');
+      return false;
+    }
+    const loginRes = await this.http('POST', '/api/admin/auth/login', { email: adminEmail, password: adminPassword });
+    if (loginRes.status !== 200) {
+      this.log(`Admin login failed: ${JSON.stringify(loginRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.adminToken = loginRes.data.access_token;
+
+    for (const name of ['Coach', 'Ann', 'Ben']) {
+      const user = await this.createUser(name);
+      if (!user) return false;
+      this.testData.users[name.toLowerCase()] = user;
+    }
+
+    this.log(`Users ${Object.values(this.testData.users).map(u => u.id).join(', ')}`, 'data');
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // max_pairings
+  // ─────────────────────────────────────────────
+  async runMaxPairingsTests() {
+    this.log('max_pairings', 'section');
+    const { coach, ann, ben } = this.testData.users;
+    const path = `/api/admin/users/${coach.id}/max-pairings`;
+
+    const asUser = await this.http('PUT', path, { max_pairings: 2 }, coach.token);
+    this.assert([401, 403].includes(asUser.status), 'max-pairings as a regular user → 401/403', `Status: ${asUser.status}`);
+
+    const bad = await this.http('PUT', path, { max_pairings: 0 }, this.testData.adminToken);
+    this.assert(bad.status === 400, 'max-pairings 0 → 400', `Status: ${bad.status}`);
+
+    const raised = await this.http('PUT', path, { max_pairings: 2 }, this.testData.adminToken);
+    this.assert(
+      raised.status === 200 && raised.data.user.max_pairings === 2,
+      'Admin raises the coach to two pairings',
+      `Status: ${raised.status} ${raised.data.error || ''}`
+    );
+
+    const withAnn = await this.pair(coach, ann);
+    const withBen = await this.pair(coach, ben);
+    this.assert(
+      withAnn.status === 200 && withBen.status === 200,
+      'Coach holds two accepted pairings',
+      `Status: ${withAnn.status} ${withAnn.error || ''} / ${withBen.status} ${withBen.error || ''}`
+    );
+    this.testData.pairings = { ann: withAnn.pairingId, ben: withBen.pairingId };
+  }
+
+  // ─────────────────────────────────────────────
+  // Active pairing + program creation
+  // ─────────────────────────────────────────────
+  async runActivePairingTests() {
+    this.log('Active pairing', 'section');
+    const { coach, ann } = this.testData.users;
+    const { pairings } = this.testData;
+
+    const notMine = await this.http('PUT', `/api/users/${ann.id}`, { active_pairing_id: pairings.ben }, ann.token);
+    this.assert(notMine.status === 400, 'active_pairing_id of someone else\'s pairing → 400', `Status: ${notMine.status}`);
+
+    const set = await this.http('PUT', `/api/users/${coach.id}`, { active_pairing_id: pairings.ben }, coach.token);
+    this.assert(
+      set.status === 200 && set.data.user.active_pairing_id === pairings.ben,
+      'Coach selects the Ben pairing as active',
+      `Status: ${set.status} ${set.data.error || ''}`
+    );
+
+    const profile = await this.http('GET', '/api/profile', null, coach.token);
+    const accepted = (profile.data.profile?.pairings || []).filter(p => p.status === 'accepted');
+    this.assert(
+      profile.status === 200 && accepted.length === 2 && profile.data.profile.active_pairing_id === pairings.ben &&
+        Array.isArray(profile.data.profile.premium_pairing_ids),
+      'Profile lists both pairings, the active one and premium_pairing_ids',
+      JSON.stringify({ accepted: accepted.length, active: profile.data.profile?.active_pairing_id })
+    );
+
+    const byDefault = await this.createProgram(coach, {});
+    const explicit = await this.createProgram(coach, { pairing_id: pairings.ann });
+    const solo = await this.createProgram(coach, { pairing_id: null });
+    this.assert(
+      byDefault.status === 201 && byDefault.data.program.pairing_id === pairings.ben,
+      'Program without pairing_id uses the active pairing',
+      `Status: ${byDefault.status} ${byDefault.data.error || ''}`
+    );
+    this.assert(
+      explicit.status === 201 && explicit.data.program.pairing_id === pairings.ann &&
+        solo.status === 201 && !solo.data.program.pairing_id,
+      'Explicit pairing_id and pairing_id: null override the active pairing'
+    );
+    this.testData.programs = {
+      ben: byDefault.data.program?.id,
+      ann: explicit.data.program?.id,
+      solo: solo.data.program?.id
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // Per-pairing program lists
+  // ─────────────────────────────────────────────
+  async runProgramListTests() {
+    this.log('Per-pairing program lists', 'section');
+    const { coach, ann } = this.testData.users;
+    const { pairings, programs } = this.testData;
+    const ids = res => (res.data.programs || []).map(p => p.id);
+
+    const annList = await this.http('GET', `/api/programs?pairing_id=${pairings.ann}`, null, coach.token);
+    this.assert(
+      annList.status === 200 && ids(annList).join() === programs.ann &&
+        annList.data.programs.every(p => typeof p.pairing_premium === 'boolean'),
+      '?pairing_id lists only that pairing\'s programs, with pairing_premium',
+      JSON.stringify(ids(annList))
+    );
+
+    const soloList = await this.http('GET', '/api/programs?pairing_id=none', null, coach.token);
+    this.assert(
+      soloList.status === 200 && ids(soloList).join() === programs.solo && soloList.data.programs[0].pairing_premium === null,
+      '?pairing_id=none lists solo programs',
+      JSON.stringify(ids(soloList))
+    );
+
+    const all = await this.http('GET', '/api/programs', null, coach.token);
+    this.assert(
+      [programs.ann, programs.ben, programs.solo].every(id => ids(all).includes(id)),
+      'Unfiltered list still has every program'
+    );
+
+    const annView = await this.http('GET', '/api/programs', null, ann.token);
+    this.assert(
+      ids(annView).includes(programs.ann) && !ids(annView).includes(programs.ben) && !ids(annView).includes(programs.solo),
+      'A client only sees their own pairing\'s programs'
+    );
+  }
+
+  // ─────────────────────────────────────────────
+  // Per-pairing notification mutes
+  // ─────────────────────────────────────────────
+  async runNotificationTests() {
+    this.log('Per-pairing notifications', 'section');
+    const { coach, ann } = this.testData.users;
+    const { pairings } = this.testData;
+
+    const muted = await this.http('PUT', `/api/users/${coach.id}/notification-preferences`, {
+      pairings: { [pairings.ann]: false }
+    }, coach.token);
+    this.assert(
+      muted.status === 200 && muted.data.preferences.pairings[pairings.ann] === false &&
+        !(pairings.ben in muted.data.preferences.pairings),
+      'Coach mutes the Ann pairing',
+      `Status: ${muted.status} ${muted.data.error || ''}`
+    );
+
+    const notMine = await this.http('PUT', `/api/users/${ann.id}/notification-preferences`, {
+      pairings: { [pairings.ben]: false }
+    }, ann.token);
+    this.assert(notMine.status === 400, 'Muting a pairing the caller is not in → 400', `Status: ${notMine.status}`);
+
+    const unmuted = await this.http('PUT', `/api/users/${coach.id}/notification-preferences`, {
+      pairings: { [pairings.ann]: true }
+    }, coach.token);
+    this.assert(
+      unmuted.status === 200 && !(pairings.ann in unmuted.data.preferences.pairings),
+      'Unmuting removes the pairing from the map'
+    );
+  }
+
+  // ─────────────────────────────────────────────
+  // Ending the active pairing
+  // ─────────────────────────────────────────────
+  async runEndTests() {
+    this.log('Ending the active pairing', 'section');
+    const { coach } = this.testData.users;
+    const { pairings } = this.testData;
+
+    const ended = await this.http('POST', `/api/pairing/${pairings.ben}/end`, null, coach.token);
+    const profile = await this.http('GET', '/api/profile', null, coach.token);
+    this.assert(
+      ended.status === 200 && profile.data.profile.active_pairing_id === null,
+      'Ending the active pairing clears active_pairing_id',
+      `Status: ${ended.status}, active: ${profile.data.profile?.active_pairing_id}`
+    );
+
+    const byDefault = await this.createProgram(coach, {});
+    this.assert(
+      byDefault.status === 201 && !byDefault.data.program.pairing_id,
+      'Without an active pairing a new program is solo',
+      `Status: ${byDefault.status}`
+    );
+  }
+
+  async runAllTests() {
+    this.log('Multi-Pairing Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    await this.runMaxPairingsTests();
+    if (!this.testData.pairings.ann || !this.testData.pairings.ben) {
+      this.log('Pairings not created — skipping remaining tests', 'warn');
+    } else {
+      await this.runActivePairingTests();
+      await this.runProgramListTests();
+      await this.runNotificationTests();
+      await this.runEndTests();
+    }
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Multi-Pairing TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All multi-pairing tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new MultiPairingTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = MultiPairingTestRunner;
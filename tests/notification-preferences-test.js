@@ -0,0 +1,229 @@
+/**
+ * Notification Preferences Integration Tests
+ *
+ * Covers GET / PUT /api/users/:id/notification-preferences against a live
+ * API process.
+ *
+ * What is tested:
+ *   - 401  No token supplied
+ *   - 403  Another user's preferences (GET and PUT)
+ *   - Defaults: every kind on, quiet hours off (22:00 → 07:00), UTC
+ *   - 400  Empty body, unknown kind, non-boolean toggle, bad HH:MM,
+ *          start == end, unknown timezone
+ *   - 200  Partial updates: kind toggles merge, quiet hours / timezone
+ *          replace, and a later GET returns the saved values
+ *
+ * Delivery rules (opted-out kinds dropped, quiet hours deferred) are unit
+ * tested in push-notification-service-test.js.
+ *
+ * Run standalone:  node tests/notification-preferences-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+class NotificationPreferencesTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { users: [] };
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, userId, data = null, token = null) {
+    const config = {
+      method,
+      url: `${this.baseURL}/api/users/${userId}/notification-preferences`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: two users
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    for (let i = 0; i < 2; i++) {
+      const res = await axios.post(`${this.baseURL}/api/users`, {
+        email: generateTestEmail('notification-preferences-test'),
+        password: 'SecurePass987!'
+      }, { validateStatus: () => true });
+      if (![200, 201].includes(res.status)) {
+        this.log(`User creation failed: ${JSON.stringify(res.data)}`, 'fail');
+        return false;
+      }
+      this.testData.users.push({ id: res.data.user.id, token: res.data.access_token });
+    }
+    this.log(`Created users ${this.testData.users.map(u => u.id).join(', ')}`, 'data');
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Auth
+  // ─────────────────────────────────────────────
+  async runAuthTests() {
+    this.log('Auth', 'section');
+    const [alice, bob] = this.testData.users;
+
+    const noToken = await this.http('GET', alice.id);
+    this.assert(noToken.status === 401, 'GET without token → 401', `Status: ${noToken.status}`);
+
+    const otherGet = await this.http('GET', alice.id, null, bob.token);
+    this.assert(otherGet.status === 403, "GET another user's preferences → 403", `Status: ${otherGet.status}`);
+
+    const otherPut = await this.http('PUT', alice.id, { kinds: { step_message: false } }, bob.token);
+    this.assert(otherPut.status === 403, "PUT another user's preferences → 403", `Status: ${otherPut.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Defaults
+  // ─────────────────────────────────────────────
+  async runDefaultTests() {
+    this.log('Defaults', 'section');
+    const [alice] = this.testData.users;
+
+    const res = await this.http('GET', alice.id, null, alice.token);
+    const preferences = res.data.preferences || {};
+    this.assert(res.status === 200, 'GET own preferences → 200', `Status: ${res.status}`);
+    this.assert(
+      preferences.kinds && Object.values(preferences.kinds).length > 0 && Object.values(preferences.kinds).every(v => v === true),
+      'Every kind is on by default',
+      JSON.stringify(preferences.kinds)
+    );
+    this.assert(
+      preferences.quiet_hours && preferences.quiet_hours.enabled === false &&
+        preferences.quiet_hours.start === '22:00' && preferences.quiet_hours.end === '07:00',
+      'Quiet hours off by default (22:00 → 07:00)',
+      JSON.stringify(preferences.quiet_hours)
+    );
+    this.assert(preferences.timezone === 'UTC', 'Timezone defaults to UTC', preferences.timezone);
+  }
+
+  // ─────────────────────────────────────────────
+  // Validation
+  // ─────────────────────────────────────────────
+  async runValidationTests() {
+    this.log('Validation', 'section');
+    const [alice] = this.testData.users;
+
+    const cases = [
+      ['Empty body', {}],
+      ['Unknown kind', { kinds: { not_a_kind: false } }],
+      ['Non-boolean toggle', { kinds: { step_message: 'off' } }],
+      ['kinds as an array', { kinds: ['step_message'] }],
+      ['Bad quiet hours time', { quiet_hours: { start: '7pm' } }],
+      ['Non-boolean quiet hours enabled', { quiet_hours: { enabled: 'yes' } }],
+      ['Quiet hours start == end', { quiet_hours: { start: '07:00', end: '07:00' } }],
+      ['Unknown timezone', { timezone: 'Mars/Olympus_Mons' }]
+    ];
+    for (const [name, body] of cases) {
+      const res = await this.http('PUT', alice.id, body, alice.token);
+      this.assert(res.status === 400 && typeof res.data.error === 'string', `${name} → 400`, `Status: ${res.status} ${res.data.error || ''}`);
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Updates
+  // ─────────────────────────────────────────────
+  async runUpdateTests() {
+    this.log('Updates', 'section');
+    const [alice] = this.testData.users;
+
+    const first = await this.http('PUT', alice.id, {
+      kinds: { step_message: false },
+      quiet_hours: { enabled: true, start: '21:30', end: '06:45' },
+      timezone: 'America/Chicago'
+    }, alice.token);
+    const saved = first.data.preferences || {};
+    this.assert(first.status === 200, 'PUT preferences → 200', `Status: ${first.status}`);
+    this.assert(
+      saved.kinds && saved.kinds.step_message === false && saved.kinds.therapy_response === true,
+      'Turned-off kind saved, other kinds untouched'
+    );
+    this.assert(
+      saved.quiet_hours && saved.quiet_hours.enabled === true && saved.quiet_hours.start === '21:30' &&
+        saved.quiet_hours.end === '06:45' && saved.timezone === 'America/Chicago',
+      'Quiet hours and timezone saved',
+      JSON.stringify({ quiet_hours: saved.quiet_hours, timezone: saved.timezone })
+    );
+
+    const second = await this.http('PUT', alice.id, { kinds: { program_ready: false }, quiet_hours: { enabled: false } }, alice.token);
+    const merged = second.data.preferences || {};
+    this.assert(
+      second.status === 200 && merged.kinds.step_message === false && merged.kinds.program_ready === false,
+      'Kind toggles merge across updates'
+    );
+    this.assert(
+      merged.quiet_hours.enabled === false && merged.quiet_hours.start === '21:30' && merged.timezone === 'America/Chicago',
+      'Partial quiet_hours update keeps the other fields'
+    );
+
+    const reread = await this.http('GET', alice.id, null, alice.token);
+    this.assert(
+      reread.status === 200 && JSON.stringify(reread.data.preferences.kinds) === JSON.stringify(merged.kinds),
+      'GET returns the saved preferences'
+    );
+  }
+
+  async runAllTests() {
+    this.log('Notification Preferences Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    await this.runAuthTests();
+    await this.runDefaultTests();
+    await this.runValidationTests();
+    await this.runUpdateTests();
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Notification Preferences TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All notification preferences tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new NotificationPreferencesTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = NotificationPreferencesTestRunner;
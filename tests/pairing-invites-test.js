@@ -0,0 +1,265 @@
+/**
+ * Pairing Invites Integration Tests
+ *
+ * Covers expiring partner codes, regeneration and signed invite links
+ * against a live API process:
+ *
+ *   POST /api/pairing/request              expires_at on the partner code
+ *   POST /api/pairing/request/regenerate   new code; old code + invite links revoked
+ *   POST /api/pairing/invites              signed invite token for the open code
+ *   GET  /api/pairing/invites/:token       public preview (inviter name, expiry)
+ *   POST /api/pairing/invites/:token/accept
+ *   POST /api/users { invite_token }       redeem right after sign-up
+ *
+ * What is tested:
+ *   - Partner codes carry expires_at; regenerating replaces the code and the
+ *     old code no longer accepts (404)
+ *   - Invite preview shows the inviter's display name and never the code
+ *   - 404  Garbage token, revoked (regenerated) invite, already-used invite
+ *   - 401  Creating / accepting an invite without a token
+ *   - Accepting an invite pairs the users; sign-up with invite_token pairs
+ *     the new user and skips their automatic partner code; a bad
+ *     invite_token still creates the account
+ *
+ * The failed-accept rate limit (PAIRING_ACCEPT_RATE_LIMIT) is not exercised
+ * here so the suite stays independent of the limiter's window.
+ *
+ * Run standalone:  node tests/pairing-invites-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+class PairingInvitesTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { users: [] };
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = null) {
+    const config = {
+      method,
+      url: `${this.baseURL}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  async createUser(body = {}) {
+    const res = await this.http('POST', '/api/users', {
+      email: generateTestEmail('pairing-invites-test'),
+      password: 'SecurePass987!',
+      ...body
+    });
+    if (![200, 201].includes(res.status)) {
+      this.log(`User creation failed: ${JSON.stringify(res.data)}`, 'fail');
+      return null;
+    }
+    return { id: res.data.user.id, token: res.data.access_token, signup: res.data };
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: inviter (with a display name) + two invitees
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    for (let i = 0; i < 3; i++) {
+      const user = await this.createUser();
+      if (!user) return false;
+      this.testData.users.push(user);
+    }
+    const [inviter] = this.testData.users;
+    const named = await this.http('PUT', `/api/users/${inviter.id}`, { user_name: 'Invite Tester' }, inviter.token);
+    if (named.status !== 200) {
+      this.log(`Setting user_name failed: ${JSON.stringify(named.data)}`, 'fail');
+      return false;
+    }
+    this.log(`Created users ${this.testData.users.map(u => u.id).join(', ')}`, 'data');
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Partner code expiry + regeneration
+  // ─────────────────────────────────────────────
+  async runPartnerCodeTests() {
+    this.log('Partner code expiry + regeneration', 'section');
+    const [inviter, invitee] = this.testData.users;
+
+    const request = await this.http('POST', '/api/pairing/request', null, inviter.token);
+    this.assert(
+      request.status === 201 && typeof request.data.partner_code === 'string',
+      'POST /request returns the open partner code',
+      `Status: ${request.status}`
+    );
+    this.assert(
+      request.data.expires_at === null || !Number.isNaN(Date.parse(request.data.expires_at)),
+      'Partner code carries expires_at',
+      String(request.data.expires_at)
+    );
+
+    const regenerated = await this.http('POST', '/api/pairing/request/regenerate', null, inviter.token);
+    this.assert(
+      regenerated.status === 201 && regenerated.data.partner_code && regenerated.data.pairing_id !== request.data.pairing_id,
+      'POST /request/regenerate issues a new partner code',
+      `Status: ${regenerated.status}`
+    );
+
+    const oldAccept = await this.http('POST', '/api/pairing/accept', { partner_code: request.data.partner_code }, invitee.token);
+    this.assert(
+      oldAccept.status === 404,
+      'Regenerated-away code no longer accepts → 404',
+      `Status: ${oldAccept.status}`
+    );
+
+    const again = await this.http('POST', '/api/pairing/request', null, inviter.token);
+    this.assert(
+      again.status === 201 && again.data.partner_code === regenerated.data.partner_code,
+      'POST /request returns the regenerated code'
+    );
+
+    const noAuth = await this.http('POST', '/api/pairing/request/regenerate');
+    this.assert(noAuth.status === 401, 'Regenerate without token → 401', `Status: ${noAuth.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Invite links
+  // ─────────────────────────────────────────────
+  async runInviteTests() {
+    this.log('Invite links', 'section');
+    const [inviter, invitee] = this.testData.users;
+
+    const noAuth = await this.http('POST', '/api/pairing/invites');
+    this.assert(noAuth.status === 401, 'Create invite without token → 401', `Status: ${noAuth.status}`);
+
+    const first = await this.http('POST', '/api/pairing/invites', null, inviter.token);
+    this.assert(
+      first.status === 201 && typeof first.data.invite_token === 'string' && first.data.partner_code,
+      'POST /invites returns a signed invite token',
+      `Status: ${first.status}`
+    );
+
+    const preview = await this.http('GET', `/api/pairing/invites/${first.data.invite_token}`);
+    const invite = preview.data.invite || {};
+    this.assert(
+      preview.status === 200 && invite.inviter && invite.inviter.user_name === 'Invite Tester',
+      'Preview shows the inviter display name (no auth needed)',
+      `Status: ${preview.status} ${JSON.stringify(invite)}`
+    );
+    this.assert(
+      !JSON.stringify(preview.data).includes(first.data.partner_code),
+      'Preview does not reveal the partner code'
+    );
+
+    const garbage = await this.http('GET', '/api/pairing/invites/not-a-real-token');
+    this.assert(garbage.status === 404, 'Garbage invite token → 404', `Status: ${garbage.status}`);
+
+    // Regenerating the code revokes invites built on the old one.
+    await this.http('POST', '/api/pairing/request/regenerate', null, inviter.token);
+    const revoked = await this.http('GET', `/api/pairing/invites/${first.data.invite_token}`);
+    this.assert(revoked.status === 404, 'Invite for a regenerated code → 404', `Status: ${revoked.status}`);
+
+    const second = await this.http('POST', '/api/pairing/invites', null, inviter.token);
+    const acceptNoAuth = await this.http('POST', `/api/pairing/invites/${second.data.invite_token}/accept`);
+    this.assert(acceptNoAuth.status === 401, 'Accept invite without token → 401', `Status: ${acceptNoAuth.status}`);
+
+    const accepted = await this.http('POST', `/api/pairing/invites/${second.data.invite_token}/accept`, null, invitee.token);
+    this.assert(
+      accepted.status === 200 && accepted.data.pairing && accepted.data.pairing.requester.id === inviter.id,
+      'Accepting an invite pairs the users',
+      `Status: ${accepted.status} ${accepted.data.error || ''}`
+    );
+
+    const reused = await this.http('GET', `/api/pairing/invites/${second.data.invite_token}`);
+    this.assert(reused.status === 404, 'Used invite → 404', `Status: ${reused.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Redeem at sign-up
+  // ─────────────────────────────────────────────
+  async runSignupTests() {
+    this.log('Redeem at sign-up', 'section');
+    const [, , signupInviter] = this.testData.users;
+
+    const created = await this.http('POST', '/api/pairing/invites', null, signupInviter.token);
+    const newUser = await this.createUser({ invite_token: created.data.invite_token });
+    const signup = newUser ? newUser.signup : {};
+    this.assert(
+      signup.invite && signup.invite.accepted === true && signup.invite.pairing_id === created.data.pairing_id,
+      'Sign-up with invite_token pairs the new user',
+      JSON.stringify(signup.invite)
+    );
+    this.assert(
+      !signup.pairing_code && (signup.pairings || []).some(p => p.status === 'accepted' && p.partner && p.partner.id === signupInviter.id),
+      'No automatic partner code; the accepted pairing is returned'
+    );
+
+    const badInvite = await this.createUser({ invite_token: 'not-a-real-token' });
+    this.assert(
+      badInvite && badInvite.signup.invite && badInvite.signup.invite.accepted === false && badInvite.signup.pairing_code,
+      'Bad invite_token still creates the account with its own partner code',
+      badInvite ? JSON.stringify(badInvite.signup.invite) : 'signup failed'
+    );
+  }
+
+  async runAllTests() {
+    this.log('Pairing Invites Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    await this.runPartnerCodeTests();
+    await this.runInviteTests();
+    await this.runSignupTests();
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Pairing Invites TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All pairing invites tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new PairingInvitesTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = PairingInvitesTestRunner;
@@ -195,8 +195,30 @@ class PairingLifecycleTestRunner {
     const user2 = await this.createUser('pl-del-u2');
     const outsider = await this.createUser('pl-del-out');
 
+    // An accepted pairing cannot be deleted; it must be ended (POST /:id/end)
+    const accepted = await this.requestPairing(outsider);
+    await this.acceptPairing(user2, accepted.partner_code);
+    try {
+      await axios.delete(
+        `${this.baseURL}/api/pairing/${accepted.pairing_id}`,
+        this.authHeader(user2.token)
+      );
+      this.assert(false, 'Soft-delete of an accepted pairing should fail', 'Request succeeded');
+    } catch (error) {
+      this.assert(
+        error.response?.status === 409,
+        'Soft-delete accepted pairing → 409',
+        `status=${error.response?.status}`
+      );
+    }
+    const acceptedList = await axios.get(`${this.baseURL}/api/pairings`, this.authHeader(user2.token));
+    this.assert(
+      (acceptedList.data.pairings || []).some(p => p.id === accepted.pairing_id && p.status === 'accepted'),
+      'Accepted pairing still listed after refused delete'
+    );
+
+    // Soft-delete + restore a pending pairing (the member's open partner code)
     const req = await this.requestPairing(user1);
-    await this.acceptPairing(user2, req.partner_code);
     const pairingId = req.pairing_id;
 
     // Soft-delete by a member
@@ -216,10 +238,6 @@ class PairingLifecycleTestRunner {
     const stillThere1 = (list1.data.pairings || []).some(p => p.id === pairingId);
     this.assert(!stillThere1, 'Soft-deleted pairing absent from user1 list');
 
-    const list2 = await axios.get(`${this.baseURL}/api/pairings`, this.authHeader(user2.token));
-    const stillThere2 = (list2.data.pairings || []).some(p => p.id === pairingId);
-    this.assert(!stillThere2, 'Soft-deleted pairing absent from user2 list');
-
     // GET by id → 404 while deleted
     try {
       await axios.get(`${this.baseURL}/api/pairing/${pairingId}`, this.authHeader(user1.token));
@@ -406,13 +424,12 @@ class PairingLifecycleTestRunner {
       `count=${(aliceAccepted.data.pairings || []).length}`
     );
 
-    // Restore must not exceed max_pairings after rematch:
-    // soft-delete Alice-Bob, Alice pairs with Carol, restore Alice-Bob → 400.
+    // Restore must not exceed max_pairings after rematch: Bob's account
+    // soft-delete cascades to Alice-Bob, Bob restores his account, Alice pairs
+    // with Carol, restore Alice-Bob → 400.
     const aliceBobId = aliceAccepted.data.pairings[0].id;
-    await axios.delete(
-      `${this.baseURL}/api/pairing/${aliceBobId}`,
-      this.authHeader(alice.token)
-    );
+    await axios.delete(`${this.baseURL}/api/users/${bob.id}`, this.authHeader(bob.token));
+    await axios.patch(`${this.baseURL}/api/users/${bob.id}/restore`, {}, this.authHeader(bob.token));
 
     const carolCode = (await axios.get(
       `${this.baseURL}/api/pairings`,
@@ -438,7 +455,8 @@ class PairingLifecycleTestRunner {
   }
 
   // Soft-deleting a pairing must revoke the partner's access to shared programs.
-  // Owners keep access via programs.user_id; partners only via an active pairing.
+  // Owners keep access via programs.user_id; partners only via a live pairing.
+  // An accepted pairing is ended first (DELETE answers 409 until then).
   async runSoftDeleteRevokesProgramAccessTests() {
     this.log('Soft-delete pairing revokes partner program access', 'section');
 
@@ -487,7 +505,14 @@ class PairingLifecycleTestRunner {
     const listedBefore = (partnerListOk.data.programs || []).some(p => p.id === programId);
     this.assert(listedBefore, 'Partner list includes paired program while pairing active');
 
-    // Soft-delete the pairing
+    const endRes = await axios.post(
+      `${this.baseURL}/api/pairing/${pairingId}/end`,
+      {},
+      this.authHeader(owner.token)
+    );
+    this.assert(endRes.status === 200, 'End pairing before soft-delete → 200', `status=${endRes.status}`);
+
+    // Soft-delete the ended pairing
     const delRes = await axios.delete(
       `${this.baseURL}/api/pairing/${pairingId}`,
       this.authHeader(owner.token)
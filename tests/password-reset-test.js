@@ -0,0 +1,240 @@
+/**
+ * Password Reset Integration Tests
+ *
+ * Covers the forgot / reset password flow against a live API process:
+ *
+ *   POST /api/auth/password/forgot         email a one-time reset link
+ *   POST /api/auth/password/reset          set a new password with the token
+ *   POST /api/admin/auth/password/forgot   same for admin users
+ *   POST /api/admin/auth/password/reset
+ *
+ * What is tested:
+ *   - 400  Missing email; missing token / password; weak password (the
+ *          token stays usable); garbage, reused or superseded token
+ *   - 200  Same response for a registered and an unknown email
+ *   - The emailed token resets the password: old password and old refresh
+ *     tokens stop working, the new password logs in
+ *   - Admin reset works and user / admin tokens are not interchangeable
+ *
+ * Token checks read the emails from the file transport, so start the server
+ * with MAIL_TRANSPORT=file (MAIL_FILE_DIR, default ./mail-outbox, must be
+ * the same directory here). They are skipped when no email shows up.
+ *
+ * Run standalone:  node tests/password-reset-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail, waitForMailToken, MAIL_DIR } = require('./test-helpers');
+
+const PASSWORD = 'SecurePass987!';
+const NEW_PASSWORD = 'FreshStart246$';
+
+class PasswordResetTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { user: null, admin: null };
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = null) {
+    const config = {
+      method,
+      url: `${this.baseURL}${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  // Newest reset token mailed to `email` after `since` (ms), or null.
+  async waitForResetToken(email, since, maxWait = 5000) {
+    return waitForMailToken({ to: email, since, subject: 'Reset your password', maxWait });
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: one user and one admin user, each logged in once
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    const email = generateTestEmail('password-reset-test');
+    const created = await this.http('POST', '/api/users', { email, password: PASSWORD });
+    if (![200, 201].includes(created.status)) {
+      this.log(`User creation failed: ${JSON.stringify(created.data)}`, 'fail');
+      return false;
+    }
+    this.testData.user = { id: created.data.user.id, email, refreshToken: created.data.refresh_token };
+
+    const adminEmail = generateTestEmail('password-reset-admin-test');
+    const registered = await this.http('POST', '/api/admin/auth/register', { email: adminEmail, password: PASSWORD });
+    const adminLogin = await this.http('POST', '/api/admin/auth/login', { email: adminEmail, password: PASSWORD });
+    if (registered.status !== 201 || adminLogin.status !== 200) {
+      this.log(`Admin setup failed: ${registered.status} / ${adminLogin.status}`, 'fail');
+      return false;
+    }
+    this.testData.admin = { email: adminEmail, refreshToken: adminLogin.data.refresh_token };
+
+    this.log(`User ${this.testData.user.id}, admin ${adminEmail}, outbox ${MAIL_DIR}`, 'data');
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Validation + no account enumeration
+  // ─────────────────────────────────────────────
+  async runForgotTests() {
+    this.log('Forgot password', 'section');
+    const { user } = this.testData;
+
+    const missing = await this.http('POST', '/api/auth/password/forgot', {});
+    this.assert(missing.status === 400, 'Forgot without email → 400', `Status: ${missing.status}`);
+
+    const unknown = await this.http('POST', '/api/auth/password/forgot', { email: generateTestEmail('password-reset-nobody') });
+    const known = await this.http('POST', '/api/auth/password/forgot', { email: user.email });
+    this.assert(
+      unknown.status === 200 && known.status === 200 && unknown.data.message === known.data.message,
+      'Unknown and registered emails get the same 200 response',
+      `Status: ${unknown.status} / ${known.status}`
+    );
+
+    const noToken = await this.http('POST', '/api/auth/password/reset', { password: NEW_PASSWORD });
+    this.assert(noToken.status === 400, 'Reset without token → 400', `Status: ${noToken.status}`);
+
+    const garbage = await this.http('POST', '/api/auth/password/reset', { token: 'not-a-real-token', password: NEW_PASSWORD });
+    this.assert(garbage.status === 400, 'Reset with a garbage token → 400', `Status: ${garbage.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Reset with the emailed token
+  // ─────────────────────────────────────────────
+  async runResetTests() {
+    this.log('Reset password', 'section');
+    const { user } = this.testData;
+
+    const since = Date.now() - 1000;
+    await this.http('POST', '/api/auth/password/forgot', { email: user.email });
+    const superseded = await this.waitForResetToken(user.email, since);
+    if (!superseded) {
+      this.log('No reset email in the outbox (is the server running with MAIL_TRANSPORT=file?) — skipping token checks', 'warn');
+      return;
+    }
+    // A newer request replaces the earlier link.
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const secondSince = Date.now() - 500;
+    await this.http('POST', '/api/auth/password/forgot', { email: user.email });
+    const token = await this.waitForResetToken(user.email, secondSince);
+    this.assert(token && token !== superseded, 'A second request mails a new token');
+
+    const old = await this.http('POST', '/api/auth/password/reset', { token: superseded, password: NEW_PASSWORD });
+    this.assert(old.status === 400, 'Superseded token → 400', `Status: ${old.status}`);
+
+    const weak = await this.http('POST', '/api/auth/password/reset', { token, password: 'weak' });
+    this.assert(weak.status === 400 && /Password/.test(weak.data.error || ''), 'Weak new password → 400', `Status: ${weak.status}`);
+
+    const adminSide = await this.http('POST', '/api/admin/auth/password/reset', { token, password: NEW_PASSWORD });
+    this.assert(adminSide.status === 400, 'User token on the admin endpoint → 400', `Status: ${adminSide.status}`);
+
+    const reset = await this.http('POST', '/api/auth/password/reset', { token, password: NEW_PASSWORD });
+    this.assert(reset.status === 200, 'Reset with the emailed token → 200', `Status: ${reset.status} ${reset.data.error || ''}`);
+
+    const reused = await this.http('POST', '/api/auth/password/reset', { token, password: NEW_PASSWORD });
+    this.assert(reused.status === 400, 'Reusing the token → 400', `Status: ${reused.status}`);
+
+    const refresh = await this.http('POST', '/api/refresh', { refresh_token: user.refreshToken });
+    this.assert(refresh.status === 401, 'Refresh tokens issued before the reset are revoked', `Status: ${refresh.status}`);
+
+    const oldLogin = await this.http('POST', '/api/login', { email: user.email, password: PASSWORD });
+    this.assert(oldLogin.status === 401, 'Old password no longer logs in', `Status: ${oldLogin.status}`);
+
+    const newLogin = await this.http('POST', '/api/login', { email: user.email, password: NEW_PASSWORD });
+    this.assert(newLogin.status === 200 && newLogin.data.access_token, 'New password logs in', `Status: ${newLogin.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Admin users
+  // ─────────────────────────────────────────────
+  async runAdminTests() {
+    this.log('Admin password reset', 'section');
+    const { admin } = this.testData;
+
+    const since = Date.now() - 1000;
+    const forgot = await this.http('POST', '/api/admin/auth/password/forgot', { email: admin.email });
+    this.assert(forgot.status === 200, 'Admin forgot → 200', `Status: ${forgot.status}`);
+
+    const token = await this.waitForResetToken(admin.email, since);
+    if (!token) {
+      this.log('No admin reset email in the outbox — skipping admin token checks', 'warn');
+      return;
+    }
+
+    const userSide = await this.http('POST', '/api/auth/password/reset', { token, password: NEW_PASSWORD });
+    this.assert(userSide.status === 400, 'Admin token on the user endpoint → 400', `Status: ${userSide.status}`);
+
+    const reset = await this.http('POST', '/api/admin/auth/password/reset', { token, password: NEW_PASSWORD });
+    this.assert(reset.status === 200, 'Admin reset → 200', `Status: ${reset.status} ${reset.data.error || ''}`);
+
+    const refresh = await this.http('POST', '/api/admin/auth/refresh', { refresh_token: admin.refreshToken });
+    this.assert(refresh.status === 401, 'Admin refresh tokens are revoked', `Status: ${refresh.status}`);
+
+    const login = await this.http('POST', '/api/admin/auth/login', { email: admin.email, password: NEW_PASSWORD });
+    this.assert(login.status === 200, 'Admin logs in with the new password', `Status: ${login.status}`);
+  }
+
+  async runAllTests() {
+    this.log('Password Reset Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    await this.runForgotTests();
+    await this.runResetTests();
+    await this.runAdminTests();
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Password Reset TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All password reset tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new PasswordResetTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = PasswordResetTestRunner;
@@ -460,6 +460,266 @@ class ProgramsTestRunner {
     }
   }
 
+  /**
+   * Test GET /api/programs/:id/generation and POST /api/programs/:id/generation/retry
+   */
+  async testGenerationStatus() {
+    this.log('Testing GET /api/programs/:id/generation (Generation Status)', 'section');
+    const token = this.testData.user1.token;
+    const statuses = ['queued', 'generating', 'retrying', 'succeeded', 'failed'];
+
+    // Test 1: Status for the program created earlier
+    let generation = null;
+    try {
+      const response = await axios.get(`${this.baseURL}/api/programs/${this.testData.programId}/generation`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: this.timeout
+      });
+      generation = response.data.generation;
+
+      this.assert(
+        response.status === 200,
+        'Get generation status returns 200',
+        `Status: ${response.status}`
+      );
+
+      this.assert(
+        generation?.program_id === this.testData.programId &&
+          (generation.status === null || statuses.includes(generation.status)),
+        'Generation status is a known lifecycle state',
+        `Status: ${generation?.status}`
+      );
+
+      this.assert(
+        typeof generation?.attempts === 'number' && 'queued_at' in generation && 'next_attempt_at' in generation,
+        'Generation status includes attempts and timestamps',
+        `Attempts: ${generation?.attempts}`
+      );
+
+      this.assert(
+        generation?.status === 'failed'
+          ? !!generation.error?.code && !!generation.error?.message
+          : generation?.error === null,
+        'Generation error is only set once generation failed',
+        `Error: ${JSON.stringify(generation?.error)}`
+      );
+
+      if (!MOCK_OPENAI) {
+        this.assert(
+          generation?.status === 'succeeded',
+          'Generation status is succeeded once steps exist',
+          `Status: ${generation?.status}`
+        );
+      }
+    } catch (error) {
+      this.assert(false, 'Get generation status', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
+    // Test 2: Retry is only allowed for failed generations
+    if (generation && generation.status !== 'failed') {
+      try {
+        await axios.post(`${this.baseURL}/api/programs/${this.testData.programId}/generation/retry`, {}, {
+          headers: { Authorization: `Bearer ${token}` },
+          timeout: this.timeout
+        });
+        this.assert(false, 'Retry of a non-failed generation returns 409', 'Expected 409');
+      } catch (error) {
+        this.assert(
+          error.response?.status === 409,
+          'Retry of a non-failed generation returns 409',
+          `Status: ${error.response?.status}, Generation status: ${error.response?.data?.generation_status}`
+        );
+      }
+    }
+
+    // Test 3: Unauthorized access (403)
+    try {
+      await axios.get(`${this.baseURL}/api/programs/${this.testData.programId}/generation`, {
+        headers: { Authorization: `Bearer ${this.testData.user2.token}` },
+        timeout: this.timeout
+      });
+      this.assert(false, 'User 2 reading user 1 generation status returns 403', 'Expected 403');
+    } catch (error) {
+      this.assert(
+        error.response?.status === 403,
+        'User 2 reading user 1 generation status returns 403',
+        `Status: ${error.response?.status}`
+      );
+    }
+
+    // Test 4: Not found (404)
+    try {
+      await axios.get(`${this.baseURL}/api/programs/nonexistent-id-12345/generation`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: this.timeout
+      });
+      this.assert(false, 'Generation status of nonexistent program returns 404', 'Expected 404');
+    } catch (error) {
+      this.assert(
+        error.response?.status === 404,
+        'Generation status of nonexistent program returns 404',
+        `Status: ${error.response?.status}`
+      );
+    }
+
+    try {
+      await axios.post(`${this.baseURL}/api/programs/nonexistent-id-12345/generation/retry`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: this.timeout
+      });
+      this.assert(false, 'Retry on nonexistent program returns 404', 'Expected 404');
+    } catch (error) {
+      this.assert(
+        error.response?.status === 404,
+        'Retry on nonexistent program returns 404',
+        `Status: ${error.response?.status}`
+      );
+    }
+  }
+
+  /**
+   * Test program scheduling - start_date / timezone / strict_schedule on create,
+   * GET /api/programs/:id/today, and strict mode rejecting messages on locked days
+   */
+  async testProgramSchedule() {
+    this.log('Testing program scheduling (start_date, timezone, GET /:id/today)', 'section');
+    const token = this.testData.user1.token;
+    const headers = { Authorization: `Bearer ${token}` };
+
+    // Test 1: Today's step of the default-scheduled program (starts today)
+    try {
+      const response = await axios.get(`${this.baseURL}/api/programs/${this.testData.programId}/today`, {
+        headers,
+        timeout: this.timeout
+      });
+      const { schedule, step } = response.data;
+
+      this.assert(
+        response.status === 200 && schedule?.current_day === 1 && schedule?.status === 'in_progress',
+        'New program is on day 1',
+        `Day: ${schedule?.current_day}, Status: ${schedule?.status}`
+      );
+
+      this.assert(
+        !!schedule?.start_date && !!schedule?.timezone && typeof schedule?.strict_schedule === 'boolean',
+        'Schedule includes start_date, timezone and strict_schedule',
+        `${schedule?.start_date} ${schedule?.timezone}`
+      );
+
+      if (!MOCK_OPENAI) {
+        this.assert(
+          step?.day === 1 && step?.unlocked === true && step?.available_on === schedule.start_date,
+          'Today\'s step is day 1',
+          `Step day: ${step?.day}`
+        );
+      }
+    } catch (error) {
+      this.assert(false, 'Get today\'s step', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
+    // Test 2: Create a strict program starting in the future
+    let futureProgramId = null;
+    try {
+      const response = await axios.post(`${this.baseURL}/api/programs`, {
+        user_input: 'We want to build a weekly check-in habit.',
+        start_date: '2099-01-01',
+        timezone: 'America/Chicago',
+        strict_schedule: true
+      }, { headers, timeout: this.timeout });
+      futureProgramId = response.data.program?.id;
+
+      this.assert(
+        response.status === 201 &&
+          response.data.program?.start_date === '2099-01-01' &&
+          response.data.program?.timezone === 'America/Chicago' &&
+          response.data.program?.strict_schedule === true,
+        'Create program with start_date, timezone and strict_schedule',
+        `Program: ${JSON.stringify({ start_date: response.data.program?.start_date, timezone: response.data.program?.timezone })}`
+      );
+    } catch (error) {
+      this.assert(false, 'Create scheduled program', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
+    if (futureProgramId) {
+      try {
+        const response = await axios.get(`${this.baseURL}/api/programs/${futureProgramId}/today`, {
+          headers,
+          timeout: this.timeout
+        });
+        const { schedule, step } = response.data;
+
+        this.assert(
+          schedule?.status === 'not_started' && step === null && schedule?.next_unlock_on === '2099-01-01',
+          'Program before its start date has no step today',
+          `Status: ${schedule?.status}, Next unlock: ${schedule?.next_unlock_on}`
+        );
+      } catch (error) {
+        this.assert(false, 'Get today\'s step before start', `Error: ${error.response?.data?.error || error.message}`);
+      }
+
+      // Test 3: Strict mode rejects messages on days that are not available yet
+      if (!MOCK_OPENAI) {
+        const pollResult = await this.pollForSteps(futureProgramId, token);
+        const dayOne = pollResult.found ? pollResult.steps.find(step => step.day === 1) : null;
+        if (dayOne) {
+          this.assert(
+            dayOne.unlocked === false && dayOne.available_on === '2099-01-01',
+            'Steps of a future program are locked until their day',
+            `Unlocked: ${dayOne.unlocked}, Available on: ${dayOne.available_on}`
+          );
+
+          try {
+            await axios.post(`${this.baseURL}/api/programSteps/${dayOne.id}/messages`, {
+              content: 'Posting before the program starts'
+            }, { headers, timeout: this.timeout });
+            this.assert(false, 'Message on a locked day in strict mode returns 403', 'Expected 403');
+          } catch (error) {
+            this.assert(
+              error.response?.status === 403 && error.response?.data?.available_on === '2099-01-01',
+              'Message on a locked day in strict mode returns 403',
+              `Status: ${error.response?.status}`
+            );
+          }
+        } else {
+          this.log('Steps not generated in time, skipping strict mode message check', 'warn');
+        }
+      }
+    }
+
+    // Test 4: Invalid schedule fields (400)
+    const invalid = [
+      [{ timezone: 'Mars/Olympus_Mons' }, 'Invalid timezone returns 400'],
+      [{ start_date: '2026-02-30' }, 'Invalid start_date returns 400'],
+      [{ strict_schedule: 'yes' }, 'Non-boolean strict_schedule returns 400']
+    ];
+    for (const [fields, name] of invalid) {
+      try {
+        await axios.post(`${this.baseURL}/api/programs`, {
+          user_input: 'Invalid schedule',
+          ...fields
+        }, { headers, timeout: this.timeout });
+        this.assert(false, name, 'Expected 400');
+      } catch (error) {
+        this.assert(error.response?.status === 400, name, `Status: ${error.response?.status}`);
+      }
+    }
+
+    // Test 5: Not found (404)
+    try {
+      await axios.get(`${this.baseURL}/api/programs/nonexistent-id-12345/today`, {
+        headers,
+        timeout: this.timeout
+      });
+      this.assert(false, 'Today\'s step of nonexistent program returns 404', 'Expected 404');
+    } catch (error) {
+      this.assert(
+        error.response?.status === 404,
+        'Today\'s step of nonexistent program returns 404',
+        `Status: ${error.response?.status}`
+      );
+    }
+  }
+
   /**
    * Test POST /api/programs/:id/therapy_response - Manual therapy response trigger
    */
@@ -829,6 +1089,8 @@ class ProgramsTestRunner {
     await this.testCreateProgramPairingMembership();
     await this.testListPrograms();
     await this.testGetProgramById();
+    await this.testGenerationStatus();
+    await this.testProgramSchedule();
     await this.testManualTherapyResponse();
     await this.testNextProgram();
     await this.testGetMetrics();
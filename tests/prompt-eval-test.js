@@ -0,0 +1,383 @@
+/**
+ * Prompt Evaluation Harness Test Suite
+ *
+ * Covers scripts/eval (the offline harness behind scripts/eval-prompts.js):
+ *   - Fixture validation + deterministic ordering / filtering
+ *   - Built-in checks through the real Helpful / Hopeful services:
+ *     structure, safety, length, name personalization, next-program novelty
+ *   - Generation errors are reported per fixture instead of aborting the run
+ *   - Built-in + pluggable rubric scorers (a throwing scorer is contained)
+ *   - Baseline comparison flags regressions, score deltas and prompt changes
+ *   - HTML report escapes model output
+ *   - The shipped fixture corpus is valid
+ *
+ * Run with: node tests/prompt-eval-test.js
+ *
+ * All LLM calls are mocked via `global.fetch`; no API keys are required.
+ */
+
+if (!process.env.OPENAI_API_KEY) process.env.OPENAI_API_KEY = 'sk-test-prompt-eval-harness-mock-key-0000';
+
+const HelpfulPromptService = require('../services/HelpfulPromptService');
+const HopefulPromptService = require('../services/HopefulPromptService');
+const { loadFixtures, runEvaluation } = require('../scripts/eval/harness');
+const { BUILT_IN_SCORERS, toScorers } = require('../scripts/eval/rubrics');
+const { buildReport, renderHtml } = require('../scripts/eval/report');
+const CORPUS = require('../scripts/eval/fixtures.json');
+
+const FIXTURES = [
+  {
+    id: 'helpful-initial-named',
+    service: 'helpful',
+    type: 'initial_program',
+    userName: 'Sam',
+    partnerName: 'Jordan',
+    userInput: 'We keep having the same argument about chores.'
+  },
+  {
+    id: 'helpful-initial-unnamed',
+    service: 'helpful',
+    type: 'initial_program',
+    userName: 'Alex',
+    partnerName: 'Riley',
+    userInput: 'We want to feel closer again after a hard year.'
+  },
+  {
+    id: 'helpful-next-repeats',
+    service: 'helpful',
+    type: 'next_program',
+    userName: 'Sam',
+    partnerName: 'Jordan',
+    previousConversationStarters: ['Sam and Jordan, what is one moment this week when you felt most connected to each other?'],
+    userInput: 'Now we want to get better at repairing after arguments.'
+  },
+  {
+    id: 'helpful-chime-in',
+    service: 'helpful',
+    type: 'chime_in',
+    userName: 'Jordan',
+    conversationStarter: 'What does it feel like when an argument starts?',
+    userMessages: ['My chest gets tight and I want to leave the room.']
+  },
+  {
+    id: 'hopeful-initial',
+    service: 'hopeful',
+    type: 'initial_program',
+    userName: 'Casey',
+    userInput: 'I want to find peace through my faith.',
+    customPrompts: { organizationName: 'Grace Chapel' }
+  }
+];
+
+class PromptEvalTestRunner {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const prefix = {
+      info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '📊'
+    }[type] || '📝';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+  }
+
+  assert(condition, testName, detail = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${detail}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${detail}`, 'fail');
+    }
+  }
+
+  // 14-day couples program; `names` are put in the title and day 1 starter.
+  buildHelpfulProgram(names) {
+    return {
+      program: {
+        title: names ? `14-Day Emotional Connection Program for ${names[0]} and ${names[1]}` : '14-Day Emotional Connection Program',
+        overview: 'A fourteen-day journey to help the couple build emotional connection and communication.',
+        days: Array.from({ length: 14 }, (_, i) => ({
+          day: i + 1,
+          theme: `Theme for day ${i + 1}: communication and connection`,
+          conversation_starter: i === 0
+            ? `${names ? `${names[0]} and ${names[1]}, w` : 'W'}hat is one moment this week when you felt most connected to each other?`
+            : `What is one way your partner showed care for you on day ${i + 1} that you want to share with them?`,
+          science_behind_it: 'Research on couples shows that sharing moments of connection builds trust and emotional security together.'
+        }))
+      }
+    };
+  }
+
+  buildHopefulProgram() {
+    return {
+      program: {
+        title: '7-Day Reflection Program',
+        overview: 'A seven-day faith-based journey toward peace.',
+        days: Array.from({ length: 7 }, (_, i) => ({
+          day: i + 1,
+          theme: `Day ${i + 1}: peace in God's presence`,
+          reflection: `Reflect prayerfully on day ${i + 1} about where you sense God inviting you into peace, and what it would look like to trust Him there.`,
+          bible_verse: '"Peace I leave with you; my peace I give you." — John 14:27'
+        }))
+      }
+    };
+  }
+
+  // Answers each request from its prompt: faith-based programs for Hopeful,
+  // couples programs (named only for Sam / Jordan) for Helpful, a single
+  // question for chime-ins. `override(userPrompt)` can return a raw content
+  // string or throw to simulate a failing model.
+  installMockFetch(override = null) {
+    const originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+      const body = JSON.parse(options.body);
+      const system = (body.messages.find(m => m.role === 'system') || {}).content || '';
+      const user = (body.messages.find(m => m.role === 'user') || {}).content || '';
+
+      let content = override ? override(user) : null;
+      if (content === null) {
+        if (!body.response_format) {
+          content = 'When your chest tightens like that, what do you most need Jordan to understand about what is happening inside you?';
+        } else if (/faith-based/i.test(system)) {
+          content = JSON.stringify(this.buildHopefulProgram());
+        } else {
+          content = JSON.stringify(this.buildHelpfulProgram(/Sam and Jordan/.test(user) ? ['Sam', 'Jordan'] : null));
+        }
+      }
+
+      return {
+        ok: true,
+        status: 200,
+        async json() {
+          return {
+            id: 'chatcmpl-eval-test',
+            model: body.model,
+            choices: [{ message: { content }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 100, completion_tokens: 200, total_tokens: 300 }
+          };
+        },
+        async text() { return ''; }
+      };
+    };
+    return originalFetch;
+  }
+
+  createServices() {
+    const helpful = new HelpfulPromptService();
+    const hopeful = new HopefulPromptService();
+    for (const service of [helpful, hopeful]) {
+      service.mockMode = false;
+      service.fallbackProviders = [];
+    }
+    return { helpful, hopeful };
+  }
+
+  testFixtureLoading() {
+    this.log('Testing fixture validation and ordering', 'section');
+
+    const loaded = loadFixtures([...FIXTURES].reverse());
+    this.assert(
+      loaded.map(f => f.id).join(',') === [...FIXTURES].map(f => f.id).sort().join(','),
+      'Fixtures are sorted by id regardless of file order'
+    );
+    this.assert(
+      loadFixtures(FIXTURES, { service: 'hopeful' }).length === 1 &&
+        loadFixtures(FIXTURES, { only: ['chime', 'unnamed'] }).length === 2,
+      'service / only filters select fixtures'
+    );
+
+    const rejects = (list, pattern) => {
+      try {
+        loadFixtures(list);
+        return false;
+      } catch (error) {
+        return pattern.test(error.message);
+      }
+    };
+    this.assert(rejects([{ ...FIXTURES[0], service: 'other' }], /service must be one of/), 'Unknown service is rejected');
+    this.assert(rejects([{ ...FIXTURES[3], userMessages: [] }], /chime_in needs/), 'Chime-in without messages is rejected');
+    this.assert(rejects([FIXTURES[0], FIXTURES[0]], /duplicate id/), 'Duplicate ids are rejected');
+
+    let corpusOk = true;
+    try {
+      loadFixtures(CORPUS);
+    } catch (error) {
+      corpusOk = false;
+      this.log(error.message, 'warn');
+    }
+    this.assert(corpusOk && CORPUS.length > 0, 'Shipped fixture corpus is valid', `${CORPUS.length} fixtures`);
+  }
+
+  async testEvaluation() {
+    this.log('Testing checks and scorers through the prompt services', 'section');
+    const originalFetch = this.installMockFetch();
+
+    const customScorer = toScorers({
+      name: 'mentions_partner',
+      appliesTo: ['initial_program'],
+      score: ({ fixture, output }) => ({ score: JSON.stringify(output).includes(fixture.partnerName || '\u0000') ? 1 : 0 })
+    }, 'inline');
+    const brokenScorer = { name: 'broken', score: () => { throw new Error('judge offline'); } };
+
+    try {
+      const { results, timings } = await runEvaluation({
+        fixtures: loadFixtures(FIXTURES),
+        services: this.createServices(),
+        scorers: [...BUILT_IN_SCORERS, ...customScorer, brokenScorer]
+      });
+      const byId = Object.fromEntries(results.map(result => [result.id, result]));
+      const check = (id, name) => (byId[id].checks.find(c => c.name === name) || {}).passed;
+      const score = (id, name) => (byId[id].scores.find(s => s.name === name) || {}).score;
+
+      this.assert(
+        byId['helpful-initial-named'].status === 'pass' &&
+          check('helpful-initial-named', 'structure') === true &&
+          check('helpful-initial-named', 'personalization') === true &&
+          check('helpful-initial-named', 'length') === true,
+        'Personalized Helpful program passes every check',
+        JSON.stringify(byId['helpful-initial-named'].checks.map(c => `${c.name}:${c.passed}`))
+      );
+      this.assert(
+        byId['helpful-initial-unnamed'].status === 'fail' && check('helpful-initial-unnamed', 'personalization') === false,
+        'Program without the couple\'s names fails personalization'
+      );
+      this.assert(
+        check('helpful-next-repeats', 'novelty') === false,
+        'Next program repeating a previous conversation starter fails novelty'
+      );
+      this.assert(
+        byId['hopeful-initial'].status === 'pass' && check('hopeful-initial', 'personalization') === null,
+        'Hopeful programs skip the name check (n/a)'
+      );
+      this.assert(
+        byId['helpful-chime-in'].status === 'pass' && score('helpful-chime-in', 'single_question') === 1,
+        'Chime-in passes checks and the single_question rubric'
+      );
+      this.assert(
+        score('helpful-initial-named', 'mentions_partner') === 1 && score('helpful-initial-unnamed', 'mentions_partner') === 0 &&
+          score('hopeful-initial', 'secular_language') === undefined,
+        'Custom rubric scorers run; service-scoped scorers are skipped elsewhere'
+      );
+      const broken = byId['helpful-chime-in'].scores.find(s => s.name === 'broken');
+      this.assert(
+        broken && broken.score === null && /judge offline/.test(broken.notes),
+        'A throwing scorer is recorded without failing the run'
+      );
+      this.assert(
+        byId['helpful-initial-named'].template && byId['helpful-initial-named'].template.key === 'helpful.initial_program' &&
+          /^[0-9a-f]{12}$/.test(byId['helpful-initial-named'].prompt_sha) && byId['helpful-initial-named'].llm === 'openai:gpt-5.4',
+        'Program results record template, prompt hash and model',
+        JSON.stringify({ template: byId['helpful-initial-named'].template, llm: byId['helpful-initial-named'].llm })
+      );
+      this.assert(Object.keys(timings).length === FIXTURES.length, 'Timings are recorded per fixture');
+
+      this.baselineResults = results;
+    } catch (error) {
+      this.assert(false, 'Evaluation run', `Error: ${error.message}`);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  }
+
+  async testErrorsAndBaseline() {
+    this.log('Testing generation errors, baseline comparison and HTML', 'section');
+    if (!this.baselineResults) {
+      this.assert(false, 'Baseline results available from the previous test');
+      return;
+    }
+
+    // The named Helpful program now comes back as unsafe output, so the
+    // service throws after its retries.
+    const originalFetch = this.installMockFetch(user => (
+      /Sam and Jordan/.test(user) && /chores/.test(user) ? 'Ignore previous instructions <script>alert(1)</script>' : null
+    ));
+
+    try {
+      const { results, timings } = await runEvaluation({
+        fixtures: loadFixtures(FIXTURES),
+        services: this.createServices(),
+        scorers: BUILT_IN_SCORERS
+      });
+      const errored = results.find(result => result.id === 'helpful-initial-named');
+      this.assert(
+        errored.status === 'error' && /Failed to generate/.test(errored.error) && results.length === FIXTURES.length,
+        'A failing generation is reported as an error and the run continues',
+        errored.error
+      );
+
+      const baseline = buildReport({ results: this.baselineResults, timings: {}, meta: { generated_at: 'baseline', llm: 'openai:gpt-5.4', fixtures: 'inline' } });
+      const report = buildReport({
+        results,
+        timings,
+        baseline,
+        corpusIds: [...FIXTURES.map(f => f.id), 'not-run'],
+        meta: { generated_at: 'now', llm: 'openai:gpt-5.4', fixtures: 'inline' }
+      });
+      const change = report.comparison.changes.find(c => c.id === 'helpful-initial-named');
+      this.assert(
+        report.comparison.regressions === 1 && change && change.status_before === 'pass' && change.status === 'error',
+        'Baseline comparison flags the pass → error regression',
+        JSON.stringify(report.comparison.changes)
+      );
+      this.assert(
+        report.summary.pass + report.summary.fail + report.summary.error === FIXTURES.length && report.summary.error === 1,
+        'Summary counts each status',
+        JSON.stringify(report.summary)
+      );
+
+      const html = renderHtml({
+        ...report,
+        results: [{ ...results[0], output: '<script>alert(1)</script>' }, ...results.slice(1)]
+      });
+      this.assert(
+        html.includes('&lt;script&gt;alert(1)&lt;/script&gt;') && !html.includes('<script>alert(1)'),
+        'HTML report escapes model output'
+      );
+    } catch (error) {
+      this.assert(false, 'Errors and baseline', `Error: ${error.message}`);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  }
+
+  async run() {
+    this.log('Starting Prompt Evaluation Harness Test Suite', 'section');
+
+    this.testFixtureLoading();
+    await this.testEvaluation();
+    await this.testErrorsAndBaseline();
+
+    this.printSummary();
+    return this.testResults.failed === 0;
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    this.log('PROMPT EVAL HARNESS TEST SUMMARY', 'section');
+    console.log(`Total:  ${this.testResults.total}`);
+    console.log(`Passed: ${this.testResults.passed}`);
+    console.log(`Failed: ${this.testResults.failed}`);
+    console.log('='.repeat(60));
+
+    if (this.testResults.failed === 0) {
+      this.log('All prompt eval harness tests passed!', 'pass');
+    } else {
+      this.log(`${this.testResults.failed} test(s) failed`, 'fail');
+    }
+  }
+}
+
+if (require.main === module) {
+  const runner = new PromptEvalTestRunner();
+  runner.run()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(err => {
+      console.error('Test runner failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = PromptEvalTestRunner;
@@ -0,0 +1,412 @@
+/**
+ * PromptSessionExpiryService Unit Test Suite
+ *
+ * Pure unit tests for services/PromptSessionExpiryService.js (the body of
+ * startPromptSessionExpiryJob). models/PromptSession.js is replaced by an
+ * in-memory stand-in that applies the same idle windows to last_activity_at
+ * and expiry_reminder_sent_at, pushes are captured and streams are real
+ * PromptSessionStreamService subscribers on fake responses, so no database or
+ * FCM is needed. Tests move last_activity_at back and call runOnce directly.
+ *
+ * Coverage:
+ *   - Sessions inside the reminder window get one prompt_session_expiring push per member
+ *   - expiry_reminder_sent_at prevents a repeat; fresh activity re-arms the reminder
+ *   - Reminded sessions idle past the window are abandoned with an `expired` event
+ *   - Open streams of abandoned sessions get session_updated and are closed
+ *   - Never abandoned before the reminder; recently active and terminal sessions are left alone
+ *   - Push failures and a missing push service don't stop the run
+ *   - PROMPT_SESSION_EXPIRY_REMINDER_HOURS parsing, lead capped at the idle window, idle expiry disabled
+ *
+ * Run with: node tests/prompt-session-expiry-service-test.js
+ */
+
+const PromptSessionExpiryService = require('../services/PromptSessionExpiryService');
+const PromptSessionStreamService = require('../services/PromptSessionStreamService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['prep', 'bridge', 'in_session'];
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test doubles
+// ─────────────────────────────────────────────────────────────────────────
+
+/**
+ * In-memory PromptSession model. Rows carry last_activity_at and
+ * expiry_reminder_sent_at; the queries mirror the SQL windows in
+ * models/PromptSession.js against the real clock.
+ */
+function buildFakePromptSessionModel({ idleHours = 72, sessions = [] } = {}) {
+  const model = {
+    idleHours: idleHours > 0 ? idleHours : null,
+    sessions: new Map(sessions.map(session => [session.id, {
+      status: 'prep',
+      current_phase: null,
+      pairing_id: null,
+      member_ids: [],
+      last_activity_at: new Date(),
+      expiry_reminder_sent_at: null,
+      ...session
+    }])),
+    events: [],
+
+    // Move a session's idle clock back by `hours`.
+    idleFor(id, hours) {
+      model.sessions.get(id).last_activity_at = new Date(Date.now() - hours * HOUR_MS);
+    },
+
+    idleLongerThan(session, hours) {
+      return session.last_activity_at.getTime() <= Date.now() - hours * HOUR_MS;
+    },
+
+    serialize(session) {
+      const active = ACTIVE_STATUSES.includes(session.status);
+      return {
+        ...session,
+        expires_at: active && model.idleHours
+          ? new Date(session.last_activity_at.getTime() + model.idleHours * HOUR_MS)
+          : null
+      };
+    },
+
+    async getPromptSessionById(id) {
+      const session = model.sessions.get(id);
+      return session ? model.serialize(session) : null;
+    },
+
+    async touchActivity(id) {
+      Object.assign(model.sessions.get(id), { last_activity_at: new Date(), expiry_reminder_sent_at: null });
+    },
+
+    async getSessionsDueForExpiryReminder(reminderLeadHours) {
+      if (!model.idleHours) return [];
+      return [...model.sessions.values()]
+        .filter(session => ACTIVE_STATUSES.includes(session.status) &&
+          !session.expiry_reminder_sent_at &&
+          model.idleLongerThan(session, Math.max(0, model.idleHours - reminderLeadHours)))
+        .map(session => model.serialize(session));
+    },
+
+    async markExpiryReminderSent(id) {
+      model.sessions.get(id).expiry_reminder_sent_at = new Date();
+    },
+
+    async abandonExpiredSessions() {
+      if (!model.idleHours) return [];
+      const abandoned = [];
+      for (const session of model.sessions.values()) {
+        if (!ACTIVE_STATUSES.includes(session.status) || !session.expiry_reminder_sent_at ||
+            !model.idleLongerThan(session, model.idleHours)) continue;
+        model.events.push({
+          prompt_session_id: session.id,
+          event_type: 'expired',
+          from_status: session.status,
+          to_status: 'abandoned',
+          from_phase: session.current_phase,
+          to_phase: null
+        });
+        Object.assign(session, { status: 'abandoned', current_phase: null });
+        abandoned.push(session.id);
+      }
+      return abandoned;
+    }
+  };
+  return model;
+}
+
+function buildFakePush({ fail = false } = {}) {
+  const push = {
+    sent: [],
+    async sendToUsers(userIds, payload) {
+      push.sent.push({ userIds, payload });
+      if (fail) throw new Error('FCM unavailable');
+      return { successCount: userIds.length, failureCount: 0, invalidTokens: [] };
+    }
+  };
+  return push;
+}
+
+// Just enough of an http.ServerResponse for a stream subscriber.
+function buildFakeResponse() {
+  const res = {
+    writes: [],
+    ended: false,
+    writeHead() {},
+    write(chunk) { res.writes.push(chunk); },
+    end() { res.ended = true; },
+    events() {
+      return res.writes
+        .filter(chunk => chunk.startsWith('event: '))
+        .map(chunk => {
+          const [eventLine, dataLine] = chunk.split('\n');
+          return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+        });
+    }
+  };
+  return res;
+}
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+function buildService(promptSessionModel, pushNotificationService, options = {}) {
+  return new PromptSessionExpiryService({ promptSessionModel, pushNotificationService, logger: silentLogger, ...options });
+}
+
+// Let the fire-and-forget push promises settle.
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// ─────────────────────────────────────────────────────────────────────────
+// Runner
+// ─────────────────────────────────────────────────────────────────────────
+
+class PromptSessionExpiryServiceTestRunner {
+  constructor() {
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+  }
+
+  log(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const prefix = {
+      info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '📊'
+    }[type] || '📝';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+  }
+
+  assert(condition, testName, detail = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${detail}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${detail}`, 'fail');
+    }
+  }
+
+  async testReminder() {
+    this.log('Testing the expiry reminder', 'section');
+    const model = buildFakePromptSessionModel({
+      sessions: [
+        { id: 'paired', pairing_id: 'pair-1', member_ids: ['alice', 'bob'] },
+        { id: 'recent', member_ids: ['carol'] }
+      ]
+    });
+    const push = buildFakePush();
+    const service = buildService(model, push);
+
+    // 72h idle window, reminder 12h before: due after 60h idle.
+    model.idleFor('paired', 59);
+    model.idleFor('recent', 2);
+    const early = await service.runOnce();
+    this.assert(early.reminded === 0 && push.sent.length === 0, 'No reminder before the reminder window', JSON.stringify(early));
+
+    model.idleFor('paired', 61);
+    const first = await service.runOnce();
+    await flush();
+    this.assert(
+      first.reminded === 1 && first.abandoned === 0 && push.sent.length === 1,
+      'Session inside the reminder window is reminded',
+      JSON.stringify(first)
+    );
+    const { userIds, payload } = push.sent[0];
+    const expectedExpiry = new Date(model.sessions.get('paired').last_activity_at.getTime() + 72 * HOUR_MS).toISOString();
+    this.assert(
+      userIds.join() === 'alice,bob' && payload.template === 'prompt_session_expiring' &&
+        payload.data.kind === 'prompt_session_expiring' && payload.data.prompt_session_id === 'paired' &&
+        payload.data.pairing_id === 'pair-1' && payload.data.expires_at === expectedExpiry,
+      'Reminder goes to every member with the session, pairing and expires_at',
+      JSON.stringify(push.sent[0])
+    );
+    this.assert(
+      !!model.sessions.get('paired').expiry_reminder_sent_at && !model.sessions.get('recent').expiry_reminder_sent_at,
+      'expiry_reminder_sent_at is set on the reminded session only'
+    );
+
+    model.idleFor('paired', 65);
+    const again = await service.runOnce();
+    await flush();
+    this.assert(
+      again.reminded === 0 && push.sent.length === 1,
+      'expiry_reminder_sent_at prevents a repeat reminder',
+      JSON.stringify(again)
+    );
+
+    // Activity clears the reminder; the next idle period gets its own.
+    await model.touchActivity('paired');
+    model.idleFor('paired', 61);
+    await service.runOnce();
+    await flush();
+    this.assert(push.sent.length === 2, 'Activity re-arms the reminder for the next idle period', `sent: ${push.sent.length}`);
+
+    this.assert(
+      model.sessions.get('recent').status === 'prep' && model.events.length === 0,
+      'Recently active session is left alone'
+    );
+  }
+
+  async testAbandon() {
+    this.log('Testing abandonment of idle sessions', 'section');
+    const model = buildFakePromptSessionModel({
+      sessions: [
+        { id: 'reminded', status: 'in_session', current_phase: 'session', member_ids: ['alice', 'bob'] },
+        { id: 'unreminded', status: 'bridge', member_ids: ['carol'] },
+        { id: 'recent', member_ids: ['dave'] },
+        { id: 'done', status: 'complete', member_ids: ['erin'] }
+      ]
+    });
+    const push = buildFakePush();
+    const streams = new PromptSessionStreamService({ heartbeatMs: 0 });
+    const stream = buildFakeResponse();
+    streams.subscribe('reminded', 'alice', stream);
+    const service = buildService(model, push, { promptSessionStreamService: streams });
+
+    model.idleFor('reminded', 61);
+    await service.runOnce();
+    model.idleFor('reminded', 73);
+    model.idleFor('unreminded', 80);
+    model.idleFor('recent', 1);
+    model.idleFor('done', 200);
+
+    const result = await service.runOnce();
+    await flush();
+    const reminded = model.sessions.get('reminded');
+    this.assert(
+      result.abandoned === 1 && reminded.status === 'abandoned' && reminded.current_phase === null,
+      'Reminded session idle past the window is abandoned',
+      JSON.stringify(result)
+    );
+    const event = model.events.find(e => e.prompt_session_id === 'reminded');
+    this.assert(
+      model.events.length === 1 && event.event_type === 'expired' &&
+        event.from_status === 'in_session' && event.to_status === 'abandoned' && event.from_phase === 'session',
+      'An expired event is recorded',
+      JSON.stringify(model.events)
+    );
+
+    const streamed = stream.events().filter(e => e.event === 'session_updated');
+    this.assert(
+      streamed.length === 1 && streamed[0].data.prompt_session.status === 'abandoned' &&
+        streamed[0].data.prompt_session.expires_at === null,
+      'Open stream receives the abandoned session',
+      JSON.stringify(stream.events().map(e => e.event))
+    );
+    this.assert(
+      stream.ended && streams.subscriberCount('reminded') === 0,
+      'Stream of the abandoned session is closed'
+    );
+
+    this.assert(
+      model.sessions.get('unreminded').status === 'bridge' && !!model.sessions.get('unreminded').expiry_reminder_sent_at &&
+        push.sent.some(s => s.payload.data.prompt_session_id === 'unreminded'),
+      'A session past the window without a reminder is reminded first, not abandoned',
+      JSON.stringify(push.sent.map(s => s.payload.data.prompt_session_id))
+    );
+    const next = await service.runOnce();
+    this.assert(
+      next.abandoned === 1 && model.sessions.get('unreminded').status === 'abandoned',
+      'It is abandoned on the following run',
+      JSON.stringify(next)
+    );
+
+    this.assert(
+      model.sessions.get('recent').status === 'prep' && model.sessions.get('done').status === 'complete' &&
+        !push.sent.some(s => ['recent', 'done'].includes(s.payload.data.prompt_session_id)),
+      'Recently active and terminal sessions are left alone'
+    );
+  }
+
+  async testPushFailures() {
+    this.log('Testing push failures', 'section');
+    const model = buildFakePromptSessionModel({ sessions: [{ id: 's1', member_ids: ['alice'] }, { id: 's2', member_ids: [] }] });
+    model.idleFor('s1', 61);
+    model.idleFor('s2', 61);
+    const failing = buildFakePush({ fail: true });
+    const result = await buildService(model, failing).runOnce();
+    await flush();
+    this.assert(
+      result.reminded === 2 && failing.sent.length === 1 &&
+        [...model.sessions.values()].every(session => !!session.expiry_reminder_sent_at),
+      'A failed push still records the reminder; sessions without members get no push',
+      JSON.stringify(failing.sent.map(s => s.userIds))
+    );
+
+    const unconfigured = buildFakePromptSessionModel({ sessions: [{ id: 's1', member_ids: ['alice'] }] });
+    unconfigured.idleFor('s1', 73);
+    const service = buildService(unconfigured, null);
+    await service.runOnce();
+    const second = await service.runOnce();
+    this.assert(
+      second.abandoned === 1 && unconfigured.sessions.get('s1').status === 'abandoned',
+      'Without push configured sessions still expire',
+      JSON.stringify(second)
+    );
+  }
+
+  async testConfiguration() {
+    this.log('Testing configuration', 'section');
+    const options = PromptSessionExpiryService.optionsFromEnv({ PROMPT_SESSION_EXPIRY_REMINDER_HOURS: '6' });
+    this.assert(options.reminderLeadHours === 6, 'PROMPT_SESSION_EXPIRY_REMINDER_HOURS is parsed', JSON.stringify(options));
+    this.assert(
+      Object.keys(PromptSessionExpiryService.optionsFromEnv({})).length === 0,
+      'Unset variables leave the defaults'
+    );
+
+    const defaults = buildService(buildFakePromptSessionModel(), null);
+    const capped = buildService(buildFakePromptSessionModel({ idleHours: 4 }), null);
+    this.assert(
+      defaults.reminderLeadHours === 12 && capped.reminderLeadHours === 4,
+      'Reminder lead defaults to 12h and is capped at the idle window',
+      `${defaults.reminderLeadHours} / ${capped.reminderLeadHours}`
+    );
+
+    const model = buildFakePromptSessionModel({ idleHours: 0, sessions: [{ id: 's1', member_ids: ['alice'] }] });
+    model.idleFor('s1', 500);
+    const push = buildFakePush();
+    const disabled = buildService(model, push);
+    const result = await disabled.runOnce();
+    this.assert(
+      !disabled.enabled && result.reminded === 0 && result.abandoned === 0 && push.sent.length === 0 &&
+        model.sessions.get('s1').status === 'prep',
+      'PROMPT_SESSION_IDLE_HOURS=0 disables expiry',
+      JSON.stringify(result)
+    );
+  }
+
+  async run() {
+    this.log('Starting PromptSessionExpiryService Unit Test Suite', 'section');
+
+    await this.testReminder();
+    await this.testAbandon();
+    await this.testPushFailures();
+    await this.testConfiguration();
+
+    this.printSummary();
+    return this.testResults.failed === 0;
+  }
+
+  printSummary() {
+    console.log('\n' + '='.repeat(60));
+    this.log('PROMPT SESSION EXPIRY TEST SUMMARY', 'section');
+    console.log(`Total:  ${this.testResults.total}`);
+    console.log(`Passed: ${this.testResults.passed}`);
+    console.log(`Failed: ${this.testResults.failed}`);
+    console.log('='.repeat(60));
+
+    if (this.testResults.failed === 0) {
+      this.log('All PromptSessionExpiryService tests passed!', 'pass');
+    } else {
+      this.log(`${this.testResults.failed} test(s) failed`, 'fail');
+    }
+  }
+}
+
+if (require.main === module) {
+  const runner = new PromptSessionExpiryServiceTestRunner();
+  runner.run()
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(err => {
+      console.error('Test runner failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = PromptSessionExpiryServiceTestRunner;
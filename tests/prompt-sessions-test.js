@@ -9,8 +9,10 @@ const axios = require('axios');
  *   - pending (non-accepted) pairing: create + prep still allowed for members
  *   - prep submit/merge + completion detection (1 prep solo / 2 prep paired)
  *   - partner prep visibility policy (hidden until BOTH preps complete when paired)
- *   - phase/status PATCH
- *   - generation endpoint stub (409 before ready, 501 after)
+ *   - status/phase state machine (409 on illegal transitions) + event history
+ *   - live SSE stream (snapshot on connect, prep / generation events, outsider 403)
+ *   - Bridge + Session generation (auto-triggered when prep is ready; /generate
+ *     409 before ready and once content exists)
  *   - generation_prompt never exposed to clients
  *
  * Run with: node tests/prompt-sessions-test.js
@@ -51,6 +53,40 @@ class PromptSessionsTestRunner {
     return { headers: { Authorization: `Bearer ${token}` }, timeout: this.timeout };
   }
 
+  // Poll GET /:id until Bridge + Session content (or a generation_error) lands.
+  async waitForGeneratedContent(sessionId, token, attempts = 20) {
+    for (let i = 0; i < attempts; i++) {
+      const res = await axios.get(`${this.baseURL}/api/prompt-sessions/${sessionId}`, this.authHeader(token));
+      const session = res.data.prompt_session;
+      if (session.bridge_content || session.generation_error) return session;
+      await this.sleep(500);
+    }
+    return null;
+  }
+
+  // Open GET /:id/stream and collect parsed SSE events as they arrive.
+  async openStream(sessionId, token) {
+    const res = await axios.get(`${this.baseURL}/api/prompt-sessions/${sessionId}/stream`, {
+      headers: { Authorization: `Bearer ${token}` },
+      responseType: 'stream',
+      timeout: this.timeout
+    });
+    const events = [];
+    let buffer = '';
+    res.data.on('data', chunk => {
+      buffer += chunk.toString();
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const event = block.match(/^event: (.+)$/m);
+        const data = block.match(/^data: (.+)$/m);
+        if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+      }
+    });
+    return { res, events, close: () => res.data.destroy() };
+  }
+
   fullPrep(overrides = {}) {
     return {
       bringing_text: 'I am bringing curiosity and some tiredness.',
@@ -164,6 +200,11 @@ class PromptSessionsTestRunner {
         `pairing_id: ${session?.pairing_id}`
       );
       this.assert(session.status === 'prep', 'Solo session status is prep', `status: ${session?.status}`);
+      this.assert(
+        !!session.expires_at && new Date(session.expires_at) > new Date(),
+        'Active solo session exposes a future expires_at',
+        `expires_at: ${session?.expires_at}`
+      );
       this.assert(
         !('generation_prompt' in session),
         'Solo create does not expose generation_prompt',
@@ -267,15 +308,23 @@ class PromptSessionsTestRunner {
       this.assert(error.response?.status === 403, 'Non-creator GET solo returns 403', `Status: ${error.response?.status}`);
     }
 
+    try {
+      const session = await this.waitForGeneratedContent(soloSessionId, outsider.token);
+      this.assert(!!session?.bridge_content, 'Solo content auto-generated after prep', `generation_error: ${session?.generation_error}`);
+      this.assert(session?.status === 'bridge', 'Solo session advanced to bridge', `status: ${session?.status}`);
+    } catch (error) {
+      this.assert(false, 'Solo auto-generation', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
     try {
       await axios.post(
         `${this.baseURL}/api/prompt-sessions/${soloSessionId}/generate`,
         {},
         this.authHeader(outsider.token)
       );
-      this.assert(false, 'Solo generate stub should not succeed yet', 'Request unexpectedly succeeded');
+      this.assert(false, 'Solo generate after content exists should fail', 'Request unexpectedly succeeded');
     } catch (error) {
-      this.assert(error.response?.status === 501, 'Solo generate returns 501 after prep', `Status: ${error.response?.status}`);
+      this.assert(error.response?.status === 409, 'Solo generate after content exists returns 409', `Status: ${error.response?.status}`);
     }
 
     try {
@@ -295,6 +344,7 @@ class PromptSessionsTestRunner {
       );
       this.assert(res.status === 200, 'Solo PATCH status returns 200', `Status: ${res.status}`);
       this.assert(res.data.prompt_session.status === 'abandoned', 'Solo session abandoned', `status: ${res.data.prompt_session.status}`);
+      this.assert(res.data.prompt_session.expires_at === null, 'Abandoned session has null expires_at', `expires_at: ${res.data.prompt_session.expires_at}`);
     } catch (error) {
       this.assert(false, 'Solo PATCH abandon', `Error: ${error.response?.data?.error || error.message}`);
     }
@@ -506,6 +556,69 @@ class PromptSessionsTestRunner {
     }
   }
 
+  async testStreamOpen() {
+    this.log('Testing live stream connect (snapshot + access checks)', 'section');
+    const { user2, outsider, sessionId } = this.testData;
+
+    try {
+      await axios.get(`${this.baseURL}/api/prompt-sessions/${sessionId}/stream`, this.authHeader(outsider.token));
+      this.assert(false, 'Outsider stream should fail', 'Request unexpectedly succeeded');
+    } catch (error) {
+      this.assert(error.response?.status === 403, 'Outsider stream returns 403', `Status: ${error.response?.status}`);
+    }
+
+    try {
+      const stream = await this.openStream(sessionId, user2.token);
+      this.testData.stream = stream;
+      this.assert(
+        String(stream.res.headers['content-type']).startsWith('text/event-stream'),
+        'Stream responds with text/event-stream',
+        `content-type: ${stream.res.headers['content-type']}`
+      );
+      await this.sleep(300);
+      const snapshot = stream.events[0];
+      this.assert(
+        snapshot?.event === 'snapshot' && snapshot.data.prompt_session?.id === sessionId,
+        'Stream sends a snapshot on connect',
+        `first event: ${snapshot?.event}`
+      );
+    } catch (error) {
+      this.assert(false, 'Open stream', `Error: ${error.response?.status || error.message}`);
+    }
+  }
+
+  async testStreamEvents() {
+    this.log('Testing live stream events (prep + generation)', 'section');
+    const { user1, stream } = this.testData;
+    if (!stream) {
+      this.assert(false, 'Stream events', 'Stream was not opened');
+      return;
+    }
+
+    const prepEvents = stream.events.filter(e => e.event === 'prep_updated');
+    const user1Complete = prepEvents.find(e => e.data.user_id === user1.id && e.data.completed);
+    this.assert(!!user1Complete, 'Partner sees prep_updated when user1 completes prep', `prep events: ${prepEvents.length}`);
+    this.assert(
+      prepEvents.every(e => e.data.bringing_text === undefined),
+      'prep_updated never carries raw prep answers',
+      `keys: ${prepEvents.map(e => Object.keys(e.data).join('|')).join(',')}`
+    );
+
+    const generated = stream.events.find(e => e.event === 'content_generated');
+    this.assert(
+      !!generated && generated.data.prompt_session?.status === 'bridge' && !!generated.data.prompt_session.bridge_content,
+      'Stream delivers content_generated with the Bridge',
+      `status: ${generated?.data.prompt_session?.status}`
+    );
+    this.assert(
+      !!generated && !('generation_prompt' in generated.data.prompt_session),
+      'content_generated does not expose generation_prompt'
+    );
+
+    stream.close();
+    delete this.testData.stream;
+  }
+
   async testPrepFlow() {
     this.log('Testing prep submit/merge, completion, and visibility policy', 'section');
     const { user1, user2, outsider, sessionId } = this.testData;
@@ -577,46 +690,126 @@ class PromptSessionsTestRunner {
     }
   }
 
-  async testPhasePatch() {
-    this.log('Testing PATCH phase/status', 'section');
-    const { user1, sessionId } = this.testData;
+  async testGeneration() {
+    this.log('Testing Bridge + Session generation (auto-triggered by second prep)', 'section');
+    const { user1, user2, sessionId } = this.testData;
     try {
-      const res = await axios.patch(`${this.baseURL}/api/prompt-sessions/${sessionId}`, { current_phase: 'bridge' }, this.authHeader(user1.token));
-      this.assert(res.status === 200, 'PATCH returns 200', `Status: ${res.status}`);
-      this.assert(res.data.prompt_session.current_phase === 'bridge', 'current_phase updated', `phase: ${res.data.prompt_session.current_phase}`);
+      const session = await this.waitForGeneratedContent(sessionId, user2.token);
+      this.assert(!!session, 'Generation finished after both preps', session ? `status: ${session.status}` : 'timed out');
+      if (!session) return;
+
+      this.assert(!session.generation_error, 'No generation_error recorded', `generation_error: ${session.generation_error}`);
+      this.assert(session.status === 'bridge', 'Session advanced to bridge', `status: ${session.status}`);
+      this.assert(!!session.llm_used, 'llm_used recorded', `llm_used: ${session.llm_used}`);
+
+      const bridge = session.bridge_content || {};
+      this.assert(
+        typeof bridge.title === 'string' && typeof bridge.opening === 'string' &&
+        typeof bridge.reflection === 'string' && typeof bridge.transition === 'string',
+        'bridge_content has title/opening/reflection/transition',
+        `keys: ${Object.keys(bridge).join(',')}`
+      );
+
+      const content = session.session_content || {};
+      const phases = (content.prompts || []).map(p => p.phase);
+      this.assert(
+        phases.join(',') === 'core_prompt_1,core_prompt_2,core_prompt_3',
+        'session_content has three ordered core prompts',
+        `phases: ${phases.join(',')}`
+      );
+      this.assert(!!content.synthesis?.prompt, 'session_content has a synthesis prompt', `synthesis: ${!!content.synthesis}`);
+      this.assert(
+        !('generation_prompt' in session),
+        'generation_prompt is NOT exposed after generation',
+        `keys: ${Object.keys(session).join(',')}`
+      );
     } catch (error) {
-      this.assert(false, 'PATCH phase', `Error: ${error.response?.data?.error || error.message}`);
+      this.assert(false, 'Paired generation', `Error: ${error.response?.data?.error || error.message}`);
     }
 
     try {
-      await axios.patch(`${this.baseURL}/api/prompt-sessions/${sessionId}`, { status: 'not-a-status' }, this.authHeader(user1.token));
-      this.assert(false, 'PATCH invalid status should fail', 'Request unexpectedly succeeded');
+      await axios.post(`${this.baseURL}/api/prompt-sessions/${sessionId}/generate`, {}, this.authHeader(user1.token));
+      this.assert(false, 'Generate after content exists should fail', 'Request unexpectedly succeeded');
     } catch (error) {
-      this.assert(error.response?.status === 400, 'PATCH invalid status returns 400', `Status: ${error.response?.status}`);
+      this.assert(error.response?.status === 409, 'Generate after content exists returns 409', `Status: ${error.response?.status}`);
     }
+  }
+
+  async testStateMachine() {
+    this.log('Testing status/phase state machine + event history', 'section');
+    const { user1, user2, sessionId } = this.testData;
+    const patch = (body, token = user1.token) =>
+      axios.patch(`${this.baseURL}/api/prompt-sessions/${sessionId}`, body, this.authHeader(token));
+    const expectStatus = async (body, expected, testName, token) => {
+      try {
+        await patch(body, token);
+        this.assert(false, testName, 'Request unexpectedly succeeded');
+      } catch (error) {
+        this.assert(error.response?.status === expected, testName, `Status: ${error.response?.status}`);
+      }
+    };
+
+    await expectStatus({ status: 'not-a-status' }, 400, 'PATCH invalid status returns 400');
+    await expectStatus({ current_phase: 'not-a-phase' }, 400, 'PATCH unknown phase returns 400');
+    await expectStatus({ status: 'complete' }, 409, 'PATCH bridge → complete (skipping in_session) returns 409');
+    await expectStatus({ status: 'prep' }, 409, 'PATCH bridge → prep (backwards) returns 409');
+    await expectStatus({ current_phase: 'core_prompt_2' }, 409, 'PATCH in_session phase while in bridge returns 409');
 
-    // Partner can also patch
     try {
-      const res = await axios.patch(
-        `${this.baseURL}/api/prompt-sessions/${sessionId}`,
-        { current_phase: 'in_session' },
-        this.authHeader(this.testData.user2.token)
+      const res = await patch({ status: 'in_session' });
+      this.assert(res.status === 200, 'PATCH bridge → in_session returns 200', `Status: ${res.status}`);
+      this.assert(res.data.prompt_session.status === 'in_session', 'Status is in_session', `status: ${res.data.prompt_session.status}`);
+      this.assert(
+        res.data.prompt_session.current_phase === 'core_prompt_1',
+        'Entering in_session defaults phase to core_prompt_1',
+        `phase: ${res.data.prompt_session.current_phase}`
       );
-      this.assert(res.status === 200, 'Partner PATCH returns 200', `Status: ${res.status}`);
-      this.assert(res.data.prompt_session.current_phase === 'in_session', 'Partner updated current_phase', `phase: ${res.data.prompt_session.current_phase}`);
+    } catch (error) {
+      this.assert(false, 'PATCH bridge → in_session', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
+    // Partner can also advance the phase
+    try {
+      const res = await patch({ current_phase: 'core_prompt_2' }, user2.token);
+      this.assert(res.status === 200, 'Partner PATCH phase returns 200', `Status: ${res.status}`);
+      this.assert(res.data.prompt_session.current_phase === 'core_prompt_2', 'Partner updated current_phase', `phase: ${res.data.prompt_session.current_phase}`);
     } catch (error) {
       this.assert(false, 'Partner PATCH phase', `Error: ${error.response?.data?.error || error.message}`);
     }
-  }
 
-  async testGenerateStub() {
-    this.log('Testing generation stub (501 once both preps complete)', 'section');
-    const { user1, sessionId } = this.testData;
     try {
-      await axios.post(`${this.baseURL}/api/prompt-sessions/${sessionId}/generate`, {}, this.authHeader(user1.token));
-      this.assert(false, 'Generate stub should not succeed yet', 'Request unexpectedly succeeded');
+      const res = await patch({ status: 'complete' });
+      this.assert(res.data.prompt_session.status === 'complete', 'PATCH in_session → complete returns 200', `status: ${res.data.prompt_session.status}`);
     } catch (error) {
-      this.assert(error.response?.status === 501, 'Generate returns 501 (not implemented)', `Status: ${error.response?.status}`);
+      this.assert(false, 'PATCH in_session → complete', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
+    await expectStatus({ status: 'abandoned' }, 409, 'PATCH complete → abandoned (terminal) returns 409');
+
+    try {
+      const res = await axios.get(`${this.baseURL}/api/prompt-sessions/${sessionId}/events`, this.authHeader(user2.token));
+      const events = res.data.events || [];
+      const types = events.map(e => e.event_type);
+      this.assert(res.status === 200, 'GET events returns 200', `count: ${events.length}`);
+      this.assert(types[0] === 'created', 'First event is created', `types: ${types.join(',')}`);
+      this.assert(types.includes('content_generated'), 'Events include content_generated', `types: ${types.join(',')}`);
+      const toInSession = events.find(e => e.event_type === 'status_changed' && e.to_status === 'in_session');
+      this.assert(
+        !!toInSession && toInSession.user_id === user1.id && toInSession.from_status === 'bridge',
+        'status_changed event records who advanced bridge → in_session',
+        `user_id: ${toInSession?.user_id}`
+      );
+      const phaseEvent = events.find(e => e.event_type === 'phase_changed' && e.to_phase === 'core_prompt_2');
+      this.assert(!!phaseEvent && phaseEvent.user_id === user2.id, 'phase_changed event records partner', `user_id: ${phaseEvent?.user_id}`);
+    } catch (error) {
+      this.assert(false, 'GET events', `Error: ${error.response?.data?.error || error.message}`);
+    }
+
+    try {
+      await axios.get(`${this.baseURL}/api/prompt-sessions/${sessionId}/events`, this.authHeader(this.testData.outsider.token));
+      this.assert(false, 'Outsider GET events should fail', 'Request unexpectedly succeeded');
+    } catch (error) {
+      this.assert(error.response?.status === 403, 'Outsider GET events returns 403', `Status: ${error.response?.status}`);
     }
   }
 
@@ -646,11 +839,15 @@ class PromptSessionsTestRunner {
       console.log('');
       await this.testGenerateRequiresBothPreps();
       console.log('');
+      await this.testStreamOpen();
+      console.log('');
       await this.testPrepFlow();
       console.log('');
-      await this.testPhasePatch();
+      await this.testGeneration();
+      console.log('');
+      await this.testStreamEvents();
       console.log('');
-      await this.testGenerateStub();
+      await this.testStateMachine();
       console.log('');
 
       this.printSummary();
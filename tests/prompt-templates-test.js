@@ -0,0 +1,301 @@
+/**
+ * Prompt Template Registry Integration Tests
+ *
+ * Covers the admin draft / publish API at /api/admin/prompt-templates
+ * against a live API process.
+ *
+ * What is tested:
+ *   - 401  No token supplied
+ *   - 403  Authenticated as a regular user (not admin)
+ *   - 200  GET /keys lists every template key with variables + built-in body
+ *   - 201  Draft created at the next version
+ *   - 400  Unknown template_key / unknown {{variable}} / empty body
+ *   - 200  Draft edited; 409 once published (published versions are immutable)
+ *   - Publish archives the previous version; unpublish reverts to built-in
+ *   - 409  Deleting a non-draft; 404 unknown id
+ *
+ * Uses hopeful.chime_in with the built-in body so that publishing during the
+ * run does not change what other suites generate, and unpublishes before it
+ * finishes.
+ *
+ * Run standalone:  node tests/prompt-templates-test.js
+ */
+
+const axios = require('axios');
+const { generateTestEmail } = require('./test-helpers');
+
+const TEMPLATE_KEY = 'hopeful.chime_in';
+
+class PromptTemplatesTestRunner {
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || 'http://127.0.0.1:9000';
+    this.timeout = options.timeout || 10000;
+    this.testResults = { passed: 0, failed: 0, total: 0 };
+    this.testData = { adminToken: null, userToken: null, defaultBody: null, published: [] };
+    this.runId = `${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  }
+
+  log(message, type = 'info') {
+    const prefix = { info: '📝', pass: '✅', fail: '❌', warn: '⚠️', section: '🧪', data: '💾' }[type] || '📝';
+    console.log(`${prefix} [${new Date().toISOString()}] ${message}`);
+  }
+
+  assert(condition, testName, details = '') {
+    this.testResults.total++;
+    if (condition) {
+      this.testResults.passed++;
+      this.log(`${testName} - PASSED ${details}`, 'pass');
+    } else {
+      this.testResults.failed++;
+      this.log(`${testName} - FAILED ${details}`, 'fail');
+    }
+  }
+
+  async http(method, path, data = null, token = this.testData.adminToken) {
+    const config = {
+      method,
+      url: `${this.baseURL}/api/admin/prompt-templates${path}`,
+      timeout: this.timeout,
+      validateStatus: () => true
+    };
+    if (data) config.data = data;
+    if (token) config.headers = { Authorization: `Bearer ${token}` };
+    return axios(config);
+  }
+
+  // ─────────────────────────────────────────────
+  // Setup: an admin + a regular user
+  // ─────────────────────────────────────────────
+  async setup() {
+    this.log('Setting up test data', 'section');
+
+    const adminEmail = `prompt-templates-test_${this.runId}@example.com`;
+    const adminPassword = 'Zpfg8K3qVt!';
+    const regRes = await axios.post(`${this.baseURL}/api/admin/auth/register`, { email: adminEmail, password: adminPassword }, { validateStatus: () => true });
+    if (regRes.status !== 201) {
+      this.log(`Admin register failed: ${JSON.stringify(regRes.data)}`, 'fail');
+      return false;
+    }
+    const loginRes = await axios.post(`${this.baseURL}/api/admin/auth/login`, { email: adminEmail, password: adminPassword }, { validateStatus: () => true });
+    if (loginRes.status !== 200) {
+      this.log(`Admin login failed: ${JSON.stringify(loginRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.adminToken = loginRes.data.access_token;
+    this.log(`Admin created & logged in: ${adminEmail}`, 'data');
+
+    const userRes = await axios.post(`${this.baseURL}/api/users`, {
+      email: generateTestEmail('prompt-templates-test'),
+      password: 'SecurePass987!'
+    }, { validateStatus: () => true });
+    if (![200, 201].includes(userRes.status)) {
+      this.log(`User creation failed: ${JSON.stringify(userRes.data)}`, 'fail');
+      return false;
+    }
+    this.testData.userToken = userRes.data.access_token;
+
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // Auth / access control
+  // ─────────────────────────────────────────────
+  async runAuthTests() {
+    this.log('Auth / access control', 'section');
+
+    const noToken = await this.http('GET', '', null, null);
+    this.assert(noToken.status === 401, 'No token → 401', `got ${noToken.status}`);
+
+    const regularUser = await this.http('GET', '', null, this.testData.userToken);
+    this.assert(regularUser.status === 403, 'Regular user token → 403', `got ${regularUser.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Keys + validation
+  // ─────────────────────────────────────────────
+  async runKeyAndValidationTests() {
+    this.log('Template keys + validation', 'section');
+
+    const keysRes = await this.http('GET', '/keys');
+    this.assert(keysRes.status === 200, 'GET /keys → 200', `got ${keysRes.status}`);
+    const entry = (keysRes.data?.template_keys || []).find(k => k.template_key === TEMPLATE_KEY);
+    this.assert(
+      entry && Array.isArray(entry.variables) && entry.variables.includes('userName') && typeof entry.default_body === 'string',
+      `${TEMPLATE_KEY} listed with variables and built-in body`,
+      entry ? entry.variables.join(', ') : 'missing'
+    );
+    this.testData.defaultBody = entry ? entry.default_body : null;
+
+    const badKey = await this.http('POST', '', { template_key: 'nope.unknown', body: 'Hello {{userName}}' });
+    this.assert(badKey.status === 400, 'Unknown template_key → 400', `got ${badKey.status}`);
+
+    const badVar = await this.http('POST', '', { template_key: TEMPLATE_KEY, body: 'Hello {{partnerName}}' });
+    this.assert(badVar.status === 400, 'Unknown {{variable}} → 400', `got ${badVar.status}: ${badVar.data?.error}`);
+
+    const emptyBody = await this.http('POST', '', { template_key: TEMPLATE_KEY, body: '   ' });
+    this.assert(emptyBody.status === 400, 'Empty body → 400', `got ${emptyBody.status}`);
+
+    const missing = await this.http('GET', '/does-not-exist');
+    this.assert(missing.status === 404, 'Unknown id → 404', `got ${missing.status}`);
+  }
+
+  // ─────────────────────────────────────────────
+  // Draft → publish → archive lifecycle
+  // ─────────────────────────────────────────────
+  async runLifecycleTests() {
+    this.log('Draft / publish lifecycle', 'section');
+
+    if (!this.testData.defaultBody) {
+      this.log('No built-in body available — skipping lifecycle tests', 'warn');
+      return;
+    }
+
+    const draftRes = await this.http('POST', '', {
+      template_key: TEMPLATE_KEY,
+      body: `${this.testData.defaultBody} `,
+      description: `prompt-templates-test ${this.runId}`
+    });
+    this.assert(draftRes.status === 201, 'Create draft → 201', `got ${draftRes.status}`);
+    const draft = draftRes.data?.prompt_template;
+    this.assert(
+      draft && draft.status === 'draft' && Number.isInteger(draft.version) && draft.version >= 1,
+      'Draft has status draft and a version number',
+      draft ? `v${draft.version}` : ''
+    );
+    if (!draft) return;
+
+    const editRes = await this.http('PUT', `/${draft.id}`, { body: this.testData.defaultBody });
+    this.assert(
+      editRes.status === 200 && editRes.data?.prompt_template?.body === this.testData.defaultBody,
+      'Edit draft → 200',
+      `got ${editRes.status}`
+    );
+
+    const publishRes = await this.http('POST', `/${draft.id}/publish`);
+    this.assert(
+      publishRes.status === 200 && publishRes.data?.prompt_template?.status === 'published',
+      'Publish draft → 200 published',
+      `got ${publishRes.status}`
+    );
+    this.testData.published.push(draft.id);
+
+    const republish = await this.http('POST', `/${draft.id}/publish`);
+    this.assert(republish.status === 409, 'Publishing an already published version → 409', `got ${republish.status}`);
+
+    const editPublished = await this.http('PUT', `/${draft.id}`, { body: this.testData.defaultBody });
+    this.assert(editPublished.status === 409, 'Editing a published version → 409', `got ${editPublished.status}`);
+
+    const deletePublished = await this.http('DELETE', `/${draft.id}`);
+    this.assert(deletePublished.status === 409, 'Deleting a published version → 409', `got ${deletePublished.status}`);
+
+    const keysRes = await this.http('GET', '/keys');
+    const entry = (keysRes.data?.template_keys || []).find(k => k.template_key === TEMPLATE_KEY);
+    this.assert(
+      entry && entry.published_id === draft.id && entry.published_version === draft.version,
+      'GET /keys reports the published version',
+      entry ? `v${entry.published_version}` : ''
+    );
+
+    // A second version replaces the first, which is archived.
+    const nextRes = await this.http('POST', '', { template_key: TEMPLATE_KEY, body: this.testData.defaultBody });
+    const next = nextRes.data?.prompt_template;
+    this.assert(
+      next && next.version === draft.version + 1,
+      'Next draft gets the next version number',
+      next ? `v${next.version}` : `got ${nextRes.status}`
+    );
+    if (!next) return;
+
+    await this.http('POST', `/${next.id}/publish`);
+    this.testData.published.push(next.id);
+    const previous = await this.http('GET', `/${draft.id}`);
+    this.assert(
+      previous.data?.prompt_template?.status === 'archived',
+      'Publishing a new version archives the previous one',
+      previous.data?.prompt_template?.status
+    );
+
+    const listRes = await this.http('GET', `?template_key=${TEMPLATE_KEY}&status=published`);
+    this.assert(
+      listRes.status === 200 && (listRes.data?.prompt_templates || []).length === 1 &&
+        listRes.data.prompt_templates[0].id === next.id,
+      'Exactly one published version per key',
+      `count=${(listRes.data?.prompt_templates || []).length}`
+    );
+
+    const badStatus = await this.http('GET', '?status=live');
+    this.assert(badStatus.status === 400, 'Invalid status filter → 400', `got ${badStatus.status}`);
+
+    const unpublishRes = await this.http('POST', `/${next.id}/unpublish`);
+    this.assert(
+      unpublishRes.status === 200 && unpublishRes.data?.prompt_template?.status === 'archived',
+      'Unpublish → 200 archived',
+      `got ${unpublishRes.status}`
+    );
+    this.testData.published = [];
+
+    const afterKeys = await this.http('GET', '/keys');
+    const afterEntry = (afterKeys.data?.template_keys || []).find(k => k.template_key === TEMPLATE_KEY);
+    this.assert(
+      afterEntry && afterEntry.published_version === 0,
+      'After unpublish the key falls back to the built-in (version 0)',
+      afterEntry ? `v${afterEntry.published_version}` : ''
+    );
+
+    const throwaway = await this.http('POST', '', { template_key: TEMPLATE_KEY, body: this.testData.defaultBody });
+    const throwawayId = throwaway.data?.prompt_template?.id;
+    const deleteDraft = await this.http('DELETE', `/${throwawayId}`);
+    this.assert(deleteDraft.status === 200, 'Delete draft → 200', `got ${deleteDraft.status}`);
+  }
+
+  // Never leave a test version live for other suites.
+  async cleanup() {
+    for (const id of this.testData.published) {
+      await this.http('POST', `/${id}/unpublish`).catch(() => {});
+    }
+  }
+
+  async runAllTests() {
+    this.log('Prompt Template Registry Tests', 'section');
+
+    const ready = await this.setup();
+    if (!ready) {
+      this.log('Setup failed — skipping tests', 'warn');
+      return false;
+    }
+
+    try {
+      await this.runAuthTests();
+      await this.runKeyAndValidationTests();
+      await this.runLifecycleTests();
+    } finally {
+      await this.cleanup();
+    }
+
+    const { passed, failed, total } = this.testResults;
+    console.log('\n============================================================');
+    this.log('Prompt Template Registry TEST SUMMARY');
+    this.log(`Total:  ${total}`);
+    this.log(`Passed: ${passed}`);
+    this.log(`Failed: ${failed}`);
+    console.log('============================================================');
+
+    if (failed === 0) {
+      this.log('All prompt template tests passed!', 'pass');
+    } else {
+      this.log(`${failed} test(s) failed.`, 'fail');
+    }
+
+    return failed === 0;
+  }
+}
+
+if (require.main === module) {
+  const runner = new PromptTemplatesTestRunner();
+  runner.runAllTests().then(success => process.exit(success ? 0 : 1)).catch(err => {
+    console.error('Test runner failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = PromptTemplatesTestRunner;
@@ -18,11 +18,22 @@
  *   - sendToUsers: aggregates across multiple users
  *   - Payload builder: data coercion to strings, APNs (badge/sound), Android (priority/channel)
  *   - When not configured every send returns { skipped: true } and never calls FCM
+ *   - Notification preferences: opted-out kinds and muted pairings dropped,
+ *     quiet hours deferred to the end of the window via a deferred_push job,
+ *     unknown kinds and failed preference lookups still sent
+ *   - Delivery log: one push_deliveries row per token (message id / error
+ *     code / pruned) and per user reached by nothing; logging failures
+ *     never fail the send
+ *   - Templates: rendered per recipient locale (users.locale, default when
+ *     unset / unsupported / lookup fails), localized fallbacks for missing
+ *     variables, optional FCM loc keys, deferred pushes keep the template
  *
  * Run with: node tests/push-notification-service-test.js
  */
 
 const PushNotificationService = require('../services/PushNotificationService');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationTemplates = require('../services/NotificationTemplates');
 
 // ─────────────────────────────────────────────────────────────────────────
 // Test doubles
@@ -100,6 +111,77 @@ function buildFakeDeviceTokenModel(seed = {}) {
   };
 }
 
+/**
+ * Build a fake NotificationPreference model from stored rows (user id →
+ * row as in notification_preferences), formatted by the real model.
+ */
+function buildFakePreferenceModel(rows = {}) {
+  const formatter = new NotificationPreference(null);
+  return {
+    __lookups: 0,
+    __fail: false,
+    async getPreferencesForUsers(userIds) {
+      this.__lookups++;
+      if (this.__fail) throw new Error('Failed to fetch notification preferences');
+      return new Map(userIds.map(id => [id, formatter.formatPreferences(id, rows[id] || null)]));
+    }
+  };
+}
+
+/** Fake PushDelivery model that keeps recorded rows in memory. */
+function buildFakeDeliveryModel() {
+  return {
+    rows: [],
+    __fail: false,
+    async recordDeliveries(deliveries) {
+      if (this.__fail) throw new Error('Failed to record push deliveries');
+      this.rows.push(...deliveries);
+      return deliveries.length;
+    }
+  };
+}
+
+/** Fake User model exposing only the locale lookup (user id → locale). */
+function buildFakeLocaleModel(locales = {}) {
+  return {
+    __fail: false,
+    async getLocalesForUsers(userIds) {
+      if (this.__fail) throw new Error('Failed to fetch user locales');
+      return new Map(userIds.map(id => [id, locales[id] || null]));
+    }
+  };
+}
+
+/** Fake JobQueue that records registrations and enqueued jobs. */
+function buildFakeJobQueue() {
+  return {
+    handlers: new Map(),
+    enqueued: [],
+    register(type, handler) {
+      this.handlers.set(type, handler);
+    },
+    async enqueue(type, payload, options = {}) {
+      this.enqueued.push({ type, payload, options });
+      return { job: { id: `job-${this.enqueued.length}` }, created: true };
+    }
+  };
+}
+
+// Quiet hours row (UTC) covering the current time, ending `minutesAhead` from now.
+function quietRowAroundNow(minutesAhead = 120) {
+  const at = offsetMinutes => {
+    const date = new Date(Date.now() + offsetMinutes * 60 * 1000);
+    return date.toISOString().slice(11, 16);
+  };
+  return {
+    kinds: {},
+    quiet_hours_enabled: 1,
+    quiet_hours_start: at(-60),
+    quiet_hours_end: at(minutesAhead),
+    timezone: 'UTC'
+  };
+}
+
 /** Suppresses noisy log output during tests but keeps a captured trace. */
 function buildSilentLogger() {
   const logger = {
@@ -430,6 +512,401 @@ class PushNotificationServiceTestRunner {
     this.assert(empty.successCount === 0, 'Empty userIds → no-op');
   }
 
+  // ───────────────────────────────────────────────────────────────────
+  // Notification preferences — kind toggles + quiet hours
+  // ───────────────────────────────────────────────────────────────────
+  async runPreferenceTests() {
+    this.log('Notification preferences — kind toggles + quiet hours', 'section');
+
+    const buildWithPreferences = (tokens, rows, { jobQueue = buildFakeJobQueue() } = {}) => {
+      const messaging = buildFakeMessaging();
+      const preferenceModel = buildFakePreferenceModel(rows);
+      const service = new PushNotificationService({
+        deviceTokenModel: buildFakeDeviceTokenModel(tokens),
+        messagingClient: messaging,
+        preferenceModel,
+        jobQueue,
+        logger: buildSilentLogger()
+      });
+      return { service, messaging, preferenceModel, jobQueue };
+    };
+    const stepMessage = { title: 'New message', body: 'Hi', data: { kind: 'step_message' } };
+
+    // Window math (fixed clock, America/New_York is UTC-4 in May)
+    {
+      const remaining = PushNotificationService.quietHoursRemainingMs;
+      const prefs = { quiet_hours: { enabled: true, start: '22:00', end: '07:00' }, timezone: 'America/New_York' };
+      this.assert(
+        remaining(prefs, new Date('2026-05-06T03:30:00Z')) === 7.5 * 60 * 60 * 1000,
+        'Quiet hours crossing midnight: 23:30 local defers to 07:00'
+      );
+      this.assert(
+        remaining(prefs, new Date('2026-05-06T10:59:30Z')) === 30 * 1000,
+        'Quiet hours end counted to the second (06:59:30 → 30s)'
+      );
+      this.assert(
+        remaining(prefs, new Date('2026-05-06T11:00:00Z')) === 0 && remaining(prefs, new Date('2026-05-06T01:59:00Z')) === 0,
+        'Outside the window (07:00, 21:59 local) → not deferred'
+      );
+      this.assert(
+        remaining({ ...prefs, quiet_hours: { enabled: false, start: '00:00', end: '23:59' } }, new Date('2026-05-06T12:00:00Z')) === 0,
+        'Disabled quiet hours never defer'
+      );
+      this.assert(
+        remaining({ quiet_hours: { enabled: true, start: '13:00', end: '15:00' }, timezone: 'UTC' }, new Date('2026-05-06T14:00:00Z')) === 60 * 60 * 1000,
+        'Same-day window (13:00 → 15:00) defers to its end'
+      );
+    }
+
+    // Opted-out kind is dropped
+    {
+      const { service, messaging } = buildWithPreferences(
+        { 'user-1': ['tok-pref-1-aaaaaaaa'] },
+        { 'user-1': { kinds: { step_message: false }, quiet_hours_enabled: 0, quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'UTC' } }
+      );
+      const result = await service.sendToUser('user-1', stepMessage);
+      this.assert(result.suppressed === true && messaging.__sentCalls.length === 0, 'sendToUser drops a kind the user turned off');
+      const other = await service.sendToUser('user-1', { title: 'Ready', data: { kind: 'program_ready' } });
+      this.assert(other.successCount === 1, 'Other kinds are still sent');
+    }
+
+    // Quiet hours → deferred_push job at the end of the window
+    {
+      const { service, messaging, jobQueue } = buildWithPreferences(
+        { 'user-1': ['tok-pref-1-aaaaaaaa'] },
+        { 'user-1': quietRowAroundNow(120) }
+      );
+      this.assert(jobQueue.handlers.has('deferred_push'), 'deferred_push handler registered on the job queue');
+
+      const result = await service.sendToUser('user-1', stepMessage);
+      const job = jobQueue.enqueued[0];
+      this.assert(
+        result.deferred === true && messaging.__sentCalls.length === 0 && typeof result.deliverAt === 'string',
+        'sendToUser defers during quiet hours',
+        JSON.stringify(result)
+      );
+      this.assert(
+        job && job.type === 'deferred_push' && job.payload.user_id === 'user-1' && job.payload.payload.data.kind === 'step_message' &&
+          job.options.delayMs > 119 * 60 * 1000 && job.options.delayMs <= 120 * 60 * 1000,
+        'Deferred job carries the payload and runs when the window ends',
+        job ? `delayMs = ${job.options.delayMs}` : 'no job'
+      );
+    }
+
+    // The deferred job sends once the window is over
+    {
+      const jobQueue = buildFakeJobQueue();
+      const { messaging } = buildWithPreferences({ 'user-1': ['tok-pref-1-aaaaaaaa'] }, {}, { jobQueue });
+      await jobQueue.handlers.get('deferred_push')({ user_id: 'user-1', payload: stepMessage });
+      this.assert(messaging.__sentCalls.length === 1, 'deferred_push job delivers outside quiet hours');
+    }
+
+    // sendToUsers splits users
+    {
+      const { service, messaging } = buildWithPreferences(
+        { 'user-a': ['tok-a-1-aaaaaaaa'], 'user-b': ['tok-b-1-bbbbbbbb'], 'user-c': ['tok-c-1-cccccccc'] },
+        {
+          'user-b': { kinds: { step_message: false }, quiet_hours_enabled: 0, quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'UTC' },
+          'user-c': quietRowAroundNow(30)
+        }
+      );
+      const result = await service.sendToUsers(['user-a', 'user-b', 'user-c'], stepMessage);
+      this.assert(
+        messaging.__sentCalls.length === 1 && messaging.__sentCalls[0].tokens.join() === 'tok-a-1-aaaaaaaa',
+        'sendToUsers only sends to users not opted out or in quiet hours'
+      );
+      this.assert(
+        result.successCount === 1 && result.suppressedCount === 1 && result.deferredCount === 1,
+        'sendToUsers reports suppressedCount / deferredCount',
+        JSON.stringify(result)
+      );
+    }
+
+    // Muted pairing: pushes about it are dropped, other pairings still sent
+    {
+      const { service, messaging } = buildWithPreferences(
+        { 'user-1': ['tok-pref-1-aaaaaaaa'] },
+        { 'user-1': { kinds: {}, pairings: JSON.stringify({ 'pairing-muted': false }), quiet_hours_enabled: 0, quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'UTC' } }
+      );
+      const muted = await service.sendToUser('user-1', { ...stepMessage, data: { kind: 'step_message', pairing_id: 'pairing-muted' } });
+      this.assert(muted.suppressed === true && messaging.__sentCalls.length === 0, 'sendToUser drops a push about a muted pairing');
+      const other = await service.sendToUser('user-1', { ...stepMessage, data: { kind: 'step_message', pairing_id: 'pairing-other' } });
+      const solo = await service.sendToUser('user-1', stepMessage);
+      this.assert(other.successCount === 1 && solo.successCount === 1, 'Other pairings and pushes without a pairing_id are still sent');
+    }
+
+    // Pushes without a known kind are never filtered
+    {
+      const { service, messaging, preferenceModel } = buildWithPreferences(
+        { 'user-1': ['tok-pref-1-aaaaaaaa'] },
+        { 'user-1': quietRowAroundNow(120) }
+      );
+      await service.sendToUser('user-1', { title: 'Admin test', body: 'Hello' });
+      await service.sendToUser('user-1', { title: 'Custom', data: { kind: 'admin_test' } });
+      this.assert(messaging.__sentCalls.length === 2, 'Pushes without a kind or with an unknown kind ignore preferences');
+      this.assert(preferenceModel.__lookups === 1, 'No preference lookup for pushes without a kind');
+    }
+
+    // Fail open
+    {
+      const { service, messaging, preferenceModel } = buildWithPreferences({ 'user-1': ['tok-pref-1-aaaaaaaa'] }, {});
+      preferenceModel.__fail = true;
+      const result = await service.sendToUser('user-1', stepMessage);
+      this.assert(result.successCount === 1 && messaging.__sentCalls.length === 1, 'Failed preference lookup still sends the push');
+    }
+
+    // Without a job queue quiet hours can't be deferred → sent
+    {
+      const { service, messaging } = buildWithPreferences(
+        { 'user-1': ['tok-pref-1-aaaaaaaa'] },
+        { 'user-1': quietRowAroundNow(120) },
+        { jobQueue: null }
+      );
+      await service.sendToUser('user-1', stepMessage);
+      this.assert(messaging.__sentCalls.length === 1, 'Without a job queue quiet hours are not applied');
+    }
+  }
+
+  // ───────────────────────────────────────────────────────────────────
+  // Delivery log — push_deliveries rows per token / per unreached user
+  // ───────────────────────────────────────────────────────────────────
+  async runDeliveryLogTests() {
+    this.log('Delivery log — push_deliveries rows', 'section');
+
+    const buildWithLog = (tokens, rows = {}) => {
+      const messaging = buildFakeMessaging();
+      const deliveryModel = buildFakeDeliveryModel();
+      const service = new PushNotificationService({
+        deviceTokenModel: buildFakeDeviceTokenModel(tokens),
+        messagingClient: messaging,
+        preferenceModel: buildFakePreferenceModel(rows),
+        jobQueue: buildFakeJobQueue(),
+        deliveryModel,
+        logger: buildSilentLogger()
+      });
+      return { service, messaging, deliveryModel };
+    };
+    const stepMessage = { title: 'New message', body: 'Hi', data: { kind: 'step_message' } };
+
+    // One row per token: sent / failed + pruned / failed + kept
+    {
+      const { service, messaging, deliveryModel } = buildWithLog({
+        'user-1': ['tok-good-aaaaaa', 'tok-dead-bbbbbb', 'tok-busy-cccccc']
+      });
+      messaging.__queue.push({
+        successCount: 1,
+        failureCount: 2,
+        responses: [
+          { success: true, messageId: 'm-1' },
+          { success: false, error: deadTokenError() },
+          { success: false, error: transientError() }
+        ]
+      });
+      await service.sendToUser('user-1', stepMessage);
+      const [sent, dead, busy] = deliveryModel.rows;
+      this.assert(deliveryModel.rows.length === 3, 'sendToUser records one row per token', `rows = ${deliveryModel.rows.length}`);
+      this.assert(
+        sent.status === 'sent' && sent.fcmMessageId === 'm-1' && sent.deviceTokenId === 'rec-user-1-0' &&
+          sent.platform === 'ios' && sent.kind === 'step_message' && sent.userId === 'user-1',
+        'Sent row has the FCM message id, token id, platform and kind'
+      );
+      this.assert(
+        dead.status === 'failed' && dead.errorCode === 'messaging/registration-token-not-registered' && dead.pruned === true,
+        'Dead token row records the error code and the prune'
+      );
+      this.assert(
+        busy.status === 'failed' && busy.errorCode === 'messaging/server-unavailable' && busy.pruned === false,
+        'Transient failure row keeps the token'
+      );
+    }
+
+    // FCM call throws → every token in the chunk recorded as failed
+    {
+      const { service, messaging, deliveryModel } = buildWithLog({ 'user-1': ['tok-one-aaaaaaaa', 'tok-two-bbbbbbbb'] });
+      messaging.sendEachForMulticast = async () => { throw Object.assign(new Error('socket hang up'), { code: 'app/network-error' }); };
+      await service.sendToUser('user-1', stepMessage);
+      this.assert(
+        deliveryModel.rows.length === 2 && deliveryModel.rows.every(r => r.status === 'failed' && r.errorCode === 'app/network-error' && !r.pruned),
+        'Thrown FCM call recorded as failed for each token',
+        JSON.stringify(deliveryModel.rows.map(r => [r.status, r.errorCode]))
+      );
+    }
+
+    // Users reached by nothing: no devices, opted out, deferred
+    {
+      const { service, deliveryModel } = buildWithLog(
+        { 'user-a': ['tok-a-1-aaaaaaaa'], 'user-b': [], 'user-c': ['tok-c-1-cccccccc'], 'user-d': ['tok-d-1-dddddddd'] },
+        {
+          'user-c': { kinds: { step_message: false }, quiet_hours_enabled: 0, quiet_hours_start: '22:00', quiet_hours_end: '07:00', timezone: 'UTC' },
+          'user-d': quietRowAroundNow(60)
+        }
+      );
+      await service.sendToUsers(['user-a', 'user-b', 'user-c', 'user-d'], stepMessage);
+      const byUser = Object.fromEntries(deliveryModel.rows.map(r => [r.userId, r]));
+      this.assert(
+        byUser['user-a'].status === 'sent' && byUser['user-b'].status === 'no_devices' &&
+          byUser['user-c'].status === 'suppressed' && byUser['user-d'].status === 'deferred' && typeof byUser['user-d'].deliverAt === 'string',
+        'sendToUsers records sent / no_devices / suppressed / deferred per user',
+        JSON.stringify(deliveryModel.rows.map(r => [r.userId, r.status]))
+      );
+
+      deliveryModel.rows.length = 0;
+      await service.sendToUser('user-b', stepMessage);
+      this.assert(deliveryModel.rows.length === 1 && deliveryModel.rows[0].status === 'no_devices', 'sendToUser records a user without devices');
+    }
+
+    // Low-level sendToTokens has no user context → not logged
+    {
+      const { service, deliveryModel } = buildWithLog({});
+      await service.sendToTokens(['tok-raw-aaaaaaaaaa'], stepMessage);
+      this.assert(deliveryModel.rows.length === 0, 'sendToTokens is not logged');
+    }
+
+    // Logging failure never fails the send
+    {
+      const { service, deliveryModel } = buildWithLog({ 'user-1': ['tok-good-aaaaaa'] });
+      deliveryModel.__fail = true;
+      const result = await service.sendToUser('user-1', stepMessage);
+      this.assert(result.successCount === 1, 'A failed delivery log write does not fail the send');
+    }
+  }
+
+  // ───────────────────────────────────────────────────────────────────
+  // Templates — per-locale rendering + FCM loc keys
+  // ───────────────────────────────────────────────────────────────────
+  async runTemplateTests() {
+    this.log('Templates — per-locale rendering + loc keys', 'section');
+
+    const buildWithLocales = (tokens, locales = {}, options = {}) => {
+      const messaging = buildFakeMessaging();
+      const userModel = buildFakeLocaleModel(locales);
+      const service = new PushNotificationService({
+        deviceTokenModel: buildFakeDeviceTokenModel(tokens),
+        messagingClient: messaging,
+        userModel,
+        logger: buildSilentLogger(),
+        ...options
+      });
+      return { service, messaging, userModel };
+    };
+    const stepMessage = {
+      template: 'step_message',
+      variables: { sender_name: 'Alice', preview: 'Hola' },
+      data: { kind: 'step_message', step_id: 's1' }
+    };
+
+    // Catalog helpers
+    this.assert(
+      NotificationTemplates.resolveLocale('es-MX') === 'es' && NotificationTemplates.resolveLocale('fr') === 'en' &&
+        NotificationTemplates.resolveLocale(null) === 'en',
+      'resolveLocale falls back to the language, then the default locale'
+    );
+    this.assert(
+      NotificationTemplates.LOCALES.every(locale =>
+        Object.values(NotificationTemplates.TEMPLATES).every(t => t[locale] && t[locale].title && t[locale].body)),
+      'Every template has a title and body in every locale'
+    );
+    this.assert(
+      NotificationTemplates.render('pairing_accepted', 'es', {}).body === 'Alguien aceptó tu solicitud de emparejamiento.' &&
+        NotificationTemplates.render('partner_nudge', 'en', { partner_name: '' }).title === 'Your partner is waiting for you',
+      'Missing variables use the locale\'s fallback'
+    );
+    let threw = false;
+    try { NotificationTemplates.render('not_a_template', 'en'); } catch (err) { threw = /Unknown notification template/.test(err.message); }
+    this.assert(threw, 'Unknown template throws');
+
+    // sendToUsers: one FCM call per locale group, rendered in that locale
+    {
+      const { service, messaging } = buildWithLocales(
+        { 'user-en': ['tok-en-aaaaaaaa'], 'user-es': ['tok-es-aaaaaaaa', 'tok-es-bbbbbbbb'], 'user-none': ['tok-none-aaaaaa'] },
+        { 'user-en': 'en', 'user-es': 'es' }
+      );
+      const result = await service.sendToUsers(['user-en', 'user-es', 'user-none'], stepMessage);
+      const byTitle = Object.fromEntries(messaging.__sentCalls.map(m => [m.notification.title, m]));
+      this.assert(messaging.__sentCalls.length === 2, 'One FCM call per locale', `calls = ${messaging.__sentCalls.length}`);
+      this.assert(
+        byTitle['Alice shared a reflection'] && byTitle['Alice shared a reflection'].tokens.length === 2 &&
+          byTitle['Alice compartió una reflexión'] && byTitle['Alice compartió una reflexión'].tokens.length === 2,
+        'Spanish users get Spanish copy; users without a locale get the default',
+        JSON.stringify(messaging.__sentCalls.map(m => [m.notification.title, m.tokens]))
+      );
+      this.assert(result.successCount === 4, 'Counts are aggregated across locale groups', `successCount = ${result.successCount}`);
+      const sent = messaging.__sentCalls[0];
+      this.assert(
+        sent.data.kind === 'step_message' && sent.data.step_id === 's1' && !('template' in sent.data) && !sent.android,
+        'data is kept, template fields are not sent, no loc keys by default'
+      );
+    }
+
+    // Locale lookup failure → default locale, still sent
+    {
+      const { service, messaging, userModel } = buildWithLocales({ 'user-es': ['tok-es-aaaaaaaa'] }, { 'user-es': 'es' });
+      userModel.__fail = true;
+      const result = await service.sendToUser('user-es', stepMessage);
+      this.assert(
+        result.successCount === 1 && messaging.__sentCalls[0].notification.title === 'Alice shared a reflection',
+        'Failed locale lookup sends in the default locale'
+      );
+    }
+
+    // locKeys: FCM loc keys + args for Android and APNs, rendered copy kept
+    {
+      const { service, messaging } = buildWithLocales({ 'user-es': ['tok-es-aaaaaaaa'] }, { 'user-es': 'es' }, { locKeys: true });
+      await service.sendToUser('user-es', {
+        template: 'daily_reminder',
+        variables: { step_day: 3, theme: 'Gratitud' },
+        data: { kind: 'daily_reminder' },
+        android: { channelId: 'reminders' }
+      });
+      const sent = messaging.__sentCalls[0];
+      const androidNotification = sent.android && sent.android.notification;
+      const alert = sent.apns && sent.apns.payload.aps.alert;
+      this.assert(
+        androidNotification && androidNotification.titleLocKey === 'push_daily_reminder_title' &&
+          androidNotification.bodyLocKey === 'push_daily_reminder_body' &&
+          JSON.stringify(androidNotification.bodyLocArgs) === JSON.stringify(['3', 'Gratitud']) &&
+          androidNotification.channel_id === 'reminders',
+        'Android notification carries loc keys and args alongside the channel',
+        JSON.stringify(androidNotification)
+      );
+      this.assert(
+        alert && alert.titleLocKey === 'push_daily_reminder_title' && alert.locKey === 'push_daily_reminder_body' &&
+          JSON.stringify(alert.locArgs) === JSON.stringify(['3', 'Gratitud']),
+        'APNs alert carries loc keys and args',
+        JSON.stringify(alert)
+      );
+      this.assert(
+        sent.notification.title === 'El día 3 está listo' && sent.notification.body === 'Tema de hoy: Gratitud',
+        'Rendered copy is still sent for clients without the keys'
+      );
+    }
+
+    // Deferred pushes keep the template (rendered when finally sent)
+    {
+      const jobQueue = buildFakeJobQueue();
+      const { service } = buildWithLocales({ 'user-1': ['tok-one-aaaaaaaa'] }, {}, {
+        preferenceModel: buildFakePreferenceModel({ 'user-1': quietRowAroundNow(60) }),
+        jobQueue
+      });
+      await service.sendToUser('user-1', stepMessage);
+      const job = jobQueue.enqueued[0];
+      this.assert(
+        job && job.payload.payload.template === 'step_message' && !job.payload.payload.title,
+        'Deferred job stores the template, not rendered copy'
+      );
+    }
+
+    // sendToTokens renders templates in the default locale
+    {
+      const { service, messaging } = buildWithLocales({});
+      await service.sendToTokens(['tok-raw-aaaaaaaaaa'], { template: 'therapy_response', data: { kind: 'therapy_response' } });
+      this.assert(
+        messaging.__sentCalls[0].notification.title === 'New reflection ready',
+        'sendToTokens renders templates in the default locale'
+      );
+    }
+  }
+
   // ───────────────────────────────────────────────────────────────────
   // Payload builder — data coercion + APNs/Android specifics
   // ───────────────────────────────────────────────────────────────────
@@ -519,6 +996,9 @@ class PushNotificationServiceTestRunner {
     await this.runSendToTokensThrowTests();
     await this.runSendToUserTests();
     await this.runSendToUsersTests();
+    await this.runPreferenceTests();
+    await this.runDeliveryLogTests();
+    await this.runTemplateTests();
     await this.runPayloadBuilderTests();
     await this.runNotConfiguredTests();
 
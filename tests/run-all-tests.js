@@ -20,9 +20,24 @@ const HelpfulPromptServiceTestRunner = require('./helpful-prompt-service-test');
 const HopefulPromptServiceTestRunner = require('./hopeful-prompt-service-test');
 const ProgramOrgContextTestRunner = require('./program-org-context-test');
 const PushNotificationServiceTestRunner = require('./push-notification-service-test');
+const PromptSessionExpiryServiceTestRunner = require('./prompt-session-expiry-service-test');
+const LLMProvidersTestRunner = require('./llm-providers-test');
+const PromptEvalTestRunner = require('./prompt-eval-test');
+const DailyReminderServiceTestRunner = require('./daily-reminder-service-test');
+const JobQueueTestRunner = require('./job-queue-test');
 const AdminAuthRefreshTestRunner = require('./admin-auth-refresh-test');
 const AdminPushTestRunner = require('./admin-push-test-test');
 const PromptSessionsTestRunner = require('./prompt-sessions-test');
+const LLMUsageTestRunner = require('./llm-usage-test');
+const PromptTemplatesTestRunner = require('./prompt-templates-test');
+const ExperimentsTestRunner = require('./experiments-test');
+const AdminProgramsTestRunner = require('./admin-programs-test');
+const NotificationPreferencesTestRunner = require('./notification-preferences-test');
+const PairingInvitesTestRunner = require('./pairing-invites-test');
+const PairingEndTestRunner = require('./pairing-end-test');
+const MultiPairingTestRunner = require('./multi-pairing-test');
+const PasswordResetTestRunner = require('./password-reset-test');
+const EmailVerificationTestRunner = require('./email-verification-test');
 
 /**
  * Comprehensive test suite runner for CI/CD pipeline
@@ -55,9 +70,24 @@ class TestSuiteRunner {
       runHopefulPromptService: options.runHopefulPromptService !== false, // Default true
       runProgramOrgContext: options.runProgramOrgContext !== false, // Default true
       runPushNotificationService: options.runPushNotificationService !== false, // Default true
+      runPromptSessionExpiry: options.runPromptSessionExpiry !== false, // Default true
+      runLLMProviders: options.runLLMProviders !== false, // Default true
+      runPromptEval: options.runPromptEval !== false, // Default true
+      runDailyReminders: options.runDailyReminders !== false, // Default true
+      runJobQueue: options.runJobQueue !== false, // Default true
       runAdminAuthRefresh: options.runAdminAuthRefresh !== false, // Default true
       runAdminPushTest: options.runAdminPushTest !== false, // Default true
       runPromptSessions: options.runPromptSessions !== false, // Default true
+      runLLMUsage: options.runLLMUsage !== false, // Default true
+      runPromptTemplates: options.runPromptTemplates !== false, // Default true
+      runExperiments: options.runExperiments !== false, // Default true
+      runAdminPrograms: options.runAdminPrograms !== false, // Default true
+      runNotificationPreferences: options.runNotificationPreferences !== false, // Default true
+      runPairingInvites: options.runPairingInvites !== false, // Default true
+      runPairingEnd: options.runPairingEnd !== false, // Default true
+      runMultiPairing: options.runMultiPairing !== false, // Default true
+      runPasswordReset: options.runPasswordReset !== false, // Default true
+      runEmailVerification: options.runEmailVerification !== false, // Default true
       baseURL: options.baseURL || 'http://127.0.0.1:9000',
       timeout: options.timeout || 30000,
       skipServerCheck: options.skipServerCheck || false
@@ -86,9 +116,24 @@ class TestSuiteRunner {
       hopefulPromptService: null,
       programOrgContext: null,
       pushNotificationService: null,
+      promptSessionExpiry: null,
+      llmProviders: null,
+      promptEval: null,
+      dailyReminders: null,
+      jobQueue: null,
       adminAuthRefresh: null,
       adminPushTest: null,
       promptSessions: null,
+      llmUsage: null,
+      promptTemplates: null,
+      experiments: null,
+      adminPrograms: null,
+      notificationPreferences: null,
+      pairingInvites: null,
+      pairingEnd: null,
+      multiPairing: null,
+      passwordReset: null,
+      emailVerification: null,
       startTime: Date.now(),
       endTime: null
     };
@@ -843,6 +888,181 @@ class TestSuiteRunner {
     }
   }
 
+  async runPromptSessionExpiryTests() {
+    if (!this.options.runPromptSessionExpiry) {
+      this.log('Skipping PromptSessionExpiryService unit tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('⌛ Running PromptSessionExpiryService Unit Test Suite', 'section');
+
+    try {
+      const runner = new PromptSessionExpiryServiceTestRunner();
+      const success = await runner.run();
+
+      this.results.promptSessionExpiry = {
+        success,
+        skipped: false,
+        details: 'Idle prompt session reminder push + abandonment — in-memory model, no DB',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('PromptSessionExpiryService unit tests completed successfully', 'success');
+      } else {
+        this.log('PromptSessionExpiryService unit tests failed', 'error');
+      }
+
+      return this.results.promptSessionExpiry;
+    } catch (error) {
+      this.log(`PromptSessionExpiryService unit tests failed: ${error.message}`, 'error');
+      this.results.promptSessionExpiry = { success: false, error: error.message };
+      return this.results.promptSessionExpiry;
+    }
+  }
+
+  async runLLMProvidersTests() {
+    if (!this.options.runLLMProviders) {
+      this.log('Skipping LLM provider unit tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🔌 Running LLM Providers Unit Test Suite', 'section');
+
+    try {
+      const runner = new LLMProvidersTestRunner();
+      const success = await runner.run();
+
+      this.results.llmProviders = {
+        success,
+        skipped: false,
+        details: 'OpenAI / Anthropic / Azure / OpenAI-compatible adapters + provider selection — fully mocked fetch',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('LLM provider unit tests completed successfully', 'success');
+      } else {
+        this.log('LLM provider unit tests failed', 'error');
+      }
+
+      return this.results.llmProviders;
+    } catch (error) {
+      this.log(`LLM provider unit tests failed: ${error.message}`, 'error');
+      this.results.llmProviders = { success: false, error: error.message };
+      return this.results.llmProviders;
+    }
+  }
+
+  async runPromptEvalTests() {
+    if (!this.options.runPromptEval) {
+      this.log('Skipping prompt eval harness unit tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🧪 Running Prompt Eval Harness Unit Test Suite', 'section');
+
+    try {
+      const runner = new PromptEvalTestRunner();
+      const success = await runner.run();
+
+      this.results.promptEval = {
+        success,
+        skipped: false,
+        details: 'Fixture validation, checks, rubric scorers, baseline comparison and HTML report — fully mocked fetch',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Prompt eval harness unit tests completed successfully', 'success');
+      } else {
+        this.log('Prompt eval harness unit tests failed', 'error');
+      }
+
+      return this.results.promptEval;
+    } catch (error) {
+      this.log(`Prompt eval harness unit tests failed: ${error.message}`, 'error');
+      this.results.promptEval = { success: false, error: error.message };
+      return this.results.promptEval;
+    }
+  }
+
+  async runDailyRemindersTests() {
+    if (!this.options.runDailyReminders) {
+      this.log('Skipping DailyReminderService unit tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('⏰ Running DailyReminderService Unit Test Suite', 'section');
+
+    try {
+      const runner = new DailyReminderServiceTestRunner();
+      const success = await runner.run();
+
+      this.results.dailyReminders = {
+        success,
+        skipped: false,
+        details: 'Reminder times, nudges, dedupe (no DB)',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('DailyReminderService unit tests completed successfully', 'success');
+      } else {
+        this.log('DailyReminderService unit tests failed', 'error');
+      }
+
+      return this.results.dailyReminders;
+    } catch (error) {
+      this.log(`DailyReminderService unit tests failed: ${error.message}`, 'error');
+      this.results.dailyReminders = { success: false, error: error.message };
+      return this.results.dailyReminders;
+    }
+  }
+
+  async runJobQueueTests() {
+    if (!this.options.runJobQueue) {
+      this.log('Skipping JobQueue unit tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🧵 Running JobQueue Unit Test Suite', 'section');
+
+    try {
+      const runner = new JobQueueTestRunner();
+      const success = await runner.run();
+
+      this.results.jobQueue = {
+        success,
+        skipped: false,
+        details: 'Leasing, retries with backoff, dead-lettering and idempotency keys — in-memory job model',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('JobQueue unit tests completed successfully', 'success');
+      } else {
+        this.log('JobQueue unit tests failed', 'error');
+      }
+
+      return this.results.jobQueue;
+    } catch (error) {
+      this.log(`JobQueue unit tests failed: ${error.message}`, 'error');
+      this.results.jobQueue = { success: false, error: error.message };
+      return this.results.jobQueue;
+    }
+  }
+
   async runAdminAuthRefreshTests() {
     if (!this.options.runAdminAuthRefresh) {
       this.log('Skipping AdminAuthService refresh unit tests', 'warn');
@@ -954,6 +1174,386 @@ class TestSuiteRunner {
     }
   }
 
+  async runLLMUsageTests() {
+    if (!this.options.runLLMUsage) {
+      this.log('Skipping llm usage tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('💰 Running LLM Usage Test Suite', 'section');
+
+    try {
+      const runner = new LLMUsageTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.llmUsage = {
+        success,
+        skipped: false,
+        details: 'GET /api/admin/llm-usage — auth gate, date validation, report shape, usage recorded on generation',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('LLM Usage tests completed successfully', 'success');
+      } else {
+        this.log('LLM Usage tests failed', 'error');
+      }
+
+      return this.results.llmUsage;
+    } catch (error) {
+      this.log(`LLM Usage tests failed: ${error.message}`, 'error');
+      this.results.llmUsage = { success: false, error: error.message };
+      return this.results.llmUsage;
+    }
+  }
+
+  async runPromptTemplatesTests() {
+    if (!this.options.runPromptTemplates) {
+      this.log('Skipping prompt template tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🧾 Running Prompt Template Test Suite', 'section');
+
+    try {
+      const runner = new PromptTemplatesTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.promptTemplates = {
+        success,
+        skipped: false,
+        details: '/api/admin/prompt-templates — auth gate, variable validation, draft/publish/archive lifecycle',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Prompt Template tests completed successfully', 'success');
+      } else {
+        this.log('Prompt Template tests failed', 'error');
+      }
+
+      return this.results.promptTemplates;
+    } catch (error) {
+      this.log(`Prompt Template tests failed: ${error.message}`, 'error');
+      this.results.promptTemplates = { success: false, error: error.message };
+      return this.results.promptTemplates;
+    }
+  }
+
+  async runExperimentsTests() {
+    if (!this.options.runExperiments) {
+      this.log('Skipping A/B experiment tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🧪 Running A/B Experiment Test Suite', 'section');
+
+    try {
+      const runner = new ExperimentsTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.experiments = {
+        success,
+        skipped: false,
+        details: '/api/admin/experiments — auth gate, arm validation, draft/running/stopped lifecycle, template pinning guard, per-arm report',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('A/B Experiment tests completed successfully', 'success');
+      } else {
+        this.log('A/B Experiment tests failed', 'error');
+      }
+
+      return this.results.experiments;
+    } catch (error) {
+      this.log(`A/B Experiment tests failed: ${error.message}`, 'error');
+      this.results.experiments = { success: false, error: error.message };
+      return this.results.experiments;
+    }
+  }
+
+  async runAdminProgramsTests() {
+    if (!this.options.runAdminPrograms) {
+      this.log('Skipping admin program regeneration tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🔁 Running Admin Program Regeneration Test Suite', 'section');
+
+    try {
+      const runner = new AdminProgramsTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.adminPrograms = {
+        success,
+        skipped: false,
+        details: 'Batch/single regeneration, drafts, diff, publish, discard',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Admin Program Regeneration tests completed successfully', 'success');
+      } else {
+        this.log('Admin Program Regeneration tests failed', 'error');
+      }
+
+      return this.results.adminPrograms;
+    } catch (error) {
+      this.log(`Admin Program Regeneration tests failed: ${error.message}`, 'error');
+      this.results.adminPrograms = { success: false, error: error.message };
+      return this.results.adminPrograms;
+    }
+  }
+
+  async runNotificationPreferencesTests() {
+    if (!this.options.runNotificationPreferences) {
+      this.log('Skipping notification preferences tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🔕 Running Notification Preferences Test Suite', 'section');
+
+    try {
+      const runner = new NotificationPreferencesTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.notificationPreferences = {
+        success,
+        skipped: false,
+        details: 'Per-kind toggles, quiet hours, validation',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Notification Preferences tests completed successfully', 'success');
+      } else {
+        this.log('Notification Preferences tests failed', 'error');
+      }
+
+      return this.results.notificationPreferences;
+    } catch (error) {
+      this.log(`Notification Preferences tests failed: ${error.message}`, 'error');
+      this.results.notificationPreferences = { success: false, error: error.message };
+      return this.results.notificationPreferences;
+    }
+  }
+
+  async runPairingInvitesTests() {
+    if (!this.options.runPairingInvites) {
+      this.log('Skipping pairing invites tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🔗 Running Pairing Invites Test Suite', 'section');
+
+    try {
+      const runner = new PairingInvitesTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.pairingInvites = {
+        success,
+        skipped: false,
+        details: 'Partner code expiry, regeneration, invite links',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Pairing Invites tests completed successfully', 'success');
+      } else {
+        this.log('Pairing Invites tests failed', 'error');
+      }
+
+      return this.results.pairingInvites;
+    } catch (error) {
+      this.log(`Pairing Invites tests failed: ${error.message}`, 'error');
+      this.results.pairingInvites = { success: false, error: error.message };
+      return this.results.pairingInvites;
+    }
+  }
+
+  async runPairingEndTests() {
+    if (!this.options.runPairingEnd) {
+      this.log('Skipping pairing end tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('💔 Running Pairing End Test Suite', 'section');
+
+    try {
+      const runner = new PairingEndTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.pairingEnd = {
+        success,
+        skipped: false,
+        details: 'End partnership, archived programs, re-pairing',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Pairing End tests completed successfully', 'success');
+      } else {
+        this.log('Pairing End tests failed', 'error');
+      }
+
+      return this.results.pairingEnd;
+    } catch (error) {
+      this.log(`Pairing End tests failed: ${error.message}`, 'error');
+      this.results.pairingEnd = { success: false, error: error.message };
+      return this.results.pairingEnd;
+    }
+  }
+
+  async runMultiPairingTests() {
+    if (!this.options.runMultiPairing) {
+      this.log('Skipping multi-pairing tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('👥 Running Multi-Pairing Test Suite', 'section');
+
+    try {
+      const runner = new MultiPairingTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.multiPairing = {
+        success,
+        skipped: false,
+        details: 'max_pairings, active pairing, per-pairing lists and mutes',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Multi-Pairing tests completed successfully', 'success');
+      } else {
+        this.log('Multi-Pairing tests failed', 'error');
+      }
+
+      return this.results.multiPairing;
+    } catch (error) {
+      this.log(`Multi-Pairing tests failed: ${error.message}`, 'error');
+      this.results.multiPairing = { success: false, error: error.message };
+      return this.results.multiPairing;
+    }
+  }
+
+  async runPasswordResetTests() {
+    if (!this.options.runPasswordReset) {
+      this.log('Skipping password reset tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('🔑 Running Password Reset Test Suite', 'section');
+
+    try {
+      const runner = new PasswordResetTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.passwordReset = {
+        success,
+        skipped: false,
+        details: 'Forgot / reset password, emailed tokens, session revocation',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Password Reset tests completed successfully', 'success');
+      } else {
+        this.log('Password Reset tests failed', 'error');
+      }
+
+      return this.results.passwordReset;
+    } catch (error) {
+      this.log(`Password Reset tests failed: ${error.message}`, 'error');
+      this.results.passwordReset = { success: false, error: error.message };
+      return this.results.passwordReset;
+    }
+  }
+
+  async runEmailVerificationTests() {
+    if (!this.options.runEmailVerification) {
+      this.log('Skipping email verification tests', 'warn');
+      return { skipped: true };
+    }
+
+    this.log('📧 Running Email Verification Test Suite', 'section');
+
+    try {
+      const runner = new EmailVerificationTestRunner({
+        baseURL: this.options.baseURL,
+        timeout: this.options.timeout
+      });
+      const success = await runner.runAllTests();
+
+      this.results.emailVerification = {
+        success,
+        skipped: false,
+        details: 'Verify link, resend, confirmed change of email',
+        passed: runner.testResults.passed,
+        failed: runner.testResults.failed,
+        total: runner.testResults.total
+      };
+
+      if (success) {
+        this.log('Email Verification tests completed successfully', 'success');
+      } else {
+        this.log('Email Verification tests failed', 'error');
+      }
+
+      return this.results.emailVerification;
+    } catch (error) {
+      this.log(`Email Verification tests failed: ${error.message}`, 'error');
+      this.results.emailVerification = { success: false, error: error.message };
+      return this.results.emailVerification;
+    }
+  }
+
   async runDeviceTokenTests() {
     if (!this.options.runDeviceTokens) {
       this.log('Skipping device tokens tests', 'warn');
@@ -1056,6 +1656,11 @@ class TestSuiteRunner {
     this.log(`  HopefulPromptService Unit Tests: ${this.options.runHopefulPromptService ? 'Enabled' : 'Disabled'}`, 'info');
     this.log(`  Program Org Context Tests: ${this.options.runProgramOrgContext ? 'Enabled' : 'Disabled'}`, 'info');
     this.log(`  PushNotificationService Unit Tests: ${this.options.runPushNotificationService ? 'Enabled' : 'Disabled'}`, 'info');
+    this.log(`  PromptSessionExpiryService Unit Tests: ${this.options.runPromptSessionExpiry ? 'Enabled' : 'Disabled'}`, 'info');
+    this.log(`  LLM Providers Unit Tests: ${this.options.runLLMProviders ? 'Enabled' : 'Disabled'}`, 'info');
+    this.log(`  Prompt Eval Harness Unit Tests: ${this.options.runPromptEval ? 'Enabled' : 'Disabled'}`, 'info');
+    this.log(`  DailyReminderService Unit Tests: ${this.options.runDailyReminders ? 'Enabled' : 'Disabled'}`, 'info');
+    this.log(`  JobQueue Unit Tests: ${this.options.runJobQueue ? 'Enabled' : 'Disabled'}`, 'info');
     console.log('');
 
     // Check server health
@@ -1266,6 +1871,51 @@ class TestSuiteRunner {
       console.log('');
     }
 
+    // Run PromptSessionExpiryService unit tests (in-memory model, no DB)
+    if (this.options.runPromptSessionExpiry) {
+      await this.runPromptSessionExpiryTests();
+      if (this.results.promptSessionExpiry && !this.results.promptSessionExpiry.success && !this.results.promptSessionExpiry.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run LLM provider unit tests (fully mocked fetch, no real LLM calls)
+    if (this.options.runLLMProviders) {
+      await this.runLLMProvidersTests();
+      if (this.results.llmProviders && !this.results.llmProviders.success && !this.results.llmProviders.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run prompt eval harness unit tests (fully mocked fetch, no real LLM calls)
+    if (this.options.runPromptEval) {
+      await this.runPromptEvalTests();
+      if (this.results.promptEval && !this.results.promptEval.success && !this.results.promptEval.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run DailyReminderService unit tests (Reminder times, nudges, dedupe (no DB))
+    if (this.options.runDailyReminders) {
+      await this.runDailyRemindersTests();
+      if (this.results.dailyReminders && !this.results.dailyReminders.success && !this.results.dailyReminders.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run JobQueue unit tests (in-memory job model, no DB)
+    if (this.options.runJobQueue) {
+      await this.runJobQueueTests();
+      if (this.results.jobQueue && !this.results.jobQueue.success && !this.results.jobQueue.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
     // Run AdminAuthService refresh unit tests (no server / DB)
     if (this.options.runAdminAuthRefresh) {
       await this.runAdminAuthRefreshTests();
@@ -1293,6 +1943,96 @@ class TestSuiteRunner {
       console.log('');
     }
 
+    // Run llm usage integration tests
+    if (this.options.runLLMUsage) {
+      await this.runLLMUsageTests();
+      if (this.results.llmUsage && !this.results.llmUsage.success && !this.results.llmUsage.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run prompt template tests integration tests
+    if (this.options.runPromptTemplates) {
+      await this.runPromptTemplatesTests();
+      if (this.results.promptTemplates && !this.results.promptTemplates.success && !this.results.promptTemplates.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run A/B experiment integration tests
+    if (this.options.runExperiments) {
+      await this.runExperimentsTests();
+      if (this.results.experiments && !this.results.experiments.success && !this.results.experiments.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run admin program regeneration integration tests
+    if (this.options.runAdminPrograms) {
+      await this.runAdminProgramsTests();
+      if (this.results.adminPrograms && !this.results.adminPrograms.success && !this.results.adminPrograms.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run notification preferences integration tests
+    if (this.options.runNotificationPreferences) {
+      await this.runNotificationPreferencesTests();
+      if (this.results.notificationPreferences && !this.results.notificationPreferences.success && !this.results.notificationPreferences.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run pairing invites integration tests
+    if (this.options.runPairingInvites) {
+      await this.runPairingInvitesTests();
+      if (this.results.pairingInvites && !this.results.pairingInvites.success && !this.results.pairingInvites.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run pairing end integration tests
+    if (this.options.runPairingEnd) {
+      await this.runPairingEndTests();
+      if (this.results.pairingEnd && !this.results.pairingEnd.success && !this.results.pairingEnd.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run multi-pairing integration tests
+    if (this.options.runMultiPairing) {
+      await this.runMultiPairingTests();
+      if (this.results.multiPairing && !this.results.multiPairing.success && !this.results.multiPairing.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run password reset integration tests
+    if (this.options.runPasswordReset) {
+      await this.runPasswordResetTests();
+      if (this.results.passwordReset && !this.results.passwordReset.success && !this.results.passwordReset.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
+    // Run email verification integration tests
+    if (this.options.runEmailVerification) {
+      await this.runEmailVerificationTests();
+      if (this.results.emailVerification && !this.results.emailVerification.success && !this.results.emailVerification.skipped) {
+        overallSuccess = false;
+      }
+      console.log('');
+    }
+
     this.results.endTime = Date.now();
     this.printOverallSummary(overallSuccess);
 
@@ -1538,6 +2278,61 @@ class TestSuiteRunner {
       }
     }
 
+    // PromptSessionExpiryService unit test results
+    if (this.results.promptSessionExpiry) {
+      if (this.results.promptSessionExpiry.skipped) {
+        this.log('⌛ PromptSessionExpiryService Unit Tests: SKIPPED', 'warn');
+      } else if (this.results.promptSessionExpiry.success) {
+        this.log(`⌛ PromptSessionExpiryService Unit Tests: PASSED (${this.results.promptSessionExpiry.passed}/${this.results.promptSessionExpiry.total})`, 'success');
+      } else {
+        this.log(`⌛ PromptSessionExpiryService Unit Tests: FAILED (${this.results.promptSessionExpiry.failed}/${this.results.promptSessionExpiry.total} failures)`, 'error');
+      }
+    }
+
+    // LLM provider unit test results
+    if (this.results.llmProviders) {
+      if (this.results.llmProviders.skipped) {
+        this.log('🔌 LLM Providers Unit Tests: SKIPPED', 'warn');
+      } else if (this.results.llmProviders.success) {
+        this.log(`🔌 LLM Providers Unit Tests: PASSED (${this.results.llmProviders.passed}/${this.results.llmProviders.total})`, 'success');
+      } else {
+        this.log(`🔌 LLM Providers Unit Tests: FAILED (${this.results.llmProviders.failed}/${this.results.llmProviders.total} failures)`, 'error');
+      }
+    }
+
+    // Prompt eval harness unit test results
+    if (this.results.promptEval) {
+      if (this.results.promptEval.skipped) {
+        this.log('🧪 Prompt Eval Harness Unit Tests: SKIPPED', 'warn');
+      } else if (this.results.promptEval.success) {
+        this.log(`🧪 Prompt Eval Harness Unit Tests: PASSED (${this.results.promptEval.passed}/${this.results.promptEval.total})`, 'success');
+      } else {
+        this.log(`🧪 Prompt Eval Harness Unit Tests: FAILED (${this.results.promptEval.failed}/${this.results.promptEval.total} failures)`, 'error');
+      }
+    }
+
+    // DailyReminderService unit test results
+    if (this.results.dailyReminders) {
+      if (this.results.dailyReminders.skipped) {
+        this.log('⏰ DailyReminderService Unit Tests: SKIPPED', 'warn');
+      } else if (this.results.dailyReminders.success) {
+        this.log(`⏰ DailyReminderService Unit Tests: PASSED (${this.results.dailyReminders.passed}/${this.results.dailyReminders.total})`, 'success');
+      } else {
+        this.log(`⏰ DailyReminderService Unit Tests: FAILED (${this.results.dailyReminders.failed}/${this.results.dailyReminders.total} failures)`, 'error');
+      }
+    }
+
+    // JobQueue unit test results
+    if (this.results.jobQueue) {
+      if (this.results.jobQueue.skipped) {
+        this.log('🧵 JobQueue Unit Tests: SKIPPED', 'warn');
+      } else if (this.results.jobQueue.success) {
+        this.log(`🧵 JobQueue Unit Tests: PASSED (${this.results.jobQueue.passed}/${this.results.jobQueue.total})`, 'success');
+      } else {
+        this.log(`🧵 JobQueue Unit Tests: FAILED (${this.results.jobQueue.failed}/${this.results.jobQueue.total} failures)`, 'error');
+      }
+    }
+
     // Prompt sessions test results
     if (this.results.promptSessions) {
       if (this.results.promptSessions.skipped) {
@@ -1549,6 +2344,116 @@ class TestSuiteRunner {
       }
     }
 
+    // LLM Usage test results
+    if (this.results.llmUsage) {
+      if (this.results.llmUsage.skipped) {
+        this.log('💰 LLM Usage Tests: SKIPPED', 'warn');
+      } else if (this.results.llmUsage.success) {
+        this.log(`💰 LLM Usage Tests: PASSED (${this.results.llmUsage.passed}/${this.results.llmUsage.total})`, 'success');
+      } else {
+        this.log(`💰 LLM Usage Tests: FAILED (${this.results.llmUsage.failed}/${this.results.llmUsage.total} failures)`, 'error');
+      }
+    }
+
+    // Prompt Template test results
+    if (this.results.promptTemplates) {
+      if (this.results.promptTemplates.skipped) {
+        this.log('🧾 Prompt Template Tests: SKIPPED', 'warn');
+      } else if (this.results.promptTemplates.success) {
+        this.log(`🧾 Prompt Template Tests: PASSED (${this.results.promptTemplates.passed}/${this.results.promptTemplates.total})`, 'success');
+      } else {
+        this.log(`🧾 Prompt Template Tests: FAILED (${this.results.promptTemplates.failed}/${this.results.promptTemplates.total} failures)`, 'error');
+      }
+    }
+
+    // A/B Experiment test results
+    if (this.results.experiments) {
+      if (this.results.experiments.skipped) {
+        this.log('🧪 A/B Experiment Tests: SKIPPED', 'warn');
+      } else if (this.results.experiments.success) {
+        this.log(`🧪 A/B Experiment Tests: PASSED (${this.results.experiments.passed}/${this.results.experiments.total})`, 'success');
+      } else {
+        this.log(`🧪 A/B Experiment Tests: FAILED (${this.results.experiments.failed}/${this.results.experiments.total} failures)`, 'error');
+      }
+    }
+
+    // Admin Program Regeneration test results
+    if (this.results.adminPrograms) {
+      if (this.results.adminPrograms.skipped) {
+        this.log('🔁 Admin Program Regeneration Tests: SKIPPED', 'warn');
+      } else if (this.results.adminPrograms.success) {
+        this.log(`🔁 Admin Program Regeneration Tests: PASSED (${this.results.adminPrograms.passed}/${this.results.adminPrograms.total})`, 'success');
+      } else {
+        this.log(`🔁 Admin Program Regeneration Tests: FAILED (${this.results.adminPrograms.failed}/${this.results.adminPrograms.total} failures)`, 'error');
+      }
+    }
+
+    // Notification Preferences test results
+    if (this.results.notificationPreferences) {
+      if (this.results.notificationPreferences.skipped) {
+        this.log('🔕 Notification Preferences Tests: SKIPPED', 'warn');
+      } else if (this.results.notificationPreferences.success) {
+        this.log(`🔕 Notification Preferences Tests: PASSED (${this.results.notificationPreferences.passed}/${this.results.notificationPreferences.total})`, 'success');
+      } else {
+        this.log(`🔕 Notification Preferences Tests: FAILED (${this.results.notificationPreferences.failed}/${this.results.notificationPreferences.total} failures)`, 'error');
+      }
+    }
+
+    // Pairing Invites test results
+    if (this.results.pairingInvites) {
+      if (this.results.pairingInvites.skipped) {
+        this.log('🔗 Pairing Invites Tests: SKIPPED', 'warn');
+      } else if (this.results.pairingInvites.success) {
+        this.log(`🔗 Pairing Invites Tests: PASSED (${this.results.pairingInvites.passed}/${this.results.pairingInvites.total})`, 'success');
+      } else {
+        this.log(`🔗 Pairing Invites Tests: FAILED (${this.results.pairingInvites.failed}/${this.results.pairingInvites.total} failures)`, 'error');
+      }
+    }
+
+    // Pairing End test results
+    if (this.results.pairingEnd) {
+      if (this.results.pairingEnd.skipped) {
+        this.log('💔 Pairing End Tests: SKIPPED', 'warn');
+      } else if (this.results.pairingEnd.success) {
+        this.log(`💔 Pairing End Tests: PASSED (${this.results.pairingEnd.passed}/${this.results.pairingEnd.total})`, 'success');
+      } else {
+        this.log(`💔 Pairing End Tests: FAILED (${this.results.pairingEnd.failed}/${this.results.pairingEnd.total} failures)`, 'error');
+      }
+    }
+
+    // Multi-Pairing test results
+    if (this.results.multiPairing) {
+      if (this.results.multiPairing.skipped) {
+        this.log('👥 Multi-Pairing Tests: SKIPPED', 'warn');
+      } else if (this.results.multiPairing.success) {
+        this.log(`👥 Multi-Pairing Tests: PASSED (${this.results.multiPairing.passed}/${this.results.multiPairing.total})`, 'success');
+      } else {
+        this.log(`👥 Multi-Pairing Tests: FAILED (${this.results.multiPairing.failed}/${this.results.multiPairing.total} failures)`, 'error');
+      }
+    }
+
+    // Password Reset test results
+    if (this.results.passwordReset) {
+      if (this.results.passwordReset.skipped) {
+        this.log('🔑 Password Reset Tests: SKIPPED', 'warn');
+      } else if (this.results.passwordReset.success) {
+        this.log(`🔑 Password Reset Tests: PASSED (${this.results.passwordReset.passed}/${this.results.passwordReset.total})`, 'success');
+      } else {
+        this.log(`🔑 Password Reset Tests: FAILED (${this.results.passwordReset.failed}/${this.results.passwordReset.total} failures)`, 'error');
+      }
+    }
+
+    // Email Verification test results
+    if (this.results.emailVerification) {
+      if (this.results.emailVerification.skipped) {
+        this.log('📧 Email Verification Tests: SKIPPED', 'warn');
+      } else if (this.results.emailVerification.success) {
+        this.log(`📧 Email Verification Tests: PASSED (${this.results.emailVerification.passed}/${this.results.emailVerification.total})`, 'success');
+      } else {
+        this.log(`📧 Email Verification Tests: FAILED (${this.results.emailVerification.failed}/${this.results.emailVerification.total} failures)`, 'error');
+      }
+    }
+
     console.log('');
 
     // Overall result
@@ -1588,7 +2493,8 @@ class TestSuiteRunner {
                this.results.userOrgCode?.success && this.results.deviceTokens?.success &&
                this.results.helpfulPromptService?.success &&
                this.results.hopefulPromptService?.success && this.results.programOrgContext?.success &&
-               this.results.pushNotificationService?.success && this.results.promptSessions?.success,
+               this.results.pushNotificationService?.success && this.results.promptSessionExpiry?.success && this.results.llmProviders?.success && this.results.promptEval?.success && this.results.dailyReminders?.success && this.results.jobQueue?.success &&
+               this.results.promptSessions?.success && this.results.llmUsage?.success && this.results.promptTemplates?.success && this.results.experiments?.success && this.results.adminPrograms?.success && this.results.notificationPreferences?.success && this.results.pairingInvites?.success && this.results.pairingEnd?.success && this.results.multiPairing?.success && this.results.passwordReset?.success && this.results.emailVerification?.success,
       results: {
         security: this.results.security,
         load: this.results.load,
@@ -1609,9 +2515,24 @@ class TestSuiteRunner {
         hopefulPromptService: this.results.hopefulPromptService,
         programOrgContext: this.results.programOrgContext,
         pushNotificationService: this.results.pushNotificationService,
+        promptSessionExpiry: this.results.promptSessionExpiry,
+        llmProviders: this.results.llmProviders,
+        promptEval: this.results.promptEval,
+        dailyReminders: this.results.dailyReminders,
+        jobQueue: this.results.jobQueue,
         adminAuthRefresh: this.results.adminAuthRefresh,
         adminPushTest: this.results.adminPushTest,
-        promptSessions: this.results.promptSessions
+        promptSessions: this.results.promptSessions,
+        llmUsage: this.results.llmUsage,
+        promptTemplates: this.results.promptTemplates,
+        experiments: this.results.experiments,
+        adminPrograms: this.results.adminPrograms,
+        notificationPreferences: this.results.notificationPreferences,
+        pairingInvites: this.results.pairingInvites,
+        pairingEnd: this.results.pairingEnd,
+        multiPairing: this.results.multiPairing,
+        passwordReset: this.results.passwordReset,
+        emailVerification: this.results.emailVerification
       },
       summary: {
         totalTests: (this.results.security?.total || 0) +
@@ -1624,7 +2545,8 @@ class TestSuiteRunner {
                    (this.results.userOrgCode?.total || 0) + (this.results.deviceTokens?.total || 0) +
                    (this.results.helpfulPromptService?.total || 0) +
                    (this.results.hopefulPromptService?.total || 0) + (this.results.programOrgContext?.total || 0) +
-                   (this.results.pushNotificationService?.total || 0) + (this.results.promptSessions?.total || 0),
+                   (this.results.pushNotificationService?.total || 0) + (this.results.promptSessionExpiry?.total || 0) + (this.results.llmProviders?.total || 0) + (this.results.promptEval?.total || 0) + (this.results.dailyReminders?.total || 0) + (this.results.jobQueue?.total || 0) +
+                   (this.results.promptSessions?.total || 0) + (this.results.llmUsage?.total || 0) + (this.results.promptTemplates?.total || 0) + (this.results.experiments?.total || 0) + (this.results.adminPrograms?.total || 0) + (this.results.notificationPreferences?.total || 0) + (this.results.pairingInvites?.total || 0) + (this.results.pairingEnd?.total || 0) + (this.results.multiPairing?.total || 0) + (this.results.passwordReset?.total || 0) + (this.results.emailVerification?.total || 0),
         totalPassed: (this.results.security?.passed || 0) +
                     (this.results.userCreation?.passed || 0) + (this.results.pairingsEndpoint?.passed || 0) +
                     (this.results.pairingLifecycle?.passed || 0) + (this.results.userSoftDelete?.passed || 0) +
@@ -1635,7 +2557,8 @@ class TestSuiteRunner {
                     (this.results.userOrgCode?.passed || 0) + (this.results.deviceTokens?.passed || 0) +
                     (this.results.helpfulPromptService?.passed || 0) +
                     (this.results.hopefulPromptService?.passed || 0) + (this.results.programOrgContext?.passed || 0) +
-                    (this.results.pushNotificationService?.passed || 0) + (this.results.promptSessions?.passed || 0),
+                    (this.results.pushNotificationService?.passed || 0) + (this.results.promptSessionExpiry?.passed || 0) + (this.results.llmProviders?.passed || 0) + (this.results.promptEval?.passed || 0) + (this.results.dailyReminders?.passed || 0) + (this.results.jobQueue?.passed || 0) +
+                   (this.results.promptSessions?.passed || 0) + (this.results.llmUsage?.passed || 0) + (this.results.promptTemplates?.passed || 0) + (this.results.experiments?.passed || 0) + (this.results.adminPrograms?.passed || 0) + (this.results.notificationPreferences?.passed || 0) + (this.results.pairingInvites?.passed || 0) + (this.results.pairingEnd?.passed || 0) + (this.results.multiPairing?.passed || 0) + (this.results.passwordReset?.passed || 0) + (this.results.emailVerification?.passed || 0),
         totalFailed: (this.results.security?.failed || 0) +
                     (this.results.userCreation?.failed || 0) + (this.results.pairingsEndpoint?.failed || 0) +
                     (this.results.pairingLifecycle?.failed || 0) + (this.results.userSoftDelete?.failed || 0) +
@@ -1647,7 +2570,8 @@ class TestSuiteRunner {
                     (this.results.stripeBilling?.failed || 0) +
                     (this.results.helpfulPromptService?.failed || 0) +
                     (this.results.hopefulPromptService?.failed || 0) + (this.results.programOrgContext?.failed || 0) +
-                    (this.results.pushNotificationService?.failed || 0) + (this.results.promptSessions?.failed || 0)
+                    (this.results.pushNotificationService?.failed || 0) + (this.results.promptSessionExpiry?.failed || 0) + (this.results.llmProviders?.failed || 0) + (this.results.promptEval?.failed || 0) + (this.results.dailyReminders?.failed || 0) + (this.results.jobQueue?.failed || 0) +
+                   (this.results.promptSessions?.failed || 0) + (this.results.llmUsage?.failed || 0) + (this.results.promptTemplates?.failed || 0) + (this.results.experiments?.failed || 0) + (this.results.adminPrograms?.failed || 0) + (this.results.notificationPreferences?.failed || 0) + (this.results.pairingInvites?.failed || 0) + (this.results.pairingEnd?.failed || 0) + (this.results.multiPairing?.failed || 0) + (this.results.passwordReset?.failed || 0) + (this.results.emailVerification?.failed || 0)
       }
     };
   }
@@ -1681,9 +2605,24 @@ function parseArgs() {
     if (arg === '--no-hopeful-prompt-service') options.runHopefulPromptService = false;
     if (arg === '--no-program-org-context') options.runProgramOrgContext = false;
     if (arg === '--no-push-notification-service') options.runPushNotificationService = false;
+    if (arg === '--no-prompt-session-expiry') options.runPromptSessionExpiry = false;
+    if (arg === '--no-llm-providers') options.runLLMProviders = false;
+    if (arg === '--no-prompt-eval') options.runPromptEval = false;
+    if (arg === '--no-daily-reminders') options.runDailyReminders = false;
+    if (arg === '--no-job-queue') options.runJobQueue = false;
     if (arg === '--no-admin-auth-refresh') options.runAdminAuthRefresh = false;
     if (arg === '--no-admin-push-test') options.runAdminPushTest = false;
     if (arg === '--no-prompt-sessions') options.runPromptSessions = false;
+    if (arg === '--no-llm-usage') options.runLLMUsage = false;
+    if (arg === '--no-prompt-templates') options.runPromptTemplates = false;
+    if (arg === '--no-experiments') options.runExperiments = false;
+    if (arg === '--no-admin-programs') options.runAdminPrograms = false;
+    if (arg === '--no-notification-preferences') options.runNotificationPreferences = false;
+    if (arg === '--no-pairing-invites') options.runPairingInvites = false;
+    if (arg === '--no-pairing-end') options.runPairingEnd = false;
+    if (arg === '--no-multi-pairing') options.runMultiPairing = false;
+    if (arg === '--no-password-reset') options.runPasswordReset = false;
+    if (arg === '--no-email-verification') options.runEmailVerification = false;
     if (arg === '--skip-server-check') options.skipServerCheck = true;
     if (arg.startsWith('--url=')) options.baseURL = arg.split('=')[1];
     if (arg.startsWith('--timeout=')) options.timeout = parseInt(arg.split('=')[1]);
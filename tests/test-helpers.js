@@ -7,9 +7,14 @@
  */
 
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 
 const TEST_EMAIL_DOMAIN = '@example.com';
 
+// Outbox of the server's MAIL_TRANSPORT=file mail transport.
+const MAIL_DIR = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox'));
+
 /**
  * Generate a unique test email.
  *
@@ -109,10 +114,47 @@ async function pollForProgramSteps(opts) {
   return { found: false, skipped: false, steps: [] };
 }
 
+/**
+ * Wait for an email with a one-time token (password reset, email
+ * verification) in the file transport outbox and return the token.
+ *
+ * Requires the server to run with MAIL_TRANSPORT=file and the same
+ * MAIL_FILE_DIR (default ./mail-outbox) as the tests.
+ *
+ * @param {object} opts
+ * @param {string} opts.to              Recipient address.
+ * @param {number} opts.since           Only emails sent at or after this time (ms).
+ * @param {string} [opts.subject]       Only emails with this subject.
+ * @param {number} [opts.maxWait=5000]  Total polling budget (ms).
+ * @returns {Promise<string|null>} Token of the newest matching email, or null.
+ */
+async function waitForMailToken({ to, since, subject, maxWait = 5000 }) {
+  const deadline = Date.now() + maxWait;
+  while (Date.now() < deadline) {
+    const files = fs.existsSync(MAIL_DIR) ? fs.readdirSync(MAIL_DIR).filter(f => f.endsWith('.json')) : [];
+    const messages = files
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(MAIL_DIR, file), 'utf8'));
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(m => m && m.to === to && Date.parse(m.sent_at) >= since && (!subject || m.subject === subject))
+      .sort((a, b) => Date.parse(b.sent_at) - Date.parse(a.sent_at));
+    const match = messages.length ? messages[0].text.match(/(?:token=|code: )([0-9a-f]{64})/) : null;
+    if (match) return match[1];
+    await sleep(250);
+  }
+  return null;
+}
+
 module.exports = {
   generateTestEmail,
   validateTestEmailDomain,
   TEST_EMAIL_DOMAIN,
   sleep,
-  pollForProgramSteps
+  pollForProgramSteps,
+  waitForMailToken,
+  MAIL_DIR
 };
@@ -4,7 +4,8 @@
  * 
  * This test verifies that when both users in a pairing post messages to the same
  * program step, a therapy response is automatically generated and added as a
- * system message.
+ * system message, and that GET /programSteps/:id/stream reports chime-in
+ * progress (typing → partial text → completed with the persisted message id).
  * 
  * Run with: node tests/therapy-trigger-test.js
  * 
@@ -739,6 +740,117 @@ class TherapyTriggerTestRunner {
     );
   }
 
+  // Open GET /programSteps/:id/stream and collect parsed SSE events as they arrive.
+  async openStepStream(stepId, token) {
+    const res = await axios.get(`${this.baseURL}/api/programSteps/${stepId}/stream`, {
+      headers: { Authorization: `Bearer ${token}` },
+      responseType: 'stream',
+      timeout: this.timeout
+    });
+    const events = [];
+    let buffer = '';
+    res.data.on('data', chunk => {
+      buffer += chunk.toString();
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const event = block.match(/^event: (.+)$/m);
+        const data = block.match(/^data: (.+)$/m);
+        if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+      }
+    });
+    return { res, events, close: () => res.data.destroy() };
+  }
+
+  /**
+   * Test: GET /programSteps/:id/stream streams a "Helpful" chime-in — typing,
+   * partial text, then `completed` with the id of the persisted system message.
+   */
+  async testChimeInStream() {
+    this.log('Testing: live chime-in stream', 'section');
+
+    if (!this.testData.stepId) {
+      this.log('No program step available, skipping chime-in stream test', 'warn');
+      return;
+    }
+
+    try {
+      await axios.get(`${this.baseURL}/api/programSteps/${this.testData.stepId}/stream`, { timeout: this.timeout });
+      this.assert(false, 'Stream without token should fail', 'Request unexpectedly succeeded');
+    } catch (error) {
+      this.assert(error.response?.status === 401, 'Stream without token returns 401', `Status: ${error.response?.status}`);
+    }
+
+    let stream;
+    try {
+      stream = await this.openStepStream(this.testData.stepId, this.testData.user1.token);
+    } catch (error) {
+      this.assert(false, 'Open program step stream', `Error: ${error.response?.status || error.message}`);
+      return;
+    }
+
+    try {
+      this.assert(
+        String(stream.res.headers['content-type']).startsWith('text/event-stream'),
+        'Stream responds with text/event-stream',
+        `content-type: ${stream.res.headers['content-type']}`
+      );
+      await sleep(200);
+      const snapshot = stream.events[0];
+      this.assert(
+        snapshot && snapshot.event === 'snapshot' && snapshot.data.step_id === this.testData.stepId,
+        'Stream sends a snapshot on connect',
+        JSON.stringify(snapshot)
+      );
+
+      await axios.post(
+        `${this.baseURL}/api/programSteps/${this.testData.stepId}/messages`,
+        { content: 'Helpful, can you chime in?' },
+        { headers: { Authorization: `Bearer ${this.testData.user1.token}` }, timeout: this.timeout }
+      );
+
+      const deadline = Date.now() + 30000;
+      let finished = null;
+      while (!finished && Date.now() < deadline) {
+        await sleep(250);
+        finished = stream.events.find(e => e.event === 'completed' || e.event === 'failed');
+      }
+
+      const names = stream.events.map(e => e.event);
+      const partials = stream.events.filter(e => e.event === 'partial');
+      this.assert(
+        finished && finished.event === 'completed' && finished.data.kind === 'chime_in',
+        'Chime-in completes on the stream',
+        names.join(',')
+      );
+      this.assert(
+        names.indexOf('typing') !== -1 && names.indexOf('typing') < names.indexOf('completed') &&
+          partials.length > 0 && partials[partials.length - 1].data.text.length > 0,
+        'typing and partial text arrive before completed',
+        `${partials.length} partial event(s)`
+      );
+      if (!finished || finished.event !== 'completed') return;
+
+      const [messageId] = finished.data.message_ids || [];
+      const res = await axios.get(
+        `${this.baseURL}/api/programSteps/${this.testData.stepId}/messages`,
+        { headers: { Authorization: `Bearer ${this.testData.user1.token}` }, timeout: this.timeout }
+      );
+      const persisted = res.data.messages.find(m => m.id === messageId);
+      const metadata = persisted && (typeof persisted.metadata === 'string' ? JSON.parse(persisted.metadata) : persisted.metadata);
+      this.assert(
+        persisted && persisted.message_type === 'system' && metadata.type === 'chime_in_prompt',
+        'completed carries the persisted chime-in message id',
+        `message_ids: ${JSON.stringify(finished.data.message_ids)}`
+      );
+    } catch (error) {
+      this.assert(false, 'Chime-in stream', `Error: ${error.response?.data?.error || error.message}`);
+    } finally {
+      stream.close();
+    }
+  }
+
   /**
    * Test: First message in a fresh step creates a welcome system message and the POST
    * response includes system_messages. Creates its own program to keep a clean step
@@ -924,6 +1036,7 @@ class TherapyTriggerTestRunner {
 
     await this.testBothUsersPostTriggersTherapyResponse();
     await this.testHopefulChimeInPrompt();
+    await this.testChimeInStream();
     await this.testPairedUserHasAccessToProgram();
     await this.testBothUsersCanSeeAllMessages();
     await this.testFirstMessageWelcome();